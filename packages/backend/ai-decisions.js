@@ -0,0 +1,66 @@
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+const OpenAIService = require('./src/openai-service');
+const CandleStore = require('./src/candle-store');
+const AIDecisionCache = require('./src/ai-decision-cache');
+
+const USAGE = `Usage:
+  npm run ai-decisions -- status
+  npm run ai-decisions -- import-history <symbol> <timeframe> [from] [to] [model]
+  npm run ai-decisions -- export <file.json> [symbol] [timeframe]
+  npm run ai-decisions -- import <file.json>`;
+
+const formatTime = (time) => new Date(time).toISOString();
+
+async function runAIDecisionCommand(args) {
+	const [command, ...params] = args;
+	const db = new CryptoBotDatabase('crypto_bot.db');
+
+	try {
+		// Only the model name is needed here, decisions are never requested from OpenAI
+		const model = command === 'import-history' && params[4] ? params[4] : (process.env.OPENAI_MODEL || OpenAIService.DEFAULT_MODEL);
+		const cache = new AIDecisionCache({ db, candleStore: new CandleStore({ db }), model });
+
+		switch (command) {
+			case 'status': {
+				const coverage = cache.getCoverage();
+				if (coverage.length === 0) {
+					console.log('📭 No AI decisions cached');
+				}
+				coverage.forEach(series => {
+					console.log(`🧠 ${series.symbol} ${series.timeframe} ${series.promptVersion}/${series.model}: ${series.count} decisions, ${formatTime(series.firstCandleTime)} → ${formatTime(series.lastCandleTime)}`);
+				});
+				break;
+			}
+			case 'import-history': {
+				const [symbol, timeframe, from, to] = params;
+				cache.importAnalysisHistory(symbol, timeframe, { from: from || null, to: to || null });
+				break;
+			}
+			case 'export': {
+				const [file, symbol, timeframe] = params;
+				const count = cache.exportDecisionsFile(file, { symbol: symbol || null, timeframe: timeframe || null });
+				console.log(`💾 Exported ${count} decisions to ${file}`);
+				break;
+			}
+			case 'import': {
+				cache.importDecisionsFile(params[0]);
+				break;
+			}
+			default:
+				console.log(USAGE);
+				process.exitCode = 1;
+		}
+	} catch (error) {
+		console.error('❌ AI decision command failed:', error.message);
+		process.exitCode = 1;
+	} finally {
+		db.close();
+	}
+}
+
+// Run if called directly
+if (require.main === module) {
+	runAIDecisionCommand(process.argv.slice(2)).then(() => process.exit());
+}
+
+module.exports = { runAIDecisionCommand };
@@ -0,0 +1,72 @@
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+const BinanceService = require('./src/binance-service');
+const CandleStore = require('./src/candle-store');
+
+const USAGE = `Usage:
+  npm run candles -- status [symbol]
+  npm run candles -- import <file.csv> <symbol> <timeframe>
+  npm run candles -- sync <symbol> <timeframe> [from] [to]
+  npm run candles -- gaps <symbol> <timeframe> <from> <to>
+  npm run candles -- resample <symbol> <timeframe> <from> <to>`;
+
+const formatTime = (time) => new Date(time).toISOString();
+
+async function runCandleCommand(args) {
+	const [command, ...params] = args;
+	const db = new CryptoBotDatabase('crypto_bot.db');
+
+	try {
+		const store = new CandleStore({ db, binance: command === 'sync' ? new BinanceService() : null });
+
+		switch (command) {
+			case 'status': {
+				const coverage = store.getCoverage(params[0] || null);
+				if (coverage.length === 0) {
+					console.log('📭 No candles stored');
+				}
+				coverage.forEach(series => {
+					console.log(`📊 ${series.symbol} ${series.timeframe}: ${series.count} candles, ${formatTime(series.firstOpenTime)} → ${formatTime(series.lastOpenTime)}`);
+				});
+				break;
+			}
+			case 'import': {
+				const [file, symbol, timeframe] = params;
+				const result = store.importCsvFile(file, { symbol, timeframe });
+				result.gaps.forEach(gap => console.log(`⚠️ Gap: ${formatTime(gap.from)} → ${formatTime(gap.to)} (${gap.missing} candles)`));
+				break;
+			}
+			case 'sync': {
+				const [symbol, timeframe, from, to] = params;
+				await store.sync(symbol, timeframe, from || null, to || Date.now());
+				break;
+			}
+			case 'gaps': {
+				const [symbol, timeframe, from, to] = params;
+				const gaps = store.findGaps(symbol, timeframe, from, to);
+				console.log(`🔍 ${gaps.length} gaps in ${symbol} ${timeframe}`);
+				gaps.forEach(gap => console.log(`⚠️ ${formatTime(gap.from)} → ${formatTime(gap.to)} (${gap.missing} candles)`));
+				break;
+			}
+			case 'resample': {
+				const [symbol, timeframe, from, to] = params;
+				store.buildTimeframe(symbol, timeframe, from, to);
+				break;
+			}
+			default:
+				console.log(USAGE);
+				process.exitCode = 1;
+		}
+	} catch (error) {
+		console.error('❌ Candle command failed:', error.message);
+		process.exitCode = 1;
+	} finally {
+		db.close();
+	}
+}
+
+// Run if called directly
+if (require.main === module) {
+	runCandleCommand(process.argv.slice(2)).then(() => process.exit());
+}
+
+module.exports = { runCandleCommand };
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const OpenAIService = require('./openai-service');
+
+// How an AI-strategy backtest gets its decisions:
+// live - cached decisions first, the model is asked (and the answer recorded) on a miss
+// replay - cached decisions only, a miss is treated as no signal
+// stub - the offline stub provider, cached under its own model name
+const AI_MODES = ['live', 'replay', 'stub'];
+const STUB_MODEL = 'stub';
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+
+// Offline stand-in for the model: an RSI rule confirmed by MACD and the SMA trend. Deterministic,
+// so stub backtests run without network access and repeat exactly.
+class StubAIProvider {
+	analyze(cryptocurrency, timeframe, marketData, indicators = {}) {
+		const { rsi, macd, sma_20, sma_50 } = indicators;
+		let signal = 'HOLD';
+		if (rsi < 30) signal = 'BUY';
+		else if (rsi > 70) signal = 'SELL';
+
+		if (signal === 'HOLD') {
+			return { signal, confidence: 0.5, reasoning: `Stub: RSI ${rsi?.toFixed(1) ?? 'N/A'} is neutral`, risk_level: 'LOW' };
+		}
+
+		const direction = signal === 'BUY' ? 1 : -1;
+		let confidence = 0.7;
+		if (macd && Math.sign(macd.MACD - macd.signal) === direction) confidence += 0.1;
+		if (sma_20 && sma_50 && Math.sign(sma_20 - sma_50) === direction) confidence += 0.1;
+
+		return { signal, confidence, reasoning: `Stub: RSI ${rsi.toFixed(1)} ${signal === 'BUY' ? 'oversold' : 'overbought'}`, risk_level: 'MEDIUM' };
+	}
+}
+
+// AI decisions keyed by symbol, timeframe, candle open time, prompt version and model, so
+// AI-strategy backtests replay identical decisions instead of paying for a new one per candle.
+// The cache is filled by live runs, from the ai_analysis history or from an exported file.
+class AIDecisionCache {
+	constructor(options = {}) {
+		this.db = options.db;
+		this.openai = options.openai || null; // OpenAIService, only needed in live mode
+		this.candleStore = options.candleStore; // candle intervals for history imports
+		this.model = options.model || null; // defaults to the OpenAI service's model
+		this.promptVersion = options.promptVersion || OpenAIService.PROMPT_VERSION;
+		this.stubProvider = options.stubProvider || new StubAIProvider();
+	}
+
+	getModel(mode) {
+		return mode === 'stub' ? STUB_MODEL : (this.model || this.openai.model);
+	}
+
+	// Model answers use lower/upper case signals and may omit fields; anything else is a HOLD
+	normalizeDecision(analysis) {
+		const signal = String(analysis.signal || '').toUpperCase();
+		const confidence = Number(analysis.confidence);
+
+		return {
+			signal: SIGNALS.includes(signal) ? signal : 'HOLD',
+			confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+			reasoning: analysis.reasoning || null,
+			riskLevel: analysis.risk_level || analysis.riskLevel || null
+		};
+	}
+
+	// Decision for one candle, or null when replaying and nothing is cached.
+	// `stats` counts hits, misses and recorded decisions for the run summary.
+	async getDecision({ symbol, timeframe, candleTime, price, indicators }, mode = 'live', stats = null) {
+		const key = { symbol, timeframe, candleTime, promptVersion: this.promptVersion, model: this.getModel(mode) };
+		const cached = this.db.getAIDecision(key.symbol, key.timeframe, key.candleTime, key.promptVersion, key.model);
+
+		if (cached) {
+			if (stats) stats.hits++;
+			return cached;
+		}
+		if (stats) stats.misses++;
+		if (mode === 'replay') {
+			return null;
+		}
+
+		const marketData = { currentPrice: price };
+		const analysis = mode === 'stub'
+			? this.stubProvider.analyze(symbol, timeframe, marketData, indicators)
+			: await this.openai.analyzeCryptocurrency(symbol, timeframe, marketData, indicators);
+
+		const decision = {
+			...key,
+			...this.normalizeDecision(analysis),
+			source: mode === 'stub' ? 'stub' : 'live',
+			analysisId: analysis.analysisId || null
+		};
+		this.db.saveAIDecisions([decision]);
+		if (stats) stats.recorded++;
+
+		return decision;
+	}
+
+	// Turn past live analyses into cached decisions. An analysis made at time t saw the last
+	// closed candle, so it is filed under the candle before the one t falls in. When several
+	// analyses share a candle the latest wins. Decisions already cached are kept.
+	importAnalysisHistory(symbol, timeframe, { from = null, to = null, model = this.getModel('live'), promptVersion = this.promptVersion } = {}) {
+		const intervalMs = this.candleStore.getIntervalMs(timeframe);
+		const byCandle = new Map();
+		let skipped = 0;
+
+		this.db.getAIAnalyses(symbol, timeframe, { from, to }).forEach(row => {
+			// SQLite's CURRENT_TIMESTAMP is UTC without a zone designator
+			const createdAt = new Date(row.createdAt.includes('T') ? row.createdAt : `${row.createdAt.replace(' ', 'T')}Z`).getTime();
+			let analysis;
+			try {
+				analysis = JSON.parse(row.aiResponse);
+			} catch (error) {
+				skipped++;
+				return;
+			}
+			if (!Number.isFinite(createdAt) || !analysis || !analysis.signal) {
+				skipped++;
+				return;
+			}
+
+			const candleTime = Math.floor(createdAt / intervalMs) * intervalMs - intervalMs;
+			byCandle.set(candleTime, {
+				symbol,
+				timeframe,
+				candleTime,
+				promptVersion,
+				model,
+				...this.normalizeDecision(analysis),
+				source: 'ai_analysis',
+				analysisId: row.id
+			});
+		});
+
+		const imported = this.db.saveAIDecisions([...byCandle.values()]);
+		console.log(`🧠 [AI CACHE] Imported ${imported} decisions for ${symbol} ${timeframe} from analysis history (${skipped} unreadable)`);
+
+		return { imported, skipped };
+	}
+
+	// Recorded decisions as plain objects, to move a run's decisions to another database
+	exportDecisions(filters = {}) {
+		return this.db.getAIDecisions(filters);
+	}
+
+	importDecisions(decisions) {
+		if (!Array.isArray(decisions)) {
+			throw new Error('AI decisions must be a list');
+		}
+
+		const rows = decisions.map((decision, index) => {
+			const { symbol, timeframe, candleTime, promptVersion, model } = decision;
+			if (!symbol || !timeframe || !Number.isInteger(candleTime) || !promptVersion || !model) {
+				throw new Error(`AI decision ${index} needs symbol, timeframe, candleTime, promptVersion and model`);
+			}
+			return {
+				symbol,
+				timeframe,
+				candleTime,
+				promptVersion,
+				model,
+				...this.normalizeDecision(decision),
+				source: 'import',
+				analysisId: decision.analysisId || null
+			};
+		});
+
+		const imported = this.db.saveAIDecisions(rows);
+		console.log(`🧠 [AI CACHE] Imported ${imported} of ${rows.length} decisions`);
+		return { imported, total: rows.length };
+	}
+
+	exportDecisionsFile(file, filters = {}) {
+		const decisions = this.exportDecisions(filters);
+		fs.writeFileSync(file, JSON.stringify(decisions, null, 2));
+		return decisions.length;
+	}
+
+	importDecisionsFile(file) {
+		return this.importDecisions(JSON.parse(fs.readFileSync(file, 'utf8')));
+	}
+
+	getCoverage() {
+		return this.db.getAIDecisionCoverage();
+	}
+}
+
+AIDecisionCache.MODES = AI_MODES;
+AIDecisionCache.StubAIProvider = StubAIProvider;
+
+module.exports = AIDecisionCache;
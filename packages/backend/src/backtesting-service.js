@@ -1,25 +1,101 @@
-const CryptoBotDatabase = require('../database/db');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
 const BinanceService = require('./binance-service');
 const OpenAIService = require('./openai-service');
+const CandleStore = require('./candle-store');
+const AIDecisionCache = require('./ai-decision-cache');
+
+// Technical strategy tunables; the defaults are the original fixed thresholds and 0.7 confidence gate
+const DEFAULT_TECHNICAL_PARAMS = {
+	rsiOversold: 30,
+	rsiOverbought: 70,
+	baseConfidence: 0.8, // confidence of a bare RSI signal
+	macdWeight: 0.1, // added when MACD agrees with the signal
+	trendWeight: 0.1, // added when the SMA20/SMA50 trend agrees with the signal
+	minConfidence: 0.7 // signals below this are not traded
+};
+
+// Candles needed before the indicators are meaningful
+const WARMUP_CANDLES = 50;
 
 class BacktestingService {
 	constructor(options = {}) {
-		this.db = new CryptoBotDatabase();
+		this.db = options.db || new CryptoBotDatabase();
 		this.binance = new BinanceService(options.binance);
-		this.openai = new OpenAIService(options.openai);
+		this.openai = new OpenAIService(options.openai?.apiKey, options.openai);
+		this.candleStore = options.candleStore || new CandleStore({ db: this.db, binance: this.binance });
+		this.aiDecisions = options.aiDecisions || new AIDecisionCache({ db: this.db, openai: this.openai, candleStore: this.candleStore });
+		this.syncMissingCandles = options.syncMissingCandles ?? true; // fetch candles the store lacks from Binance
 		this.results = [];
 		this.initialBalance = options.initialBalance || 10000; // $10,000 starting balance
 		this.commission = options.commission || 0.001; // 0.1% commission
+		this.progressInterval = options.progressInterval || 25; // report progress every N candles
 	}
 
-	// Run backtest on historical data
-	async runBacktest(config) {
-		const {
+	// Check a run request before any data is fetched
+	validateConfig(config = {}) {
+		const { cryptocurrency, timeframe, startDate, endDate, strategy = 'ai' } = config;
+
+		if (!cryptocurrency || !timeframe) {
+			throw new Error('Backtest needs a cryptocurrency and a timeframe');
+		}
+		if (!['ai', 'technical'].includes(strategy)) {
+			throw new Error(`Unknown backtest strategy: ${strategy}`);
+		}
+		const aiMode = config.aiMode || 'live';
+		if (strategy === 'ai' && !AIDecisionCache.MODES.includes(aiMode)) {
+			throw new Error(`Unknown AI decision mode: ${aiMode}`);
+		}
+
+		const start = new Date(startDate).getTime();
+		const end = new Date(endDate).getTime();
+		if (isNaN(start) || isNaN(end) || start >= end) {
+			throw new Error('Backtest needs a valid date range with startDate before endDate');
+		}
+		if (config.initialBalance !== undefined && !(parseFloat(config.initialBalance) > 0)) {
+			throw new Error('Initial balance must be positive');
+		}
+
+		return {
 			cryptocurrency,
 			timeframe,
 			startDate,
 			endDate,
-			strategy = 'ai'
+			strategy,
+			...(strategy === 'ai' && { aiMode }),
+			...(config.initialBalance !== undefined && { initialBalance: parseFloat(config.initialBalance) }),
+			...(config.params && { params: this.resolveTechnicalParams(config.params) })
+		};
+	}
+
+	// Strategy parameters merged over the defaults, rejecting unknown or inconsistent values
+	resolveTechnicalParams(params = {}) {
+		const unknown = Object.keys(params).filter(name => !(name in DEFAULT_TECHNICAL_PARAMS));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown strategy parameters: ${unknown.join(', ')}`);
+		}
+
+		const resolved = { ...DEFAULT_TECHNICAL_PARAMS };
+		Object.entries(params).forEach(([name, value]) => {
+			const number = parseFloat(value);
+			if (!Number.isFinite(number)) {
+				throw new Error(`Strategy parameter ${name} must be a number`);
+			}
+			resolved[name] = number;
+		});
+
+		if (resolved.rsiOversold >= resolved.rsiOverbought) {
+			throw new Error('rsiOversold must be below rsiOverbought');
+		}
+		return resolved;
+	}
+
+	// Run backtest on historical data, see simulate for onProgress
+	async runBacktest(config, onProgress = null) {
+		const {
+			cryptocurrency,
+			timeframe,
+			startDate,
+			endDate
 		} = config;
 
 		console.log(`Starting backtest for ${cryptocurrency} (${timeframe}) from ${startDate} to ${endDate}`);
@@ -32,47 +108,10 @@ class BacktestingService {
 				throw new Error('No historical data available for the specified period');
 			}
 
-			// Initialize backtest state
-			let balance = this.initialBalance;
-			let position = null;
-			let trades = [];
-			let equity = [balance];
-
-			// Process each candle
-			for (let i = 50; i < historicalData.length; i++) { // Start from 50 to have enough data for indicators
-				const currentCandle = historicalData[i];
-				const currentPrice = currentCandle.close;
-				const currentTime = new Date(currentCandle.timestamp);
-
-				// Get technical indicators for current point
-				const indicators = this.calculateIndicators(historicalData.slice(0, i + 1));
-
-				// Generate signal based on strategy
-				let signal = null;
-				if (strategy === 'ai') {
-					signal = await this.generateAISignal(cryptocurrency, timeframe, currentPrice, indicators);
-				} else {
-					signal = this.generateTechnicalSignal(indicators);
-				}
-
-				// Execute signal
-				if (signal && signal.confidence >= 0.7) {
-					const trade = this.executeSignal(signal, currentPrice, currentTime, balance, position);
-					if (trade) {
-						trades.push(trade);
-						balance = trade.newBalance;
-						position = trade.newPosition;
-					}
-				}
-
-				equity.push(balance);
-			}
-
-			// Calculate final results
-			const results = this.calculateResults(trades, equity, this.initialBalance);
+			const results = await this.simulate(historicalData, config, { onProgress });
 
 			// Save backtest results
-			await this.saveBacktestResults(config, results);
+			results.id = await this.saveBacktestResults(config, results);
 
 			return results;
 
@@ -82,10 +121,98 @@ class BacktestingService {
 		}
 	}
 
-	// Get historical data from Binance
+	// Replay candles [startIndex, endIndex) with one strategy configuration. A precomputed
+	// `indicators` series (see computeIndicatorSeries) lets parameter sweeps skip recalculation.
+	// onProgress({ processed, total, percent, balance, trades }) is called as candles are replayed
+	async simulate(historicalData, config, { onProgress = null, indicators = null, startIndex = WARMUP_CANDLES, endIndex = historicalData.length } = {}) {
+		const { cryptocurrency, timeframe, strategy = 'ai' } = config;
+		const params = config.params || DEFAULT_TECHNICAL_PARAMS;
+		const initialBalance = config.initialBalance || this.initialBalance;
+		const firstIndex = Math.max(startIndex, WARMUP_CANDLES);
+
+		let balance = initialBalance;
+		let position = null;
+		const trades = [];
+		const equity = [balance];
+		const equityCurve = [];
+		const total = Math.max(0, endIndex - firstIndex);
+		const aiStats = strategy === 'ai' ? this.createAIStats(config.aiMode) : null;
+		let candlesInMarket = 0;
+
+		for (let i = firstIndex; i < endIndex; i++) {
+			const currentCandle = historicalData[i];
+			const currentPrice = currentCandle.close;
+			const currentTime = new Date(currentCandle.timestamp);
+
+			// Get technical indicators for current point
+			const currentIndicators = indicators ? indicators[i] : this.calculateIndicators(historicalData.slice(0, i + 1));
+
+			// Generate signal based on strategy
+			let signal = null;
+			if (strategy === 'ai') {
+				signal = await this.generateAISignal(cryptocurrency, timeframe, currentPrice, currentIndicators, {
+					candleTime: currentCandle.timestamp,
+					mode: config.aiMode,
+					stats: aiStats
+				});
+			} else {
+				signal = this.generateTechnicalSignal(currentIndicators, params);
+			}
+
+			// Execute signal
+			if (signal && signal.confidence >= params.minConfidence) {
+				const trade = this.executeSignal(signal, currentPrice, currentTime, balance, position);
+				if (trade) {
+					trades.push(trade);
+					balance = trade.newBalance;
+					position = trade.newPosition;
+				}
+			}
+
+			if (position) {
+				candlesInMarket++;
+			}
+
+			// Mark the open position to market so the curve moves between trades
+			const markedEquity = position ? balance + (currentPrice - position.entryPrice) * position.quantity : balance;
+			equity.push(markedEquity);
+			equityCurve.push({ timestamp: currentCandle.timestamp, equity: markedEquity, price: currentPrice });
+
+			const processed = i - firstIndex + 1;
+			if (onProgress && (processed % this.progressInterval === 0 || processed === total)) {
+				onProgress({
+					processed,
+					total,
+					percent: total > 0 ? processed / total * 100 : 100,
+					balance: markedEquity,
+					trades: trades.length
+				});
+				// Let the progress message flush before the next batch of candles
+				await new Promise(resolve => setImmediate(resolve));
+			}
+		}
+
+		return {
+			...this.calculateResults(trades, equity, initialBalance),
+			metrics: this.calculateMetrics(trades, equity, timeframe, {
+				candlesInMarket,
+				prices: equityCurve.map(point => point.price)
+			}),
+			params: strategy === 'ai' ? null : params,
+			...(aiStats && { aiDecisions: aiStats }),
+			equityCurve
+		};
+	}
+
+	// Indicators at every candle, computed once so many parameter sets can be replayed on them
+	computeIndicatorSeries(historicalData) {
+		return historicalData.map((_, i) => (i < WARMUP_CANDLES ? null : this.calculateIndicators(historicalData.slice(0, i + 1))));
+	}
+
+	// Get historical data from the local candle store so repeated runs replay identical candles
 	async getHistoricalData(cryptocurrency, timeframe, startDate, endDate) {
 		try {
-			const data = await this.binance.getHistoricalData(cryptocurrency, timeframe, startDate, endDate);
+			const data = await this.candleStore.getCandles(cryptocurrency, timeframe, startDate, endDate, { sync: this.syncMissingCandles });
 			return data;
 		} catch (error) {
 			console.error('Error fetching historical data:', error);
@@ -127,51 +254,60 @@ class BacktestingService {
 		};
 	}
 
-	// Generate AI signal
-	async generateAISignal(cryptocurrency, timeframe, price, indicators) {
+	// AI signal for one candle through the decision cache, see AIDecisionCache for the modes.
+	// HOLD decisions, replay misses and failed model calls are no signal.
+	async generateAISignal(cryptocurrency, timeframe, price, indicators, { candleTime, mode = 'live', stats = null } = {}) {
 		try {
-			const marketData = {
-				current_price: price,
-				ohlcv: null,
-				technical_indicators: indicators
-			};
-
-			const signal = await this.openai.generateSignal(cryptocurrency, timeframe, marketData, indicators);
-			return signal;
+			const decision = await this.aiDecisions.getDecision({ symbol: cryptocurrency, timeframe, candleTime, price, indicators }, mode, stats);
+			return decision && decision.signal !== 'HOLD' ? { signal: decision.signal, confidence: decision.confidence } : null;
 		} catch (error) {
 			console.error('Error generating AI signal:', error);
+			if (stats) stats.errors++;
 			return null;
 		}
 	}
 
+	// Counters reported with AI-strategy results, filled by generateAISignal
+	createAIStats(mode = 'live') {
+		return {
+			mode,
+			promptVersion: this.aiDecisions.promptVersion,
+			model: this.aiDecisions.getModel(mode),
+			hits: 0,
+			misses: 0,
+			recorded: 0,
+			errors: 0
+		};
+	}
+
 	// Generate technical signal based on indicators
-	generateTechnicalSignal(indicators) {
+	generateTechnicalSignal(indicators, params = DEFAULT_TECHNICAL_PARAMS) {
 		const { rsi, macd, sma_20, sma_50 } = indicators;
 
 		let signal = null;
 		let confidence = 0;
 
 		// RSI strategy
-		if (rsi < 30) {
+		if (rsi < params.rsiOversold) {
 			signal = 'BUY';
-			confidence = 0.8;
-		} else if (rsi > 70) {
+			confidence = params.baseConfidence;
+		} else if (rsi > params.rsiOverbought) {
 			signal = 'SELL';
-			confidence = 0.8;
+			confidence = params.baseConfidence;
 		}
 
 		// MACD strategy
 		if (macd && macd.MACD > macd.signal && signal === 'BUY') {
-			confidence += 0.1;
+			confidence += params.macdWeight;
 		} else if (macd && macd.MACD < macd.signal && signal === 'SELL') {
-			confidence += 0.1;
+			confidence += params.macdWeight;
 		}
 
 		// Moving average strategy
 		if (sma_20 > sma_50 && signal === 'BUY') {
-			confidence += 0.1;
+			confidence += params.trendWeight;
 		} else if (sma_20 < sma_50 && signal === 'SELL') {
-			confidence += 0.1;
+			confidence += params.trendWeight;
 		}
 
 		return signal ? { signal, confidence: Math.min(confidence, 1) } : null;
@@ -230,93 +366,172 @@ class BacktestingService {
 
 	// Calculate backtest results
 	calculateResults(trades, equity, initialBalance) {
+		const roundTrips = this.getRoundTripPnl(trades);
 		const totalTrades = trades.length;
-		const winningTrades = trades.filter(t => t.profit > 0).length;
-		const losingTrades = trades.filter(t => t.profit < 0).length;
+		const winningTrades = roundTrips.filter(pnl => pnl > 0).length;
+		const losingTrades = roundTrips.filter(pnl => pnl < 0).length;
 		const totalProfit = trades.reduce((sum, t) => sum + (t.profit || 0), 0);
 		const totalCommission = trades.reduce((sum, t) => sum + t.commission, 0);
 		const finalBalance = equity[equity.length - 1];
 		const totalReturn = ((finalBalance - initialBalance) / initialBalance) * 100;
 
-		// Calculate max drawdown
-		let maxDrawdown = 0;
-		let peak = initialBalance;
-		for (const balance of equity) {
-			if (balance > peak) {
-				peak = balance;
-			}
-			const drawdown = (peak - balance) / peak * 100;
-			if (drawdown > maxDrawdown) {
-				maxDrawdown = drawdown;
-			}
-		}
-
 		return {
 			initialBalance,
 			finalBalance,
-			totalReturn: totalReturn.toFixed(2) + '%',
+			totalReturn,
 			totalTrades,
 			winningTrades,
 			losingTrades,
-			winRate: totalTrades > 0 ? ((winningTrades / totalTrades) * 100).toFixed(2) + '%' : '0%',
-			totalProfit: totalProfit.toFixed(2),
-			totalCommission: totalCommission.toFixed(2),
-			maxDrawdown: maxDrawdown.toFixed(2) + '%',
+			winRate: roundTrips.length > 0 ? winningTrades / roundTrips.length * 100 : 0,
+			totalProfit,
+			totalCommission,
+			maxDrawdown: this.calculateDrawdown(equity).maxDrawdown,
 			trades,
 			equity
 		};
 	}
 
-	// Save backtest results to database
+	// Net P&L of each closed long: the SELL profit less both legs' commission.
+	// Entries are matched per symbol so portfolio runs with interleaved trades pair correctly.
+	getRoundTripPnl(trades) {
+		const roundTrips = [];
+		const entryCommissions = new Map();
+
+		trades.forEach(trade => {
+			if (trade.type === 'BUY') {
+				entryCommissions.set(trade.symbol, trade.commission);
+			} else if (trade.profit !== undefined) {
+				roundTrips.push(trade.profit - trade.commission - (entryCommissions.get(trade.symbol) || 0));
+				entryCommissions.delete(trade.symbol);
+			}
+		});
+
+		return roundTrips;
+	}
+
+	// Deepest fall from a running peak in percent, and the most consecutive points spent below a peak
+	calculateDrawdown(equity) {
+		let peak = equity[0];
+		let maxDrawdown = 0;
+		let underwater = 0;
+		let longestUnderwater = 0;
+
+		equity.forEach(value => {
+			if (value >= peak) {
+				peak = value;
+				underwater = 0;
+			} else {
+				underwater++;
+				longestUnderwater = Math.max(longestUnderwater, underwater);
+			}
+			maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - value) / peak * 100 : 0);
+		});
+
+		return { maxDrawdown, longestUnderwater };
+	}
+
+	// Numeric performance metrics, stored as columns so runs can be compared.
+	// equity holds the starting balance followed by one marked value per candle; `prices` are
+	// the candle closes for the buy-and-hold benchmark. Ratios are annualized from per-candle
+	// returns, and a ratio whose denominator is zero while the numerator is positive is Infinity.
+	calculateMetrics(trades, equity, timeframe, { candlesInMarket = 0, prices = [] } = {}) {
+		const intervalMs = this.binance.getIntervalMs(timeframe);
+		const periodsPerYear = 365 * 24 * 60 * 60 * 1000 / intervalMs;
+		const candles = equity.length - 1;
+		const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : (numerator > 0 ? Infinity : 0));
+
+		const returns = [];
+		for (let i = 1; i < equity.length; i++) {
+			if (equity[i - 1] > 0) {
+				returns.push(equity[i] / equity[i - 1] - 1);
+			}
+		}
+
+		const mean = returns.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / returns.length : 0;
+		const variance = returns.length > 1
+			? returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1)
+			: 0;
+		const stdDev = Math.sqrt(variance);
+		const downsideDeviation = returns.length > 0
+			? Math.sqrt(returns.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / returns.length)
+			: 0;
+
+		const initial = equity[0];
+		const final = equity[equity.length - 1];
+		const totalReturn = initial > 0 ? (final - initial) / initial * 100 : 0;
+		const years = candles / periodsPerYear;
+		const annualizedReturn = years > 0 && initial > 0 && final > 0 ? ((final / initial) ** (1 / years) - 1) * 100 : 0;
+		const { maxDrawdown, longestUnderwater } = this.calculateDrawdown(equity);
+
+		const roundTrips = this.getRoundTripPnl(trades);
+		const wins = roundTrips.filter(pnl => pnl > 0);
+		const losses = roundTrips.filter(pnl => pnl < 0);
+		const grossProfit = wins.reduce((sum, pnl) => sum + pnl, 0);
+		const grossLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0));
+
+		return {
+			totalReturn,
+			annualizedReturn,
+			sharpeRatio: stdDev > 0 ? mean / stdDev * Math.sqrt(periodsPerYear) : 0,
+			sortinoRatio: ratio(mean * Math.sqrt(periodsPerYear), downsideDeviation),
+			calmarRatio: ratio(annualizedReturn, maxDrawdown),
+			profitFactor: ratio(grossProfit, grossLoss),
+			expectancy: roundTrips.length > 0 ? (grossProfit - grossLoss) / roundTrips.length : 0,
+			averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+			averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+			maxDrawdown,
+			longestDrawdownSeconds: longestUnderwater * intervalMs / 1000,
+			timeInMarket: candles > 0 ? candlesInMarket / candles * 100 : 0,
+			benchmarkReturn: prices.length > 1 && prices[0] > 0 ? (prices[prices.length - 1] / prices[0] - 1) * 100 : 0,
+			totalTrades: trades.length,
+			closedTrades: roundTrips.length,
+			winRate: roundTrips.length > 0 ? wins.length / roundTrips.length * 100 : 0
+		};
+	}
+
+	// Save backtest results to database, returning the new row id
 	async saveBacktestResults(config, results) {
 		try {
-			const backtestData = {
-				strategy: config.strategy,
-				symbol: config.cryptocurrency,
+			const id = this.db.saveBacktestResult({
+				cryptocurrency: config.cryptocurrency,
 				timeframe: config.timeframe,
 				startDate: config.startDate,
 				endDate: config.endDate,
+				strategy: config.strategy || 'ai',
 				initialBalance: results.initialBalance,
 				finalBalance: results.finalBalance,
-				totalReturn: results.totalReturn,
-				winRate: results.winRate,
-				maxDrawdown: results.maxDrawdown,
-				results: JSON.stringify(results),
-				createdAt: new Date().toISOString()
-			};
-
-			const stmt = this.db.db.prepare(`
-				INSERT INTO backtest_results (
-					strategy, symbol, timeframe, startDate, endDate, 
-					initialBalance, finalBalance, totalReturn, 
-					winRate, maxDrawdown, results, createdAt
-				) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-			`);
-			stmt.run(Object.values(backtestData));
+				totalTrades: results.totalTrades,
+				metrics: results.metrics,
+				results: results
+			});
 
-			console.log('Backtest results saved to database');
+			console.log(`Backtest results saved to database (id ${id})`);
+			return id;
 		} catch (error) {
 			console.error('Error saving backtest results:', error);
+			return null;
 		}
 	}
 
-	// Get all backtest results
+	// Get past backtest runs (summary columns only)
 	async getBacktestResults(limit = 50) {
 		try {
-			const stmt = this.db.db.prepare(`
-				SELECT * FROM backtest_results 
-				ORDER BY createdAt DESC 
-				LIMIT ?
-			`);
-			const results = stmt.all([limit]);
-
-			return results;
+			return this.db.getBacktestResults(limit);
 		} catch (error) {
 			console.error('Error fetching backtest results:', error);
 			return [];
 		}
 	}
 
+	// Get one backtest run with its trades and equity curve
+	async getBacktestDetail(id) {
+		const result = this.db.getBacktestResult(id);
+		if (!result) {
+			throw new Error(`Backtest ${id} not found`);
+		}
+		return result;
+	}
+
 	// Technical indicator calculations
 	calculateSMA(data, period) {
 		const sma = [];
@@ -418,4 +633,6 @@ class BacktestingService {
 	}
 }
 
+BacktestingService.WARMUP_CANDLES = WARMUP_CANDLES;
+
 module.exports = BacktestingService;
@@ -1,5 +1,7 @@
 const Binance = require('binance-api-node').default;
 const { SMA, RSI, MACD, BollingerBands, Stochastic } = require('technicalindicators');
+const CandleStore = require('./candle-store');
+const { metrics } = require('./metrics');
 
 class BinanceService {
 	constructor(options = {}) {
@@ -27,10 +29,11 @@ class BinanceService {
 			config.apiSecret = apiSecret;
 		}
 
-		this.client = Binance(config);
+		this.client = metrics.instrumentBinanceClient(Binance(config));
 		this.useSandbox = useSandbox;
 
 		this.db = new (require('@signal-crypto-bot/database'))();
+		this.candleStore = new CandleStore({ db: this.db, binance: this });
 		this.cache = new Map();
 		this.cacheTimeout = 30000; // 30 seconds
 	}
@@ -62,20 +65,7 @@ class BinanceService {
 				}
 			}
 
-			const candles = await this.client.candles({
-				symbol: symbol,
-				interval: interval,
-				limit: limit
-			});
-
-			const ohlcv = candles.map(candle => ({
-				timestamp: candle.openTime,
-				open: parseFloat(candle.open),
-				high: parseFloat(candle.high),
-				low: parseFloat(candle.low),
-				close: parseFloat(candle.close),
-				volume: parseFloat(candle.volume)
-			}));
+			const ohlcv = await this.fetchCandles(symbol, timeframe, { limit });
 
 			// Cache the result
 			this.cache.set(cacheKey, {
@@ -86,11 +76,35 @@ class BinanceService {
 			return ohlcv;
 		} catch (error) {
 			console.error(`Error fetching OHLCV for ${symbol}:`, error);
-			// Return mock OHLCV data for testing
+			// Fall back to stored candles, then to mock OHLCV data for testing
+			const stored = this.candleStore.getLatestCandles(symbol, this.convertTimeframe(timeframe), limit);
+			if (stored.length > 0) {
+				return stored;
+			}
 			return this.getMockOHLCV(symbol, timeframe, limit);
 		}
 	}
 
+	// Fetch klines straight from Binance, optionally bounded by startTime/endTime in epoch ms
+	async fetchCandles(symbol, timeframe, { startTime, endTime, limit = 1000 } = {}) {
+		const candles = await this.client.candles({
+			symbol: symbol,
+			interval: this.convertTimeframe(timeframe),
+			limit: limit,
+			...(startTime !== undefined && { startTime }),
+			...(endTime !== undefined && { endTime })
+		});
+
+		return candles.map(candle => ({
+			timestamp: candle.openTime,
+			open: parseFloat(candle.open),
+			high: parseFloat(candle.high),
+			low: parseFloat(candle.low),
+			close: parseFloat(candle.close),
+			volume: parseFloat(candle.volume)
+		}));
+	}
+
 	// Get current price
 	async getCurrentPrice(symbol) {
 		try {
@@ -108,7 +122,7 @@ class BinanceService {
 		try {
 			console.log(`Using fallback API for ${symbol}`);
 
-			const response = await fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
+			const response = await metrics.observeBinanceRequest('publicPrice', () => fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`));
 
 			if (!response.ok) {
 				throw new Error(`HTTP error! status: ${response.status}`);
@@ -117,7 +131,16 @@ class BinanceService {
 			return parseFloat(data.price);
 		} catch (error) {
 			console.error(`Error fetching price from public API for ${symbol}:`, error);
-			// Return mock data for testing
+			// Use the last stored close when there is one, otherwise mock data for testing.
+			// A close older than a few minutes (e.g. from a CSV import) is not a current price,
+			// so throw and let callers skip this tick rather than fill or trigger exits on it
+			const [lastCandle] = this.candleStore.getLatestCandles(symbol, '1m', 1);
+			if (lastCandle) {
+				if (Date.now() - lastCandle.timestamp > BinanceService.STORED_PRICE_MAX_AGE_MS) {
+					throw new Error(`No current price for ${symbol}, last stored close is from ${new Date(lastCandle.timestamp).toISOString()}`);
+				}
+				return lastCandle.close;
+			}
 			const mockPrices = {
 				'BTCUSDT': 45000 + Math.random() * 5000,
 				'ETHUSDT': 2800 + Math.random() * 400,
@@ -394,24 +417,15 @@ class BinanceService {
 		}
 	}
 
-	// Get historical data for backtesting
-	async getHistoricalData(symbol, interval, startDate, endDate, limit = 1000) {
+	// Get historical data for backtesting from the local candle store, syncing missing candles
+	async getHistoricalData(symbol, interval, startDate, endDate) {
 		try {
 			console.log(`Fetching historical data for ${symbol} (${interval}) from ${startDate} to ${endDate}`);
 
-			// Use existing getOHLCV method for now
-			const data = await this.getOHLCV(symbol, interval, limit);
+			const data = await this.candleStore.getCandles(symbol, this.convertTimeframe(interval), startDate, endDate, { sync: true });
 
-			// Filter by date range
-			const startTime = new Date(startDate).getTime();
-			const endTime = new Date(endDate).getTime();
-
-			const filteredData = data.filter(candle =>
-				candle.timestamp >= startTime && candle.timestamp <= endTime
-			);
-
-			console.log(`Fetched ${filteredData.length} candles for ${symbol}`);
-			return filteredData;
+			console.log(`Fetched ${data.length} candles for ${symbol}`);
+			return data;
 		} catch (error) {
 			console.error(`Error fetching historical data for ${symbol}:`, error);
 			throw error;
@@ -656,4 +670,7 @@ class BinanceService {
 	}
 }
 
+// How old the last stored 1m close may be to stand in for the live price
+BinanceService.STORED_PRICE_MAX_AGE_MS = 5 * 60 * 1000;
+
 module.exports = BinanceService;
@@ -0,0 +1,244 @@
+const fs = require('fs');
+
+// Timeframes the store understands, in milliseconds
+const TIMEFRAME_MS = {
+	'1m': 60 * 1000,
+	'5m': 5 * 60 * 1000,
+	'15m': 15 * 60 * 1000,
+	'30m': 30 * 60 * 1000,
+	'1h': 60 * 60 * 1000,
+	'2h': 2 * 60 * 60 * 1000,
+	'4h': 4 * 60 * 60 * 1000,
+	'6h': 6 * 60 * 60 * 1000,
+	'12h': 12 * 60 * 60 * 1000,
+	'1d': 24 * 60 * 60 * 1000
+};
+
+// Local OHLCV store in the ohlcv_candles table, so backtests replay the same candles
+// every run and work without exchange access once the data is there.
+class CandleStore {
+	constructor(options = {}) {
+		this.db = options.db;
+		this.binance = options.binance || null; // BinanceService, only needed for sync
+		this.pageSize = options.pageSize || 1000; // Binance returns at most 1000 klines per request
+	}
+
+	getIntervalMs(timeframe) {
+		const intervalMs = TIMEFRAME_MS[timeframe];
+		if (!intervalMs) {
+			throw new Error(`Unsupported timeframe: ${timeframe}`);
+		}
+		return intervalMs;
+	}
+
+	// Epoch milliseconds from a timestamp, Date or date string
+	toTime(value) {
+		const time = typeof value === 'number' ? value : new Date(value).getTime();
+		if (!Number.isFinite(time)) {
+			throw new Error(`Invalid date: ${value}`);
+		}
+		return time;
+	}
+
+	// Parse a Binance kline CSV dump (data.binance.vision). Columns are open time, open, high,
+	// low, close, volume, close time, ... Newer dumps have a header row and microsecond times.
+	parseBinanceCsv(text) {
+		const candles = [];
+
+		text.split(/\r?\n/).forEach((line, index) => {
+			const columns = line.trim().split(',');
+			if (columns[0] === '') return;
+
+			let openTime = Number(columns[0]);
+			if (!Number.isFinite(openTime) && index === 0) return;
+
+			const [open, high, low, close, volume] = columns.slice(1, 6).map(Number);
+			if (columns.length < 6 || ![openTime, open, high, low, close, volume].every(Number.isFinite)) {
+				throw new Error(`Invalid candle on line ${index + 1}: ${line.trim()}`);
+			}
+
+			if (openTime > 1e14) {
+				openTime = Math.floor(openTime / 1000);
+			}
+			candles.push({ timestamp: openTime, open, high, low, close, volume });
+		});
+
+		return candles;
+	}
+
+	// Import the contents of a Binance CSV dump, reporting any gaps left in the imported range
+	importCsv(text, { symbol, timeframe } = {}) {
+		if (!symbol || !timeframe) {
+			throw new Error('CSV import needs a symbol and a timeframe');
+		}
+		const intervalMs = this.getIntervalMs(timeframe);
+		const candles = this.parseBinanceCsv(text).sort((a, b) => a.timestamp - b.timestamp);
+
+		const misaligned = candles.find(candle => candle.timestamp % intervalMs !== 0);
+		if (misaligned) {
+			throw new Error(`Candle at ${new Date(misaligned.timestamp).toISOString()} is not a ${timeframe} candle`);
+		}
+
+		const imported = candles.length > 0 ? this.db.saveCandles(symbol, timeframe, candles, 'csv') : 0;
+		const from = candles[0]?.timestamp ?? null;
+		const to = candles[candles.length - 1]?.timestamp ?? null;
+		const gaps = imported > 0 ? this.findGaps(symbol, timeframe, from, to) : [];
+
+		console.log(`📥 [CANDLES] Imported ${imported} ${symbol} ${timeframe} candles from CSV (${gaps.length} gaps)`);
+		return { symbol, timeframe, imported, from, to, gaps };
+	}
+
+	importCsvFile(filePath, options) {
+		return this.importCsv(fs.readFileSync(filePath, 'utf8'), options);
+	}
+
+	// Missing candles between two times as [{ from, to, missing }], with inclusive open-time bounds
+	findGaps(symbol, timeframe, from, to) {
+		const intervalMs = this.getIntervalMs(timeframe);
+		const start = Math.ceil(this.toTime(from) / intervalMs) * intervalMs;
+		const end = Math.floor(this.toTime(to) / intervalMs) * intervalMs;
+		if (start > end) return [];
+
+		const gaps = [];
+		const addGap = (gapFrom, gapTo) => gaps.push({ from: gapFrom, to: gapTo, missing: (gapTo - gapFrom) / intervalMs + 1 });
+
+		let expected = start;
+		this.db.getCandleOpenTimes(symbol, timeframe, start, end).forEach(openTime => {
+			if (openTime > expected) {
+				addGap(expected, openTime - intervalMs);
+			}
+			expected = openTime + intervalMs;
+		});
+		if (expected <= end) {
+			addGap(expected, end);
+		}
+
+		return gaps;
+	}
+
+	// Fetch the missing candles in [from, to] from Binance. Without `from` the sync continues
+	// after the last stored candle. The candle still forming is never stored.
+	async sync(symbol, timeframe, from = null, to = Date.now()) {
+		if (!this.binance) {
+			throw new Error('Candle sync needs a Binance service');
+		}
+		const intervalMs = this.getIntervalMs(timeframe);
+
+		let start = from;
+		if (start === null) {
+			const coverage = this.db.getCandleCoverage(symbol).find(series => series.timeframe === timeframe);
+			if (!coverage) {
+				throw new Error(`No ${symbol} ${timeframe} candles stored yet, a start date is needed`);
+			}
+			start = coverage.lastOpenTime + intervalMs;
+		}
+
+		const lastClosed = Math.floor(Date.now() / intervalMs) * intervalMs - intervalMs;
+		const end = Math.min(this.toTime(to), lastClosed);
+		let fetched = 0;
+
+		for (const gap of this.findGaps(symbol, timeframe, start, end)) {
+			let startTime = gap.from;
+			while (startTime <= gap.to) {
+				const candles = await this.binance.fetchCandles(symbol, timeframe, { startTime, endTime: gap.to, limit: this.pageSize });
+				// Nothing to fetch before the listing date or across exchange outages
+				if (candles.length === 0) break;
+
+				fetched += this.db.saveCandles(symbol, timeframe, candles, 'binance');
+				startTime = candles[candles.length - 1].timestamp + intervalMs;
+			}
+		}
+
+		const gaps = this.findGaps(symbol, timeframe, start, end);
+		console.log(`🔄 [CANDLES] Synced ${fetched} ${symbol} ${timeframe} candles (${gaps.length} gaps left)`);
+		return { symbol, timeframe, fetched, gaps };
+	}
+
+	// Aggregate candles into a larger timeframe. Buckets are aligned to UTC like Binance's own
+	// candles, and buckets with missing source candles are dropped unless includePartial is set.
+	resample(candles, fromTimeframe, toTimeframe, { includePartial = false } = {}) {
+		const sourceMs = this.getIntervalMs(fromTimeframe);
+		const targetMs = this.getIntervalMs(toTimeframe);
+		if (targetMs <= sourceMs || targetMs % sourceMs !== 0) {
+			throw new Error(`Cannot resample ${fromTimeframe} candles into ${toTimeframe}`);
+		}
+
+		const perBucket = targetMs / sourceMs;
+		const resampled = [];
+		let current = null;
+		let count = 0;
+
+		const flush = () => {
+			if (current && (includePartial || count === perBucket)) {
+				resampled.push(current);
+			}
+		};
+
+		candles.forEach(candle => {
+			const bucket = Math.floor(candle.timestamp / targetMs) * targetMs;
+			if (!current || current.timestamp !== bucket) {
+				flush();
+				current = { ...candle, timestamp: bucket };
+				count = 1;
+				return;
+			}
+
+			current.high = Math.max(current.high, candle.high);
+			current.low = Math.min(current.low, candle.low);
+			current.close = candle.close;
+			current.volume += candle.volume;
+			count++;
+		});
+		flush();
+
+		return resampled;
+	}
+
+	// Build and store a larger timeframe for [from, to] from stored source candles
+	buildTimeframe(symbol, timeframe, from, to, sourceTimeframe = '1m') {
+		const targetMs = this.getIntervalMs(timeframe);
+		const start = Math.floor(this.toTime(from) / targetMs) * targetMs;
+		const end = Math.floor(this.toTime(to) / targetMs) * targetMs + targetMs - 1;
+
+		const source = this.db.getCandles(symbol, sourceTimeframe, { from: start, to: end });
+		const candles = this.resample(source, sourceTimeframe, timeframe);
+		const built = candles.length > 0 ? this.db.saveCandles(symbol, timeframe, candles, 'resampled') : 0;
+
+		if (built > 0) {
+			console.log(`🧱 [CANDLES] Built ${built} ${symbol} ${timeframe} candles from ${sourceTimeframe}`);
+		}
+		return { symbol, timeframe, built };
+	}
+
+	// Candles for [from, to] from the store. Gaps are first filled by resampling stored 1m
+	// candles and then, when sync is set, from Binance. A failed sync leaves the stored data.
+	async getCandles(symbol, timeframe, from, to, { sync = false } = {}) {
+		const start = this.toTime(from);
+		const end = this.toTime(to);
+
+		if (timeframe !== '1m' && this.findGaps(symbol, timeframe, start, end).length > 0) {
+			this.buildTimeframe(symbol, timeframe, start, end);
+		}
+
+		if (sync && this.findGaps(symbol, timeframe, start, end).length > 0) {
+			try {
+				await this.sync(symbol, timeframe, start, end);
+			} catch (error) {
+				console.warn(`⚠️ [CANDLES] Sync failed for ${symbol} ${timeframe}, using stored candles:`, error.message);
+			}
+		}
+
+		return this.db.getCandles(symbol, timeframe, { from: start, to: end });
+	}
+
+	// Most recent stored candles, oldest first
+	getLatestCandles(symbol, timeframe, limit = 100) {
+		return this.db.getCandles(symbol, timeframe, { limit });
+	}
+
+	getCoverage(symbol = null) {
+		return this.db.getCandleCoverage(symbol);
+	}
+}
+
+module.exports = CandleStore;
@@ -0,0 +1,124 @@
+const EXECUTION_MODEL_CONFIG_KEY = 'execution_model';
+
+// Order types that rest on the book and earn the maker fee; everything else crosses the spread
+const MAKER_ORDER_TYPES = ['LIMIT', 'STOP_LIMIT'];
+
+class ExecutionModel {
+	constructor(options = {}) {
+		this.db = options.db;
+		this.binance = options.binance;
+		this.defaults = {
+			makerFee: options.commission || 0.001, // 0.1% maker fee
+			takerFee: options.commission || 0.001, // 0.1% taker fee
+			bnbDiscount: false, // pay fees in BNB
+			bnbDiscountRate: 0.25, // 25% off when paying in BNB
+			useOrderBook: true, // walk BinanceService.getOrderBook for market fills
+			orderBookDepth: 20,
+			impactCoefficient: 0.1, // square-root impact for size beyond the visible book
+			fallbackSlippage: options.slippage || 0.0005 // used when the order book is unavailable
+		};
+	}
+
+	// Defaults overridden by the 'execution_model' config entry
+	getConfig() {
+		let stored = null;
+		try {
+			stored = this.db && this.db.getConfig ? this.db.getConfig(EXECUTION_MODEL_CONFIG_KEY) : null;
+		} catch (error) {
+			console.error('❌ [EXECUTION] Error reading execution model config:', error.message);
+		}
+
+		return { ...this.defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+	}
+
+	getLiquidity(orderType) {
+		return MAKER_ORDER_TYPES.includes(orderType) ? 'MAKER' : 'TAKER';
+	}
+
+	getFeeRate(liquidity, config = this.getConfig()) {
+		const rate = liquidity === 'MAKER' ? config.makerFee : config.takerFee;
+		return config.bnbDiscount ? rate * (1 - config.bnbDiscountRate) : rate;
+	}
+
+	// Fee for an order of the given type, with the rate kept for the order record
+	calculateFee(orderType, amount, config = this.getConfig()) {
+		const liquidity = this.getLiquidity(orderType);
+		const feeRate = this.getFeeRate(liquidity, config);
+		return { liquidity, feeRate, commission: amount * feeRate };
+	}
+
+	// Simulated market fill: walk the opposite side of the book, then price anything
+	// beyond the visible depth with square-root market impact.
+	// The slippage measured against the book mid is applied to expectedPrice, so fills stay
+	// anchored to the price the caller saw even when the book and that price differ.
+	async simulateMarketFill(symbol, side, quantity, expectedPrice, config = this.getConfig()) {
+		const slippageRate = config.useOrderBook
+			? await this.getBookSlippage(symbol, side, quantity, config)
+			: null;
+		const rate = slippageRate ?? config.fallbackSlippage;
+		const direction = side === 'BUY' ? 1 : -1;
+
+		return {
+			expectedPrice,
+			executionPrice: expectedPrice * (1 + direction * rate),
+			slippageSource: slippageRate === null ? 'FALLBACK' : 'ORDER_BOOK'
+		};
+	}
+
+	async getBookSlippage(symbol, side, quantity, config) {
+		let orderBook;
+		try {
+			orderBook = await this.binance.getOrderBook(symbol, config.orderBookDepth);
+		} catch (error) {
+			console.log(`⚠️ [EXECUTION] Order book unavailable for ${symbol}, using fallback slippage: ${error.message}`);
+			return null;
+		}
+
+		const levels = side === 'BUY' ? orderBook?.asks : orderBook?.bids;
+		const bestBid = orderBook?.bids?.[0]?.price;
+		const bestAsk = orderBook?.asks?.[0]?.price;
+		if (!levels || levels.length === 0 || !bestBid || !bestAsk) {
+			return null;
+		}
+
+		const mid = (bestBid + bestAsk) / 2;
+		let remaining = quantity;
+		let cost = 0;
+		let visibleQuantity = 0;
+
+		for (const level of levels) {
+			visibleQuantity += level.quantity;
+			if (remaining <= 0) continue;
+			const filled = Math.min(remaining, level.quantity);
+			cost += filled * level.price;
+			remaining -= filled;
+		}
+
+		if (remaining > 0) {
+			// Past the visible book: the last level plus impact that grows with the share of depth consumed
+			const lastPrice = levels[levels.length - 1].price;
+			const impact = config.impactCoefficient * Math.sqrt(remaining / visibleQuantity);
+			const direction = side === 'BUY' ? 1 : -1;
+			cost += remaining * lastPrice * (1 + direction * impact);
+		}
+
+		const averagePrice = cost / quantity;
+		return Math.max(0, side === 'BUY' ? averagePrice / mid - 1 : 1 - averagePrice / mid);
+	}
+
+	// Expected vs realized fill for the order record; positive slippage is a cost to the account
+	describeFill(side, quantity, expectedPrice, executionPrice) {
+		const direction = side === 'BUY' ? 1 : -1;
+		const slippageCost = direction * (executionPrice - expectedPrice) * quantity;
+
+		return {
+			expectedPrice,
+			slippageCost,
+			slippageBps: expectedPrice ? direction * (executionPrice - expectedPrice) / expectedPrice * 10000 : 0
+		};
+	}
+}
+
+ExecutionModel.CONFIG_KEY = EXECUTION_MODEL_CONFIG_KEY;
+
+module.exports = ExecutionModel;
@@ -0,0 +1,110 @@
+const { version } = require('../package.json');
+
+// Liveness and readiness for GET /api/health/live and /api/health/ready. Each dependency is
+// probed through the service's own testConnection, and the result is cached so that Docker
+// healthchecks and dashboards polling every few seconds don't hammer Binance or spend OpenAI
+// tokens. Concurrent requests for an expired check share a single probe.
+class HealthService {
+	constructor({ db, binance = null, openai = null, telegramBot = null, timeoutMs } = {}) {
+		this.timeoutMs = timeoutMs || HealthService.PROBE_TIMEOUT_MS;
+		this.startedAt = Date.now();
+		this.cache = new Map(); // name -> { result, expiresAt, pending }
+
+		// A critical dependency being down makes the backend not ready; the others only degrade it
+		this.checks = [
+			{ name: 'database', critical: true, ttlMs: 10 * 1000, probe: db ? () => db.ping() : null },
+			{ name: 'binance', critical: true, ttlMs: 30 * 1000, probe: binance ? () => binance.testConnection() : null },
+			{ name: 'openai', critical: false, ttlMs: 5 * 60 * 1000, probe: openai ? () => openai.testConnection() : null },
+			{ name: 'telegram', critical: false, ttlMs: 60 * 1000, probe: telegramBot ? () => telegramBot.testConnection() : null }
+		];
+	}
+
+	// The process is up and serving requests; dependencies are not probed
+	getLiveness() {
+		return {
+			status: 'ok',
+			version,
+			uptime: Math.round((Date.now() - this.startedAt) / 1000),
+			timestamp: new Date().toISOString()
+		};
+	}
+
+	async getReadiness({ refresh = false } = {}) {
+		const results = await Promise.all(this.checks.map(check => this.runCheck(check, refresh)));
+		const checks = Object.fromEntries(this.checks.map((check, index) => [check.name, results[index]]));
+
+		const down = this.checks.filter(check => checks[check.name].status === HealthService.STATUSES.DOWN);
+		let status = 'ready';
+		if (down.some(check => check.critical)) {
+			status = 'not_ready';
+		} else if (down.length > 0) {
+			status = 'degraded';
+		}
+
+		return {
+			...this.getLiveness(),
+			status,
+			checks
+		};
+	}
+
+	async runCheck(check, refresh) {
+		if (!check.probe) {
+			return { status: HealthService.STATUSES.DISABLED, critical: check.critical };
+		}
+
+		const cached = this.cache.get(check.name);
+		if (cached?.pending) {
+			return cached.pending;
+		}
+		if (cached?.result && !refresh && cached.expiresAt > Date.now()) {
+			return { ...cached.result, cached: true };
+		}
+
+		const pending = this.probe(check).then(result => {
+			this.cache.set(check.name, { result, expiresAt: Date.now() + check.ttlMs, pending: null });
+			return result;
+		});
+		this.cache.set(check.name, { ...cached, pending });
+		return pending;
+	}
+
+	// testConnection methods resolve false rather than throwing; a throw or a timeout counts as down too
+	async probe(check) {
+		const startedAt = Date.now();
+		let timer;
+		const timeout = new Promise((_, reject) => {
+			timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+		});
+
+		let ok = false;
+		let error = null;
+		try {
+			ok = await Promise.race([Promise.resolve().then(check.probe), timeout]) === true;
+			if (!ok) error = 'Connection test failed';
+		} catch (err) {
+			error = err.message;
+		} finally {
+			clearTimeout(timer);
+		}
+
+		return {
+			status: ok ? HealthService.STATUSES.UP : HealthService.STATUSES.DOWN,
+			critical: check.critical,
+			latencyMs: Date.now() - startedAt,
+			checkedAt: new Date().toISOString(),
+			cached: false,
+			...(error && { error })
+		};
+	}
+}
+
+HealthService.STATUSES = {
+	UP: 'up',
+	DOWN: 'down',
+	DISABLED: 'disabled'
+};
+
+HealthService.PROBE_TIMEOUT_MS = 5000;
+
+module.exports = HealthService;
@@ -0,0 +1,158 @@
+const client = require('prom-client');
+
+const PREFIX = 'crypto_bot_';
+
+// Prometheus metrics for the backend, scraped from GET /metrics (see monitoring/prometheus.yml).
+// Services record into the shared instance below; gauges that describe server state read it
+// through sources the server registers at start-up, so a scrape always sees current values.
+class Metrics {
+	constructor() {
+		this.registry = new client.Registry();
+		this.defaultMetricsCollected = false;
+		this.sources = {
+			websocketClients: null, // () => number of connected clients
+			paperAccounts: null // () => [{ id, equity, balance }]
+		};
+		const sources = this.sources;
+
+		this.signalsGenerated = new client.Counter({
+			name: `${PREFIX}signals_generated_total`,
+			help: 'Signals saved after passing the confidence threshold',
+			labelNames: ['symbol', 'type', 'timeframe'],
+			registers: [this.registry]
+		});
+
+		this.analysisCycleDuration = new client.Histogram({
+			name: `${PREFIX}analysis_cycle_duration_seconds`,
+			help: 'Duration of a full analysis cycle over the configured symbols and timeframes',
+			buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+			registers: [this.registry]
+		});
+
+		this.openaiTokens = new client.Counter({
+			name: `${PREFIX}openai_tokens_total`,
+			help: 'OpenAI tokens used by analyses',
+			labelNames: ['model', 'kind'],
+			registers: [this.registry]
+		});
+
+		this.openaiCost = new client.Counter({
+			name: `${PREFIX}openai_cost_usd_total`,
+			help: 'Estimated OpenAI spend in US dollars',
+			labelNames: ['model'],
+			registers: [this.registry]
+		});
+
+		this.binanceRequestDuration = new client.Histogram({
+			name: `${PREFIX}binance_request_duration_seconds`,
+			help: 'Latency of Binance API requests, failed ones included',
+			labelNames: ['method'],
+			buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+			registers: [this.registry]
+		});
+
+		this.binanceRequestErrors = new client.Counter({
+			name: `${PREFIX}binance_request_errors_total`,
+			help: 'Binance API requests that failed',
+			labelNames: ['method'],
+			registers: [this.registry]
+		});
+
+		this.websocketClients = new client.Gauge({
+			name: `${PREFIX}websocket_clients`,
+			help: 'Connected WebSocket clients',
+			registers: [this.registry],
+			collect() {
+				if (sources.websocketClients) this.set(sources.websocketClients());
+			}
+		});
+
+		this.paperEquity = new client.Gauge({
+			name: `${PREFIX}paper_equity_usd`,
+			help: 'Equity of each paper trading account',
+			labelNames: ['account'],
+			registers: [this.registry],
+			collect() {
+				if (!sources.paperAccounts) return;
+				// Deleted accounts drop out instead of keeping their last value
+				this.reset();
+				sources.paperAccounts().forEach(account => this.set({ account: account.id }, account.equity));
+			}
+		});
+	}
+
+	// Process CPU, memory, event loop lag and GC, with the same prefix. Later calls are no-ops,
+	// a process may start more than one server (the tests do).
+	collectDefaultMetrics() {
+		if (this.defaultMetricsCollected) return;
+		client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+		this.defaultMetricsCollected = true;
+	}
+
+	trackWebSocketClients(source) {
+		this.sources.websocketClients = source;
+	}
+
+	trackPaperAccounts(source) {
+		this.sources.paperAccounts = source;
+	}
+
+	recordSignal(signal) {
+		this.signalsGenerated.inc({ symbol: signal.cryptocurrency, type: signal.signalType, timeframe: signal.timeframe });
+	}
+
+	// Completions report prompt and completion tokens; older responses only a total
+	recordOpenAIUsage(model, usage = {}, cost = 0) {
+		if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+			this.openaiTokens.inc({ model, kind: 'prompt' }, usage.prompt_tokens || 0);
+			this.openaiTokens.inc({ model, kind: 'completion' }, usage.completion_tokens || 0);
+		} else if (usage.total_tokens) {
+			this.openaiTokens.inc({ model, kind: 'total' }, usage.total_tokens);
+		}
+		if (cost > 0) {
+			this.openaiCost.inc({ model }, cost);
+		}
+	}
+
+	// Time one Binance request; a rejection is counted and passed on
+	async observeBinanceRequest(method, request) {
+		const end = this.binanceRequestDuration.startTimer({ method });
+		try {
+			return await request();
+		} catch (error) {
+			this.binanceRequestErrors.inc({ method });
+			throw error;
+		} finally {
+			end();
+		}
+	}
+
+	// The binance-api-node client with every request timed under the method's name. Methods
+	// that return no promise and nested objects (the websocket helpers) are left alone.
+	instrumentBinanceClient(binanceClient) {
+		return new Proxy(binanceClient, {
+			get: (target, property, receiver) => {
+				const value = Reflect.get(target, property, receiver);
+				if (typeof value !== 'function' || typeof property !== 'string') {
+					return value;
+				}
+				return (...args) => {
+					const result = value.apply(target, args);
+					return result && typeof result.then === 'function'
+						? this.observeBinanceRequest(property, () => result)
+						: result;
+				};
+			}
+		});
+	}
+
+	get contentType() {
+		return this.registry.contentType;
+	}
+
+	async render() {
+		return this.registry.metrics();
+	}
+}
+
+module.exports = { Metrics, metrics: new Metrics() };
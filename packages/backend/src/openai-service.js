@@ -1,5 +1,11 @@
 const OpenAI = require('openai');
 const CryptoBotDatabase = require('@signal-crypto-bot/database');
+const { metrics } = require('./metrics');
+
+// Identifies the analysis prompt in cached AI decisions; bump it whenever
+// createAnalysisPrompt changes so decisions made with an older prompt are not replayed
+const PROMPT_VERSION = 'analysis-v1';
+const DEFAULT_MODEL = 'gpt-4';
 
 class OpenAIService {
 	constructor(apiKey, options = {}) {
@@ -9,7 +15,7 @@ class OpenAIService {
 		});
 
 		this.db = new CryptoBotDatabase();
-		this.model = options.model || 'gpt-4';
+		this.model = options.model || DEFAULT_MODEL;
 		this.temperature = options.temperature || 0.7;
 		this.maxTokens = options.maxTokens || 500;
 	}
@@ -77,6 +83,7 @@ Remember: ONLY JSON, nothing else.`;
 			const analysisTime = Date.now() - startTime;
 			const tokensUsed = completion.usage.total_tokens;
 			const cost = this.calculateCost(tokensUsed);
+			metrics.recordOpenAIUsage(this.model, completion.usage, cost);
 
 			// Save analysis to database
 			const analysisId = this.db.saveAIAnalysis({
@@ -159,7 +166,8 @@ Remember: ONLY JSON, nothing else.`;
 			}
 
 			// Save signal to database
-			const signalId = this.db.createSignal(signalData);
+			const signalId = Number(this.db.createSignal(signalData).lastInsertRowid);
+			metrics.recordSignal(signalData);
 
 			console.log(`Signal generated: ${cryptocurrency} ${analysis.signal} (${timeframe}) - Confidence: ${(analysis.confidence * 100).toFixed(1)}%`);
 
@@ -223,4 +231,7 @@ Remember: ONLY JSON, nothing else.`;
 	}
 }
 
+OpenAIService.PROMPT_VERSION = PROMPT_VERSION;
+OpenAIService.DEFAULT_MODEL = DEFAULT_MODEL;
+
 module.exports = OpenAIService;
@@ -2,6 +2,8 @@ const CryptoBotDatabase = require('@signal-crypto-bot/database');
 const BinanceService = require('./binance-service');
 const { v4: uuidv4 } = require('uuid');
 const OpenAIService = require('./openai-service');
+const RiskManager = require('./risk-manager');
+const ExecutionModel = require('./execution-model');
 
 class PaperTradingService {
 	constructor(options = {}) {
@@ -14,9 +16,24 @@ class PaperTradingService {
 		this.orders = new Map(); // Order history
 		this.commission = options.commission || 0.001; // 0.1% commission
 		this.slippage = options.slippage || 0.0005; // 0.05% slippage
+		this.shortMarginRatio = options.shortMarginRatio || 1; // collateral locked per unit of short notional
+		this.priceMonitorInterval = options.priceMonitorInterval || 10000; // 10 seconds
+		this.priceMonitorTimer = null;
+		this.isCheckingPrices = false;
+		this.isMatchingOrders = false;
+		this.equitySnapshotInterval = options.equitySnapshotInterval ?? 60000; // at most one snapshot per account per minute
+		this.lastEquitySnapshotAt = new Map(); // accountId -> ms timestamp of the last snapshot
+		this.riskManager = options.riskManager || new RiskManager({ db: this.db });
+		this.executionModel = options.executionModel || new ExecutionModel({
+			db: this.db,
+			binance: this.binance,
+			commission: options.commission,
+			slippage: options.slippage
+		});
 
-		// Load existing positions from database
+		// Load existing positions and open limit orders from database
 		this.loadPositionsFromDatabase();
+		this.loadPendingOrdersFromDatabase();
 
 		// Initialize with some test accounts if none exist (but don't await in constructor)
 		this.initializeTestAccounts().catch(error => {
@@ -67,7 +84,7 @@ class PaperTradingService {
 				currency: currency,
 				equity: initialBalance,
 				unrealizedPnl: 0,
-				realizedPnL: 0,
+				realizedPnl: 0,
 				totalTrades: 0,
 				winningTrades: 0,
 				losingTrades: 0,
@@ -97,7 +114,7 @@ class PaperTradingService {
 				currency: currency,
 				equity: initialBalance,
 				unrealizedPnl: 0,
-				realizedPnL: 0,
+				realizedPnl: 0,
 				totalTrades: 0,
 				winningTrades: 0,
 				losingTrades: 0,
@@ -165,22 +182,132 @@ class PaperTradingService {
 	}
 
 	// Validate order parameters and account balance
-	validateOrder(account, symbol, side, quantity, price) {
+	// A SELL without a LONG to reduce opens a SHORT, which needs short mode and margin
+	validateOrder(account, symbol, side, quantity, price, options = {}) {
 		if (!account) {
 			throw new Error('Account not found');
 		}
 
+		const position = this.positions.get(`${account.id}_${symbol}`);
+		const orderAmount = quantity * price;
+		const commission = orderAmount * this.executionModel.getFeeRate(options.liquidity || 'TAKER');
+
 		if (side === 'BUY') {
-			const orderAmount = quantity * price;
-			const commission = orderAmount * this.commission;
-			const totalCost = orderAmount + commission;
+			if (position && position.side === 'SHORT') {
+				// Covering gives the margin back, so only a loss beyond it needs cash
+				if (quantity > position.quantity) {
+					throw new Error('BUY quantity exceeds the open SHORT position');
+				}
+				const released = this.getMarginRelease(position, quantity);
+				const realizedPnl = (position.avgPrice - price) * quantity;
+				if (account.balance + released + realizedPnl - commission < 0) {
+					throw new Error('Insufficient margin to cover the SHORT position');
+				}
+			} else {
+				const totalCost = orderAmount + commission;
+
+				if (account.balance < totalCost) {
+					throw new Error('Insufficient balance');
+				}
+			}
+		} else if (side === 'SELL') {
+			if (position && position.side === 'LONG') {
+				// Only what the LONG holds can be sold, the rest would be paid out for nothing
+				if (quantity > position.quantity) {
+					throw new Error('SELL quantity exceeds the open LONG position');
+				}
+			} else {
+				this.validateShortSale(account, orderAmount, commission);
+			}
+		}
+
+		this.validateExitLevels(side, price, options.stopLoss, options.takeProfit);
+
+		// Exposure and position-count limits configured for the account
+		const openPositions = [...this.positions.values()].filter(openPosition => openPosition.accountId === account.id);
+		this.riskManager.checkOrder(account, openPositions, symbol, side, quantity, price);
+	}
+
+	// Opening or adding to a SHORT locks shortMarginRatio of the notional from the balance
+	validateShortSale(account, orderAmount, commission = 0) {
+		if (!account.shortSellingEnabled) {
+			throw new Error('Short selling is not enabled for this account');
+		}
+
+		if (account.balance < orderAmount * this.shortMarginRatio + commission) {
+			throw new Error('Insufficient margin for short sale');
+		}
+	}
+
+	// The account's open position in a symbol, or null
+	getOpenPosition(accountId, symbol) {
+		return this.positions.get(`${accountId}_${symbol}`) || null;
+	}
+
+	// Share of a SHORT's locked margin that comes back when `quantity` is covered
+	getMarginRelease(position, quantity) {
+		if (!position.margin || !position.quantity) return 0;
+		return position.margin * Math.min(quantity, position.quantity) / position.quantity;
+	}
 
-			if (account.balance < totalCost) {
-				throw new Error('Insufficient balance');
+	// Turn short selling on or off for an account
+	async setShortSelling(accountId, enabled) {
+		const account = await this.getAccount(accountId);
+		if (!account) {
+			throw new Error('Account not found');
+		}
+
+		account.shortSellingEnabled = enabled ? 1 : 0;
+		account.updatedAt = new Date().toISOString();
+		this.db.setPaperTradingAccountShortSelling(accountId, !!enabled);
+
+		console.log(`Short selling ${enabled ? 'enabled' : 'disabled'} for account ${accountId}`);
+		return account;
+	}
+
+	// Validate stop-loss / take-profit levels against the entry price
+	// A BUY opens a LONG, so the stop must sit below the entry and the target above it; a SELL opens a SHORT, so the reverse
+	validateExitLevels(side, price, stopLoss, takeProfit) {
+		if (stopLoss == null && takeProfit == null) return;
+
+		if (stopLoss != null && !(stopLoss > 0)) {
+			throw new Error('Stop-loss must be a positive price');
+		}
+		if (takeProfit != null && !(takeProfit > 0)) {
+			throw new Error('Take-profit must be a positive price');
+		}
+
+		if (side === 'BUY') {
+			if (stopLoss != null && stopLoss >= price) {
+				throw new Error('Stop-loss must be below the entry price for a BUY order');
+			}
+			if (takeProfit != null && takeProfit <= price) {
+				throw new Error('Take-profit must be above the entry price for a BUY order');
+			}
+		} else if (side === 'SELL') {
+			if (stopLoss != null && stopLoss <= price) {
+				throw new Error('Stop-loss must be above the entry price for a SELL order');
+			}
+			if (takeProfit != null && takeProfit >= price) {
+				throw new Error('Take-profit must be below the entry price for a SELL order');
 			}
 		}
 	}
 
+	// Pick stop-loss / take-profit from order options, ignoring empty values
+	getExitLevels(options = {}) {
+		const toLevel = (value) => {
+			if (value === null || value === undefined || value === '') return null;
+			const level = parseFloat(value);
+			return isNaN(level) ? null : level;
+		};
+
+		return {
+			stopLoss: toLevel(options.stopLoss),
+			takeProfit: toLevel(options.takeProfit)
+		};
+	}
+
 	// Create a market order (either real or simulated)
 	async createMarketOrder(symbol, side, quantity, price) {
 		try {
@@ -205,10 +332,10 @@ class PaperTradingService {
 			console.log(`⚠️ [PAPER TRADING] Could not place real order to Binance: ${error.message}`);
 			console.log(`📝 [PAPER TRADING] Simulating order locally with real market price`);
 
-			// Simulate order execution with real price
-			const executionPrice = price;
+			// Simulate order execution with real price, order book slippage and taker fees
+			const { executionPrice } = await this.executionModel.simulateMarketFill(symbol, side, quantity, price);
 			const simulatedAmount = quantity * executionPrice;
-			const simulatedCommission = simulatedAmount * this.commission;
+			const { commission: simulatedCommission, feeRate, liquidity } = this.executionModel.calculateFee('MARKET', simulatedAmount);
 
 			const simulatedOrder = {
 				orderId: `sim_${uuidv4()}`,
@@ -218,6 +345,8 @@ class PaperTradingService {
 				executionPrice: executionPrice,
 				amount: simulatedAmount,
 				commission: simulatedCommission,
+				feeRate: feeRate,
+				liquidity: liquidity,
 				status: 'FILLED',
 				createdAt: new Date(),
 				filledAt: new Date()
@@ -231,7 +360,7 @@ class PaperTradingService {
 	}
 
 	// Create local order record
-	createLocalOrder(binanceOrder, accountId, symbol, side, quantity, price, isRealOrder) {
+	createLocalOrder(binanceOrder, accountId, symbol, side, quantity, price, isRealOrder, exitLevels = {}, signalId = null) {
 		const timestamp = Date.now();
 		const orderId = `order_${accountId}_${timestamp}_${uuidv4()}`;
 
@@ -255,7 +384,13 @@ class PaperTradingService {
 			status: binanceOrder.status,
 			createdAt: binanceOrder.createdAt instanceof Date ? binanceOrder.createdAt.toISOString() : binanceOrder.createdAt,
 			filledAt: binanceOrder.filledAt instanceof Date ? binanceOrder.filledAt.toISOString() : binanceOrder.filledAt,
-			isRealOrder: isRealOrder
+			isRealOrder: isRealOrder,
+			stopLoss: exitLevels.stopLoss ?? null,
+			takeProfit: exitLevels.takeProfit ?? null,
+			...this.executionModel.describeFill(side, quantity, price, binanceOrder.executionPrice),
+			feeRate: binanceOrder.feeRate ?? (binanceOrder.amount ? binanceOrder.commission / binanceOrder.amount : null),
+			liquidity: binanceOrder.liquidity || 'TAKER',
+			signalId: signalId
 		};
 	}
 
@@ -302,7 +437,9 @@ class PaperTradingService {
 	}
 
 	// Place a market order (refactored)
-	async placeMarketOrder(accountId, symbol, side, quantity, price = null) {
+	// options.stopLoss / options.takeProfit attach an exit plan to the resulting position,
+	// options.signalId links the order (and the trade it opens or closes) to a signal
+	async placeMarketOrder(accountId, symbol, side, quantity, price = null, options = {}) {
 		try {
 			console.log(`🚀 [PAPER TRADING] Placing ${side} market order for account ${accountId}: ${quantity} ${symbol}`);
 
@@ -327,13 +464,14 @@ class PaperTradingService {
 			}
 
 			// Validate order
-			this.validateOrder(account, symbol, side, quantity, price);
+			const exitLevels = this.getExitLevels(options);
+			this.validateOrder(account, symbol, side, quantity, price, exitLevels);
 
 			// Create market order (real or simulated)
 			const { order: binanceOrder, isRealOrder } = await this.createMarketOrder(symbol, side, quantity, price);
 
 			// Create local order record
-			const order = this.createLocalOrder(binanceOrder, accountId, symbol, side, quantity, price, isRealOrder);
+			const order = this.createLocalOrder(binanceOrder, accountId, symbol, side, quantity, price, isRealOrder, exitLevels, options.signalId ?? null);
 
 			// Execute the order locally (update account balance and positions)
 			await this.executeOrder(order, account);
@@ -358,24 +496,23 @@ class PaperTradingService {
 	}
 
 	// Place a limit order
-	async placeLimitOrder(accountId, symbol, side, quantity, price) {
+	// BUY orders that open or add to a LONG reserve amount + commission from the balance until they fill or are cancelled
+	async placeLimitOrder(accountId, symbol, side, quantity, price, options = {}) {
 		try {
 			const account = await this.getAccount(accountId);
 			if (!account) {
 				throw new Error('Account not found');
 			}
 
-			// Validate balance for buy orders
-			if (side === 'BUY') {
-				const orderAmount = quantity * price;
-				const commission = orderAmount * this.commission;
-				const totalCost = orderAmount + commission;
-
-				if (account.balance < totalCost) {
-					throw new Error('Insufficient balance');
-				}
+			quantity = parseFloat(quantity);
+			price = parseFloat(price);
+			if (!(quantity > 0) || !(price > 0)) {
+				throw new Error('Limit orders need a positive quantity and price');
 			}
 
+			const exitLevels = this.getExitLevels(options);
+			const reservedAmount = this.getPendingOrderReserve(account, symbol, side, quantity, price, 'LIMIT', exitLevels);
+
 			// Create pending order
 			const timestamp = Date.now();
 			const orderId = `order_${accountId}_${timestamp}_${uuidv4()}`;
@@ -391,10 +528,20 @@ class PaperTradingService {
 				amount: null,
 				commission: null,
 				status: 'PENDING',
+				stopLoss: exitLevels.stopLoss,
+				takeProfit: exitLevels.takeProfit,
+				reservedAmount: reservedAmount,
+				signalId: options.signalId ?? null,
 				createdAt: new Date().toISOString(),
 				filledAt: null
 			};
 
+			// Hold the funds while the order is open
+			if (reservedAmount > 0) {
+				this.reserveBalance(account, reservedAmount);
+				await this.updateAccount(account);
+			}
+
 			// Save order
 			this.orders.set(orderId, order);
 			await this.saveOrder(order);
@@ -408,6 +555,142 @@ class PaperTradingService {
 		}
 	}
 
+	// Place a STOP (market once triggered) or STOP_LIMIT (limit at options.limitPrice once triggered) order
+	// BUY stops trigger when the price rises to stopPrice, SELL stops when it falls to it
+	async placeStopOrder(accountId, symbol, side, quantity, stopPrice, options = {}) {
+		const type = options.type || 'STOP';
+		if (type !== 'STOP' && type !== 'STOP_LIMIT') {
+			throw new Error(`Unsupported stop order type: ${type}`);
+		}
+
+		stopPrice = parseFloat(stopPrice);
+		if (!(stopPrice > 0)) {
+			throw new Error('Stop orders need a positive stop price');
+		}
+
+		let price = stopPrice;
+		if (type === 'STOP_LIMIT') {
+			price = parseFloat(options.limitPrice);
+			if (!(price > 0)) {
+				throw new Error('Stop-limit orders need a positive limit price');
+			}
+		}
+
+		return this.placePendingOrder(accountId, symbol, side, quantity, price, {
+			...options,
+			type: type,
+			stopPrice: stopPrice
+		});
+	}
+
+	// Place a trailing stop that follows the price by trailingPercent
+	// A SELL trails below the highest price seen, a BUY above the lowest
+	async placeTrailingStopOrder(accountId, symbol, side, quantity, trailingPercent, options = {}) {
+		trailingPercent = parseFloat(trailingPercent);
+		if (!(trailingPercent > 0 && trailingPercent < 100)) {
+			throw new Error('Trailing percent must be between 0 and 100');
+		}
+
+		const currentPrice = await this.binance.getCurrentPrice(symbol);
+		if (!currentPrice) {
+			throw new Error(`Could not get current price for ${symbol}`);
+		}
+
+		const stopPrice = this.getTrailingStopPrice(side, currentPrice, trailingPercent);
+
+		return this.placePendingOrder(accountId, symbol, side, quantity, stopPrice, {
+			...options,
+			type: 'TRAILING_STOP',
+			stopPrice: stopPrice,
+			trailingPercent: trailingPercent
+		});
+	}
+
+	// Shared by the stop order types: validate, reserve funds for BUY orders and save as PENDING
+	async placePendingOrder(accountId, symbol, side, quantity, price, options) {
+		try {
+			const account = await this.getAccount(accountId);
+			if (!account) {
+				throw new Error('Account not found');
+			}
+
+			quantity = parseFloat(quantity);
+			if (!(quantity > 0)) {
+				throw new Error('Quantity must be positive');
+			}
+
+			const exitLevels = this.getExitLevels(options);
+			const reservedAmount = this.getPendingOrderReserve(account, symbol, side, quantity, price, options.type, exitLevels);
+
+			const order = {
+				id: `order_${accountId}_${Date.now()}_${uuidv4()}`,
+				accountId: accountId,
+				symbol: symbol,
+				side: side,
+				type: options.type,
+				quantity: quantity,
+				price: price,
+				stopPrice: options.stopPrice,
+				trailingPercent: options.trailingPercent ?? null,
+				triggeredAt: null,
+				executionPrice: null,
+				amount: null,
+				commission: null,
+				status: 'PENDING',
+				stopLoss: exitLevels.stopLoss,
+				takeProfit: exitLevels.takeProfit,
+				reservedAmount: reservedAmount,
+				signalId: options.signalId ?? null,
+				createdAt: new Date().toISOString(),
+				filledAt: null
+			};
+
+			if (reservedAmount > 0) {
+				this.reserveBalance(account, reservedAmount);
+				await this.updateAccount(account);
+			}
+
+			this.orders.set(order.id, order);
+			await this.saveOrder(order);
+
+			console.log(`Placed ${side} ${order.type} order for ${quantity} ${symbol} (stop $${order.stopPrice})`);
+			return order;
+		} catch (error) {
+			console.error(`Error placing ${options.type} order:`, error);
+			throw error;
+		}
+	}
+
+	// Validate a pending order as if it filled at `price`, including risk limits, and return the balance it holds
+	// Only a BUY that opens or adds to a LONG reserves its cost, a cover is paid from the SHORT's margin
+	getPendingOrderReserve(account, symbol, side, quantity, price, type, exitLevels) {
+		this.validateOrder(account, symbol, side, quantity, price, {
+			...exitLevels,
+			liquidity: this.executionModel.getLiquidity(type)
+		});
+
+		const position = this.getOpenPosition(account.id, symbol);
+		if (side !== 'BUY' || (position && position.side === 'SHORT')) return 0;
+
+		const orderAmount = quantity * price;
+		return orderAmount + this.executionModel.calculateFee(type, orderAmount).commission;
+	}
+
+	// Price part of an order description: the limit price, the stop price, or both for STOP_LIMIT
+	describeOrderPrice(order) {
+		if (order.stopPrice == null) return `@ $${order.price}`;
+		return order.type === 'STOP_LIMIT'
+			? `stop $${order.stopPrice} limit $${order.price}`
+			: `stop $${order.stopPrice}`;
+	}
+
+	// Stop price for a trailing stop at the given reference price
+	getTrailingStopPrice(side, price, trailingPercent) {
+		return side === 'SELL'
+			? price * (1 - trailingPercent / 100)
+			: price * (1 + trailingPercent / 100);
+	}
+
 	// Cancel an order
 	async cancelOrder(orderId) {
 		try {
@@ -420,12 +703,41 @@ class PaperTradingService {
 				throw new Error('Order cannot be cancelled');
 			}
 
+			// Give the reserved funds back
+			if (order.reservedAmount > 0) {
+				const account = await this.getAccount(order.accountId);
+				if (account) {
+					this.releaseBalance(account, order.reservedAmount);
+					account.updatedAt = new Date().toISOString();
+					await this.updateAccount(account);
+				}
+				order.reservedAmount = 0;
+			}
+
 			order.status = 'CANCELLED';
 			order.cancelledAt = new Date().toISOString();
 
 			await this.updateOrder(order);
 			console.log(`Cancelled order ${orderId}`);
 
+			if (global.serverInstance && global.serverInstance.broadcast) {
+				global.serverInstance.broadcast({
+					type: 'paper_trading_order_cancelled',
+					data: {
+						orderId: order.id,
+						accountId: order.accountId,
+						symbol: order.symbol,
+						side: order.side,
+						type: order.type,
+						quantity: order.quantity,
+						price: order.price,
+						stopPrice: order.stopPrice ?? null,
+						timestamp: order.cancelledAt,
+						message: `🚫 Paper Trading: ${order.side} ${order.type} ${order.quantity} ${order.symbol} ${this.describeOrderPrice(order)} cancelled`
+					}
+				});
+			}
+
 			return order;
 		} catch (error) {
 			console.error('Error cancelling order:', error);
@@ -433,12 +745,239 @@ class PaperTradingService {
 		}
 	}
 
+	// Move funds from the available balance into the reserve
+	reserveBalance(account, amount) {
+		account.balance -= amount;
+		account.reservedBalance = (account.reservedBalance || 0) + amount;
+	}
+
+	// Move funds from the reserve back into the available balance
+	releaseBalance(account, amount) {
+		const released = Math.min(amount, account.reservedBalance || 0);
+		account.reservedBalance = (account.reservedBalance || 0) - released;
+		account.balance += released;
+	}
+
+	// Trigger and fill pending LIMIT, STOP, STOP_LIMIT and TRAILING_STOP orders
+	async checkPendingOrders() {
+		if (this.isMatchingOrders) return [];
+		this.isMatchingOrders = true;
+
+		const filled = [];
+		try {
+			const pending = [...this.orders.values()].filter(o => o.status === 'PENDING' && o.type !== 'MARKET');
+			if (pending.length === 0) return filled;
+
+			// Fetch each symbol's recent range once per pass
+			const ranges = new Map();
+			for (const order of pending) {
+				if (!ranges.has(order.symbol)) {
+					ranges.set(order.symbol, await this.getRecentPriceRange(order.symbol));
+				}
+			}
+
+			for (const order of pending) {
+				const range = ranges.get(order.symbol);
+				if (!range) continue;
+
+				try {
+					const result = await this.matchPendingOrder(order, range);
+					if (result) filled.push(result);
+				} catch (error) {
+					console.error(`Error matching ${order.type} order ${order.id}:`, error);
+				}
+			}
+
+			return filled;
+		} finally {
+			this.isMatchingOrders = false;
+		}
+	}
+
+	// Advance one pending order against the latest prices, returning it if it filled
+	async matchPendingOrder(order, range) {
+		switch (order.type) {
+			case 'LIMIT':
+				return this.isLimitReached(order, range, order.createdAt)
+					? this.fillPendingOrder(order, order.price)
+					: null;
+
+			case 'STOP':
+				return this.isStopTriggered(order, range, order.createdAt)
+					? this.fillPendingOrder(order, this.getStopExecutionPrice(order, range))
+					: null;
+
+			case 'STOP_LIMIT': {
+				let limitRange = range;
+				if (!order.triggeredAt) {
+					if (!this.isStopTriggered(order, range, order.createdAt)) return null;
+
+					// From here on it works as a plain limit order
+					order.triggeredAt = new Date().toISOString();
+					await this.updateOrder(order);
+					console.log(`🎯 [PAPER TRADING] STOP_LIMIT ${order.id} triggered at $${order.stopPrice}, working limit $${order.price}`);
+
+					// The candles that triggered it may have reached the limit before the stop, so only the live price counts now
+					limitRange = { candles: [], currentPrice: range.currentPrice };
+				}
+				return this.isLimitReached(order, limitRange, order.triggeredAt)
+					? this.fillPendingOrder(order, order.price)
+					: null;
+			}
+
+			case 'TRAILING_STOP':
+				return this.matchTrailingStop(order, range);
+
+			default:
+				return null;
+		}
+	}
+
+	// Trailing stops follow the live price only: candle wicks can't tell whether the
+	// extreme came before or after the reversal, so they would trail and trigger on the same move
+	async matchTrailingStop(order, range) {
+		const price = range.currentPrice;
+		if (!price) return null;
+
+		const crossed = order.side === 'SELL' ? price <= order.stopPrice : price >= order.stopPrice;
+		if (crossed) {
+			return this.fillPendingOrder(order, price);
+		}
+
+		const candidate = this.getTrailingStopPrice(order.side, price, order.trailingPercent);
+		const improved = order.side === 'SELL' ? candidate > order.stopPrice : candidate < order.stopPrice;
+		if (improved) {
+			order.stopPrice = candidate;
+			await this.updateOrder(order);
+		}
+
+		return null;
+	}
+
+	// Recent 1m candles plus the live price, so short wicks between polls still fill orders
+	async getRecentPriceRange(symbol) {
+		let candles = [];
+		let currentPrice = null;
+
+		try {
+			candles = await this.binance.getOHLCV(symbol, '1m', 5) || [];
+		} catch (error) {
+			console.error(`Error getting candles for ${symbol}:`, error.message);
+		}
+
+		try {
+			currentPrice = await this.binance.getCurrentPrice(symbol);
+		} catch (error) {
+			console.error(`Error getting price for ${symbol}:`, error.message);
+		}
+
+		if (candles.length === 0 && !currentPrice) return null;
+		return { candles, currentPrice };
+	}
+
+	// A BUY limit fills once the price trades at or below it, a SELL limit at or above it
+	isLimitReached(order, range, since) {
+		const sinceTime = since ? new Date(since).getTime() : 0;
+		const prices = [];
+
+		for (const candle of range.candles) {
+			// Skip candles that closed before the order was placed
+			if (candle.timestamp + 60000 <= sinceTime) continue;
+			prices.push(order.side === 'BUY' ? candle.low : candle.high);
+		}
+		if (range.currentPrice) {
+			prices.push(range.currentPrice);
+		}
+
+		return order.side === 'BUY'
+			? prices.some(price => price <= order.price)
+			: prices.some(price => price >= order.price);
+	}
+
+	// A BUY stop triggers once the price trades at or above it, a SELL stop at or below it
+	isStopTriggered(order, range, since) {
+		const sinceTime = since ? new Date(since).getTime() : 0;
+		const prices = [];
+
+		for (const candle of range.candles) {
+			if (candle.timestamp + 60000 <= sinceTime) continue;
+			prices.push(order.side === 'BUY' ? candle.high : candle.low);
+		}
+		if (range.currentPrice) {
+			prices.push(range.currentPrice);
+		}
+
+		return order.side === 'BUY'
+			? prices.some(price => price >= order.stopPrice)
+			: prices.some(price => price <= order.stopPrice);
+	}
+
+	// A triggered STOP fills at the market, or at the stop itself when only a wick reached it
+	getStopExecutionPrice(order, range) {
+		const price = range.currentPrice;
+		if (!price) return order.stopPrice;
+
+		const pastStop = order.side === 'BUY' ? price >= order.stopPrice : price <= order.stopPrice;
+		return pastStop ? price : order.stopPrice;
+	}
+
+	// Execute a pending order at executionPrice
+	// Orders the account can no longer afford are rejected instead
+	async fillPendingOrder(order, executionPrice) {
+		const account = await this.getAccount(order.accountId);
+		if (!account) {
+			throw new Error('Account not found');
+		}
+
+		// The reservation is spent by executeOrder below
+		if (order.reservedAmount > 0) {
+			this.releaseBalance(account, order.reservedAmount);
+			order.reservedAmount = 0;
+		}
+
+		// Resting limits fill at their price as maker, triggered stops go to market as taker and slip
+		const expectedPrice = executionPrice;
+		const executionConfig = this.executionModel.getConfig();
+		const liquidity = this.executionModel.getLiquidity(order.type);
+		if (liquidity === 'TAKER') {
+			({ executionPrice } = await this.executionModel.simulateMarketFill(order.symbol, order.side, order.quantity, expectedPrice, executionConfig));
+		}
+
+		const amount = order.quantity * executionPrice;
+		const { commission, feeRate } = this.executionModel.calculateFee(order.type, amount, executionConfig);
+
+		// Balance and margin may have moved since the order was placed
+		try {
+			this.validateOrder(account, order.symbol, order.side, order.quantity, executionPrice, { liquidity });
+		} catch (error) {
+			order.status = 'REJECTED';
+			account.updatedAt = new Date().toISOString();
+			await this.updateAccount(account);
+			await this.updateOrder(order);
+			this.sendErrorNotification(order.accountId, order.symbol, order.side, new Error(`${order.type} order could not fill at $${executionPrice}: ${error.message}`));
+			return null;
+		}
+
+		order.executionPrice = executionPrice;
+		order.amount = amount;
+		order.commission = commission;
+		order.feeRate = feeRate;
+		order.liquidity = liquidity;
+		Object.assign(order, this.executionModel.describeFill(order.side, order.quantity, expectedPrice, executionPrice));
+		order.status = 'FILLED';
+		order.filledAt = new Date().toISOString();
+
+		await this.executeOrder(order, account);
+		await this.updateOrder(order);
+
+		this.sendOrderNotification(order, order, false);
+		console.log(`✅ [PAPER TRADING] ${order.type} order filled for account ${order.accountId}: ${order.side} ${order.quantity} ${order.symbol} @ $${executionPrice}`);
+
+		return order;
+	}
+
 	// Handle buy order execution
 	async executeBuyOrder(order, account) {
-		// Deduct balance
-		const totalCost = order.amount + order.commission;
-		account.balance -= totalCost;
-
 		// Update or create position
 		const positionKey = `${account.id}_${order.symbol}`;
 		let position = this.positions.get(positionKey);
@@ -448,22 +987,21 @@ class PaperTradingService {
 			const dbPositions = this.db.getPaperTradingPositions(account.id);
 			const dbPosition = dbPositions.find(p => p.symbol === order.symbol);
 			if (dbPosition) {
-				position = {
-					id: dbPosition.id,
-					accountId: dbPosition.accountId,
-					symbol: dbPosition.symbol,
-					side: dbPosition.side,
-					quantity: dbPosition.quantity,
-					avgPrice: dbPosition.avgPrice,
-					currentPrice: dbPosition.currentPrice || dbPosition.avgPrice,
-					unrealizedPnl: dbPosition.unrealizedPnl,
-					createdAt: dbPosition.createdAt,
-					updatedAt: dbPosition.updatedAt
-				};
+				position = this.fromDbPosition(dbPosition);
 				this.positions.set(positionKey, position);
 			}
 		}
 
+		// A BUY against a SHORT buys it back instead of opening a LONG
+		if (position && position.side === 'SHORT') {
+			await this.coverShortPosition(order, account, position, positionKey);
+			return;
+		}
+
+		// Deduct balance
+		const totalCost = order.amount + order.commission;
+		account.balance -= totalCost;
+
 		if (position) {
 			// Add to existing position
 			const totalQuantity = position.quantity + order.quantity;
@@ -472,6 +1010,11 @@ class PaperTradingService {
 			position.quantity = totalQuantity;
 			position.currentPrice = order.executionPrice;
 			position.updatedAt = new Date().toISOString();
+			this.addEntryOrder(position, order);
+
+			// A new exit plan on the order replaces the one on the position
+			if (order.stopLoss != null) position.stopLoss = order.stopLoss;
+			if (order.takeProfit != null) position.takeProfit = order.takeProfit;
 		} else {
 			// Create new position
 			const positionId = `position_${uuidv4()}`;
@@ -484,9 +1027,12 @@ class PaperTradingService {
 				avgPrice: order.executionPrice,
 				currentPrice: order.executionPrice,
 				unrealizedPnl: 0,
+				stopLoss: order.stopLoss ?? null,
+				takeProfit: order.takeProfit ?? null,
 				createdAt: new Date().toISOString(),
 				updatedAt: new Date().toISOString()
 			};
+			this.addEntryOrder(position, order);
 			this.positions.set(positionKey, position);
 
 			// Save position to database immediately
@@ -501,46 +1047,215 @@ class PaperTradingService {
 
 	// Handle sell order execution
 	async executeSellOrder(order, account) {
+		const positionKey = `${account.id}_${order.symbol}`;
+		const position = this.positions.get(positionKey);
+
+		// Without a LONG to reduce, a SELL opens or adds to a SHORT
+		if (!position || position.side === 'SHORT') {
+			await this.openShortPosition(order, account, position, positionKey);
+			return;
+		}
+
 		// Add balance
 		const totalReceived = order.amount - order.commission;
 		account.balance += totalReceived;
 
-		// Update position
-		const positionKey = `${account.id}_${order.symbol}`;
-		const position = this.positions.get(positionKey);
+		if (order.quantity >= position.quantity) {
+			// Close position completely
+			const realizedPnl = (order.executionPrice - position.avgPrice) * position.quantity;
+			this.recordRealizedPnl(account, realizedPnl);
+			this.recordClosedTrade(position, order, position.quantity);
+
+			console.log('Closing position completely:', position.id);
+			this.positions.delete(positionKey);
+			await this.deletePosition(position.id);
+		} else {
+			// Partial close
+			const realizedPnl = (order.executionPrice - position.avgPrice) * order.quantity;
+			this.recordRealizedPnl(account, realizedPnl);
+			this.recordClosedTrade(position, order, order.quantity);
+
+			position.quantity -= order.quantity;
+			position.updatedAt = new Date().toISOString();
+		}
+	}
+
+	// Sell borrowed units: the margin and commission leave the balance, the proceeds are owed back
+	async openShortPosition(order, account, position, positionKey) {
+		const margin = order.amount * this.shortMarginRatio;
+		account.balance -= margin + order.commission;
 
 		if (position) {
-			if (order.quantity >= position.quantity) {
-				// Close position completely
-				const realizedPnL = (order.executionPrice - position.avgPrice) * position.quantity;
-				account.realizedPnL += realizedPnL;
-				account.totalTrades++;
-
-				if (realizedPnL > 0) {
-					account.winningTrades++;
-				} else {
-					account.losingTrades++;
-				}
+			const totalQuantity = position.quantity + order.quantity;
+			position.avgPrice = ((position.quantity * position.avgPrice) + order.amount) / totalQuantity;
+			position.quantity = totalQuantity;
+			position.margin = (position.margin || 0) + margin;
+			position.currentPrice = order.executionPrice;
+			position.updatedAt = new Date().toISOString();
+			this.addEntryOrder(position, order);
 
-				console.log('Closing position completely:', position.id);
-				this.positions.delete(positionKey);
-				await this.deletePosition(position.id);
-			} else {
-				// Partial close
-				const realizedPnL = (order.executionPrice - position.avgPrice) * order.quantity;
-				account.realizedPnL += realizedPnL;
-				account.totalTrades++;
+			if (order.stopLoss != null) position.stopLoss = order.stopLoss;
+			if (order.takeProfit != null) position.takeProfit = order.takeProfit;
+		} else {
+			position = {
+				id: `position_${uuidv4()}`,
+				accountId: account.id,
+				symbol: order.symbol,
+				side: 'SHORT',
+				quantity: order.quantity,
+				avgPrice: order.executionPrice,
+				currentPrice: order.executionPrice,
+				unrealizedPnl: 0,
+				margin: margin,
+				stopLoss: order.stopLoss ?? null,
+				takeProfit: order.takeProfit ?? null,
+				createdAt: new Date().toISOString(),
+				updatedAt: new Date().toISOString()
+			};
+			this.addEntryOrder(position, order);
+			this.positions.set(positionKey, position);
+		}
 
-				if (realizedPnL > 0) {
-					account.winningTrades++;
-				} else {
-					account.losingTrades++;
-				}
+		console.log(`📉 [PAPER TRADING] SHORT ${order.quantity} ${order.symbol} @ $${order.executionPrice} (margin $${margin.toFixed(2)})`);
+	}
 
-				position.quantity -= order.quantity;
-				position.updatedAt = new Date().toISOString();
-			}
+	// Buy back borrowed units: the matching share of margin returns with the P&L
+	async coverShortPosition(order, account, position, positionKey) {
+		const quantity = Math.min(order.quantity, position.quantity);
+		const released = this.getMarginRelease(position, quantity);
+		const realizedPnl = (position.avgPrice - order.executionPrice) * quantity;
+
+		account.balance += released + realizedPnl - order.commission;
+		this.recordRealizedPnl(account, realizedPnl);
+		this.recordClosedTrade(position, order, quantity);
+
+		if (quantity >= position.quantity) {
+			console.log('Covering SHORT position completely:', position.id);
+			this.positions.delete(positionKey);
+			await this.deletePosition(position.id);
+		} else {
+			position.quantity -= quantity;
+			position.margin = (position.margin || 0) - released;
+			position.updatedAt = new Date().toISOString();
+		}
+	}
+
+	// Add a closed trade's P&L to the account statistics
+	recordRealizedPnl(account, realizedPnl) {
+		account.realizedPnl = (account.realizedPnl || 0) + realizedPnl;
+		account.totalTrades = (account.totalTrades || 0) + 1;
+
+		if (realizedPnl > 0) {
+			account.winningTrades = (account.winningTrades || 0) + 1;
+		} else {
+			account.losingTrades = (account.losingTrades || 0) + 1;
+		}
+	}
+
+	// Unrealized P&L of a position at `price`, positive when a SHORT's price falls
+	calculateUnrealizedPnl(position, price) {
+		const direction = position.side === 'SHORT' ? -1 : 1;
+		return (price - position.avgPrice) * position.quantity * direction;
+	}
+
+	// Capital the balance paid into an open position: a LONG's cost, a SHORT's locked margin.
+	// Equity adds it back, together with the unrealized P&L, so opening a position is not a loss.
+	getPositionCapital(position) {
+		if (position.side === 'SHORT') {
+			return position.margin || 0;
 		}
+		return position.quantity * position.avgPrice;
+	}
+
+	// Attribute a filled order to the position it opened or added to
+	addEntryOrder(position, order) {
+		position.entryOrderIds = [...(position.entryOrderIds || []), order.id];
+		position.entryFees = (position.entryFees || 0) + (order.commission || 0);
+		position.entrySignalId = position.entrySignalId ?? order.signalId ?? null;
+		this.trackPriceExcursion(position, order.executionPrice);
+	}
+
+	// Keep the extreme prices seen while a position is open for MAE/MFE
+	trackPriceExcursion(position, price) {
+		if (!price) return;
+		position.highPrice = Math.max(position.highPrice ?? price, price);
+		position.lowPrice = Math.min(position.lowPrice ?? price, price);
+	}
+
+	// Journal `quantity` of the position closed by `order`, with its share of the entry fees.
+	// Called before the position is reduced; a journal failure never blocks the close.
+	recordClosedTrade(position, order, quantity) {
+		try {
+			const exitPrice = order.executionPrice;
+			this.trackPriceExcursion(position, exitPrice);
+
+			const share = position.quantity > 0 ? Math.min(1, quantity / position.quantity) : 1;
+			const entryFees = (position.entryFees || 0) * share;
+			const exitFees = order.quantity > 0 ? (order.commission || 0) * Math.min(1, quantity / order.quantity) : 0;
+			position.entryFees = (position.entryFees || 0) - entryFees;
+
+			const direction = position.side === 'SHORT' ? -1 : 1;
+			const grossPnl = (exitPrice - position.avgPrice) * quantity * direction;
+			const netPnl = grossPnl - entryFees - exitFees;
+			const worstPrice = direction === 1 ? position.lowPrice : position.highPrice;
+			const bestPrice = direction === 1 ? position.highPrice : position.lowPrice;
+			const closedAt = order.filledAt || new Date().toISOString();
+			const openedAt = position.createdAt || null;
+
+			const trade = {
+				id: `trade_${uuidv4()}`,
+				accountId: position.accountId,
+				positionId: position.id,
+				symbol: position.symbol,
+				side: position.side,
+				quantity: quantity,
+				entryPrice: position.avgPrice,
+				exitPrice: exitPrice,
+				entryOrderIds: position.entryOrderIds || [],
+				exitOrderId: order.id,
+				entrySignalId: position.entrySignalId ?? null,
+				exitSignalId: order.signalId ?? null,
+				exitReason: order.exitReason || (order.signalId != null ? 'SIGNAL' : order.type),
+				openedAt: openedAt,
+				closedAt: closedAt,
+				holdingSeconds: openedAt ? Math.max(0, (new Date(closedAt) - new Date(openedAt)) / 1000) : null,
+				entryFees: entryFees,
+				exitFees: exitFees,
+				grossPnl: grossPnl,
+				netPnl: netPnl,
+				returnPercent: position.avgPrice ? netPnl / (position.avgPrice * quantity) * 100 : null,
+				mae: Math.min(0, (worstPrice - position.avgPrice) * quantity * direction),
+				mfe: Math.max(0, (bestPrice - position.avgPrice) * quantity * direction)
+			};
+
+			this.db.saveClosedTrade(trade);
+			return trade;
+		} catch (error) {
+			console.error(`❌ [PAPER TRADING] Error recording closed trade for ${position.symbol}:`, error.message);
+			return null;
+		}
+	}
+
+	// Trade journal with a summary of the returned trades
+	getClosedTrades(filters = {}) {
+		const trades = this.db.getClosedTrades(filters);
+		const wins = trades.filter(trade => trade.netPnl > 0).length;
+		const total = (field) => trades.reduce((sum, trade) => sum + (trade[field] || 0), 0);
+
+		return {
+			trades,
+			summary: {
+				count: trades.length,
+				wins: wins,
+				losses: trades.length - wins,
+				winRate: trades.length > 0 ? wins / trades.length * 100 : 0,
+				netPnl: total('netPnl'),
+				fees: total('entryFees') + total('exitFees'),
+				avgHoldingSeconds: trades.length > 0 ? total('holdingSeconds') / trades.length : 0,
+				avgMae: trades.length > 0 ? total('mae') / trades.length : 0,
+				avgMfe: trades.length > 0 ? total('mfe') / trades.length : 0
+			}
+		};
 	}
 
 	// Execute an order (refactored)
@@ -557,12 +1272,10 @@ class PaperTradingService {
 			await this.updateAccount(account);
 
 			// Save position to database first
-			if (order.side === 'BUY') {
-				const positionKey = `${account.id}_${order.symbol}`;
-				const position = this.positions.get(positionKey);
-				if (position) {
-					await this.updatePosition(position);
-				}
+			const positionKey = `${account.id}_${order.symbol}`;
+			const position = this.positions.get(positionKey);
+			if (position) {
+				await this.updatePosition(position);
 			}
 
 			// Update unrealized P&L and equity after position is saved
@@ -580,6 +1293,8 @@ class PaperTradingService {
 			if (!account) return;
 
 			let totalUnrealizedPnL = 0;
+			let positionValue = 0;
+			let exposure = 0;
 
 			// Get all positions for this account from database
 			const dbPositions = this.db.getPaperTradingPositions(accountId);
@@ -591,20 +1306,16 @@ class PaperTradingService {
 					const currentPrice = marketData.currentPrice;
 
 					// Calculate unrealized P&L
-					const unrealizedPnL = (currentPrice - position.avgPrice) * position.quantity;
+					const unrealizedPnL = this.calculateUnrealizedPnl(position, currentPrice);
 
 					// Update position with correct field names
 					const updatedPosition = {
-						id: position.id,
-						accountId: position.accountId,
-						symbol: position.symbol,
-						side: position.side,
-						quantity: position.quantity,
-						avgPrice: position.avgPrice,
+						...this.fromDbPosition(position),
+						currentPrice: currentPrice,
 						unrealizedPnl: unrealizedPnL,
-						createdAt: position.createdAt,
 						updatedAt: new Date().toISOString()
 					};
+					this.trackPriceExcursion(updatedPosition, currentPrice);
 
 					// Update in database
 					this.db.updatePaperTradingPosition(updatedPosition);
@@ -614,22 +1325,21 @@ class PaperTradingService {
 					const memoryPosition = this.positions.get(positionKey);
 					if (memoryPosition) {
 						memoryPosition.unrealizedPnl = unrealizedPnL;
+						memoryPosition.currentPrice = currentPrice;
 						memoryPosition.updatedAt = new Date().toISOString();
+						this.trackPriceExcursion(memoryPosition, currentPrice);
 					}
 
 					totalUnrealizedPnL += unrealizedPnL;
+					positionValue += this.getPositionCapital(position);
+					exposure += Math.abs(position.quantity * currentPrice);
 				} catch (error) {
 					console.warn(`Could not get market data for ${position.symbol}:`, error);
 					// Update position with zero unrealized P&L
 					const updatedPosition = {
-						id: position.id,
-						accountId: position.accountId,
-						symbol: position.symbol,
-						side: position.side,
-						quantity: position.quantity,
-						avgPrice: position.avgPrice,
+						...this.fromDbPosition(position),
+						currentPrice: position.currentPrice,
 						unrealizedPnl: 0,
-						createdAt: position.createdAt,
 						updatedAt: new Date().toISOString()
 					};
 					this.db.updatePaperTradingPosition(updatedPosition);
@@ -641,14 +1351,21 @@ class PaperTradingService {
 						memoryPosition.unrealizedPnl = 0;
 						memoryPosition.updatedAt = new Date().toISOString();
 					}
+					positionValue += this.getPositionCapital(position);
+					exposure += Math.abs(position.quantity * (position.currentPrice || position.avgPrice));
 				}
 			}
 
 			// Update account equity
-			account.equity = account.balance + totalUnrealizedPnL;
+			account.equity = account.balance + (account.reservedBalance || 0) + positionValue + totalUnrealizedPnL;
 			account.unrealizedPnl = totalUnrealizedPnL;
 			await this.updateAccount(account);
 
+			// Pause auto-trading if the day's drawdown limit has been hit
+			this.riskManager.checkDrawdown(account);
+
+			this.recordEquitySnapshot(account, { exposure, openPositions: dbPositions.length });
+
 			console.log(`Updated unrealized P&L for account ${accountId}: $${totalUnrealizedPnL.toFixed(2)}`);
 
 		} catch (error) {
@@ -657,6 +1374,69 @@ class PaperTradingService {
 		}
 	}
 
+	// Append a point to the account's equity curve, throttled to equitySnapshotInterval unless forced
+	recordEquitySnapshot(account, { exposure = 0, openPositions = 0, force = false } = {}) {
+		const now = Date.now();
+		const last = this.lastEquitySnapshotAt.get(account.id);
+		if (!force && last !== undefined && now - last < this.equitySnapshotInterval) {
+			return null;
+		}
+
+		const snapshot = {
+			accountId: account.id,
+			equity: account.equity,
+			balance: account.balance,
+			reservedBalance: account.reservedBalance || 0,
+			unrealizedPnl: account.unrealizedPnl || 0,
+			exposure,
+			openPositions,
+			createdAt: new Date(now).toISOString()
+		};
+
+		try {
+			this.db.savePaperTradingEquitySnapshot(snapshot);
+			this.lastEquitySnapshotAt.set(account.id, now);
+			return snapshot;
+		} catch (error) {
+			console.error(`❌ [PAPER TRADING] Error saving equity snapshot for ${account.id}:`, error.message);
+			return null;
+		}
+	}
+
+	// Revalue every active account whose last snapshot is due, so idle accounts still get a curve
+	async recordDueEquitySnapshots() {
+		const now = Date.now();
+		const accounts = this.db.getPaperTradingAccounts();
+
+		for (const account of accounts) {
+			const last = this.lastEquitySnapshotAt.get(account.id);
+			if (last !== undefined && now - last < this.equitySnapshotInterval) continue;
+
+			try {
+				await this.updateAccountUnrealizedPnL(account.id);
+			} catch (error) {
+				console.error(`Error snapshotting equity for account ${account.id}:`, error);
+			}
+		}
+	}
+
+	// Equity curve for an account with running peak and drawdown for each point
+	getEquityHistory(accountId, { from = null, to = null, limit } = {}) {
+		const snapshots = this.db.getPaperTradingEquitySnapshots(accountId, { from, to, limit });
+		let peak = 0;
+		let maxDrawdownPercent = 0;
+
+		const points = snapshots.map(snapshot => {
+			peak = Math.max(peak, snapshot.equity);
+			const drawdown = peak - snapshot.equity;
+			const drawdownPercent = peak > 0 ? drawdown / peak * 100 : 0;
+			maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+			return { ...snapshot, peakEquity: peak, drawdown, drawdownPercent };
+		});
+
+		return { accountId, from, to, points, maxDrawdownPercent };
+	}
+
 	// Update unrealized P&L for a position
 	async updateUnrealizedPnL(positionId, newPrice = null) {
 		try {
@@ -690,9 +1470,10 @@ class PaperTradingService {
 			}
 
 			// Calculate unrealized P&L
-			position.unrealizedPnl = (currentPrice - position.avgPrice) * position.quantity;
+			position.unrealizedPnl = this.calculateUnrealizedPnl(position, currentPrice);
 			position.currentPrice = currentPrice;
 			position.updatedAt = new Date().toISOString();
+			this.trackPriceExcursion(position, currentPrice);
 
 			// Update in database
 			await this.db.updatePaperTradingPosition(position);
@@ -705,7 +1486,8 @@ class PaperTradingService {
 	}
 
 	// Close a position
-	async closePosition(positionId, closePrice) {
+	// exitReason records why it was closed: 'MANUAL', 'STOP_LOSS' or 'TAKE_PROFIT'
+	async closePosition(positionId, closePrice, exitReason = 'MANUAL') {
 		try {
 			// Find position by ID
 			let position = null;
@@ -722,49 +1504,82 @@ class PaperTradingService {
 				throw new Error(`Position with ID ${positionId} not found`);
 			}
 
+			// Closing is a market order, so it slips from the trigger price and pays the taker fee
+			const closeSide = position.side === 'LONG' ? 'SELL' : 'BUY';
+			const expectedPrice = closePrice;
+			({ executionPrice: closePrice } = await this.executionModel.simulateMarketFill(position.symbol, closeSide, position.quantity, expectedPrice));
+			const amount = position.quantity * closePrice;
+			const { commission, feeRate, liquidity } = this.executionModel.calculateFee('MARKET', amount);
+
 			// Calculate realized P&L
-			const realizedPnl = (closePrice - position.avgPrice) * position.quantity;
+			const realizedPnl = this.calculateUnrealizedPnl(position, closePrice);
 
 			// Create closing order
 			const orderData = {
 				accountId: position.accountId,
 				symbol: position.symbol,
-				side: position.side === 'LONG' ? 'SELL' : 'BUY',
+				side: closeSide,
 				type: 'MARKET',
 				quantity: position.quantity,
-				price: closePrice,
+				price: expectedPrice,
 				executionPrice: closePrice,
-				amount: position.quantity * closePrice,
-				commission: 0,
+				amount: amount,
+				commission: commission,
+				feeRate: feeRate,
+				liquidity: liquidity,
+				...this.executionModel.describeFill(closeSide, position.quantity, expectedPrice, closePrice),
 				status: 'FILLED',
-				realizedPnl: realizedPnl
+				realizedPnl: realizedPnl,
+				exitReason: exitReason
 			};
 
 			const order = await this.createOrder(orderData);
+			this.recordClosedTrade(position, order, position.quantity);
 
-			// Update account balance
+			// Credit the sale proceeds (or a SHORT's margin and P&L) back to the account
 			const account = await this.getAccount(position.accountId);
 			if (account) {
-				const newBalance = account.balance + realizedPnl;
-				await this.updateAccount({
-					...account,
-					balance: newBalance,
-					realizedPnl: account.realizedPnl + realizedPnl,
-					totalTrades: account.totalTrades + 1,
-					winningTrades: realizedPnl > 0 ? account.winningTrades + 1 : account.winningTrades,
-					updatedAt: new Date().toISOString()
-				});
+				if (position.side === 'SHORT') {
+					account.balance += (position.margin || 0) + realizedPnl - order.commission;
+				} else {
+					account.balance += order.amount - order.commission;
+				}
+				this.recordRealizedPnl(account, realizedPnl);
+				account.updatedAt = new Date().toISOString();
+				await this.updateAccount(account);
 			}
 
 			// Remove position from memory and database
 			this.positions.delete(positionKey);
 			await this.db.deletePaperTradingPosition(positionId);
 
+			// Revalue the account now, as market orders do, instead of on the next price tick
+			await this.updateAccountUnrealizedPnL(position.accountId);
+
+			if (global.serverInstance) {
+				global.serverInstance.broadcast({
+					type: 'paper_trading_position_closed',
+					data: {
+						positionId: position.id,
+						accountId: position.accountId,
+						symbol: position.symbol,
+						quantity: position.quantity,
+						closePrice: closePrice,
+						realizedPnl: realizedPnl,
+						reason: exitReason,
+						orderId: order.id,
+						timestamp: new Date().toISOString(),
+						message: `Position ${position.symbol} closed (${exitReason}) @ $${closePrice}`
+					}
+				});
+			}
+
 			return {
 				success: true,
 				position: position,
 				order: order,
-				realizedPnl: realizedPnl
+				realizedPnl: realizedPnl,
+				exitReason: exitReason
 			};
 		} catch (error) {
 			console.error('Error closing position:', error);
@@ -772,6 +1587,110 @@ class PaperTradingService {
 		}
 	}
 
+	// Start polling prices for positions with stop-loss / take-profit levels
+	startPriceMonitor(interval = this.priceMonitorInterval) {
+		if (this.priceMonitorTimer) return;
+
+		this.priceMonitorTimer = setInterval(() => {
+			this.runPriceMonitor();
+		}, interval);
+
+		console.log(`🛡️ [PAPER TRADING] Price monitor started (every ${interval / 1000}s)`);
+	}
+
+	// Stop the price monitor
+	stopPriceMonitor() {
+		if (this.priceMonitorTimer) {
+			clearInterval(this.priceMonitorTimer);
+			this.priceMonitorTimer = null;
+			console.log('🛡️ [PAPER TRADING] Price monitor stopped');
+		}
+	}
+
+	// One monitor pass: fill pending orders first so new positions get their exits checked too
+	async runPriceMonitor() {
+		try {
+			await this.checkPendingOrders();
+		} catch (error) {
+			console.error('Error matching pending orders:', error);
+		}
+
+		try {
+			await this.checkExitLevels();
+		} catch (error) {
+			console.error('Error checking exit levels:', error);
+		}
+
+		try {
+			await this.recordDueEquitySnapshots();
+		} catch (error) {
+			console.error('Error recording equity snapshots:', error);
+		}
+	}
+
+	// Close every position whose stop-loss or take-profit has been reached
+	async checkExitLevels() {
+		if (this.isCheckingPrices) return [];
+		this.isCheckingPrices = true;
+
+		const closed = [];
+		try {
+			const watched = [...this.positions.values()].filter(p => p.stopLoss != null || p.takeProfit != null);
+			if (watched.length === 0) return closed;
+
+			// Fetch each symbol's price once per pass
+			const prices = new Map();
+			for (const position of watched) {
+				if (prices.has(position.symbol)) continue;
+				try {
+					prices.set(position.symbol, await this.binance.getCurrentPrice(position.symbol));
+				} catch (error) {
+					console.error(`Error getting price for ${position.symbol}:`, error.message);
+					prices.set(position.symbol, null);
+				}
+			}
+
+			for (const position of watched) {
+				const price = prices.get(position.symbol);
+				if (!price) continue;
+				this.trackPriceExcursion(position, price);
+
+				const reason = this.getTriggeredExitReason(position, price);
+				if (!reason) continue;
+
+				console.log(`🛡️ [PAPER TRADING] ${reason} triggered for ${position.symbol} @ $${price}`);
+				try {
+					closed.push(await this.closePosition(position.id, price, reason));
+				} catch (error) {
+					console.error(`Error closing position ${position.id}:`, error);
+				}
+			}
+
+			return closed;
+		} finally {
+			this.isCheckingPrices = false;
+		}
+	}
+
+	// Work out whether the price has crossed one of the position's exit levels
+	getTriggeredExitReason(position, price) {
+		const isShort = position.side === 'SHORT';
+
+		if (position.stopLoss != null) {
+			if (isShort ? price >= position.stopLoss : price <= position.stopLoss) {
+				return 'STOP_LOSS';
+			}
+		}
+
+		if (position.takeProfit != null) {
+			if (isShort ? price <= position.takeProfit : price >= position.takeProfit) {
+				return 'TAKE_PROFIT';
+			}
+		}
+
+		return null;
+	}
+
 	// Get positions for an account
 	getPositions(accountId) {
 		try {
@@ -888,7 +1807,7 @@ class PaperTradingService {
 				winRate: account.totalTrades > 0 ?
 					(account.winningTrades / account.totalTrades * 100).toFixed(2) + '%' : '0%',
 				avgProfitPerTrade: account.totalTrades > 0 ?
-					(account.realizedPnL / account.totalTrades).toFixed(2) : '0',
+					(account.realizedPnl / account.totalTrades).toFixed(2) : '0',
 				totalUnrealizedPnL: positions.reduce((sum, pos) => sum + pos.unrealizedPnl, 0).toFixed(2),
 				portfolioValue: account.equity.toFixed(2)
 			};
@@ -907,9 +1826,9 @@ class PaperTradingService {
 			if (!account) return 0;
 
 			const positions = await this.getPositions(accountId);
-			const totalUnrealizedPnL = positions.reduce((sum, pos) => sum + (pos.unrealizedPnl || 0), 0);
+			const positionValue = positions.reduce((sum, pos) => sum + this.getPositionCapital(pos) + (pos.unrealizedPnl || 0), 0);
 
-			const equity = account.balance + totalUnrealizedPnL;
+			const equity = account.balance + (account.reservedBalance || 0) + positionValue;
 			return equity;
 		} catch (error) {
 			console.error('Error calculating account equity:', error);
@@ -1006,6 +1925,19 @@ class PaperTradingService {
 				status: order.status,
 				isRealOrder: order.isRealOrder ? 1 : 0,
 				binanceOrderId: order.binanceOrderId || null,
+				stopLoss: order.stopLoss ?? null,
+				takeProfit: order.takeProfit ?? null,
+				exitReason: order.exitReason || null,
+				reservedAmount: order.reservedAmount ?? null,
+				stopPrice: order.stopPrice ?? null,
+				trailingPercent: order.trailingPercent ?? null,
+				triggeredAt: order.triggeredAt ?? null,
+				expectedPrice: order.expectedPrice ?? null,
+				slippageCost: order.slippageCost ?? null,
+				slippageBps: order.slippageBps ?? null,
+				feeRate: order.feeRate ?? null,
+				liquidity: order.liquidity ?? null,
+				signalId: order.signalId ?? null,
 				createdAt: order.createdAt || new Date().toISOString(),
 				filledAt: order.filledAt || null
 			};
@@ -1042,6 +1974,14 @@ class PaperTradingService {
 				avgPrice: parseFloat(position.avgPrice),
 				currentPrice: parseFloat(position.currentPrice || position.avgPrice),
 				unrealizedPnl: parseFloat(position.unrealizedPnl || 0),
+				margin: parseFloat(position.margin || 0),
+				stopLoss: position.stopLoss ?? null,
+				takeProfit: position.takeProfit ?? null,
+				entryOrderIds: position.entryOrderIds || [],
+				entrySignalId: position.entrySignalId ?? null,
+				entryFees: parseFloat(position.entryFees || 0),
+				highPrice: position.highPrice ?? null,
+				lowPrice: position.lowPrice ?? null,
 				createdAt: position.createdAt || new Date().toISOString(),
 				updatedAt: position.updatedAt || new Date().toISOString()
 			};
@@ -1091,17 +2031,7 @@ class PaperTradingService {
 					continue;
 				}
 
-				const position = {
-					id: dbPosition.id,
-					accountId: dbPosition.accountId,
-					symbol: dbPosition.symbol,
-					side: dbPosition.side,
-					quantity: dbPosition.quantity,
-					avgPrice: dbPosition.avgPrice,
-					unrealizedPnl: dbPosition.unrealizedPnl,
-					createdAt: dbPosition.createdAt,
-					updatedAt: dbPosition.updatedAt
-				};
+				const position = this.fromDbPosition(dbPosition);
 
 				// Use positionKey as the key for consistency
 				const positionKey = `${position.accountId}_${position.symbol}`;
@@ -1114,10 +2044,70 @@ class PaperTradingService {
 		}
 	}
 
+	// Map a paper_trading_positions row to the in-memory position shape
+	fromDbPosition(dbPosition) {
+		let entryOrderIds = dbPosition.entryOrderIds || [];
+		if (typeof entryOrderIds === 'string') {
+			try {
+				entryOrderIds = JSON.parse(entryOrderIds);
+			} catch (error) {
+				console.warn(`Invalid entryOrderIds on position ${dbPosition.id}:`, error.message);
+				entryOrderIds = [];
+			}
+		}
+
+		return {
+			id: dbPosition.id,
+			accountId: dbPosition.accountId,
+			symbol: dbPosition.symbol,
+			side: dbPosition.side,
+			quantity: dbPosition.quantity,
+			avgPrice: dbPosition.avgPrice,
+			currentPrice: dbPosition.currentPrice || dbPosition.avgPrice,
+			unrealizedPnl: dbPosition.unrealizedPnl,
+			margin: dbPosition.margin || 0,
+			stopLoss: dbPosition.stopLoss ?? null,
+			takeProfit: dbPosition.takeProfit ?? null,
+			entryOrderIds: entryOrderIds,
+			entrySignalId: dbPosition.entrySignalId ?? null,
+			entryFees: dbPosition.entryFees || 0,
+			highPrice: dbPosition.highPrice ?? null,
+			lowPrice: dbPosition.lowPrice ?? null,
+			createdAt: dbPosition.createdAt,
+			updatedAt: dbPosition.updatedAt
+		};
+	}
+
+	// Restore open LIMIT and stop orders so the matcher and cancelOrder see them after a restart
+	loadPendingOrdersFromDatabase() {
+		try {
+			if (!this.db || !this.db.db) {
+				console.warn('Database not properly initialized, skipping pending order loading');
+				return;
+			}
+
+			const stmt = this.db.db.prepare(`
+				SELECT * FROM paper_trading_orders WHERE status = 'PENDING'
+			`);
+			const dbOrders = stmt.all();
+
+			if (!Array.isArray(dbOrders)) return;
+
+			for (const dbOrder of dbOrders) {
+				if (!dbOrder || !dbOrder.id) continue;
+				this.orders.set(dbOrder.id, { ...dbOrder, isRealOrder: !!dbOrder.isRealOrder });
+			}
+
+			console.log(`Loaded ${dbOrders.length} pending orders from database`);
+		} catch (error) {
+			console.error('Error loading pending orders from database:', error);
+		}
+	}
+
 	// Create a position directly (for testing and manual position creation)
 	async createPosition(positionData) {
 		try {
-			const { accountId, symbol, side, quantity, avgPrice, currentPrice } = positionData;
+			const { accountId, symbol, side, quantity, avgPrice, currentPrice, margin, stopLoss, takeProfit } = positionData;
 
 			// Validate account exists
 			const account = await this.getAccount(accountId);
@@ -1143,6 +2133,9 @@ class PaperTradingService {
 				avgPrice: avgPrice,
 				currentPrice: currentPrice || avgPrice,
 				unrealizedPnl: 0,
+				margin: margin || 0,
+				stopLoss: stopLoss ?? null,
+				takeProfit: takeProfit ?? null,
 				createdAt: new Date().toISOString(),
 				updatedAt: new Date().toISOString()
 			};
@@ -1192,8 +2185,15 @@ class PaperTradingService {
 				price: price,
 				executionPrice: executionPrice || price,
 				amount: amount || (quantity * (executionPrice || price)),
-				commission: commission || ((amount || (quantity * (executionPrice || price))) * this.commission),
+				commission: commission ?? ((amount || (quantity * (executionPrice || price))) * this.commission),
 				status: 'FILLED',
+				exitReason: orderData.exitReason || null,
+				expectedPrice: orderData.expectedPrice ?? null,
+				slippageCost: orderData.slippageCost ?? null,
+				slippageBps: orderData.slippageBps ?? null,
+				feeRate: orderData.feeRate ?? null,
+				liquidity: orderData.liquidity ?? null,
+				signalId: orderData.signalId ?? null,
 				createdAt: new Date().toISOString(),
 				filledAt: new Date().toISOString(),
 				isRealOrder: false
@@ -0,0 +1,215 @@
+const zlib = require('zlib');
+
+// 5x7 bitmap glyphs, one string of five pixels per row. Lowercase is drawn as uppercase and
+// characters without a glyph as a space.
+const GLYPHS = {
+	'0': '01110 10001 10011 10101 11001 10001 01110',
+	'1': '00100 01100 00100 00100 00100 00100 01110',
+	'2': '01110 10001 00001 00010 00100 01000 11111',
+	'3': '11111 00010 00100 00010 00001 10001 01110',
+	'4': '00010 00110 01010 10010 11111 00010 00010',
+	'5': '11111 10000 11110 00001 00001 10001 01110',
+	'6': '00110 01000 10000 11110 10001 10001 01110',
+	'7': '11111 00001 00010 00100 01000 01000 01000',
+	'8': '01110 10001 10001 01110 10001 10001 01110',
+	'9': '01110 10001 10001 01111 00001 00010 01100',
+	'A': '01110 10001 10001 11111 10001 10001 10001',
+	'B': '11110 10001 10001 11110 10001 10001 11110',
+	'C': '01110 10001 10000 10000 10000 10001 01110',
+	'D': '11100 10010 10001 10001 10001 10010 11100',
+	'E': '11111 10000 10000 11110 10000 10000 11111',
+	'F': '11111 10000 10000 11110 10000 10000 10000',
+	'G': '01110 10001 10000 10111 10001 10001 01111',
+	'H': '10001 10001 10001 11111 10001 10001 10001',
+	'I': '01110 00100 00100 00100 00100 00100 01110',
+	'J': '00111 00010 00010 00010 00010 10010 01100',
+	'K': '10001 10010 10100 11000 10100 10010 10001',
+	'L': '10000 10000 10000 10000 10000 10000 11111',
+	'M': '10001 11011 10101 10101 10001 10001 10001',
+	'N': '10001 10001 11001 10101 10011 10001 10001',
+	'O': '01110 10001 10001 10001 10001 10001 01110',
+	'P': '11110 10001 10001 11110 10000 10000 10000',
+	'Q': '01110 10001 10001 10001 10101 10010 01101',
+	'R': '11110 10001 10001 11110 10100 10010 10001',
+	'S': '01111 10000 10000 01110 00001 00001 11110',
+	'T': '11111 00100 00100 00100 00100 00100 00100',
+	'U': '10001 10001 10001 10001 10001 10001 01110',
+	'V': '10001 10001 10001 10001 10001 01010 00100',
+	'W': '10001 10001 10001 10101 10101 10101 01010',
+	'X': '10001 10001 01010 00100 01010 10001 10001',
+	'Y': '10001 10001 10001 01010 00100 00100 00100',
+	'Z': '11111 00001 00010 00100 01000 10000 11111',
+	'.': '00000 00000 00000 00000 00000 01100 01100',
+	',': '00000 00000 00000 00000 01100 00100 01000',
+	':': '00000 01100 01100 00000 01100 01100 00000',
+	'%': '11000 11001 00010 00100 01000 10011 00011',
+	'$': '00100 01111 10100 01110 00101 11110 00100',
+	'-': '00000 00000 00000 11111 00000 00000 00000',
+	'+': '00000 00100 00100 11111 00100 00100 00000',
+	'/': '00000 00001 00010 00100 01000 10000 00000',
+	'(': '00010 00100 01000 01000 01000 00100 00010',
+	')': '01000 00100 00010 00010 00010 00100 01000'
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// zlib.crc32 only exists from Node 20.15, the Docker image still runs Node 18
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(body));
+	return Buffer.concat([length, body, crc]);
+};
+
+// Minimal RGB raster with the handful of primitives the signal charts need, encoded as PNG
+// with the built-in zlib. Colors are [r, g, b] arrays; anything drawn off the canvas is clipped.
+class PngCanvas {
+	constructor(width, height, background = [255, 255, 255]) {
+		this.width = width;
+		this.height = height;
+		this.pixels = Buffer.alloc(width * height * 3);
+		this.fillRect(0, 0, width, height, background);
+	}
+
+	setPixel(x, y, color) {
+		x = Math.round(x);
+		y = Math.round(y);
+		if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+		const offset = (y * this.width + x) * 3;
+		this.pixels[offset] = color[0];
+		this.pixels[offset + 1] = color[1];
+		this.pixels[offset + 2] = color[2];
+	}
+
+	getPixel(x, y) {
+		const offset = (y * this.width + x) * 3;
+		return [this.pixels[offset], this.pixels[offset + 1], this.pixels[offset + 2]];
+	}
+
+	fillRect(x, y, width, height, color) {
+		const left = Math.max(0, Math.round(x));
+		const top = Math.max(0, Math.round(y));
+		const right = Math.min(this.width, Math.round(x + width));
+		const bottom = Math.min(this.height, Math.round(y + height));
+		for (let row = top; row < bottom; row++) {
+			for (let column = left; column < right; column++) {
+				this.setPixel(column, row, color);
+			}
+		}
+	}
+
+	// Bresenham line; dash is [on, off] in pixels
+	line(x0, y0, x1, y1, color, { width = 1, dash = null } = {}) {
+		x0 = Math.round(x0);
+		y0 = Math.round(y0);
+		x1 = Math.round(x1);
+		y1 = Math.round(y1);
+		const dx = Math.abs(x1 - x0);
+		const dy = -Math.abs(y1 - y0);
+		const stepX = x0 < x1 ? 1 : -1;
+		const stepY = y0 < y1 ? 1 : -1;
+		const offset = Math.floor((width - 1) / 2);
+		let error = dx + dy;
+		let step = 0;
+
+		for (;;) {
+			if (!dash || step % (dash[0] + dash[1]) < dash[0]) {
+				this.fillRect(x0 - offset, y0 - offset, width, width, color);
+			}
+			if (x0 === x1 && y0 === y1) break;
+			const doubled = 2 * error;
+			if (doubled >= dy) {
+				error += dy;
+				x0 += stepX;
+			}
+			if (doubled <= dx) {
+				error += dx;
+				y0 += stepY;
+			}
+			step++;
+		}
+	}
+
+	polyline(points, color, options) {
+		for (let i = 1; i < points.length; i++) {
+			this.line(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1], color, options);
+		}
+	}
+
+	// Filled triangle pointing up or down with its tip at (x, y)
+	triangle(x, y, size, color, direction = 'up') {
+		for (let row = 0; row <= size; row++) {
+			const rowY = direction === 'up' ? y + row : y - row;
+			this.fillRect(x - row, rowY, row * 2 + 1, 1, color);
+		}
+	}
+
+	static textWidth(text, scale = 1) {
+		return text.length === 0 ? 0 : (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+	}
+
+	// Draw text with its top-left corner at (x, y), or its top-right corner with align 'right'
+	text(x, y, text, color, { scale = 1, align = 'left' } = {}) {
+		const value = String(text).toUpperCase();
+		const left = align === 'right' ? x - PngCanvas.textWidth(value, scale) : x;
+		[...value].forEach((character, index) => {
+			const glyph = GLYPHS[character];
+			if (!glyph) return;
+			glyph.split(' ').forEach((row, rowIndex) => {
+				[...row].forEach((bit, columnIndex) => {
+					if (bit === '1') {
+						this.fillRect(left + (index * (GLYPH_WIDTH + 1) + columnIndex) * scale, y + rowIndex * scale, scale, scale, color);
+					}
+				});
+			});
+		});
+		return PngCanvas.textWidth(value, scale);
+	}
+
+	toPNG() {
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(this.width, 0);
+		header.writeUInt32BE(this.height, 4);
+		header[8] = 8; // bit depth
+		header[9] = 2; // truecolor RGB
+		// compression, filter and interlace stay 0
+
+		// Every scanline starts with filter type 0 (none)
+		const rowLength = this.width * 3;
+		const raw = Buffer.alloc((rowLength + 1) * this.height);
+		for (let y = 0; y < this.height; y++) {
+			this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+		}
+
+		return Buffer.concat([
+			PNG_SIGNATURE,
+			chunk('IHDR', header),
+			chunk('IDAT', zlib.deflateSync(raw)),
+			chunk('IEND', Buffer.alloc(0))
+		]);
+	}
+}
+
+PngCanvas.GLYPH_HEIGHT = GLYPH_HEIGHT;
+
+module.exports = PngCanvas;
@@ -0,0 +1,364 @@
+const PositionSizingService = require('./position-sizing-service');
+const RiskManager = require('./risk-manager');
+const BacktestingService = require('./backtesting-service');
+
+const { WARMUP_CANDLES } = BacktestingService;
+
+// Backtests a basket of symbols on one merged timeline with shared cash. Entries are sized by
+// the paper trading position sizing models and checked against the same risk limits, so a
+// replay behaves like the live auto-trader on the configured cryptocurrencies.
+// Like single-symbol backtests it is long-only: BUY opens a position, SELL closes it.
+class PortfolioBacktester {
+	constructor(options = {}) {
+		this.backtesting = options.backtesting;
+		this.db = options.db || this.backtesting.db;
+		this.riskManager = new RiskManager({ db: this.db });
+		this.progressInterval = options.progressInterval || 25; // report progress every N timeline steps
+	}
+
+	// Check a portfolio run request. Sizing and risk limits come from the request, otherwise
+	// from the paper trading account named by accountId, otherwise the defaults.
+	// minSymbols is lowered by replays of a single account's trades.
+	validateConfig(config = {}, { minSymbols = 2 } = {}) {
+		const requested = config.symbols || this.db.getConfig('cryptocurrencies') || [];
+		if (!Array.isArray(requested)) {
+			throw new Error('Portfolio symbols must be a list');
+		}
+
+		const symbols = [...new Set(requested.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+		if (symbols.length < minSymbols) {
+			throw new Error(`A portfolio backtest needs at least ${minSymbols === 1 ? 'one symbol' : 'two symbols'}`);
+		}
+
+		const { cryptocurrency: _basket, ...base } = this.backtesting.validateConfig({ ...config, cryptocurrency: symbols.join(',') });
+		const accountId = config.accountId || null;
+		const sizingService = new PositionSizingService();
+
+		const sizing = config.sizing
+			? sizingService.normalizeSettings(config.sizing)
+			: sizingService.parseSettings(accountId ? this.db.getUserSetting(accountId, PositionSizingService.SETTING_KEY) : null);
+		const riskLimits = config.riskLimits
+			? this.riskManager.normalizeLimits(config.riskLimits)
+			: (accountId ? this.riskManager.getLimits(accountId) : this.riskManager.normalizeLimits());
+
+		const exitPercent = (value, key) => {
+			const percent = parseFloat(value ?? this.db.getConfig(key));
+			if (Number.isNaN(percent)) return null;
+			if (percent < 0) {
+				throw new Error(`${key} must not be negative`);
+			}
+			return percent > 0 ? percent : null;
+		};
+
+		return {
+			...base,
+			symbols,
+			accountId,
+			sizing,
+			riskLimits,
+			stopLossPercent: exitPercent(config.stopLossPercent, 'stop_loss_percent'),
+			takeProfitPercent: exitPercent(config.takeProfitPercent, 'take_profit_percent')
+		};
+	}
+
+	// Load every symbol, replay the basket and save the run with the single-symbol backtests
+	// onProgress({ processed, total, percent, balance, trades }) as in BacktestingService.simulate
+	async runBacktest(config, onProgress = null) {
+		const { symbols, timeframe, startDate, endDate } = config;
+		console.log(`📚 [PORTFOLIO] Backtesting ${symbols.join(', ')} (${timeframe}) from ${startDate} to ${endDate}`);
+
+		const series = await this.loadSeries(config);
+		const results = await this.simulate(series, config, onProgress);
+		results.id = await this.backtesting.saveBacktestResults({ ...config, cryptocurrency: symbols.join(',') }, results);
+
+		return results;
+	}
+
+	// Candles, indicators and a timestamp index per symbol, as simulate expects them
+	async loadSeries({ symbols, timeframe, startDate, endDate, strategy }) {
+		const series = {};
+		for (const symbol of symbols) {
+			const candles = await this.backtesting.getHistoricalData(symbol, timeframe, startDate, endDate);
+			if (!candles || candles.length <= WARMUP_CANDLES) {
+				throw new Error(`Not enough historical data for ${symbol} in the specified period`);
+			}
+			series[symbol] = {
+				candles,
+				indicators: strategy === 'ai' ? null : this.backtesting.computeIndicatorSeries(candles),
+				indexByTime: new Map(candles.map((candle, index) => [candle.timestamp, index]))
+			};
+		}
+		return series;
+	}
+
+	async simulate(series, config, onProgress = null) {
+		const { symbols, timeframe, strategy = 'ai', sizing, riskLimits, stopLossPercent, takeProfitPercent } = config;
+		const params = config.params || this.backtesting.resolveTechnicalParams();
+		const initialBalance = config.initialBalance || this.backtesting.initialBalance;
+		const commissionRate = this.backtesting.commission;
+
+		// Every timestamp at which at least one symbol has a tradable candle
+		const timeline = [...new Set(symbols.flatMap(symbol => series[symbol].candles.slice(WARMUP_CANDLES).map(candle => candle.timestamp)))]
+			.sort((a, b) => a - b);
+
+		const account = { id: config.accountId || 'backtest', balance: initialBalance, equity: initialBalance, winningTrades: 0, losingTrades: 0 };
+		const positions = new Map();
+		const currentIndex = {};
+		const contributions = Object.fromEntries(symbols.map(symbol => [symbol, {
+			symbol,
+			trades: 0,
+			wins: 0,
+			losses: 0,
+			realizedPnl: 0,
+			fees: 0,
+			riskBlocked: 0
+		}]));
+
+		// Volatility sizing reads ATR candles; in a replay they must end at the current candle
+		const sizingService = new PositionSizingService({
+			commission: commissionRate,
+			binance: {
+				getOHLCV: async (symbol, _timeframe, limit) => {
+					const end = currentIndex[symbol] + 1;
+					return series[symbol].candles.slice(Math.max(0, end - limit), end);
+				}
+			}
+		});
+
+		const trades = [];
+		const equity = [initialBalance];
+		const equityCurve = [];
+		const pausedDays = [];
+		let daily = { date: null, startEquity: initialBalance, pauseReason: null };
+		const aiStats = strategy === 'ai' ? this.backtesting.createAIStats(config.aiMode) : null;
+		let candlesInMarket = 0;
+
+		const closePosition = (position, price, time, reason, confidence = null) => {
+			const amount = position.quantity * price;
+			const commission = amount * commissionRate;
+			const profit = (price - position.avgPrice) * position.quantity;
+			const netPnl = profit - commission - position.entryCommission;
+			const contribution = contributions[position.symbol];
+
+			account.balance += amount - commission;
+			contribution.realizedPnl += netPnl;
+			contribution.fees += commission;
+			contribution.trades++;
+			if (netPnl > 0) {
+				contribution.wins++;
+				account.winningTrades++;
+			} else if (netPnl < 0) {
+				contribution.losses++;
+				account.losingTrades++;
+			}
+
+			positions.delete(position.symbol);
+			trades.push({ type: 'SELL', symbol: position.symbol, price, quantity: position.quantity, amount, commission, profit, time, confidence, reason });
+		};
+
+		const openPosition = async (symbol, price, time, confidence) => {
+			const stopLoss = stopLossPercent ? price * (1 - stopLossPercent / 100) : null;
+			const quantity = await sizingService.calculateQuantity({
+				account,
+				signal: { cryptocurrency: symbol, timeframe, signalType: 'buy', confidence },
+				price,
+				stopLoss
+			}, sizing);
+
+			const amount = quantity * price;
+			const commission = amount * commissionRate;
+			if (quantity <= 0 || amount + commission > account.balance) {
+				return;
+			}
+
+			const violation = this.riskManager.getLimitViolation(account, [...positions.values()], symbol, 'BUY', quantity, price, riskLimits);
+			if (violation) {
+				contributions[symbol].riskBlocked++;
+				return;
+			}
+
+			account.balance -= amount + commission;
+			contributions[symbol].fees += commission;
+			positions.set(symbol, {
+				symbol,
+				side: 'LONG',
+				quantity,
+				avgPrice: price,
+				currentPrice: price,
+				entryCommission: commission,
+				stopLoss,
+				takeProfit: takeProfitPercent ? price * (1 + takeProfitPercent / 100) : null
+			});
+			trades.push({ type: 'BUY', symbol, price, quantity, amount, commission, time, confidence });
+		};
+
+		for (let step = 0; step < timeline.length; step++) {
+			const timestamp = timeline[step];
+			const time = new Date(timestamp);
+
+			// The daily drawdown circuit breaker works on UTC days, as in paper trading
+			const date = time.toISOString().slice(0, 10);
+			if (daily.date !== date) {
+				daily = { date, startEquity: account.equity, pauseReason: null };
+			}
+
+			for (const symbol of symbols) {
+				const index = series[symbol].indexByTime.get(timestamp);
+				if (index === undefined) continue;
+
+				currentIndex[symbol] = index;
+				const candle = series[symbol].candles[index];
+				const position = positions.get(symbol);
+
+				// Exit levels fill at the level, or at the open when the candle gaps through it
+				if (position) {
+					position.currentPrice = candle.close;
+					if (position.stopLoss && candle.low <= position.stopLoss) {
+						closePosition(position, Math.min(candle.open, position.stopLoss), time, 'STOP_LOSS');
+						continue;
+					}
+					if (position.takeProfit && candle.high >= position.takeProfit) {
+						closePosition(position, Math.max(candle.open, position.takeProfit), time, 'TAKE_PROFIT');
+						continue;
+					}
+				}
+
+				if (index < WARMUP_CANDLES || daily.pauseReason) continue;
+
+				const signal = strategy === 'ai'
+					? await this.backtesting.generateAISignal(symbol, timeframe, candle.close, this.backtesting.calculateIndicators(series[symbol].candles.slice(0, index + 1)), {
+						candleTime: timestamp,
+						mode: config.aiMode,
+						stats: aiStats
+					})
+					: this.backtesting.generateTechnicalSignal(series[symbol].indicators[index], params);
+				if (!signal || signal.confidence < params.minConfidence) continue;
+
+				if (signal.signal === 'SELL' && position) {
+					closePosition(position, candle.close, time, 'SIGNAL', signal.confidence);
+				} else if (signal.signal === 'BUY' && !position) {
+					await openPosition(symbol, candle.close, time, signal.confidence);
+				}
+			}
+
+			const marketValue = [...positions.values()].reduce((total, position) => total + position.quantity * position.currentPrice, 0);
+			account.equity = account.balance + marketValue;
+			equity.push(account.equity);
+			equityCurve.push({ timestamp, equity: account.equity, cash: account.balance, openPositions: positions.size });
+			if (positions.size > 0) {
+				candlesInMarket++;
+			}
+
+			if (riskLimits.maxDailyDrawdownPercent && !daily.pauseReason && daily.startEquity > 0) {
+				const drawdownPercent = (daily.startEquity - account.equity) / daily.startEquity * 100;
+				if (drawdownPercent >= riskLimits.maxDailyDrawdownPercent) {
+					daily.pauseReason = `Daily drawdown ${drawdownPercent.toFixed(2)}% reached the ${riskLimits.maxDailyDrawdownPercent}% limit`;
+					pausedDays.push({ date, pausedAt: timestamp, reason: daily.pauseReason });
+				}
+			}
+
+			const processed = step + 1;
+			if (onProgress && (processed % this.progressInterval === 0 || processed === timeline.length)) {
+				onProgress({
+					processed,
+					total: timeline.length,
+					percent: processed / timeline.length * 100,
+					balance: account.equity,
+					trades: trades.length
+				});
+				// Let the progress message flush before the next batch of candles
+				await new Promise(resolve => setImmediate(resolve));
+			}
+		}
+
+		const metrics = this.backtesting.calculateMetrics(trades, equity, timeframe, { candlesInMarket });
+		metrics.benchmarkReturn = this.calculateBenchmark(series, symbols);
+
+		return {
+			...this.backtesting.calculateResults(trades, equity, initialBalance),
+			metrics,
+			params: strategy === 'ai' ? null : params,
+			...(aiStats && { aiDecisions: aiStats }),
+			symbols,
+			sizing,
+			riskLimits,
+			contributions: this.summarizeContributions(contributions, positions, initialBalance),
+			correlation: this.calculateCorrelationMatrix(series, symbols),
+			pausedDays,
+			equityCurve
+		};
+	}
+
+	// Net P&L per symbol, realized plus the mark-to-market of anything still open, as a share
+	// of the starting balance. The contributions add up to the portfolio return.
+	summarizeContributions(contributions, positions, initialBalance) {
+		return Object.values(contributions).map(contribution => {
+			const position = positions.get(contribution.symbol);
+			const unrealizedPnl = position
+				? (position.currentPrice - position.avgPrice) * position.quantity - position.entryCommission
+				: 0;
+			const netPnl = contribution.realizedPnl + unrealizedPnl;
+
+			return {
+				...contribution,
+				unrealizedPnl,
+				netPnl,
+				contributionPercent: netPnl / initialBalance * 100,
+				winRate: contribution.trades > 0 ? contribution.wins / contribution.trades * 100 : 0
+			};
+		});
+	}
+
+	// Equal-weight buy-and-hold of the basket over the replayed candles, in percent
+	calculateBenchmark(series, symbols) {
+		const returns = symbols.map(symbol => {
+			const { candles } = series[symbol];
+			const first = candles[WARMUP_CANDLES].close;
+			return first > 0 ? candles[candles.length - 1].close / first - 1 : 0;
+		});
+		return returns.reduce((sum, value) => sum + value, 0) / returns.length * 100;
+	}
+
+	// Pearson correlation of per-candle close returns, on the timestamps both symbols share.
+	// null when two series have fewer than three common returns or one of them never moves.
+	calculateCorrelationMatrix(series, symbols) {
+		const returnsBySymbol = symbols.map(symbol => {
+			const { candles } = series[symbol];
+			const returns = new Map();
+			for (let i = WARMUP_CANDLES + 1; i < candles.length; i++) {
+				if (candles[i - 1].close > 0) {
+					returns.set(candles[i].timestamp, candles[i].close / candles[i - 1].close - 1);
+				}
+			}
+			return returns;
+		});
+
+		const values = returnsBySymbol.map((a, row) => returnsBySymbol.map((b, column) => {
+			if (row === column) return 1;
+
+			const pairs = [...a.entries()].filter(([timestamp]) => b.has(timestamp)).map(([timestamp, value]) => [value, b.get(timestamp)]);
+			return this.correlation(pairs);
+		}));
+
+		return { symbols, values };
+	}
+
+	correlation(pairs) {
+		if (pairs.length < 3) return null;
+
+		const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+		const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+		let covariance = 0;
+		let varianceA = 0;
+		let varianceB = 0;
+		pairs.forEach(([a, b]) => {
+			covariance += (a - meanA) * (b - meanB);
+			varianceA += (a - meanA) ** 2;
+			varianceB += (b - meanB) ** 2;
+		});
+
+		return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+	}
+}
+
+module.exports = PortfolioBacktester;
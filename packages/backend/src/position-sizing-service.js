@@ -0,0 +1,178 @@
+const POSITION_SIZING_SETTING_KEY = 'position_sizing';
+
+// Parameters each sizing model understands, with their defaults
+const SIZING_MODELS = {
+	fixed_notional: { notional: 100 },
+	fixed_fraction: { fraction: 0.25 },
+	volatility: { riskFraction: 0.01, atrPeriod: 14, atrMultiplier: 2, timeframe: null },
+	kelly: { kellyMultiplier: 0.5, minTrades: 20, payoffRatio: 1 },
+	risk_per_trade: { riskFraction: 0.01 }
+};
+
+const DEFAULT_SIZING = { model: 'fixed_fraction', maxFraction: 1 };
+
+class PositionSizingService {
+	constructor(options = {}) {
+		this.binance = options.binance;
+		this.commission = options.commission || 0.001; // 0.1% commission
+	}
+
+	// Merge stored settings with the model defaults, rejecting unknown models and bad numbers
+	normalizeSettings(settings = {}) {
+		const model = settings.model || DEFAULT_SIZING.model;
+		if (!SIZING_MODELS[model]) {
+			throw new Error(`Unknown position sizing model: ${model}`);
+		}
+
+		const normalized = {
+			...DEFAULT_SIZING,
+			...SIZING_MODELS.fixed_fraction,
+			...SIZING_MODELS[model],
+			...settings,
+			model
+		};
+
+		for (const [key, value] of Object.entries(normalized)) {
+			if (key === 'model' || key === 'timeframe' || value === null) continue;
+			const number = Number(value);
+			if (!Number.isFinite(number) || number < 0) {
+				throw new Error(`Invalid position sizing parameter ${key}: ${value}`);
+			}
+			normalized[key] = number;
+		}
+
+		if (normalized.fraction > 1 || normalized.maxFraction > 1 || normalized.riskFraction > 1) {
+			throw new Error('Position sizing fractions must be between 0 and 1');
+		}
+
+		return normalized;
+	}
+
+	// Parse the JSON value stored in user_settings, falling back to the default model
+	parseSettings(settingValue) {
+		if (!settingValue) {
+			return this.normalizeSettings();
+		}
+
+		try {
+			const settings = typeof settingValue === 'string' ? JSON.parse(settingValue) : settingValue;
+			return this.normalizeSettings(settings);
+		} catch (error) {
+			console.error(`❌ [POSITION SIZING] Ignoring invalid settings, using ${DEFAULT_SIZING.model}:`, error.message);
+			return this.normalizeSettings();
+		}
+	}
+
+	// Quantity to order for an account, after commission and the maxFraction cap
+	async calculateQuantity({ account, signal, price, stopLoss }, settings = this.normalizeSettings()) {
+		const balance = account.balance || 0;
+		if (!price || price <= 0 || balance <= 0) {
+			return 0;
+		}
+
+		let notional = await this.calculateNotional({ account, signal, price, stopLoss }, settings);
+		if (notional === null) {
+			console.log(`⚠️ [POSITION SIZING] ${settings.model} cannot size ${signal.cryptocurrency} for account ${account.id}, using fixed fraction ${settings.fraction}`);
+			notional = balance * settings.fraction;
+		}
+
+		notional = Math.min(Math.max(notional, 0), balance * settings.maxFraction);
+
+		// totalCost = quantity * price * (1 + commission)
+		const quantity = notional / (price * (1 + this.commission));
+
+		return Math.round(quantity * 1000000) / 1000000; // Round to 6 decimal places
+	}
+
+	// Order notional for the configured model, or null when the model has nothing to work from
+	async calculateNotional({ account, signal, price, stopLoss }, settings) {
+		const balance = account.balance || 0;
+
+		switch (settings.model) {
+			case 'fixed_notional':
+				return settings.notional;
+
+			case 'fixed_fraction':
+				return balance * settings.fraction;
+
+			case 'volatility': {
+				const timeframe = settings.timeframe || signal.timeframe || '1h';
+				const atr = await this.getATR(signal.cryptocurrency, timeframe, settings.atrPeriod);
+				if (!atr) {
+					return null;
+				}
+				return this.riskToNotional(balance * settings.riskFraction, atr * settings.atrMultiplier, price);
+			}
+
+			case 'kelly': {
+				const kellyFraction = this.calculateKellyFraction(account, settings);
+				return kellyFraction === null ? null : balance * kellyFraction;
+			}
+
+			case 'risk_per_trade':
+				if (!stopLoss) {
+					return null;
+				}
+				return this.riskToNotional(balance * settings.riskFraction, Math.abs(price - stopLoss), price);
+
+			default:
+				return null;
+		}
+	}
+
+	// Size a position so that moving stopDistance against it loses riskAmount
+	riskToNotional(riskAmount, stopDistance, price) {
+		if (!stopDistance || stopDistance <= 0) {
+			return null;
+		}
+		return (riskAmount / stopDistance) * price;
+	}
+
+	// Kelly fraction W - (1 - W) / R from the account's closed trades, scaled by kellyMultiplier
+	calculateKellyFraction(account, settings) {
+		const wins = account.winningTrades || 0;
+		const losses = account.losingTrades || 0;
+		const closedTrades = wins + losses;
+
+		if (closedTrades < settings.minTrades || !settings.payoffRatio) {
+			return null;
+		}
+
+		const winRate = wins / closedTrades;
+		const kellyFraction = winRate - (1 - winRate) / settings.payoffRatio;
+
+		return Math.max(0, kellyFraction * settings.kellyMultiplier);
+	}
+
+	// Average true range over the last `period` candles
+	async getATR(symbol, timeframe, period) {
+		try {
+			const candles = await this.binance.getOHLCV(symbol, timeframe, period + 1);
+			return this.calculateATR(candles, period);
+		} catch (error) {
+			console.error(`❌ [POSITION SIZING] Error fetching candles for ATR on ${symbol}:`, error);
+			return null;
+		}
+	}
+
+	calculateATR(candles, period) {
+		if (!Array.isArray(candles) || candles.length < period + 1) {
+			return null;
+		}
+
+		const recent = candles.slice(-(period + 1));
+		let total = 0;
+		for (let i = 1; i < recent.length; i++) {
+			const { high, low } = recent[i];
+			const previousClose = recent[i - 1].close;
+			total += Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+		}
+
+		return total / period;
+	}
+}
+
+PositionSizingService.SETTING_KEY = POSITION_SIZING_SETTING_KEY;
+PositionSizingService.MODELS = Object.keys(SIZING_MODELS);
+
+module.exports = PositionSizingService;
@@ -0,0 +1,431 @@
+const { v4: uuidv4 } = require('uuid');
+const BacktestingService = require('./backtesting-service');
+
+const { WARMUP_CANDLES } = BacktestingService;
+
+// How far a paper trade and a backtest trade may be apart to be compared at all, and how far
+// they may drift before a difference is reported as a divergence
+const DEFAULT_TOLERANCES = {
+	matchWindowCandles: 3, // entries further apart than this are two different trades
+	timingToleranceCandles: 1, // fills later or earlier than this are a timing divergence
+	priceTolerancePercent: 0.2, // fill price difference on a leg filled in time
+	pnlTolerancePercent: 0.5 // return difference in percentage points with fills in line
+};
+
+// MATCHED - both sides traded, causes lists what drifted
+// MISSING_IN_BACKTEST - the paper account traded, the replay did not signal or could not enter
+// MISSING_IN_PAPER - the replay traded, the account skipped or never received the signal
+// NOT_SIMULATED - a SHORT trade, backtests are long-only
+const STATUSES = ['MATCHED', 'MISSING_IN_BACKTEST', 'MISSING_IN_PAPER', 'NOT_SIMULATED'];
+const CAUSES = ['SLIPPAGE', 'TIMING', 'MISSING_SIGNAL', 'PNL'];
+
+// Paper trading rows hold ISO strings, SQLite's CURRENT_TIMESTAMP is UTC without a zone designator
+const parseTime = (value) => {
+	if (!value) return null;
+	const text = String(value);
+	const time = new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`).getTime();
+	return Number.isFinite(time) ? time : null;
+};
+const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+const percentDiff = (value, reference) => (reference > 0 ? (value - reference) / reference * 100 : null);
+
+// Re-runs the backtester over the window and symbols a paper account traded, with the account's
+// sizing and risk limits, and diffs the trades, fill prices and P&L. Shows whether the simulator
+// matches live paper trading and where it does not: slippage, late or early fills, and signals
+// only one side acted on. AI strategies replay the decisions the live bot made by default.
+class ReconciliationService {
+	constructor(options = {}) {
+		this.portfolio = options.portfolio; // PortfolioBacktester
+		this.backtesting = this.portfolio.backtesting;
+		this.db = options.db || this.backtesting.db;
+	}
+
+	// Check a reconciliation request. The window and timeframe default to the account's own
+	// trading and are resolved when the job runs.
+	validateConfig(config = {}) {
+		const { accountId, strategy = 'ai' } = config;
+		if (!accountId) {
+			throw new Error('Reconciliation needs an accountId');
+		}
+		if (!this.db.getPaperTradingAccount(accountId)) {
+			throw new Error(`Paper trading account ${accountId} not found`);
+		}
+		if (!['ai', 'technical'].includes(strategy)) {
+			throw new Error(`Unknown backtest strategy: ${strategy}`);
+		}
+
+		const startDate = config.startDate || null;
+		const endDate = config.endDate || null;
+		if ((startDate && !parseTime(startDate)) || (endDate && !parseTime(endDate)) ||
+			(startDate && endDate && parseTime(startDate) >= parseTime(endDate))) {
+			throw new Error('Reconciliation needs a valid date range with startDate before endDate');
+		}
+
+		const tolerances = Object.fromEntries(Object.entries(DEFAULT_TOLERANCES).map(([name, fallback]) => {
+			const value = config[name] === undefined ? fallback : parseFloat(config[name]);
+			if (!(value >= 0)) {
+				throw new Error(`${name} must be a non-negative number`);
+			}
+			return [name, value];
+		}));
+		if (tolerances.matchWindowCandles < tolerances.timingToleranceCandles) {
+			throw new Error('matchWindowCandles must not be below timingToleranceCandles');
+		}
+
+		return {
+			accountId,
+			timeframe: config.timeframe || null,
+			startDate,
+			endDate,
+			strategy,
+			...(strategy === 'ai' && { aiMode: config.aiMode || 'replay', importHistory: config.importHistory !== false }),
+			...(config.initialBalance !== undefined && { initialBalance: parseFloat(config.initialBalance) }),
+			...tolerances
+		};
+	}
+
+	// Replay the account's window, diff it and save the report
+	// onProgress({ processed, total, percent, balance, trades }) as in PortfolioBacktester.simulate
+	async reconcile(config, onProgress = null) {
+		const { accountId, strategy } = config;
+		const paperTrips = this.getPaperTrips(accountId, config.startDate, config.endDate);
+		if (paperTrips.length === 0) {
+			throw new Error(`No closed paper trades for account ${accountId} in the requested window`);
+		}
+
+		const timeframe = config.timeframe || this.getTradedTimeframe(accountId);
+		if (!timeframe) {
+			throw new Error(`No timeframe given and none recorded for the signals account ${accountId} took`);
+		}
+		const intervalMs = this.backtesting.candleStore.getIntervalMs(timeframe);
+		const symbols = [...new Set(paperTrips.filter(trip => trip.side === 'LONG').map(trip => trip.symbol))];
+		const start = config.startDate ? parseTime(config.startDate) : Math.min(...paperTrips.map(trip => trip.entryTime ?? trip.exitTime));
+		const end = config.endDate ? parseTime(config.endDate) : Math.max(...paperTrips.map(trip => trip.exitTime));
+		console.log(`🔍 [RECONCILE] Replaying ${paperTrips.length} trades of account ${accountId} on ${symbols.join(', ') || 'no LONG symbols'} (${timeframe}) from ${toIso(start)} to ${toIso(end)}`);
+
+		let results = null;
+		let backtestTrips = [];
+		if (symbols.length > 0) {
+			if (strategy === 'ai' && config.aiMode === 'replay' && config.importHistory) {
+				symbols.forEach(symbol => this.backtesting.aiDecisions.importAnalysisHistory(symbol, timeframe));
+			}
+
+			// The first tradable candle is the one that closes at the window start, after the warm-up
+			const firstCandle = Math.floor(start / intervalMs) * intervalMs - intervalMs;
+			const backtestConfig = this.portfolio.validateConfig({
+				symbols,
+				timeframe,
+				startDate: toIso(firstCandle - WARMUP_CANDLES * intervalMs),
+				endDate: toIso(end + intervalMs),
+				strategy,
+				aiMode: config.aiMode,
+				accountId,
+				initialBalance: config.initialBalance || this.getStartingEquity(accountId, start)
+			}, { minSymbols: 1 });
+
+			const series = await this.portfolio.loadSeries(backtestConfig);
+			results = await this.portfolio.simulate(series, backtestConfig, onProgress);
+			backtestTrips = this.getBacktestTrips(results.trades, intervalMs);
+		}
+
+		const context = { ...config, timeframe, intervalMs, minConfidence: (results?.params || this.backtesting.resolveTechnicalParams()).minConfidence };
+		const trades = this.matchTrades(paperTrips, backtestTrips.filter(trip => trip.exitTime !== null), context);
+
+		const report = {
+			id: `reconciliation_${uuidv4()}`,
+			accountId,
+			symbols,
+			timeframe,
+			strategy,
+			startDate: toIso(start),
+			endDate: toIso(end),
+			summary: this.summarize(trades, backtestTrips, results, config),
+			trades,
+			createdAt: new Date().toISOString()
+		};
+
+		this.db.saveReconciliationReport(report);
+		console.log(`🔍 [RECONCILE] Report ${report.id}: ${report.summary.matched} matched, ${report.summary.divergentTrades} divergent`);
+
+		return report;
+	}
+
+	// Closed journal trades in the window, oldest first, with the slippage their fills recorded.
+	// A trade opened before startDate is left out, the replay starts flat.
+	getPaperTrips(accountId, startDate = null, endDate = null) {
+		const start = parseTime(startDate);
+		const trades = this.db.getClosedTrades({ accountId, from: startDate, to: endDate, limit: 10000 }).reverse();
+
+		return trades
+			.filter(trade => start === null || (parseTime(trade.openedAt) ?? parseTime(trade.closedAt)) >= start)
+			.map(trade => ({
+				tradeId: trade.id,
+				symbol: trade.symbol,
+				side: trade.side,
+				quantity: trade.quantity,
+				entryTime: parseTime(trade.openedAt),
+				exitTime: parseTime(trade.closedAt),
+				entryPrice: trade.entryPrice,
+				exitPrice: trade.exitPrice,
+				netPnl: trade.netPnl,
+				returnPercent: trade.returnPercent ?? trade.netPnl / (trade.entryPrice * trade.quantity) * 100,
+				exitReason: trade.exitReason || null,
+				entrySignalId: trade.entrySignalId || null,
+				entrySlippageBps: this.getSlippageBps(trade.entryOrderIds),
+				exitSlippageBps: this.getSlippageBps(trade.exitOrderId ? [trade.exitOrderId] : [])
+			}));
+	}
+
+	// Quantity-weighted slippage of the fills, null when none recorded any
+	getSlippageBps(orderIds) {
+		const orders = orderIds.map(id => this.db.getPaperTradingOrder(id)).filter(order => order && order.slippageBps !== null);
+		const quantity = orders.reduce((sum, order) => sum + order.quantity, 0);
+		return quantity > 0 ? orders.reduce((sum, order) => sum + order.slippageBps * order.quantity, 0) / quantity : null;
+	}
+
+	// Most common timeframe among the signals the account took
+	getTradedTimeframe(accountId) {
+		const counts = new Map();
+		this.db.getSignalDecisions({ accountId, decision: 'TAKEN', limit: 1000 }).forEach(decision => {
+			if (decision.timeframe) counts.set(decision.timeframe, (counts.get(decision.timeframe) || 0) + 1);
+		});
+		return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+	}
+
+	// Account equity at the window start, from the last snapshot before it
+	getStartingEquity(accountId, start) {
+		const [snapshot] = this.db.getPaperTradingEquitySnapshots(accountId, { to: toIso(start), limit: 1 });
+		return snapshot ? snapshot.equity : this.db.getPaperTradingAccount(accountId).equity;
+	}
+
+	// Backtest BUY/SELL pairs per symbol. Backtest trades are stamped with the candle open time
+	// but fill at its close, which is when the live bot would act on the same candle.
+	// A position still open at the end has a null exitTime.
+	getBacktestTrips(trades, intervalMs) {
+		const open = new Map();
+		const trips = [];
+
+		trades.forEach(trade => {
+			const time = trade.time.getTime() + intervalMs;
+			if (trade.type === 'BUY') {
+				const trip = {
+					symbol: trade.symbol,
+					quantity: trade.quantity,
+					entryTime: time,
+					exitTime: null,
+					entryPrice: trade.price,
+					exitPrice: null,
+					netPnl: null,
+					returnPercent: null,
+					exitReason: null,
+					entryAmount: trade.amount,
+					entryCommission: trade.commission
+				};
+				open.set(trade.symbol, trip);
+				trips.push(trip);
+				return;
+			}
+
+			const trip = open.get(trade.symbol);
+			if (!trip) return;
+			open.delete(trade.symbol);
+			trip.exitTime = time;
+			trip.exitPrice = trade.price;
+			trip.exitReason = trade.reason;
+			trip.netPnl = trade.profit - trade.commission - trip.entryCommission;
+			trip.returnPercent = trip.netPnl / trip.entryAmount * 100;
+		});
+
+		return trips;
+	}
+
+	// Pair each LONG paper trade with the closest unmatched backtest entry on the same symbol
+	// within the match window, then classify what is left on either side
+	matchTrades(paperTrips, backtestTrips, context) {
+		const { intervalMs, matchWindowCandles } = context;
+		const matchWindowMs = matchWindowCandles * intervalMs;
+		const unmatched = new Set(backtestTrips);
+		const rows = [];
+
+		paperTrips.forEach(paper => {
+			if (paper.side !== 'LONG') {
+				rows.push(this.createRow('NOT_SIMULATED', paper, null, [], 'Backtests are long-only'));
+				return;
+			}
+
+			const entryTime = paper.entryTime ?? paper.exitTime;
+			let best = null;
+			unmatched.forEach(trip => {
+				const distance = Math.abs(trip.entryTime - entryTime);
+				if (trip.symbol === paper.symbol && distance <= matchWindowMs && (!best || distance < Math.abs(best.entryTime - entryTime))) {
+					best = trip;
+				}
+			});
+
+			if (!best) {
+				rows.push(this.createRow('MISSING_IN_BACKTEST', paper, null, ['MISSING_SIGNAL'], this.explainMissingInBacktest(paper, context)));
+				return;
+			}
+			unmatched.delete(best);
+			rows.push(this.compareTrips(paper, best, context));
+		});
+
+		const decisions = unmatched.size > 0 ? this.db.getSignalDecisions({ accountId: context.accountId, limit: 10000 }) : [];
+		unmatched.forEach(trip => {
+			rows.push(this.createRow('MISSING_IN_PAPER', null, trip, ['MISSING_SIGNAL'], this.explainMissingInPaper(trip, decisions, matchWindowMs)));
+		});
+
+		return rows.sort((a, b) => this.rowTime(a) - this.rowTime(b));
+	}
+
+	// Per leg: a fill outside the timing tolerance is a timing divergence, a fill in time at a
+	// different price is slippage. A return gap with both legs in line is left as PNL (fees, partial closes).
+	compareTrips(paper, backtest, context) {
+		const { intervalMs, timingToleranceCandles, priceTolerancePercent, pnlTolerancePercent } = context;
+		const timingToleranceMs = timingToleranceCandles * intervalMs;
+		const diff = {
+			entryDelaySeconds: paper.entryTime === null ? null : (paper.entryTime - backtest.entryTime) / 1000,
+			exitDelaySeconds: (paper.exitTime - backtest.exitTime) / 1000,
+			entryPricePercent: percentDiff(paper.entryPrice, backtest.entryPrice),
+			exitPricePercent: percentDiff(paper.exitPrice, backtest.exitPrice),
+			returnPercent: paper.returnPercent - backtest.returnPercent,
+			netPnl: paper.netPnl - backtest.netPnl
+		};
+
+		const causes = new Set();
+		[[diff.entryDelaySeconds, diff.entryPricePercent], [diff.exitDelaySeconds, diff.exitPricePercent]].forEach(([delaySeconds, pricePercent]) => {
+			if (delaySeconds !== null && Math.abs(delaySeconds * 1000) > timingToleranceMs) {
+				causes.add('TIMING');
+			} else if (pricePercent !== null && Math.abs(pricePercent) > priceTolerancePercent) {
+				causes.add('SLIPPAGE');
+			}
+		});
+		if (causes.size === 0 && Math.abs(diff.returnPercent) > pnlTolerancePercent) {
+			causes.add('PNL');
+		}
+
+		const reason = paper.exitReason && backtest.exitReason && paper.exitReason !== backtest.exitReason
+			? `Exited on ${paper.exitReason} in paper trading and ${backtest.exitReason} in the backtest`
+			: null;
+		return { ...this.createRow('MATCHED', paper, backtest, [...causes], reason), diff };
+	}
+
+	explainMissingInBacktest(paper, { strategy, aiMode, timeframe, intervalMs, minConfidence }) {
+		if (strategy !== 'ai') {
+			return 'The technical strategy did not signal a BUY near this entry';
+		}
+
+		// The live analysis behind the entry saw the candle before the one the entry falls in
+		const candleTime = Math.floor((paper.entryTime ?? paper.exitTime) / intervalMs) * intervalMs - intervalMs;
+		const cache = this.backtesting.aiDecisions;
+		const decision = this.db.getAIDecision(paper.symbol, timeframe, candleTime, cache.promptVersion, cache.getModel(aiMode));
+		if (!decision) {
+			return `No ${aiMode === 'stub' ? 'stub' : 'recorded'} AI decision for the ${toIso(candleTime)} candle`;
+		}
+		if (decision.signal !== 'BUY') {
+			return `The AI decision for the ${toIso(candleTime)} candle was ${decision.signal}`;
+		}
+		if (decision.confidence < minConfidence) {
+			return `The BUY had ${decision.confidence} confidence, below the ${minConfidence} minimum`;
+		}
+		return 'The backtest passed on the BUY: a position was already open, or sizing or risk limits blocked it';
+	}
+
+	// The account's decision on a signal near the backtest entry, when one was logged
+	explainMissingInPaper(trip, decisions, windowMs) {
+		const nearby = decisions.filter(decision => {
+			const time = parseTime(decision.createdAt);
+			return decision.symbol === trip.symbol && time !== null && Math.abs(time - trip.entryTime) <= windowMs;
+		});
+		const decision = nearby.find(candidate => candidate.decision !== 'TAKEN') || nearby[0];
+
+		if (!decision) {
+			return 'No signal decision was logged for the account near this entry';
+		}
+		return decision.decision === 'TAKEN'
+			? 'The account took a signal here but its trade did not line up with the backtest'
+			: `Signal ${decision.decision.toLowerCase()} by the account: ${decision.reason || 'no reason given'}`;
+	}
+
+	createRow(status, paper, backtest, causes, reason) {
+		const side = (trip) => trip && {
+			...(trip.tradeId && { tradeId: trip.tradeId }),
+			...(trip.side && { side: trip.side }),
+			quantity: trip.quantity,
+			entryTime: toIso(trip.entryTime),
+			exitTime: toIso(trip.exitTime),
+			entryPrice: trip.entryPrice,
+			exitPrice: trip.exitPrice,
+			netPnl: trip.netPnl,
+			returnPercent: trip.returnPercent,
+			exitReason: trip.exitReason,
+			...(trip.tradeId && { entrySlippageBps: trip.entrySlippageBps, exitSlippageBps: trip.exitSlippageBps })
+		};
+
+		return {
+			symbol: (paper || backtest).symbol,
+			status,
+			causes,
+			reason,
+			paper: side(paper),
+			backtest: side(backtest),
+			diff: null
+		};
+	}
+
+	rowTime(row) {
+		const trip = row.paper || row.backtest;
+		return parseTime(trip.entryTime || trip.exitTime);
+	}
+
+	summarize(trades, backtestTrips, results, config) {
+		const count = (status) => trades.filter(row => row.status === status).length;
+		const matched = trades.filter(row => row.status === 'MATCHED');
+		const average = (values) => {
+			const known = values.filter(value => value !== null);
+			return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+		};
+		const paperNetPnl = trades.reduce((sum, row) => sum + (row.paper ? row.paper.netPnl : 0), 0);
+		const backtestNetPnl = trades.reduce((sum, row) => sum + (row.backtest ? row.backtest.netPnl : 0), 0);
+
+		return {
+			paperTrades: trades.filter(row => row.paper).length,
+			backtestTrades: trades.filter(row => row.backtest).length,
+			backtestOpenAtEnd: backtestTrips.filter(trip => trip.exitTime === null).length,
+			matched: matched.length,
+			missingInBacktest: count('MISSING_IN_BACKTEST'),
+			missingInPaper: count('MISSING_IN_PAPER'),
+			notSimulated: count('NOT_SIMULATED'),
+			divergentTrades: trades.filter(row => row.causes.length > 0).length,
+			divergences: Object.fromEntries(CAUSES.map(cause => [cause, trades.filter(row => row.causes.includes(cause)).length])),
+			paperNetPnl,
+			backtestNetPnl,
+			pnlDifference: paperNetPnl - backtestNetPnl,
+			averageEntryPricePercent: average(matched.map(row => row.diff.entryPricePercent)),
+			averageExitPricePercent: average(matched.map(row => row.diff.exitPricePercent)),
+			averageEntryDelaySeconds: average(matched.map(row => row.diff.entryDelaySeconds)),
+			averageReturnDifference: average(matched.map(row => row.diff.returnPercent)),
+			initialBalance: results ? results.initialBalance : null,
+			aiDecisions: results?.aiDecisions || null,
+			tolerances: Object.fromEntries(Object.keys(DEFAULT_TOLERANCES).map(name => [name, config[name]]))
+		};
+	}
+
+	getReports(accountId = null, limit = 20) {
+		return this.db.getReconciliationReports({ accountId, limit });
+	}
+
+	getReport(id) {
+		const report = this.db.getReconciliationReport(id);
+		if (!report) {
+			throw new Error(`Reconciliation report ${id} not found`);
+		}
+		return report;
+	}
+}
+
+ReconciliationService.DEFAULT_TOLERANCES = DEFAULT_TOLERANCES;
+ReconciliationService.STATUSES = STATUSES;
+ReconciliationService.CAUSES = CAUSES;
+
+module.exports = ReconciliationService;
@@ -0,0 +1,398 @@
+const express = require('express');
+const { version } = require('../package.json');
+const AIDecisionCache = require('./ai-decision-cache');
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT', 'TRAILING_STOP'];
+
+const limit = (max, fallback) => ({ type: 'integer', minimum: 1, maximum: max, default: fallback });
+const dateTime = { type: 'string', format: 'date-time' };
+
+const BACKTEST_CONFIG = {
+	startDate: dateTime,
+	endDate: dateTime,
+	timeframe: { type: 'string', enum: TIMEFRAMES },
+	strategy: { type: 'string', enum: ['ai', 'technical'], default: 'ai' },
+	aiMode: { type: 'string', enum: AIDecisionCache.MODES },
+	initialBalance: { type: 'number', minimum: 0 },
+	params: { type: 'object', description: 'Technical strategy parameters merged over the defaults' }
+};
+
+// Every REST route runs the WebSocket message of the same name through
+// CryptoBotServer.handleWebSocketMessage, so both protocols share one implementation.
+// The schemas here validate requests before they are dispatched and are also what
+// the OpenAPI document at /api/v1/openapi.json is built from.
+const ROUTES = [
+	{
+		method: 'get', path: '/signals', tag: 'Signals', messageType: 'get_signals',
+		summary: 'Latest signals, newest first',
+		query: { limit: limit(1000, 50) }
+	},
+	{
+		method: 'post', path: '/signals', tag: 'Signals', messageType: 'generate_signal', status: 201,
+		summary: 'Analyse a symbol now and save the signal',
+		body: {
+			type: 'object',
+			required: ['cryptocurrency', 'timeframe'],
+			properties: {
+				cryptocurrency: { type: 'string', minLength: 1 },
+				timeframe: { type: 'string', enum: TIMEFRAMES }
+			}
+		}
+	},
+	{
+		method: 'get', path: '/signals/stats', tag: 'Signals', messageType: 'get_stats',
+		summary: 'Signal counts, P&L and generator state'
+	},
+	{
+		method: 'get', path: '/signals/decisions', tag: 'Signals', messageType: 'get_signal_decisions',
+		summary: 'How each paper account acted on each signal',
+		query: {
+			accountId: { type: 'string' },
+			signalId: { type: 'integer' },
+			decision: { type: 'string' },
+			limit: limit(1000, 100)
+		}
+	},
+	{
+		method: 'get', path: '/signals/actions', tag: 'Signals', messageType: 'get_signal_actions',
+		summary: 'Telegram button presses per signal',
+		query: {
+			signalId: { type: 'integer' },
+			limit: limit(1000, 50)
+		}
+	},
+	{
+		method: 'get', path: '/config', tag: 'Configuration', messageType: 'get_config',
+		summary: 'All configuration values'
+	},
+	{
+		method: 'put', path: '/config/:key', tag: 'Configuration', messageType: 'update_config',
+		summary: 'Set one configuration value',
+		params: { key: { type: 'string', minLength: 1 } },
+		body: {
+			type: 'object',
+			required: ['value'],
+			properties: { value: { description: 'Any JSON value, objects and arrays are stored as JSON' } }
+		},
+		toPayload: ({ params, body }) => ({ key: params.key, value: body.value })
+	},
+	{
+		method: 'get', path: '/generator', tag: 'Signal Generator', messageType: 'get_signal_generator_status',
+		summary: 'Whether the signal generator is running'
+	},
+	{
+		method: 'post', path: '/generator/start', tag: 'Signal Generator', messageType: 'start_signal_generator',
+		summary: 'Start periodic analysis'
+	},
+	{
+		method: 'post', path: '/generator/stop', tag: 'Signal Generator', messageType: 'stop_signal_generator',
+		summary: 'Stop periodic analysis'
+	},
+	{
+		method: 'get', path: '/paper/accounts', tag: 'Paper Trading', messageType: 'get_paper_trading_accounts',
+		summary: 'Paper trading accounts with balances and equity'
+	},
+	{
+		method: 'get', path: '/paper/accounts/:accountId/equity', tag: 'Paper Trading', messageType: 'get_paper_trading_equity_history',
+		summary: 'Equity snapshots of an account',
+		params: { accountId: { type: 'string' } },
+		query: { from: dateTime, to: dateTime, limit: limit(10000) }
+	},
+	{
+		method: 'get', path: '/paper/accounts/:accountId/risk', tag: 'Paper Trading', messageType: 'get_risk_status',
+		summary: 'Risk limits and circuit breaker state of an account',
+		params: { accountId: { type: 'string' } }
+	},
+	{
+		method: 'get', path: '/paper/positions', tag: 'Paper Trading', messageType: 'get_paper_trading_positions',
+		summary: 'Open positions, of one account or all of them',
+		query: { accountId: { type: 'string' } }
+	},
+	{
+		method: 'get', path: '/paper/orders', tag: 'Paper Trading', messageType: 'get_paper_trading_orders',
+		summary: 'Orders, of one account or all of them, newest first',
+		query: { accountId: { type: 'string' }, limit: limit(1000) }
+	},
+	{
+		method: 'post', path: '/paper/orders', tag: 'Paper Trading', messageType: 'create_paper_trading_order', status: 201,
+		summary: 'Place a paper order',
+		body: {
+			type: 'object',
+			required: ['accountId', 'symbol', 'side', 'quantity'],
+			properties: {
+				accountId: { type: 'string', minLength: 1 },
+				symbol: { type: 'string', minLength: 1 },
+				side: { type: 'string', enum: ['BUY', 'SELL'] },
+				type: { type: 'string', enum: ORDER_TYPES, default: 'MARKET' },
+				quantity: { type: 'number', exclusiveMinimum: 0 },
+				price: { type: 'number', exclusiveMinimum: 0, description: 'Limit price; market orders fill at the current price when omitted' },
+				stopPrice: { type: 'number', exclusiveMinimum: 0 },
+				trailingPercent: { type: 'number', exclusiveMinimum: 0 },
+				stopLoss: { type: 'number', exclusiveMinimum: 0 },
+				takeProfit: { type: 'number', exclusiveMinimum: 0 }
+			}
+		},
+		toPayload: ({ body }) => ({ orderData: body })
+	},
+	{
+		method: 'delete', path: '/paper/orders/:orderId', tag: 'Paper Trading', messageType: 'cancel_paper_trading_order',
+		summary: 'Cancel a pending order',
+		params: { orderId: { type: 'string' } }
+	},
+	{
+		method: 'get', path: '/paper/trades', tag: 'Paper Trading', messageType: 'get_closed_trades',
+		summary: 'Closed round trips with their summary',
+		query: {
+			accountId: { type: 'string' },
+			symbol: { type: 'string' },
+			side: { type: 'string', enum: ['LONG', 'SHORT'] },
+			outcome: { type: 'string', enum: ['WIN', 'LOSS'] },
+			signalId: { type: 'integer' },
+			exitReason: { type: 'string' },
+			from: dateTime,
+			to: dateTime,
+			limit: limit(1000, 100)
+		}
+	},
+	{
+		method: 'post', path: '/paper/accounts/:accountId/telegram-link', tag: 'Paper Trading', messageType: 'create_telegram_link_code', status: 201,
+		summary: 'One-time code that links a Telegram user to the account with /link CODE',
+		params: { accountId: { type: 'string' } }
+	},
+	{
+		method: 'get', path: '/backtests', tag: 'Backtesting', messageType: 'get_backtest_results',
+		summary: 'Stored backtest runs and the one in progress',
+		query: { limit: limit(500, 50) }
+	},
+	{
+		method: 'post', path: '/backtests', tag: 'Backtesting', messageType: 'run_backtest', status: 202,
+		summary: 'Start a single-symbol backtest, progress is broadcast over WebSocket',
+		body: {
+			type: 'object',
+			required: ['cryptocurrency', 'timeframe', 'startDate', 'endDate'],
+			properties: { cryptocurrency: { type: 'string', minLength: 1 }, ...BACKTEST_CONFIG }
+		}
+	},
+	{
+		method: 'post', path: '/backtests/portfolio', tag: 'Backtesting', messageType: 'run_portfolio_backtest', status: 202,
+		summary: 'Start a multi-symbol backtest with shared cash',
+		body: {
+			type: 'object',
+			required: ['timeframe', 'startDate', 'endDate'],
+			properties: {
+				symbols: { type: 'array', items: { type: 'string' }, description: 'Defaults to the configured cryptocurrencies' },
+				accountId: { type: 'string', description: 'Take sizing and risk limits from this paper account' },
+				sizing: { type: 'object' },
+				riskLimits: { type: 'object' },
+				...BACKTEST_CONFIG
+			}
+		}
+	},
+	{
+		method: 'get', path: '/backtests/:id', tag: 'Backtesting', messageType: 'get_backtest_detail',
+		summary: 'A stored backtest with its trades and equity curve',
+		params: { id: { type: 'string' } }
+	}
+];
+
+// Query strings and path parameters arrive as text
+function coerce(schema, value) {
+	if (typeof value !== 'string') {
+		return value; // Repeated query keys arrive as arrays and fail validation
+	}
+	if (schema.type === 'integer' || schema.type === 'number') {
+		return value.trim() === '' ? NaN : Number(value);
+	}
+	if (schema.type === 'boolean') {
+		return value === 'true' ? true : value === 'false' ? false : value;
+	}
+	return value;
+}
+
+// The subset of JSON Schema the route table uses
+function validateValue(schema, value, name) {
+	const errors = [];
+	const typeMatches = {
+		string: () => typeof value === 'string',
+		number: () => typeof value === 'number' && Number.isFinite(value),
+		integer: () => Number.isInteger(value),
+		boolean: () => typeof value === 'boolean',
+		array: () => Array.isArray(value),
+		object: () => typeof value === 'object' && value !== null && !Array.isArray(value)
+	};
+
+	if (schema.type && !typeMatches[schema.type]()) {
+		return [`${name} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`${name} must be one of ${schema.enum.join(', ')}`);
+	}
+	if (schema.minLength !== undefined && value.length < schema.minLength) {
+		errors.push(`${name} must not be empty`);
+	}
+	if (schema.minimum !== undefined && value < schema.minimum) {
+		errors.push(`${name} must be at least ${schema.minimum}`);
+	}
+	if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+		errors.push(`${name} must be greater than ${schema.exclusiveMinimum}`);
+	}
+	if (schema.maximum !== undefined && value > schema.maximum) {
+		errors.push(`${name} must be at most ${schema.maximum}`);
+	}
+	if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+		errors.push(`${name} must be a date`);
+	}
+	if (schema.type === 'array' && schema.items) {
+		value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${name}[${index}]`)));
+	}
+	if (schema.type === 'object') {
+		(schema.required || []).filter(key => value[key] === undefined).forEach(key => errors.push(`${name}.${key} is required`));
+		Object.entries(schema.properties || {}).forEach(([key, property]) => {
+			if (value[key] !== undefined) {
+				errors.push(...validateValue(property, value[key], `${name}.${key}`));
+			}
+		});
+	}
+	return errors;
+}
+
+// Parameters as the handler sees them: coerced, with defaults, unknown query keys dropped
+function readParameters(schemas = {}, source, location, errors) {
+	const values = {};
+	Object.entries(schemas).forEach(([name, schema]) => {
+		if (source[name] === undefined) {
+			if (schema.default !== undefined) values[name] = schema.default;
+			return;
+		}
+		const value = coerce(schema, source[name]);
+		errors.push(...validateValue(schema, value, `${location}.${name}`));
+		values[name] = value;
+	});
+	return values;
+}
+
+// Status codes for handler errors; the WebSocket protocol only carries the message
+function errorStatus(message = '') {
+	if (/not found/i.test(message)) return 404;
+	if (/already running/i.test(message)) return 409;
+	return 400;
+}
+
+class RestApi {
+	// dispatch(type, payload) resolves with the WebSocket reply, { type, data }, or null
+	constructor({ dispatch }) {
+		this.dispatch = dispatch;
+		this.router = this.createRouter();
+	}
+
+	createRouter() {
+		const router = express.Router();
+
+		router.get('/openapi.json', (req, res) => {
+			res.json(this.getOpenApiDocument());
+		});
+
+		RestApi.ROUTES.forEach(route => {
+			router[route.method](route.path, (req, res, next) => {
+				this.handle(route, req, res).catch(next);
+			});
+		});
+
+		router.use((req, res) => {
+			res.status(404).json({ error: `No API route for ${req.method} ${req.baseUrl}${req.path}` });
+		});
+
+		return router;
+	}
+
+	async handle(route, req, res) {
+		const errors = [];
+		const params = readParameters(route.params, req.params, 'path', errors);
+		const query = readParameters(route.query, req.query, 'query', errors);
+		const body = route.body ? req.body : undefined;
+		if (route.body) {
+			errors.push(...validateValue(route.body, body, 'body'));
+		}
+		if (errors.length > 0) {
+			res.status(400).json({ error: 'Invalid request', details: errors });
+			return;
+		}
+
+		const payload = route.toPayload
+			? route.toPayload({ params, query, body })
+			: { ...body, ...query, ...params };
+		const reply = await this.dispatch(route.messageType, payload);
+
+		if (!reply) {
+			res.status(204).end();
+		} else if (reply.type === 'error') {
+			res.status(errorStatus(reply.data?.message)).json({ error: reply.data?.message || 'Request failed' });
+		} else {
+			res.status(route.status || 200).json(reply.data);
+		}
+	}
+
+	getOpenApiDocument() {
+		const paths = {};
+		const errorResponse = (description) => ({
+			description,
+			content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+		});
+
+		RestApi.ROUTES.forEach(route => {
+			const path = `/api/v1${route.path.replace(/:(\w+)/g, '{$1}')}`;
+			const parameters = [
+				...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+				...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema }))
+			];
+			const status = String(route.status || 200);
+
+			paths[path] = paths[path] || {};
+			paths[path][route.method] = {
+				operationId: route.messageType,
+				summary: route.summary,
+				tags: [route.tag],
+				...(parameters.length > 0 && { parameters }),
+				...(route.body && {
+					requestBody: { required: true, content: { 'application/json': { schema: route.body } } }
+				}),
+				responses: {
+					[status]: {
+						description: `Same data as the ${route.messageType} WebSocket reply`,
+						content: { 'application/json': { schema: {} } }
+					},
+					400: errorResponse('Invalid request or rejected by the handler'),
+					404: errorResponse('Not found')
+				}
+			};
+		});
+
+		return {
+			openapi: '3.0.3',
+			info: {
+				title: 'Signal Crypto Bot API',
+				version,
+				description: 'REST access to the operations of the WebSocket protocol. Progress of backtests and generated signals is only broadcast over WebSocket.'
+			},
+			servers: [{ url: '/' }],
+			paths,
+			components: {
+				schemas: {
+					Error: {
+						type: 'object',
+						required: ['error'],
+						properties: {
+							error: { type: 'string' },
+							details: { type: 'array', items: { type: 'string' } }
+						}
+					}
+				}
+			}
+		};
+	}
+}
+
+RestApi.ROUTES = ROUTES;
+
+module.exports = RestApi;
@@ -0,0 +1,228 @@
+const RISK_LIMITS_SETTING_KEY = 'risk_limits';
+const RISK_STATE_SETTING_KEY = 'risk_state';
+
+// Every limit is off (null) until configured for the account
+const DEFAULT_RISK_LIMITS = {
+	maxSymbolExposurePercent: null, // notional in one symbol, % of equity
+	maxTotalExposurePercent: null, // notional across all positions, % of equity
+	maxOpenPositions: null,
+	maxDailyDrawdownPercent: null // equity drop from the day's start that pauses auto-trading
+};
+
+class RiskManager {
+	constructor(options = {}) {
+		this.db = options.db;
+		this.telegramBot = options.telegramBot || null;
+	}
+
+	// The Telegram bot is created after the paper trading service, so it is attached later
+	setTelegramBot(telegramBot) {
+		this.telegramBot = telegramBot || null;
+	}
+
+	normalizeLimits(limits = {}) {
+		const normalized = { ...DEFAULT_RISK_LIMITS };
+
+		for (const key of Object.keys(DEFAULT_RISK_LIMITS)) {
+			const value = limits[key];
+			if (value === undefined || value === null || value === '') continue;
+
+			const number = Number(value);
+			if (!Number.isFinite(number) || number <= 0) {
+				throw new Error(`Invalid risk limit ${key}: ${value}`);
+			}
+			normalized[key] = number;
+		}
+
+		return normalized;
+	}
+
+	// Limits and daily state live in user_settings, keyed by account id
+	readSetting(accountId, settingKey) {
+		try {
+			const settingValue = this.db.getUserSetting(accountId, settingKey);
+			return settingValue ? JSON.parse(settingValue) : null;
+		} catch (error) {
+			console.error(`❌ [RISK] Error reading ${settingKey} for account ${accountId}:`, error.message);
+			return null;
+		}
+	}
+
+	writeSetting(accountId, settingKey, value) {
+		try {
+			this.db.setUserSetting(accountId, settingKey, JSON.stringify(value));
+		} catch (error) {
+			console.error(`❌ [RISK] Error saving ${settingKey} for account ${accountId}:`, error.message);
+		}
+	}
+
+	getLimits(accountId) {
+		try {
+			return this.normalizeLimits(this.readSetting(accountId, RISK_LIMITS_SETTING_KEY) || {});
+		} catch (error) {
+			console.error(`❌ [RISK] Ignoring invalid risk limits for account ${accountId}:`, error.message);
+			return { ...DEFAULT_RISK_LIMITS };
+		}
+	}
+
+	setLimits(accountId, limits) {
+		if (!accountId) {
+			throw new Error('Account ID is required');
+		}
+
+		const normalized = this.normalizeLimits(limits);
+		this.db.setUserSetting(accountId, RISK_LIMITS_SETTING_KEY, JSON.stringify(normalized));
+		console.log(`🛡️ [RISK] Limits for account ${accountId} updated:`, normalized);
+
+		return normalized;
+	}
+
+	// Throw when an order would push the account past a limit
+	// Orders that only shrink a position are always allowed, so limits never trap an account in a trade
+	checkOrder(account, positions, symbol, side, quantity, price) {
+		const limits = this.getLimits(account.id);
+		const reason = this.getLimitViolation(account, positions, symbol, side, quantity, price, limits);
+
+		if (reason) {
+			this.notify('paper_trading_risk_blocked', account, `🛡️ Risk limit blocked ${side} ${quantity} ${symbol} on ${account.id}: ${reason}`, {
+				symbol,
+				side,
+				quantity,
+				price,
+				reason
+			});
+			throw new Error(`Risk limit exceeded: ${reason}`);
+		}
+	}
+
+	getLimitViolation(account, positions, symbol, side, quantity, price, limits) {
+		const equity = account.equity || account.balance || 0;
+		const exposureOf = position => position.quantity * (position.currentPrice || position.avgPrice);
+		const signedExposureOf = position => (position.side === 'SHORT' ? -1 : 1) * exposureOf(position);
+
+		const current = positions.find(position => position.symbol === symbol);
+		const before = current ? signedExposureOf(current) : 0;
+		const after = before + (side === 'BUY' ? 1 : -1) * quantity * price;
+
+		if (Math.abs(after) <= Math.abs(before)) {
+			return null;
+		}
+
+		if (limits.maxOpenPositions && !current && positions.length >= limits.maxOpenPositions) {
+			return `${positions.length} open positions, limit is ${limits.maxOpenPositions}`;
+		}
+
+		if (equity <= 0) {
+			return limits.maxSymbolExposurePercent || limits.maxTotalExposurePercent ? 'Account has no equity' : null;
+		}
+
+		const symbolPercent = Math.abs(after) / equity * 100;
+		if (limits.maxSymbolExposurePercent && symbolPercent > limits.maxSymbolExposurePercent) {
+			return `${symbol} exposure would be ${symbolPercent.toFixed(1)}% of equity, limit is ${limits.maxSymbolExposurePercent}%`;
+		}
+
+		const otherExposure = positions
+			.filter(position => position.symbol !== symbol)
+			.reduce((total, position) => total + exposureOf(position), 0);
+		const totalPercent = (otherExposure + Math.abs(after)) / equity * 100;
+		if (limits.maxTotalExposurePercent && totalPercent > limits.maxTotalExposurePercent) {
+			return `total exposure would be ${totalPercent.toFixed(1)}% of equity, limit is ${limits.maxTotalExposurePercent}%`;
+		}
+
+		return null;
+	}
+
+	// Today's starting equity and pause flag; a new UTC day starts a fresh state and lifts the pause
+	getDailyState(account) {
+		const today = new Date().toISOString().slice(0, 10);
+		const state = this.readSetting(account.id, RISK_STATE_SETTING_KEY);
+
+		if (state && state.date === today) {
+			return state;
+		}
+
+		const freshState = { date: today, startEquity: account.equity || account.balance || 0, pausedAt: null, pauseReason: null };
+		this.writeSetting(account.id, RISK_STATE_SETTING_KEY, freshState);
+		return freshState;
+	}
+
+	// Trip the circuit breaker once equity falls maxDailyDrawdownPercent below the day's start
+	checkDrawdown(account) {
+		const limits = this.getLimits(account.id);
+		const state = this.getDailyState(account);
+
+		if (!limits.maxDailyDrawdownPercent || state.pausedAt || !state.startEquity) {
+			return state;
+		}
+
+		const drawdownPercent = (state.startEquity - account.equity) / state.startEquity * 100;
+		if (drawdownPercent < limits.maxDailyDrawdownPercent) {
+			return state;
+		}
+
+		const reason = `Daily drawdown ${drawdownPercent.toFixed(2)}% reached the ${limits.maxDailyDrawdownPercent}% limit`;
+		const pausedState = { ...state, pausedAt: new Date().toISOString(), pauseReason: reason };
+		this.writeSetting(account.id, RISK_STATE_SETTING_KEY, pausedState);
+
+		console.log(`🚨 [RISK] Auto-trading paused for account ${account.id}: ${reason}`);
+		this.notify('paper_trading_circuit_breaker', account, `🚨 Auto-trading paused for ${account.id}: ${reason}`, {
+			startEquity: state.startEquity,
+			equity: account.equity,
+			drawdownPercent,
+			reason
+		});
+
+		return pausedState;
+	}
+
+	// Reason auto-trading is paused today, or null
+	getPauseReason(accountId) {
+		const today = new Date().toISOString().slice(0, 10);
+		const state = this.readSetting(accountId, RISK_STATE_SETTING_KEY);
+
+		return state && state.date === today && state.pausedAt ? state.pauseReason : null;
+	}
+
+	resumeAutoTrading(account) {
+		const state = this.getDailyState(account);
+		// Restart the drawdown from here, otherwise the next check would pause the account again
+		const resumedState = { ...state, startEquity: account.equity || account.balance || 0, pausedAt: null, pauseReason: null };
+		this.writeSetting(account.id, RISK_STATE_SETTING_KEY, resumedState);
+
+		console.log(`▶️ [RISK] Auto-trading resumed for account ${account.id}`);
+		return resumedState;
+	}
+
+	getStatus(account) {
+		return {
+			accountId: account.id,
+			limits: this.getLimits(account.id),
+			state: this.getDailyState(account)
+		};
+	}
+
+	// Risk events go to the dashboard over WebSocket and to Telegram chats
+	notify(type, account, message, details = {}) {
+		if (global.serverInstance && global.serverInstance.broadcast) {
+			global.serverInstance.broadcast({
+				type,
+				data: {
+					accountId: account.id,
+					...details,
+					timestamp: new Date().toISOString(),
+					message
+				}
+			});
+		}
+
+		if (this.telegramBot && this.telegramBot.sendAlert) {
+			this.telegramBot.sendAlert(message).catch(error => {
+				console.error('❌ [RISK] Error sending Telegram alert:', error);
+			});
+		}
+	}
+}
+
+RiskManager.DEFAULT_LIMITS = DEFAULT_RISK_LIMITS;
+
+module.exports = RiskManager;
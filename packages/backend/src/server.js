@@ -12,6 +12,15 @@ const CryptoBotDatabase = require('@signal-crypto-bot/database');
 const SignalGenerator = require('./signal-generator');
 const _CryptoSignalBot = require('./telegram-bot');
 const PaperTradingService = require('./paper-trading-service');
+const BacktestingService = require('./backtesting-service');
+const PortfolioBacktester = require('./portfolio-backtester');
+const StrategyOptimizer = require('./strategy-optimizer');
+const ReconciliationService = require('./reconciliation-service');
+const HealthService = require('./health-service');
+const RestApi = require('./rest-api');
+const TelegramWebhook = require('./telegram-webhook');
+const { metrics } = require('./metrics');
+const { v4: uuidv4 } = require('uuid');
 
 class CryptoBotServer {
 	constructor() {
@@ -20,6 +29,14 @@ class CryptoBotServer {
 		this.signalGenerator = null;
 		this.telegramBot = null;
 		this.paperTradingService = null;
+		this.backtestingService = null;
+		this.activeBacktest = null; // { runId, config } while a run is in progress
+		this.strategyOptimizer = null;
+		this.activeOptimization = null; // { runId, config } while a sweep is in progress
+		this.reconciliationService = null;
+		this.activeReconciliation = null; // { runId, config } while a paper account replay is in progress
+		this.healthService = null;
+		this.restApi = null;
 		this.port = process.env.PORT || 3001;
 		this.wss = null;
 		this.clients = new Set();
@@ -78,9 +95,26 @@ class CryptoBotServer {
 		try {
 			// Database is auto-initialized on creation
 
+			// Initialize paper trading service first so the signal generator shares it
+			this.paperTradingService = new PaperTradingService({
+				db: this.db,
+				binance: {
+					apiKey: process.env.BINANCE_API_KEY,
+					apiSecret: process.env.BINANCE_API_SECRET,
+					useSandbox: true
+				},
+				openai: {
+					apiKey: process.env.OPENAI_API_KEY
+				}
+			});
+
+			// Watch open positions for stop-loss / take-profit
+			this.paperTradingService.startPriceMonitor();
+
 			// Initialize signal generator with existing database and paper trading service instances
 			this.signalGenerator = new SignalGenerator({
 				telegramToken: process.env.TELEGRAM_BOT_TOKEN,
+				telegram: this.getTelegramOptions(),
 				binance: {
 					apiKey: process.env.BINANCE_API_KEY,
 					apiSecret: process.env.BINANCE_API_SECRET
@@ -92,18 +126,30 @@ class CryptoBotServer {
 				paperTradingService: this.paperTradingService // Pass the existing paper trading service instance
 			});
 
-			// Initialize paper trading service
-			this.paperTradingService = new PaperTradingService({
+			this.backtestingService = new BacktestingService({
 				db: this.db,
 				binance: {
 					apiKey: process.env.BINANCE_API_KEY,
-					apiSecret: process.env.BINANCE_API_SECRET,
-					useSandbox: true
+					apiSecret: process.env.BINANCE_API_SECRET
 				},
 				openai: {
 					apiKey: process.env.OPENAI_API_KEY
 				}
 			});
+			this.strategyOptimizer = new StrategyOptimizer({ backtesting: this.backtestingService });
+			this.portfolioBacktester = new PortfolioBacktester({ backtesting: this.backtestingService });
+			this.reconciliationService = new ReconciliationService({ portfolio: this.portfolioBacktester });
+
+			// Probes reuse the signal generator's clients, the ones live analysis depends on
+			this.healthService = new HealthService({
+				db: this.db,
+				binance: this.signalGenerator.binance,
+				openai: this.signalGenerator.openai,
+				telegramBot: this.signalGenerator.telegramBot
+			});
+
+			// Risk alerts go out through the signal generator's Telegram bot
+			this.paperTradingService.riskManager.setTelegramBot(this.signalGenerator.telegramBot);
 
 			// Initialize Telegram bot (temporarily disabled for testing)
 			console.log('Telegram bot temporarily disabled for testing');
@@ -114,25 +160,95 @@ class CryptoBotServer {
 		}
 	}
 
-	// Setup API routes - ONLY health check endpoint
+	// TELEGRAM_MODE picks how the bot receives updates: polling (default) or webhook, where
+	// Telegram posts them to this app. Webhook mode needs TELEGRAM_WEBHOOK_SECRET, and
+	// TELEGRAM_WEBHOOK_URL (the public base URL) to register the webhook on startup.
+	getTelegramOptions() {
+		const mode = (process.env.TELEGRAM_MODE || 'polling').toLowerCase();
+		if (!TelegramWebhook.MODES.includes(mode)) {
+			throw new Error(`Unknown TELEGRAM_MODE "${mode}", use ${TelegramWebhook.MODES.join(' or ')}`);
+		}
+		if (mode === 'polling') {
+			return {};
+		}
+		return {
+			webhook: {
+				secretToken: process.env.TELEGRAM_WEBHOOK_SECRET,
+				url: process.env.TELEGRAM_WEBHOOK_URL || null
+			}
+		};
+	}
+
+	// Setup HTTP routes - health checks, Prometheus metrics and the versioned REST API
 	setupRoutes() {
-		// Health check endpoint (kept for external monitoring)
+		// Kept for external monitoring that predates the health endpoints
 		this.app.get('/api/status', (req, res) => {
 			res.json({
-				status: 'ok',
-				timestamp: new Date().toISOString(),
-				version: '1.0.0',
+				...this.healthService.getLiveness(),
 				environment: process.env.NODE_ENV || 'development'
 			});
 		});
 
-		// All other communication is now handled via WebSocket
-		// REST API endpoints have been removed in favor of WebSocket communication
+		// Liveness: the process answers, used by the Docker healthcheck
+		this.app.get('/api/health/live', (req, res) => {
+			res.json(this.healthService.getLiveness());
+		});
+
+		// Readiness: per-dependency probes, 503 while a critical one is down.
+		// ?refresh=true skips the cached results.
+		this.app.get('/api/health/ready', async (req, res, next) => {
+			try {
+				const readiness = await this.healthService.getReadiness({ refresh: req.query.refresh === 'true' });
+				res.status(readiness.status === 'not_ready' ? 503 : 200).json(readiness);
+			} catch (error) {
+				next(error);
+			}
+		});
+
+		// Prometheus scrape target, see monitoring/prometheus.yml
+		this.app.get('/metrics', async (req, res, next) => {
+			try {
+				res.set('Content-Type', metrics.contentType);
+				res.end(await metrics.render());
+			} catch (error) {
+				next(error);
+			}
+		});
+
+		// REST for scripts and external tools, answered by the WebSocket message handlers.
+		// The frontend keeps using WebSocket for requests and live updates.
+		this.restApi = new RestApi({ dispatch: (type, payload) => this.dispatchMessage(type, payload) });
+		this.app.use('/api/v1', this.restApi.router);
+
+		// Telegram updates in webhook mode, kept outside /api so the rate limiter never drops them
+		const telegramWebhook = this.signalGenerator?.telegramBot?.webhook;
+		if (telegramWebhook) {
+			this.app.use(telegramWebhook.router);
+		}
+	}
+
+	// Run one message through handleWebSocketMessage without a socket and resolve with the
+	// reply it would have sent, or null for message types that send none
+	async dispatchMessage(type, payload) {
+		let reply = null;
+		const channel = {
+			send: (message) => {
+				reply = JSON.parse(message);
+			}
+		};
+		await this.handleWebSocketMessage(channel, { type, payload });
+		return reply;
 	}
 
 	// Error handling middleware
 	setupErrorHandling() {
 		this.app.use((err, req, res, _next) => {
+			// Malformed JSON bodies are the client's fault
+			if (err.type === 'entity.parse.failed') {
+				res.status(400).json({ error: 'Request body is not valid JSON' });
+				return;
+			}
+
 			console.error(err.stack);
 			res.status(500).json({
 				error: 'Something went wrong!',
@@ -505,7 +621,7 @@ class CryptoBotServer {
 
 				case 'create_paper_trading_order':
 					const { orderData } = payload;
-					const orderResult = await this.paperTradingService.executeOrder(orderData);
+					const orderResult = await this.placePaperTradingOrder(orderData);
 					ws.send(JSON.stringify({
 						type: 'paper_trading_order_response',
 						data: orderResult,
@@ -513,6 +629,291 @@ class CryptoBotServer {
 					}));
 					break;
 
+				case 'cancel_paper_trading_order':
+					const cancelledOrder = await this.paperTradingService.cancelOrder(payload.orderId);
+					ws.send(JSON.stringify({
+						type: 'paper_trading_cancel_order_response',
+						data: cancelledOrder,
+						requestId
+					}));
+					break;
+
+				case 'set_paper_trading_short_selling':
+					const shortAccount = await this.paperTradingService.setShortSelling(payload.accountId, payload.enabled);
+					ws.send(JSON.stringify({
+						type: 'paper_trading_short_selling_response',
+						data: shortAccount,
+						requestId
+					}));
+					break;
+
+				case 'get_position_sizing':
+					const positionSizing = await this.signalGenerator.getPositionSizingSettings(payload.accountId);
+					ws.send(JSON.stringify({
+						type: 'position_sizing_response',
+						data: { accountId: payload.accountId, settings: positionSizing },
+						requestId
+					}));
+					break;
+
+				case 'set_position_sizing':
+					const updatedSizing = await this.signalGenerator.setPositionSizingSettings(payload.accountId, payload.settings);
+					ws.send(JSON.stringify({
+						type: 'position_sizing_response',
+						data: { accountId: payload.accountId, settings: updatedSizing },
+						requestId
+					}));
+					break;
+
+				case 'get_signal_subscription':
+					const subscription = await this.signalGenerator.getSignalSubscription(payload.accountId);
+					ws.send(JSON.stringify({
+						type: 'signal_subscription_response',
+						data: { accountId: payload.accountId, subscription },
+						requestId
+					}));
+					break;
+
+				case 'set_signal_subscription':
+					const updatedSubscription = await this.signalGenerator.setSignalSubscription(payload.accountId, payload.subscription);
+					ws.send(JSON.stringify({
+						type: 'signal_subscription_response',
+						data: { accountId: payload.accountId, subscription: updatedSubscription },
+						requestId
+					}));
+					break;
+
+				case 'get_signal_decisions':
+					const signalDecisions = this.signalGenerator.getSignalDecisions({
+						accountId: payload?.accountId,
+						signalId: payload?.signalId,
+						decision: payload?.decision,
+						limit: payload?.limit || 100
+					});
+					ws.send(JSON.stringify({
+						type: 'signal_decisions_response',
+						data: signalDecisions,
+						requestId
+					}));
+					break;
+
+				case 'get_signal_actions':
+					// Telegram button presses per signal, with the latest presses for a single signal
+					const actionsSignalId = payload?.signalId || null;
+					ws.send(JSON.stringify({
+						type: 'signal_actions_response',
+						data: {
+							summary: this.db.getSignalActionSummary({ signalId: actionsSignalId, limit: payload?.limit || 50 }),
+							actions: actionsSignalId ? this.db.getSignalActions({ signalId: actionsSignalId, limit: payload?.limit || 100 }) : []
+						},
+						requestId
+					}));
+					break;
+
+				case 'get_paper_trading_equity_history':
+					const equityHistory = this.paperTradingService.getEquityHistory(payload.accountId, {
+						from: payload.from,
+						to: payload.to,
+						limit: payload.limit
+					});
+					ws.send(JSON.stringify({
+						type: 'paper_trading_equity_history_response',
+						data: equityHistory,
+						requestId
+					}));
+					break;
+
+				case 'get_closed_trades':
+					const closedTrades = this.paperTradingService.getClosedTrades({
+						accountId: payload?.accountId,
+						symbol: payload?.symbol,
+						side: payload?.side,
+						outcome: payload?.outcome,
+						signalId: payload?.signalId,
+						exitReason: payload?.exitReason,
+						from: payload?.from,
+						to: payload?.to,
+						limit: payload?.limit || 100
+					});
+					ws.send(JSON.stringify({
+						type: 'closed_trades_response',
+						data: closedTrades,
+						requestId
+					}));
+					break;
+
+				case 'run_backtest':
+					// Runs in the background; progress and the result arrive as backtest_* broadcasts
+					if (this.activeBacktest) {
+						throw new Error(`A backtest is already running (${this.activeBacktest.runId})`);
+					}
+					const backtestConfig = this.backtestingService.validateConfig(payload);
+					const runId = `backtest_${uuidv4()}`;
+					this.activeBacktest = { runId, config: backtestConfig };
+					ws.send(JSON.stringify({
+						type: 'backtest_run_response',
+						data: { runId, status: 'RUNNING', config: backtestConfig },
+						requestId
+					}));
+					this.runBacktestJob(runId, backtestConfig);
+					break;
+
+				case 'run_portfolio_backtest':
+					// Same lifecycle and backtest_* broadcasts as run_backtest, over a basket of symbols
+					if (this.activeBacktest) {
+						throw new Error(`A backtest is already running (${this.activeBacktest.runId})`);
+					}
+					const portfolioConfig = this.portfolioBacktester.validateConfig(payload);
+					const portfolioRunId = `backtest_${uuidv4()}`;
+					this.activeBacktest = { runId: portfolioRunId, config: portfolioConfig };
+					ws.send(JSON.stringify({
+						type: 'portfolio_backtest_run_response',
+						data: { runId: portfolioRunId, status: 'RUNNING', config: portfolioConfig },
+						requestId
+					}));
+					this.runBacktestJob(portfolioRunId, portfolioConfig);
+					break;
+
+				case 'get_backtest_results':
+					const backtestResults = await this.backtestingService.getBacktestResults(payload?.limit || 50);
+					ws.send(JSON.stringify({
+						type: 'backtest_results_response',
+						data: { runs: backtestResults, activeRun: this.activeBacktest },
+						requestId
+					}));
+					break;
+
+				case 'get_backtest_detail':
+					const backtestDetail = await this.backtestingService.getBacktestDetail(payload.id);
+					ws.send(JSON.stringify({
+						type: 'backtest_detail_response',
+						data: backtestDetail,
+						requestId
+					}));
+					break;
+
+				case 'run_optimization':
+					// Runs in the background like backtests; results arrive as optimization_* broadcasts
+					if (this.activeOptimization) {
+						throw new Error(`An optimization is already running (${this.activeOptimization.runId})`);
+					}
+					const optimizationConfig = this.strategyOptimizer.validateConfig(payload);
+					const optimizationRunId = `optimization_job_${uuidv4()}`;
+					this.activeOptimization = { runId: optimizationRunId, config: optimizationConfig };
+					ws.send(JSON.stringify({
+						type: 'optimization_run_response',
+						data: { runId: optimizationRunId, status: 'RUNNING', config: optimizationConfig },
+						requestId
+					}));
+					this.runOptimizationJob(optimizationRunId, optimizationConfig);
+					break;
+
+				case 'get_optimization_runs':
+					const optimizationRuns = this.strategyOptimizer.getOptimizationRuns(payload?.limit || 20);
+					ws.send(JSON.stringify({
+						type: 'optimization_runs_response',
+						data: { runs: optimizationRuns, activeRun: this.activeOptimization },
+						requestId
+					}));
+					break;
+
+				case 'get_optimization_leaderboard':
+					const leaderboard = this.strategyOptimizer.getLeaderboard(payload.runId, payload.limit || 20);
+					ws.send(JSON.stringify({
+						type: 'optimization_leaderboard_response',
+						data: leaderboard,
+						requestId
+					}));
+					break;
+
+				case 'run_reconciliation':
+					// Replays a paper account's window in the background; the report arrives as reconciliation_* broadcasts
+					if (this.activeReconciliation) {
+						throw new Error(`A reconciliation is already running (${this.activeReconciliation.runId})`);
+					}
+					const reconciliationConfig = this.reconciliationService.validateConfig(payload);
+					const reconciliationRunId = `reconciliation_job_${uuidv4()}`;
+					this.activeReconciliation = { runId: reconciliationRunId, config: reconciliationConfig };
+					ws.send(JSON.stringify({
+						type: 'reconciliation_run_response',
+						data: { runId: reconciliationRunId, status: 'RUNNING', config: reconciliationConfig },
+						requestId
+					}));
+					this.runReconciliationJob(reconciliationRunId, reconciliationConfig);
+					break;
+
+				case 'get_reconciliation_reports':
+					const reconciliationReports = this.reconciliationService.getReports(payload?.accountId || null, payload?.limit || 20);
+					ws.send(JSON.stringify({
+						type: 'reconciliation_reports_response',
+						data: { reports: reconciliationReports, activeRun: this.activeReconciliation },
+						requestId
+					}));
+					break;
+
+				case 'get_reconciliation_report':
+					ws.send(JSON.stringify({
+						type: 'reconciliation_report_response',
+						data: this.reconciliationService.getReport(payload.id),
+						requestId
+					}));
+					break;
+
+				case 'get_risk_status':
+					const riskAccount = await this.paperTradingService.getAccount(payload.accountId);
+					if (!riskAccount) {
+						throw new Error('Account not found');
+					}
+					ws.send(JSON.stringify({
+						type: 'risk_status_response',
+						data: this.paperTradingService.riskManager.getStatus(riskAccount),
+						requestId
+					}));
+					break;
+
+				case 'set_risk_limits':
+					const limitsAccount = await this.paperTradingService.getAccount(payload.accountId);
+					if (!limitsAccount) {
+						throw new Error('Account not found');
+					}
+					this.paperTradingService.riskManager.setLimits(limitsAccount.id, payload.limits);
+					ws.send(JSON.stringify({
+						type: 'risk_status_response',
+						data: this.paperTradingService.riskManager.getStatus(limitsAccount),
+						requestId
+					}));
+					break;
+
+				case 'resume_auto_trading':
+					const pausedAccount = await this.paperTradingService.getAccount(payload.accountId);
+					if (!pausedAccount) {
+						throw new Error('Account not found');
+					}
+					this.paperTradingService.riskManager.resumeAutoTrading(pausedAccount);
+					ws.send(JSON.stringify({
+						type: 'risk_status_response',
+						data: this.paperTradingService.riskManager.getStatus(pausedAccount),
+						requestId
+					}));
+					break;
+
+				case 'create_telegram_link_code':
+					// One-time code the account's user sends to the bot as /link CODE
+					const telegramTrading = this.signalGenerator?.telegramBot?.trading;
+					if (!telegramTrading) {
+						throw new Error('Telegram bot is not configured');
+					}
+					const linkAccount = await this.paperTradingService.getAccount(payload?.accountId);
+					if (!linkAccount) {
+						throw new Error('Account not found');
+					}
+					ws.send(JSON.stringify({
+						type: 'telegram_link_code_response',
+						data: { accountId: linkAccount.id, userId: linkAccount.userId, ...telegramTrading.createLinkCode({ userId: linkAccount.userId, accountId: linkAccount.id }) },
+						requestId
+					}));
+					break;
+
 				case 'get_user_setting':
 					const { userId: settingUserId, settingKey } = payload;
 					try {
@@ -617,6 +1018,163 @@ class CryptoBotServer {
 		}
 	}
 
+	// Route a create_paper_trading_order request to the matching PaperTradingService method
+	async placePaperTradingOrder(orderData) {
+		const { accountId, symbol, side, quantity, price } = orderData;
+		const options = { stopLoss: orderData.stopLoss, takeProfit: orderData.takeProfit };
+
+		switch (orderData.type) {
+			case 'LIMIT':
+				return this.paperTradingService.placeLimitOrder(accountId, symbol, side, quantity, price, options);
+			case 'STOP':
+			case 'STOP_LIMIT':
+				return this.paperTradingService.placeStopOrder(accountId, symbol, side, quantity, orderData.stopPrice, {
+					...options,
+					type: orderData.type,
+					limitPrice: price
+				});
+			case 'TRAILING_STOP':
+				return this.paperTradingService.placeTrailingStopOrder(accountId, symbol, side, quantity, orderData.trailingPercent, options);
+			case 'MARKET':
+			case undefined:
+				return this.paperTradingService.placeMarketOrder(accountId, symbol, side, quantity, price, options);
+			default:
+				throw new Error(`Unsupported order type: ${orderData.type}`);
+		}
+	}
+
+	// Run a single-symbol or portfolio backtest and broadcast its progress, result or failure
+	async runBacktestJob(runId, config) {
+		const label = `${config.symbols ? config.symbols.join('/') : config.cryptocurrency} ${config.timeframe} (${config.strategy})`;
+		const runner = config.symbols ? this.portfolioBacktester : this.backtestingService;
+
+		try {
+			const results = await runner.runBacktest(config, (progress) => {
+				this.broadcast({
+					type: 'backtest_progress',
+					data: {
+						runId,
+						...progress,
+						timestamp: new Date().toISOString(),
+						message: `Backtest ${label}: ${progress.percent.toFixed(0)}%`
+					}
+				});
+			});
+
+			this.broadcast({
+				type: 'backtest_completed',
+				data: {
+					runId,
+					resultId: results.id,
+					totalReturn: results.totalReturn,
+					totalTrades: results.totalTrades,
+					timestamp: new Date().toISOString(),
+					message: `✅ Backtest ${label} finished: ${results.totalReturn.toFixed(2)}% over ${results.totalTrades} trades`
+				}
+			});
+		} catch (error) {
+			console.error(`❌ [BACKTEST] Run ${runId} failed:`, error);
+			this.broadcast({
+				type: 'backtest_failed',
+				data: {
+					runId,
+					error: error.message,
+					timestamp: new Date().toISOString(),
+					message: `❌ Backtest ${label} failed: ${error.message}`
+				}
+			});
+		} finally {
+			this.activeBacktest = null;
+		}
+	}
+
+	// Run a parameter sweep and broadcast its progress, leaderboard winner or failure
+	async runOptimizationJob(runId, config) {
+		const label = `${config.cryptocurrency} ${config.timeframe} (${config.method}, ${config.objective})`;
+
+		try {
+			const result = await this.strategyOptimizer.optimize(config, (progress) => {
+				this.broadcast({
+					type: 'optimization_progress',
+					data: {
+						runId,
+						...progress,
+						timestamp: new Date().toISOString(),
+						message: `Optimization ${label}: ${progress.percent.toFixed(0)}%`
+					}
+				});
+			});
+
+			this.broadcast({
+				type: 'optimization_completed',
+				data: {
+					runId,
+					optimizationId: result.id,
+					bestParams: result.bestParams,
+					timestamp: new Date().toISOString(),
+					message: `✅ Optimization ${label} finished, ${result.combinations} parameter sets ranked`
+				}
+			});
+		} catch (error) {
+			console.error(`❌ [OPTIMIZER] Run ${runId} failed:`, error);
+			this.broadcast({
+				type: 'optimization_failed',
+				data: {
+					runId,
+					error: error.message,
+					timestamp: new Date().toISOString(),
+					message: `❌ Optimization ${label} failed: ${error.message}`
+				}
+			});
+		} finally {
+			this.activeOptimization = null;
+		}
+	}
+
+	// Replay a paper account's trades and broadcast the reconciliation report summary or failure
+	async runReconciliationJob(runId, config) {
+		const label = `account ${config.accountId}`;
+
+		try {
+			const report = await this.reconciliationService.reconcile(config, (progress) => {
+				this.broadcast({
+					type: 'reconciliation_progress',
+					data: {
+						runId,
+						...progress,
+						timestamp: new Date().toISOString(),
+						message: `Reconciliation ${label}: ${progress.percent.toFixed(0)}%`
+					}
+				});
+			});
+
+			const { matched, paperTrades, divergentTrades } = report.summary;
+			this.broadcast({
+				type: 'reconciliation_completed',
+				data: {
+					runId,
+					reportId: report.id,
+					summary: report.summary,
+					timestamp: new Date().toISOString(),
+					message: `✅ Reconciliation ${label} finished: ${matched} of ${paperTrades} paper trades matched, ${divergentTrades} divergent`
+				}
+			});
+		} catch (error) {
+			console.error(`❌ [RECONCILE] Run ${runId} failed:`, error);
+			this.broadcast({
+				type: 'reconciliation_failed',
+				data: {
+					runId,
+					error: error.message,
+					timestamp: new Date().toISOString(),
+					message: `❌ Reconciliation ${label} failed: ${error.message}`
+				}
+			});
+		} finally {
+			this.activeReconciliation = null;
+		}
+	}
+
 	// Get analytics data
 	async getAnalyticsData() {
 		const signals = this.db.getSignals(1000); // Use getSignals instead of getAllSignals
@@ -804,6 +1362,13 @@ class CryptoBotServer {
 		});
 	}
 
+	// Gauges read at scrape time; default process metrics are collected once per process
+	setupMetrics() {
+		metrics.trackWebSocketClients(() => this.clients.size);
+		metrics.trackPaperAccounts(() => this.db.getPaperTradingAccounts());
+		metrics.collectDefaultMetrics();
+	}
+
 	// Start server
 	async start() {
 		try {
@@ -814,6 +1379,7 @@ class CryptoBotServer {
 			await this.initServices();
 			this.setupRoutes();
 			this.setupErrorHandling();
+			this.setupMetrics();
 
 			this.server = this.app.listen(this.port, () => {
 				console.log(`🚀 Crypto Signal Bot server running on port ${this.port}`);
@@ -823,6 +1389,11 @@ class CryptoBotServer {
 
 			// Initialize WebSocket after server starts
 			this.initWebSocket();
+
+			const telegramWebhook = this.signalGenerator?.telegramBot?.webhook;
+			if (telegramWebhook) {
+				telegramWebhook.register().catch(error => console.error('Failed to register Telegram webhook:', error.message));
+			}
 		} catch (error) {
 			console.error('Failed to start server:', error);
 			// Don't call process.exit in tests
@@ -841,6 +1412,10 @@ class CryptoBotServer {
 			this.signalGenerator.stop();
 		}
 
+		if (this.paperTradingService) {
+			this.paperTradingService.stopPriceMonitor();
+		}
+
 		if (this.telegramBot) {
 			this.telegramBot.stop();
 		}
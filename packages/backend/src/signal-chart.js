@@ -0,0 +1,213 @@
+const { SMA, RSI, BollingerBands } = require('technicalindicators');
+const PngCanvas = require('./png-canvas');
+
+const COLORS = {
+	background: [255, 255, 255],
+	text: [33, 37, 41],
+	muted: [134, 142, 150],
+	grid: [233, 236, 239],
+	up: [38, 166, 91],
+	down: [214, 69, 65],
+	sma: [245, 159, 0],
+	band: [51, 102, 204],
+	bandFill: [231, 239, 250],
+	rsi: [126, 87, 194],
+	hold: [230, 175, 46]
+};
+
+const WIDTH = 800;
+const HEIGHT = 520;
+const PLOT_LEFT = 12;
+const PLOT_RIGHT = WIDTH - 84; // price labels to the right
+const PRICE_TOP = 52;
+const PRICE_BOTTOM = 372;
+const RSI_TOP = 396;
+const RSI_BOTTOM = 488;
+
+// Aligns an indicator series (which starts once its period is filled) with the candles
+const alignTo = (length, values) => Array.from({ length }, (_, i) => {
+	const index = i - (length - values.length);
+	return index >= 0 ? values[index] : null;
+});
+
+const formatPrice = (value) => {
+	if (value >= 1000) return value.toFixed(0);
+	if (value >= 1) return value.toFixed(2);
+	return value.toPrecision(4);
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toISOString().slice(5, 16).replace('T', ' ');
+
+// Server-side PNG chart of the candles around a signal: candlesticks with SMA and Bollinger
+// Band overlays, an RSI panel and the entry marker. Drawn on PngCanvas, so no charting
+// service or native module is involved.
+class SignalChart {
+	constructor({ binance }) {
+		this.binance = binance;
+	}
+
+	// Returns { png, low, high, last } for the signal's symbol and timeframe
+	async render(signal) {
+		const candles = await this.binance.getOHLCV(signal.cryptocurrency, signal.timeframe, SignalChart.CANDLES + SignalChart.WARMUP);
+		if (!candles || candles.length === 0) {
+			throw new Error(`No candles for ${signal.cryptocurrency}`);
+		}
+		return this.draw(signal, candles);
+	}
+
+	draw(signal, allCandles) {
+		const closes = allCandles.map(candle => candle.close);
+		const sma = alignTo(closes.length, SMA.calculate({ period: SignalChart.SMA_PERIOD, values: closes }));
+		const bands = alignTo(closes.length, BollingerBands.calculate({ period: SignalChart.BB_PERIOD, stdDev: SignalChart.BB_STD_DEV, values: closes }));
+		const rsi = alignTo(closes.length, RSI.calculate({ period: SignalChart.RSI_PERIOD, values: closes }));
+
+		// Indicators are computed over the warm-up candles too, only the window is drawn
+		const start = Math.max(0, allCandles.length - SignalChart.CANDLES);
+		const candles = allCandles.slice(start);
+		const visible = { sma: sma.slice(start), bands: bands.slice(start), rsi: rsi.slice(start) };
+
+		const entryPrice = signal.price || candles[candles.length - 1].close;
+		const entryIndex = this.findEntryIndex(candles, signal.createdAt);
+
+		const values = [
+			...candles.flatMap(candle => [candle.low, candle.high]),
+			...visible.bands.flatMap(band => (band ? [band.lower, band.upper] : [])),
+			entryPrice
+		];
+		const low = Math.min(...values);
+		const high = Math.max(...values);
+		const padding = (high - low) * 0.05 || high * 0.01;
+		const priceMin = low - padding;
+		const priceMax = high + padding;
+
+		const slot = (PLOT_RIGHT - PLOT_LEFT) / candles.length;
+		const xAt = (index) => PLOT_LEFT + slot * (index + 0.5);
+		const yAt = (price) => PRICE_BOTTOM - ((price - priceMin) / (priceMax - priceMin)) * (PRICE_BOTTOM - PRICE_TOP);
+		const rsiY = (value) => RSI_BOTTOM - (value / 100) * (RSI_BOTTOM - RSI_TOP);
+
+		const canvas = new PngCanvas(WIDTH, HEIGHT, COLORS.background);
+		const side = (signal.signalType || '').toLowerCase();
+		const sideColor = side === 'buy' ? COLORS.up : side === 'sell' ? COLORS.down : COLORS.hold;
+
+		// Title and legend
+		const title = `${signal.cryptocurrency} ${signal.timeframe}`;
+		const titleWidth = canvas.text(PLOT_LEFT, 12, title, COLORS.text, { scale: 2 });
+		canvas.text(PLOT_LEFT + titleWidth + 16, 12, `${side.toUpperCase()} ${signal.confidence ? `${(signal.confidence * 100).toFixed(0)}%` : ''}`, sideColor, { scale: 2 });
+		let legendX = PLOT_LEFT;
+		[[`SMA ${SignalChart.SMA_PERIOD}`, COLORS.sma], [`BB ${SignalChart.BB_PERIOD},${SignalChart.BB_STD_DEV}`, COLORS.band], [`ENTRY $${formatPrice(entryPrice)}`, sideColor]].forEach(([label, color]) => {
+			canvas.fillRect(legendX, 37, 10, 3, color);
+			legendX += 14 + canvas.text(legendX + 14, 35, label, COLORS.muted) + 16;
+		});
+
+		// Bollinger Band fill behind everything else
+		visible.bands.forEach((band, index) => {
+			if (!band) return;
+			canvas.fillRect(PLOT_LEFT + slot * index, yAt(band.upper), Math.ceil(slot), yAt(band.lower) - yAt(band.upper), COLORS.bandFill);
+		});
+
+		// Price grid and axis labels
+		for (let i = 0; i <= SignalChart.GRID_LINES; i++) {
+			const price = priceMin + ((priceMax - priceMin) * i) / SignalChart.GRID_LINES;
+			const y = yAt(price);
+			canvas.line(PLOT_LEFT, y, PLOT_RIGHT, y, COLORS.grid, { dash: [2, 3] });
+			canvas.text(PLOT_RIGHT + 8, y - 3, formatPrice(price), COLORS.muted);
+		}
+
+		// Candles
+		const bodyWidth = Math.max(1, Math.floor(slot * 0.6));
+		candles.forEach((candle, index) => {
+			const color = candle.close >= candle.open ? COLORS.up : COLORS.down;
+			const x = xAt(index);
+			canvas.line(x, yAt(candle.high), x, yAt(candle.low), color);
+			const top = yAt(Math.max(candle.open, candle.close));
+			const bottom = yAt(Math.min(candle.open, candle.close));
+			canvas.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top), color);
+		});
+
+		// Overlays
+		const series = (points) => points.map((value, index) => (value === null ? null : [xAt(index), value]));
+		const drawSeries = (points, color, options) => {
+			let run = [];
+			points.forEach(point => {
+				if (point) {
+					run.push(point);
+				} else if (run.length > 0) {
+					canvas.polyline(run, color, options);
+					run = [];
+				}
+			});
+			canvas.polyline(run, color, options);
+		};
+		drawSeries(series(visible.bands.map(band => (band ? yAt(band.upper) : null))), COLORS.band);
+		drawSeries(series(visible.bands.map(band => (band ? yAt(band.lower) : null))), COLORS.band);
+		drawSeries(series(visible.sma.map(value => (value === null ? null : yAt(value)))), COLORS.sma, { width: 2 });
+
+		// Entry: dashed line at the price, a triangle under (sell: over) the signal's candle and the price on the axis
+		const entryY = yAt(entryPrice);
+		canvas.line(PLOT_LEFT, entryY, PLOT_RIGHT, entryY, sideColor, { dash: [6, 4] });
+		if (entryIndex !== null) {
+			const x = xAt(entryIndex);
+			if (side === 'sell') {
+				canvas.triangle(x, yAt(candles[entryIndex].high) - 4, 7, sideColor, 'down');
+			} else {
+				canvas.triangle(x, yAt(candles[entryIndex].low) + 4, 7, sideColor, 'up');
+			}
+		}
+		canvas.fillRect(PLOT_RIGHT + 2, entryY - 7, WIDTH - PLOT_RIGHT - 4, 14, sideColor);
+		canvas.text(PLOT_RIGHT + 8, entryY - 3, formatPrice(entryPrice), COLORS.background);
+
+		// RSI panel
+		canvas.text(PLOT_LEFT, RSI_TOP - 14, `RSI ${SignalChart.RSI_PERIOD}`, COLORS.rsi);
+		canvas.line(PLOT_LEFT, RSI_TOP, PLOT_RIGHT, RSI_TOP, COLORS.grid);
+		canvas.line(PLOT_LEFT, RSI_BOTTOM, PLOT_RIGHT, RSI_BOTTOM, COLORS.grid);
+		[70, 30].forEach(level => {
+			canvas.line(PLOT_LEFT, rsiY(level), PLOT_RIGHT, rsiY(level), COLORS.muted, { dash: [3, 3] });
+			canvas.text(PLOT_RIGHT + 8, rsiY(level) - 3, String(level), COLORS.muted);
+		});
+		drawSeries(series(visible.rsi.map(value => (value === null ? null : rsiY(value)))), COLORS.rsi, { width: 2 });
+		const lastRsi = visible.rsi[visible.rsi.length - 1];
+		if (lastRsi !== null) {
+			canvas.text(PLOT_LEFT + 48, RSI_TOP - 14, lastRsi.toFixed(1), COLORS.rsi);
+		}
+
+		// Time range under the RSI panel
+		if (candles[0].timestamp) {
+			canvas.text(PLOT_LEFT, HEIGHT - 18, formatTime(candles[0].timestamp), COLORS.muted);
+			canvas.text(PLOT_RIGHT, HEIGHT - 18, `${formatTime(candles[candles.length - 1].timestamp)} UTC`, COLORS.muted, { align: 'right' });
+		}
+
+		const windowCloses = candles.map(candle => candle.close);
+		return {
+			png: canvas.toPNG(),
+			low: Math.min(...windowCloses),
+			high: Math.max(...windowCloses),
+			last: windowCloses[windowCloses.length - 1]
+		};
+	}
+
+	// The candle the signal was created in; live signals carry no createdAt and sit on the last one.
+	// Null when the signal is older than the window.
+	findEntryIndex(candles, createdAt) {
+		if (!createdAt) return candles.length - 1;
+		const time = new Date(createdAt).getTime();
+		if (Number.isNaN(time) || !candles[0].timestamp) return candles.length - 1;
+		if (time < candles[0].timestamp) return null;
+
+		let index = 0;
+		while (index + 1 < candles.length && candles[index + 1].timestamp <= time) {
+			index++;
+		}
+		return index;
+	}
+}
+
+SignalChart.CANDLES = 80;
+SignalChart.WARMUP = 20;
+SignalChart.SMA_PERIOD = 20;
+SignalChart.BB_PERIOD = 20;
+SignalChart.BB_STD_DEV = 2;
+SignalChart.RSI_PERIOD = 14;
+SignalChart.GRID_LINES = 5;
+SignalChart.COLORS = COLORS;
+
+module.exports = SignalChart;
@@ -3,6 +3,10 @@ const OpenAIService = require('./openai-service');
 const CryptoSignalBot = require('./telegram-bot');
 const CryptoBotDatabase = require('@signal-crypto-bot/database');
 const PaperTradingService = require('./paper-trading-service');
+const PositionSizingService = require('./position-sizing-service');
+const { metrics } = require('./metrics');
+
+const SIGNAL_SUBSCRIPTION_SETTING_KEY = 'signal_subscription';
 
 class SignalGenerator {
 	constructor(options = {}) {
@@ -14,7 +18,10 @@ class SignalGenerator {
 
 		this.binance = new BinanceService(binanceOptions);
 		this.openai = new OpenAIService(process.env.OPENAI_API_KEY, options.openai);
-		this.telegramBot = options.telegramToken ? new CryptoSignalBot(options.telegramToken, options.telegram) : null;
+		// Signal charts are drawn from this generator's Binance candles
+		this.telegramBot = options.telegramToken
+			? new CryptoSignalBot(options.telegramToken, { ...options.telegram, binance: this.binance })
+			: null;
 		this.db = options.db || new CryptoBotDatabase();
 
 		// Use existing Paper Trading Service if provided, otherwise create new one
@@ -24,6 +31,18 @@ class SignalGenerator {
 			openai: options.openai
 		});
 
+		// Trade the same paper accounts from Telegram
+		if (this.telegramBot) {
+			this.telegramBot.setPaperTradingService(this.paperTradingService, {
+				sizeOrder: (account, signal) => this.calculateOrderQuantity(account, signal)
+			});
+		}
+
+		this.positionSizing = new PositionSizingService({
+			binance: this.binance,
+			commission: this.paperTradingService.commission
+		});
+
 		// Ensure test accounts exist (async)
 		setTimeout(() => {
 			this.ensurePaperTradingAccounts();
@@ -143,6 +162,7 @@ class SignalGenerator {
 		// Reset stop flag for new analysis cycle
 		this.stopRequested = false;
 		this.currentAnalysis = true;
+		const endCycle = metrics.analysisCycleDuration.startTimer();
 
 		try {
 			const cryptocurrencies = this.db.getConfig('cryptocurrencies') || ['BTCUSDT', 'ETHUSDT'];
@@ -196,6 +216,7 @@ class SignalGenerator {
 		} catch (error) {
 			console.error('Error in analysis cycle:', error);
 		} finally {
+			endCycle();
 			this.currentAnalysis = null;
 		}
 	}
@@ -491,12 +512,13 @@ class SignalGenerator {
 			}
 
 			// Check if this exact signal was already executed (same ID)
-			if (signal.id) {
-				const signalIdKey = `signal_${signal.id}`;
+			const signalId = this.getSignalId(signal);
+			if (signalId) {
+				const signalIdKey = `signal_${signalId}`;
 				const lastExecutionTime = this.lastSignalTime.get(signalIdKey);
 
 				if (lastExecutionTime) {
-					console.log(`⏸️ [PAPER TRADING] Signal ${signal.id} was already executed, skipping...`);
+					console.log(`⏸️ [PAPER TRADING] Signal ${signalId} was already executed, skipping...`);
 					return { success: true, message: 'Signal already executed, skipping' };
 				}
 
@@ -509,47 +531,210 @@ class SignalGenerator {
 			console.log(`🔍 [PAPER TRADING] Fetching paper trading accounts...`);
 			console.log(`📋 [PAPER TRADING] Found ${accounts.length} accounts:`, accounts);
 
-			// Execute signal for each account
+			// Execute signal for each account that subscribes to it
+			const decisions = [];
 			for (const account of accounts) {
-				try {
-					console.log(`💰 [PAPER TRADING] Account ${account.id} balance: $${account.balance}, required: $${(account.balance * 0.25).toFixed(2)}`);
+				const decision = await this.executeSignalForAccount(account, signal);
+				decisions.push(decision);
+			}
 
-					// Calculate order quantity based on account balance and signal
-					const quantity = await this.calculateOrderQuantity(account, signal);
+			const taken = decisions.filter(decision => decision.decision === 'TAKEN');
+			const insufficient = decisions.filter(decision => decision.reason === 'Insufficient balance');
+			if (taken.length === 0 && insufficient.length > 0) {
+				return { success: false, error: 'Insufficient balance', decisions };
+			}
 
-					// Check if quantity is valid (greater than 0)
-					if (quantity <= 0) {
-						console.log(`⚠️ [PAPER TRADING] Insufficient balance for account ${account.id}`);
-						return { success: false, error: 'Insufficient balance' };
-					}
+			return { success: true, message: `Signal executed for ${taken.length} of ${accounts.length} accounts`, decisions };
 
-					// Get current price for the order
-					const currentPrice = await this.binance.getCurrentPrice(signal.cryptocurrency);
-					console.log(`🚀 [PAPER TRADING] Executing order for account ${account.id}: ${signal.signalType.toUpperCase()} ${quantity} ${signal.cryptocurrency} @ $${currentPrice}`);
+		} catch (error) {
+			console.error('Error executing signal in paper trading:', error);
+			return { success: false, error: error.message };
+		}
+	}
 
-					// Place market order
-					await this.paperTradingService.placeMarketOrder(
-						account.id,
-						signal.cryptocurrency,
-						signal.signalType.toUpperCase(),
-						quantity,
-						currentPrice
-					);
+	// Signals read back from the database carry id, live ones from OpenAIService.generateSignal carry signalId
+	getSignalId(signal) {
+		return signal.id ?? signal.signalId ?? null;
+	}
 
-				} catch (error) {
-					console.error(`Error executing signal for account ${account.id}:`, error);
-					if (error.message.includes('Insufficient balance')) {
-						return { success: false, error: 'Insufficient balance' };
-					}
-				}
+	// Take or skip a signal for one account, recording the decision either way
+	async executeSignalForAccount(account, signal) {
+		const side = signal.signalType.toUpperCase();
+		const decision = {
+			signalId: this.getSignalId(signal),
+			accountId: account.id,
+			symbol: signal.cryptocurrency,
+			timeframe: signal.timeframe,
+			signalType: side,
+			confidence: signal.confidence,
+			riskLevel: this.getSignalRiskLevel(signal)
+		};
+
+		try {
+			const pauseReason = this.paperTradingService.riskManager.getPauseReason(account.id);
+			if (pauseReason) {
+				console.log(`⏸️ [PAPER TRADING] Account ${account.id} skipped ${side} ${signal.cryptocurrency}: auto-trading paused`);
+				return this.recordSignalDecision({ ...decision, decision: 'SKIPPED', reason: `Auto-trading paused: ${pauseReason}` });
+			}
+
+			const subscription = await this.getSignalSubscription(account.id);
+			const skipReason = this.getSubscriptionSkipReason(subscription, signal);
+			if (skipReason) {
+				console.log(`⏸️ [PAPER TRADING] Account ${account.id} skipped ${side} ${signal.cryptocurrency}: ${skipReason}`);
+				return this.recordSignalDecision({ ...decision, decision: 'SKIPPED', reason: skipReason });
+			}
+
+			console.log(`💰 [PAPER TRADING] Account ${account.id} balance: $${account.balance}`);
+
+			// Calculate order quantity with the account's position sizing model
+			const quantity = await this.calculateOrderQuantity(account, signal);
+
+			// Check if quantity is valid (greater than 0)
+			if (quantity <= 0) {
+				console.log(`⚠️ [PAPER TRADING] Insufficient balance for account ${account.id}`);
+				return this.recordSignalDecision({ ...decision, decision: 'SKIPPED', reason: 'Insufficient balance' });
 			}
 
+			// Get current price for the order
+			const currentPrice = await this.binance.getCurrentPrice(signal.cryptocurrency);
+			console.log(`🚀 [PAPER TRADING] Executing order for account ${account.id}: ${side} ${quantity} ${signal.cryptocurrency} @ $${currentPrice}`);
+
+			// Place market order with the configured exit plan, linked to the signal for the trade journal
+			const order = await this.paperTradingService.placeMarketOrder(
+				account.id,
+				signal.cryptocurrency,
+				side,
+				quantity,
+				currentPrice,
+				{ ...this.calculateExitLevels(signal, side, currentPrice), signalId: decision.signalId }
+			);
+
+			return this.recordSignalDecision({
+				...decision,
+				decision: 'TAKEN',
+				reason: 'Matched subscription',
+				orderId: order ? order.id : null,
+				quantity
+			});
+
 		} catch (error) {
-			console.error('Error executing signal in paper trading:', error);
-			return { success: false, error: error.message };
+			console.error(`Error executing signal for account ${account.id}:`, error);
+			const reason = error.message.includes('Insufficient balance') ? 'Insufficient balance' : error.message;
+			return this.recordSignalDecision({ ...decision, decision: 'FAILED', reason });
 		}
+	}
 
-		return { success: true, message: 'Signal executed successfully' };
+	// AI signals carry risk_level inside the analysis, stored signals may carry it at the top level
+	getSignalRiskLevel(signal) {
+		const riskLevel = signal.analysis?.risk_level ?? signal.riskLevel ?? signal.risk_level;
+		return riskLevel ? String(riskLevel).toUpperCase() : null;
+	}
+
+	// Persist a decision to the log, a logging failure never blocks trading
+	recordSignalDecision(decision) {
+		try {
+			this.db.saveSignalDecision(decision);
+		} catch (error) {
+			console.error(`❌ [PAPER TRADING] Error recording signal decision for account ${decision.accountId}:`, error);
+		}
+		return decision;
+	}
+
+	// Signal subscriptions are stored per account in user_settings
+	// An empty list accepts every value, so an account without a subscription takes every signal
+	normalizeSignalSubscription(subscription = {}) {
+		const toList = (value, transform) => {
+			if (value === undefined || value === null || value === '') return [];
+			const list = Array.isArray(value) ? value : String(value).split(',');
+			return list.map(item => transform(String(item).trim())).filter(item => item.length > 0);
+		};
+
+		const minConfidence = Number(subscription.minConfidence ?? 0);
+		if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+			throw new Error('minConfidence must be between 0 and 1');
+		}
+
+		return {
+			symbols: toList(subscription.symbols, item => item.toUpperCase()),
+			timeframes: toList(subscription.timeframes, item => item),
+			minConfidence,
+			riskLevels: toList(subscription.riskLevels, item => item.toUpperCase())
+		};
+	}
+
+	async getSignalSubscription(accountId) {
+		const settingValue = accountId
+			? await this.paperTradingService.getUserSetting(accountId, SIGNAL_SUBSCRIPTION_SETTING_KEY)
+			: null;
+		if (!settingValue) {
+			return this.normalizeSignalSubscription();
+		}
+
+		try {
+			return this.normalizeSignalSubscription(JSON.parse(settingValue));
+		} catch (error) {
+			console.error(`❌ [PAPER TRADING] Ignoring invalid signal subscription for account ${accountId}:`, error.message);
+			return this.normalizeSignalSubscription();
+		}
+	}
+
+	async setSignalSubscription(accountId, subscription) {
+		if (!accountId) {
+			throw new Error('Account ID is required');
+		}
+
+		const normalized = this.normalizeSignalSubscription(subscription);
+		await this.paperTradingService.setUserSetting(accountId, SIGNAL_SUBSCRIPTION_SETTING_KEY, JSON.stringify(normalized));
+		console.log(`📬 [PAPER TRADING] Signal subscription for account ${accountId} updated:`, normalized);
+
+		return normalized;
+	}
+
+	// Reason the subscription rejects the signal, or null when the account should take it
+	getSubscriptionSkipReason(subscription, signal) {
+		const symbol = (signal.cryptocurrency || '').toUpperCase();
+		if (subscription.symbols.length > 0 && !subscription.symbols.includes(symbol)) {
+			return `Symbol ${symbol} not subscribed`;
+		}
+
+		if (subscription.timeframes.length > 0 && !subscription.timeframes.includes(signal.timeframe)) {
+			return `Timeframe ${signal.timeframe} not subscribed`;
+		}
+
+		const confidence = Number(signal.confidence) || 0;
+		if (confidence < subscription.minConfidence) {
+			return `Confidence ${(confidence * 100).toFixed(1)}% below minimum ${(subscription.minConfidence * 100).toFixed(1)}%`;
+		}
+
+		const riskLevel = this.getSignalRiskLevel(signal);
+		if (subscription.riskLevels.length > 0 && !subscription.riskLevels.includes(riskLevel)) {
+			return `Risk level ${riskLevel || 'unknown'} not allowed`;
+		}
+
+		return null;
+	}
+
+	// Decisions recorded for an account or signal, newest first
+	getSignalDecisions(filters = {}) {
+		return this.db.getSignalDecisions(filters);
+	}
+
+	// Stop-loss / take-profit for an order opened from a signal
+	// Explicit levels on the signal win, otherwise the configured percentages are applied to the entry price
+	// (mirrored for a SELL, which opens a SHORT when the account has no LONG to close)
+	calculateExitLevels(signal, side, price) {
+		if ((side !== 'BUY' && side !== 'SELL') || !price) {
+			return {};
+		}
+
+		const stopLossPercent = parseFloat(this.db.getConfig('stop_loss_percent'));
+		const takeProfitPercent = parseFloat(this.db.getConfig('take_profit_percent'));
+		const direction = side === 'BUY' ? 1 : -1;
+
+		return {
+			stopLoss: signal.stopLoss ?? (stopLossPercent > 0 ? price * (1 - direction * stopLossPercent / 100) : null),
+			takeProfit: signal.takeProfit ?? (takeProfitPercent > 0 ? price * (1 + direction * takeProfitPercent / 100) : null)
+		};
 	}
 
 	// Ensure Paper Trading accounts exist
@@ -582,11 +767,9 @@ class SignalGenerator {
 		}
 	}
 
-	// Calculate order quantity based on account balance and signal
+	// Calculate order quantity with the position sizing model configured for the account
 	async calculateOrderQuantity(account, signal) {
-		const balance = account.balance || 1000; // Default balance if not set
-		const commission = 0.001; // 0.1% commission
-		const maxAmount = balance * 0.25; // Use 25% of balance per trade
+		const sizingAccount = { ...account, balance: account.balance || 1000 }; // Default balance if not set
 
 		// Get current price if signal price is null
 		let price = signal.price;
@@ -600,13 +783,40 @@ class SignalGenerator {
 			}
 		}
 
-		// Calculate quantity considering commission
-		// totalCost = quantity * price + quantity * price * commission
-		// totalCost = quantity * price * (1 + commission)
-		// quantity = maxAmount / (price * (1 + commission))
-		const quantity = maxAmount / (price * (1 + commission));
+		const settings = await this.getPositionSizingSettings(account.id);
+		const side = signal.signalType ? signal.signalType.toUpperCase() : null;
+		const { stopLoss } = this.calculateExitLevels(signal, side, price);
+
+		let quantity = await this.positionSizing.calculateQuantity({ account: sizingAccount, signal, price, stopLoss }, settings);
+		console.log(`📐 [PAPER TRADING] ${settings.model} sizing for account ${account.id}: ${quantity} ${signal.cryptocurrency}`);
+
+		// A SELL against a LONG closes it and never sells more than the LONG holds
+		const position = side === 'SELL' ? this.paperTradingService.getOpenPosition(account.id, signal.cryptocurrency) : null;
+		if (position && position.side === 'LONG') {
+			quantity = Math.min(quantity, position.quantity);
+		}
+
+		return quantity;
+	}
+
+	// Position sizing settings are stored per account in user_settings
+	async getPositionSizingSettings(accountId) {
+		const settingValue = accountId
+			? await this.paperTradingService.getUserSetting(accountId, PositionSizingService.SETTING_KEY)
+			: null;
+		return this.positionSizing.parseSettings(settingValue);
+	}
+
+	async setPositionSizingSettings(accountId, settings) {
+		if (!accountId) {
+			throw new Error('Account ID is required');
+		}
+
+		const normalized = this.positionSizing.normalizeSettings(settings);
+		await this.paperTradingService.setUserSetting(accountId, PositionSizingService.SETTING_KEY, JSON.stringify(normalized));
+		console.log(`📐 [PAPER TRADING] Position sizing for account ${accountId} set to ${normalized.model}`);
 
-		return Math.round(quantity * 1000000) / 1000000; // Round to 6 decimal places
+		return normalized;
 	}
 
 	// Update configuration
@@ -0,0 +1,302 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Values tried for each technical strategy parameter when no search space is given
+const DEFAULT_SEARCH_SPACE = {
+	rsiOversold: [20, 25, 30, 35],
+	rsiOverbought: [65, 70, 75, 80],
+	minConfidence: [0.6, 0.7, 0.8, 0.9]
+};
+
+// Score read off a metrics object for each objective; higher always ranks first
+const OBJECTIVES = {
+	sharpe: metrics => metrics.sharpeRatio,
+	profitFactor: metrics => metrics.profitFactor,
+	maxDrawdown: metrics => -metrics.maxDrawdown
+};
+
+// Candles before the first in-sample window, matching the backtest indicator warm-up
+const WARMUP_CANDLES = 50;
+
+// Parameter sweeps (grid or random search) over the technical strategy with walk-forward
+// validation: every parameter set is replayed on each in-sample and out-of-sample window,
+// and the leaderboard ranks sets by their stitched out-of-sample performance.
+class StrategyOptimizer {
+	constructor(options = {}) {
+		this.backtesting = options.backtesting;
+		this.db = options.db || this.backtesting.db;
+		this.maxCombinations = options.maxCombinations || 500;
+		this.progressInterval = options.progressInterval || 50; // report progress every N simulations
+	}
+
+	// Check an optimization request before any data is fetched
+	validateConfig(config = {}) {
+		const base = this.backtesting.validateConfig({ ...config, strategy: 'technical', params: undefined });
+		const {
+			method = 'grid',
+			objective = 'sharpe',
+			folds = 3,
+			inSampleRatio = 0.7,
+			samples = 50,
+			minTrades = 1,
+			seed = null
+		} = config;
+
+		if (!['grid', 'random'].includes(method)) {
+			throw new Error(`Unknown optimization method: ${method}`);
+		}
+		if (!OBJECTIVES[objective]) {
+			throw new Error(`Unknown optimization objective: ${objective}`);
+		}
+		if (!Number.isInteger(folds) || folds < 1 || folds > 20) {
+			throw new Error('Walk-forward folds must be an integer between 1 and 20');
+		}
+		if (!(inSampleRatio > 0 && inSampleRatio < 1)) {
+			throw new Error('inSampleRatio must be between 0 and 1');
+		}
+		if (method === 'random' && (!Number.isInteger(samples) || samples < 1)) {
+			throw new Error('Random search needs a positive number of samples');
+		}
+
+		const searchSpace = config.searchSpace || DEFAULT_SEARCH_SPACE;
+		Object.entries(searchSpace).forEach(([name, values]) => {
+			if (!Array.isArray(values) || values.length === 0 || !values.every(Number.isFinite)) {
+				throw new Error(`Search space for ${name} must be a non-empty list of numbers`);
+			}
+			// Rejects parameter names the strategy does not know
+			this.backtesting.resolveTechnicalParams({ [name]: values[0] });
+		});
+
+		const combinations = method === 'grid'
+			? Object.values(searchSpace).reduce((count, values) => count * values.length, 1)
+			: samples;
+		if (combinations > this.maxCombinations) {
+			throw new Error(`Search would try ${combinations} parameter sets, the limit is ${this.maxCombinations}`);
+		}
+
+		return { ...base, method, objective, folds, inSampleRatio, samples, minTrades, seed, searchSpace };
+	}
+
+	// Every combination of the search space values
+	expandGrid(searchSpace) {
+		return Object.entries(searchSpace).reduce(
+			(combinations, [name, values]) => combinations.flatMap(params => values.map(value => ({ ...params, [name]: value }))),
+			[{}]
+		);
+	}
+
+	// Up to `samples` distinct random combinations; a seed makes the draw repeatable
+	sampleRandom(searchSpace, samples, seed = null) {
+		const random = seed === null ? Math.random : this.createRandom(seed);
+		const entries = Object.entries(searchSpace);
+		const possible = entries.reduce((count, [, values]) => count * values.length, 1);
+		const target = Math.min(samples, possible);
+		const seen = new Map();
+
+		while (seen.size < target) {
+			const params = Object.fromEntries(entries.map(([name, values]) => [name, values[Math.floor(random() * values.length)]]));
+			seen.set(JSON.stringify(params), params);
+		}
+		return Array.from(seen.values());
+	}
+
+	// mulberry32, a small seeded PRNG
+	createRandom(seed) {
+		let state = seed >>> 0;
+		return () => {
+			state = (state + 0x6D2B79F5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	}
+
+	// Rolling windows over candle indices. Out-of-sample segments are contiguous and do not
+	// overlap; each is preceded by an in-sample segment of inSampleRatio of the window.
+	splitWalkForward(length, folds, inSampleRatio) {
+		const usable = length - WARMUP_CANDLES;
+		const windowSize = usable / (inSampleRatio + folds * (1 - inSampleRatio));
+		const inSampleSize = Math.floor(windowSize * inSampleRatio);
+		const outOfSampleSize = Math.floor(windowSize * (1 - inSampleRatio));
+
+		if (inSampleSize < 2 || outOfSampleSize < 2) {
+			throw new Error(`Not enough candles for ${folds} walk-forward folds (${length} candles)`);
+		}
+
+		return Array.from({ length: folds }, (_, fold) => {
+			const inSampleStart = WARMUP_CANDLES + fold * outOfSampleSize;
+			const outOfSampleStart = inSampleStart + inSampleSize;
+			return {
+				fold: fold + 1,
+				inSample: { startIndex: inSampleStart, endIndex: outOfSampleStart },
+				outOfSample: { startIndex: outOfSampleStart, endIndex: outOfSampleStart + outOfSampleSize }
+			};
+		});
+	}
+
+	// Objective score, or -Infinity when the run made too few round trips to judge
+	scoreOf(metrics, objective, minTrades) {
+		if (metrics.closedTrades < minTrades) return -Infinity;
+		return OBJECTIVES[objective](metrics);
+	}
+
+	compareScores(a, b) {
+		if (a === b) return 0;
+		return b > a ? 1 : -1;
+	}
+
+	// Out-of-sample segments chained into one equity curve so a parameter set is judged on
+	// all of its unseen data at once
+	stitchResults(results, timeframe) {
+		const equity = [];
+		const trades = [];
+
+		results.forEach(result => {
+			const scale = equity.length > 0 ? equity[equity.length - 1] / result.equity[0] : 1;
+			const segment = equity.length > 0 ? result.equity.slice(1) : result.equity;
+			equity.push(...segment.map(value => value * scale));
+			trades.push(...result.trades.map(trade => ({
+				...trade,
+				commission: trade.commission * scale,
+				...(trade.profit !== undefined && { profit: trade.profit * scale })
+			})));
+		});
+
+		return this.backtesting.calculateMetrics(trades, equity, timeframe);
+	}
+
+	// Run a sweep, persist the ranked leaderboard and return the run
+	// onProgress({ processed, total, percent }) is called as simulations complete
+	async optimize(config, onProgress = null) {
+		const { cryptocurrency, timeframe, startDate, endDate, method, objective, folds, inSampleRatio, minTrades } = config;
+		const initialBalance = config.initialBalance || this.backtesting.initialBalance;
+
+		const candidates = (method === 'grid'
+			? this.expandGrid(config.searchSpace)
+			: this.sampleRandom(config.searchSpace, config.samples, config.seed)
+		).filter(params => {
+			try {
+				this.backtesting.resolveTechnicalParams(params);
+				return true;
+			} catch (error) {
+				return false;
+			}
+		});
+
+		if (candidates.length === 0) {
+			throw new Error('The search space has no valid parameter combinations');
+		}
+
+		console.log(`🔬 [OPTIMIZER] ${method} search over ${candidates.length} parameter sets for ${cryptocurrency} ${timeframe}, ${folds} folds`);
+
+		const candles = await this.backtesting.getHistoricalData(cryptocurrency, timeframe, startDate, endDate);
+		if (!candles || candles.length === 0) {
+			throw new Error('No historical data available for the specified period');
+		}
+
+		const windows = this.splitWalkForward(candles.length, folds, inSampleRatio);
+		const indicators = this.backtesting.computeIndicatorSeries(candles);
+		const total = candidates.length * windows.length;
+		let processed = 0;
+
+		const evaluations = [];
+		for (const candidate of candidates) {
+			const simulationConfig = { cryptocurrency, timeframe, strategy: 'technical', initialBalance, params: this.backtesting.resolveTechnicalParams(candidate) };
+			const foldResults = [];
+
+			for (const window of windows) {
+				const inSample = await this.backtesting.simulate(candles, simulationConfig, { indicators, ...window.inSample });
+				const outOfSample = await this.backtesting.simulate(candles, simulationConfig, { indicators, ...window.outOfSample });
+				// Only what ranking needs is kept, sweeps can hold hundreds of parameter sets
+				foldResults.push({
+					inSample: inSample.metrics,
+					outOfSample: { metrics: outOfSample.metrics, equity: outOfSample.equity, trades: outOfSample.trades }
+				});
+
+				processed++;
+				if (onProgress && (processed % this.progressInterval === 0 || processed === total)) {
+					onProgress({ processed, total, percent: processed / total * 100 });
+					// Let the progress message flush before the next batch
+					await new Promise(resolve => setImmediate(resolve));
+				}
+			}
+
+			const outOfSampleMetrics = this.stitchResults(foldResults.map(result => result.outOfSample), timeframe);
+			const inSampleScores = foldResults
+				.map(result => this.scoreOf(result.inSample, objective, minTrades))
+				.filter(Number.isFinite);
+
+			evaluations.push({
+				params: candidate,
+				folds: foldResults.map(result => ({ inSample: result.inSample, outOfSample: result.outOfSample.metrics })),
+				metrics: outOfSampleMetrics,
+				score: this.scoreOf(outOfSampleMetrics, objective, minTrades),
+				inSampleScore: inSampleScores.length > 0 ? inSampleScores.reduce((sum, score) => sum + score, 0) / inSampleScores.length : -Infinity
+			});
+		}
+
+		const leaderboard = [...evaluations]
+			.sort((a, b) => this.compareScores(a.score, b.score) || this.compareScores(a.inSampleScore, b.inSampleScore))
+			.map((evaluation, index) => ({
+				rank: index + 1,
+				params: evaluation.params,
+				score: evaluation.score,
+				inSampleScore: evaluation.inSampleScore,
+				metrics: evaluation.metrics
+			}));
+
+		// Classic walk-forward view: the in-sample winner of each fold and how it did out of sample
+		const timeOf = index => new Date(candles[Math.min(index, candles.length - 1)].timestamp).toISOString();
+		const walkForward = windows.map((window, foldIndex) => {
+			const foldScore = evaluation => this.scoreOf(evaluation.folds[foldIndex].inSample, objective, minTrades);
+			const best = evaluations.reduce((leader, evaluation) => (
+				this.compareScores(foldScore(leader), foldScore(evaluation)) > 0 ? evaluation : leader
+			));
+			const { inSample, outOfSample } = best.folds[foldIndex];
+			return {
+				fold: window.fold,
+				inSample: { from: timeOf(window.inSample.startIndex), to: timeOf(window.inSample.endIndex - 1), candles: window.inSample.endIndex - window.inSample.startIndex },
+				outOfSample: { from: timeOf(window.outOfSample.startIndex), to: timeOf(window.outOfSample.endIndex - 1), candles: window.outOfSample.endIndex - window.outOfSample.startIndex },
+				params: best.params,
+				inSampleScore: this.scoreOf(inSample, objective, minTrades),
+				outOfSampleScore: this.scoreOf(outOfSample, objective, minTrades),
+				outOfSampleMetrics: outOfSample
+			};
+		});
+
+		const run = {
+			id: `optimization_${uuidv4()}`,
+			cryptocurrency,
+			timeframe,
+			startDate,
+			endDate,
+			method,
+			objective,
+			folds,
+			inSampleRatio,
+			combinations: candidates.length,
+			bestParams: this.backtesting.resolveTechnicalParams(leaderboard[0].params),
+			walkForward,
+			createdAt: new Date().toISOString()
+		};
+
+		this.db.saveOptimizationRun(run, leaderboard);
+		console.log(`🏆 [OPTIMIZER] Run ${run.id} finished, best ${objective} ${leaderboard[0].score}`);
+
+		return { ...run, leaderboard };
+	}
+
+	getOptimizationRuns(limit = 20) {
+		return this.db.getOptimizationRuns(limit);
+	}
+
+	getLeaderboard(runId, limit = 20) {
+		const run = this.db.getOptimizationRun(runId);
+		if (!run) {
+			throw new Error(`Optimization run ${runId} not found`);
+		}
+		return { ...run, leaderboard: this.db.getOptimizationLeaderboard(runId, limit) };
+	}
+}
+
+module.exports = StrategyOptimizer;
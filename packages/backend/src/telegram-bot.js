@@ -1,14 +1,34 @@
 const TelegramBot = require('node-telegram-bot-api');
 const CryptoBotDatabase = require('@signal-crypto-bot/database');
+const TelegramTrading = require('./telegram-trading');
+const TelegramSignalActions = require('./telegram-signal-actions');
+const SignalChart = require('./signal-chart');
+const TelegramWebhook = require('./telegram-webhook');
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+const SIGNAL_TYPES = ['buy', 'sell', 'hold'];
+const FILTER_USAGE = `Usage:
+/filter symbols BTCUSDT ETHUSDT
+/filter timeframes 1h 4h
+/filter types buy sell
+/filter confidence 75
+/filter <symbols|timeframes|types|confidence> all - remove that filter
+/filter reset - receive every signal again`;
 
 class CryptoSignalBot {
 	constructor(token, options = {}) {
+		const { db, binance, webhook, ...botOptions } = options;
+		// With webhook options updates arrive through this.webhook.router instead of polling
 		this.bot = new TelegramBot(token, {
-			polling: options.polling !== false,
-			...options
+			...botOptions,
+			polling: !webhook && botOptions.polling !== false
 		});
+		this.db = db || new CryptoBotDatabase();
+		this.webhook = webhook ? new TelegramWebhook({ bot: this.bot, db: this.db, ...webhook }) : null;
 
-		this.db = new CryptoBotDatabase();
+		this.trading = null; // Paper trading commands, once a PaperTradingService is attached
+		this.charts = binance ? new SignalChart({ binance }) : null; // chart images need candles
+		this.signalActions = new TelegramSignalActions({ bot: this.bot, db: this.db, charts: this.charts });
 		this.setupCommands();
 		this.setupMessageHandlers();
 	}
@@ -28,6 +48,16 @@ Welcome! I'm your AI-powered cryptocurrency signal bot.
 /status - Check bot status
 /signals - Show recent signals
 /config - Show current configuration
+/subscribe - Receive signals in this chat
+/unsubscribe - Stop receiving signals
+/filter - Choose which signals to receive
+/mysettings - Show this chat's subscription
+
+*Paper Trading (private chat):*
+/link CODE - Link your paper trading account
+/portfolio, /positions, /orders - Account overview
+/buy SYMBOL QTY, /sell SYMBOL QTY - Market orders
+/close POSITION, /cancel ORDER - Close or cancel
 
 *Features:*
 • AI-powered market analysis using GPT-5
@@ -53,6 +83,21 @@ To get started, make sure you have configured your API keys in the environment v
 /status - Bot status and statistics
 /signals - Recent trading signals
 /config - Current bot configuration
+/subscribe - Receive signals in this chat
+/unsubscribe - Stop receiving signals
+/filter - Filter signals by symbol, timeframe, type or confidence
+/mysettings - Subscription and filters of this chat
+
+*Paper Trading (private chat, after /link CODE):*
+/account [ID] - List accounts or switch the trading account
+/portfolio - Balance, equity and P&L
+/positions - Open positions
+/orders - Latest orders
+/buy SYMBOL QTY - Market buy, asks for confirmation
+/sell SYMBOL QTY - Market sell, asks for confirmation
+/close POSITION - Close a position by ID or symbol
+/cancel ORDER - Cancel a pending order
+/unlink - Stop trading from this Telegram account
 
 *Signal Types:*
 🟢 BUY - Recommended to buy
@@ -164,6 +209,189 @@ ${timeframes?.join(', ') || 'None configured'}
 				this.bot.sendMessage(chatId, '❌ Error getting configuration. Please try again.');
 			}
 		});
+
+		// Handle /subscribe command
+		this.bot.onText(/^\/subscribe(?:@\w+)?\b/, (msg) => {
+			const chatId = msg.chat.id;
+			try {
+				const chat = this.saveChat(msg, { isActive: true });
+				this.bot.sendMessage(chatId, `✅ Subscribed to signals.\n\n${this.describeSettings(chat)}\n\nUse /filter to narrow them down.`);
+			} catch (error) {
+				console.error('Error subscribing chat:', error);
+				this.bot.sendMessage(chatId, '❌ Error subscribing. Please try again.');
+			}
+		});
+
+		// Handle /unsubscribe command; filters are kept for the next /subscribe
+		this.bot.onText(/^\/unsubscribe(?:@\w+)?\b/, (msg) => {
+			const chatId = msg.chat.id;
+			try {
+				this.saveChat(msg, { isActive: false });
+				this.bot.sendMessage(chatId, '🔕 Unsubscribed. Use /subscribe to receive signals again.');
+			} catch (error) {
+				console.error('Error unsubscribing chat:', error);
+				this.bot.sendMessage(chatId, '❌ Error unsubscribing. Please try again.');
+			}
+		});
+
+		// Handle /filter command
+		this.bot.onText(/^\/filter(?:@\w+)?(?:\s+(.+))?$/, (msg, match) => {
+			const chatId = msg.chat.id;
+			if (!match[1]) {
+				const chat = this.db.getTelegramChat(chatId);
+				this.bot.sendMessage(chatId, `${this.describeSettings(chat)}\n\n${FILTER_USAGE}`);
+				return;
+			}
+
+			let preferences;
+			try {
+				preferences = this.parseFilter(match[1], this.db.getTelegramChat(chatId));
+			} catch (error) {
+				this.bot.sendMessage(chatId, `❌ ${error.message}\n\n${FILTER_USAGE}`);
+				return;
+			}
+
+			try {
+				const chat = this.saveChat(msg, preferences);
+				const hint = chat.isActive ? '' : '\n\nThis chat is not subscribed, use /subscribe to receive signals.';
+				this.bot.sendMessage(chatId, `✅ Filters updated.\n\n${this.describeSettings(chat)}${hint}`);
+			} catch (error) {
+				console.error('Error updating chat filters:', error);
+				this.bot.sendMessage(chatId, '❌ Error updating filters. Please try again.');
+			}
+		});
+
+		// Handle /mysettings command
+		this.bot.onText(/^\/mysettings(?:@\w+)?\b/, (msg) => {
+			const chatId = msg.chat.id;
+			try {
+				this.bot.sendMessage(chatId, this.describeSettings(this.db.getTelegramChat(chatId)));
+			} catch (error) {
+				console.error('Error getting chat settings:', error);
+				this.bot.sendMessage(chatId, '❌ Error getting your settings. Please try again.');
+			}
+		});
+	}
+
+	// Enable the paper trading commands against this service. sizeOrder(account, signal) sizes
+	// trades started from a signal's "Paper trade this" button.
+	setPaperTradingService(paperTradingService, { sizeOrder = null } = {}) {
+		if (!this.trading) {
+			this.trading = new TelegramTrading({ bot: this.bot, db: this.db, paperTrading: paperTradingService });
+		}
+		this.signalActions.useTrading(this.trading, { sizeOrder });
+		return this.trading;
+	}
+
+	// Store the chat with the given preferences; a new chat starts inactive unless subscribing
+	saveChat(msg, preferences) {
+		const existing = this.db.getTelegramChat(msg.chat.id);
+		return this.db.addTelegramChat({
+			chatId: msg.chat.id,
+			chatType: msg.chat.type,
+			chatTitle: msg.chat.title || msg.chat.username || msg.chat.first_name || null,
+			isActive: existing ? existing.isActive : false,
+			...preferences
+		});
+	}
+
+	// The preferences a /filter command sets, in addTelegramChat's fields. Errors carry
+	// a message meant for the chat.
+	parseFilter(text, chat) {
+		const [field, ...rest] = text.trim().split(/\s+/);
+		const values = rest.join(' ').split(/[\s,]+/).filter(Boolean);
+		const filters = { ...(chat?.filters || {}) };
+		const clear = values.length === 1 && values[0].toLowerCase() === 'all';
+
+		switch (field.toLowerCase()) {
+			case 'reset':
+				return { notificationTypes: null, filters: null };
+
+			case 'symbols':
+			case 'symbol':
+				if (values.length === 0) throw new Error('List at least one symbol.');
+				filters.symbols = clear ? null : values.map(value => value.toUpperCase());
+				return { filters };
+
+			case 'timeframes':
+			case 'timeframe': {
+				if (values.length === 0) throw new Error('List at least one timeframe.');
+				const unknown = values.filter(value => !TIMEFRAMES.includes(value));
+				if (!clear && unknown.length > 0) {
+					throw new Error(`Unknown timeframe ${unknown.join(', ')}. Use ${TIMEFRAMES.join(', ')}.`);
+				}
+				filters.timeframes = clear ? null : values;
+				return { filters };
+			}
+
+			case 'types':
+			case 'type': {
+				if (values.length === 0) throw new Error('List at least one signal type.');
+				const types = values.map(value => value.toLowerCase());
+				const unknown = types.filter(type => !SIGNAL_TYPES.includes(type));
+				if (!clear && unknown.length > 0) {
+					throw new Error(`Unknown signal type ${unknown.join(', ')}. Use ${SIGNAL_TYPES.join(', ')}.`);
+				}
+				return { notificationTypes: clear ? null : [...new Set(types)] };
+			}
+
+			case 'confidence': {
+				if (clear) {
+					filters.minConfidence = null;
+					return { filters };
+				}
+				const percent = parseFloat(values[0]);
+				if (values.length !== 1 || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+					throw new Error('Confidence must be a percentage between 0 and 100.');
+				}
+				filters.minConfidence = percent > 0 ? percent / 100 : null;
+				return { filters };
+			}
+
+			default:
+				throw new Error(`Unknown filter "${field}".`);
+		}
+	}
+
+	// Whether a chat's stored preferences let a signal through; missing preferences match everything
+	matchesPreferences(chat, signal) {
+		if (chat.notificationTypes && !chat.notificationTypes.includes(signal.signalType)) {
+			return false;
+		}
+
+		const { symbols, timeframes, minConfidence, mutedUntil } = chat.filters || {};
+		if (mutedUntil?.[signal.cryptocurrency] && new Date(mutedUntil[signal.cryptocurrency]).getTime() > Date.now()) {
+			return false;
+		}
+		if (symbols && !symbols.includes(signal.cryptocurrency)) {
+			return false;
+		}
+		if (timeframes && !timeframes.includes(signal.timeframe)) {
+			return false;
+		}
+		if (minConfidence && !(signal.confidence >= minConfidence)) {
+			return false;
+		}
+		return true;
+	}
+
+	describeSettings(chat) {
+		if (!chat) {
+			return '📭 This chat is not subscribed. Use /subscribe to receive signals.';
+		}
+
+		const { symbols, timeframes, minConfidence, mutedUntil } = chat.filters || {};
+		const muted = Object.entries(mutedUntil || {})
+			.filter(([, until]) => new Date(until).getTime() > Date.now())
+			.map(([symbol, until]) => `${symbol} until ${new Date(until).toLocaleString()}`);
+		return [
+			`Subscription: ${chat.isActive ? 'active' : 'paused'}`,
+			`Symbols: ${symbols ? symbols.join(', ') : 'all'}`,
+			`Timeframes: ${timeframes ? timeframes.join(', ') : 'all'}`,
+			`Signal types: ${chat.notificationTypes ? chat.notificationTypes.map(type => type.toUpperCase()).join(', ') : 'all'}`,
+			`Minimum confidence: ${minConfidence ? `${(minConfidence * 100).toFixed(0)}%` : 'none'}`,
+			...(muted.length > 0 ? [`Muted: ${muted.join(', ')}`] : [])
+		].join('\n');
 	}
 
 	setupMessageHandlers() {
@@ -187,16 +415,22 @@ ${timeframes?.join(', ') || 'None configured'}
 		});
 	}
 
-	// Send signal to all active chats
+	// Send signal to the active chats whose filters it passes: the chart image first, then the
+	// message with the action buttons once the signal has an ID
 	async sendSignal(signalData) {
 		try {
-			const chats = this.db.getActiveTelegramChats();
+			const activeChats = this.db.getActiveTelegramChats();
 
-			if (chats.length === 0) {
+			if (activeChats.length === 0) {
 				console.log('No active Telegram chats found');
 				return;
 			}
 
+			const chats = activeChats.filter(chat => this.matchesPreferences(chat, signalData));
+			if (chats.length < activeChats.length) {
+				console.log(`Signal filtered out for ${activeChats.length - chats.length} of ${activeChats.length} Telegram chats`);
+			}
+
 			const emoji = signalData.signalType === 'buy' ? '🟢' :
 				signalData.signalType === 'sell' ? '🔴' : '🟡';
 
@@ -224,10 +458,22 @@ ${signalData.technical_indicators ?
 ⚠️ *This is not financial advice. Always do your own research.*
             `;
 
+			const signalId = signalData.signalId ?? signalData.id;
+			const chart = chats.length > 0 ? await this.renderChart(signalData) : null;
 			for (const chat of chats) {
+				if (chart) {
+					try {
+						await this.bot.sendPhoto(chat.chatId, chart, {
+							caption: `${emoji} ${signalData.cryptocurrency} ${signalData.timeframe} ${signalData.signalType.toUpperCase()}`
+						}, { filename: `${signalData.cryptocurrency}-${signalData.timeframe}.png`, contentType: 'image/png' });
+					} catch (error) {
+						console.error(`Failed to send chart to chat ${chat.chatId}:`, error);
+					}
+				}
 				try {
 					await this.bot.sendMessage(chat.chatId, message, {
-						parse_mode: 'Markdown'
+						parse_mode: 'Markdown',
+						...(signalId && { reply_markup: this.signalActions.keyboard(signalId, signalData.cryptocurrency) })
 					});
 					console.log(`Signal sent to chat ${chat.chatId}`);
 				} catch (error) {
@@ -239,9 +485,50 @@ ${signalData.technical_indicators ?
 		}
 	}
 
+	// The signal's chart image, or null when charts are off or rendering fails; a signal goes out either way
+	async renderChart(signalData) {
+		if (!this.charts) return null;
+		try {
+			return (await this.charts.render(signalData)).png;
+		} catch (error) {
+			console.error(`Failed to render chart for ${signalData.cryptocurrency}:`, error);
+			return null;
+		}
+	}
+
+	// Send a plain-text alert (risk limits, circuit breaker) to all active chats
+	async sendAlert(message) {
+		try {
+			const chats = this.db.getActiveTelegramChats();
+
+			for (const chat of chats) {
+				try {
+					await this.bot.sendMessage(chat.chatId, message);
+					console.log(`Alert sent to chat ${chat.chatId}`);
+				} catch (error) {
+					console.error(`Failed to send alert to chat ${chat.chatId}:`, error);
+				}
+			}
+		} catch (error) {
+			console.error('Error sending alert:', error);
+		}
+	}
+
+	// Check the token against the Bot API
+	async testConnection() {
+		try {
+			const me = await this.bot.getMe();
+			console.log(`Telegram Bot connection successful (@${me.username})`);
+			return true;
+		} catch (error) {
+			console.error('Telegram Bot connection failed:', error.message);
+			return false;
+		}
+	}
+
 	// Start the bot
 	start() {
-		console.log('Starting Telegram Bot...');
+		console.log(`Starting Telegram Bot (${this.webhook ? 'webhook' : 'polling'})...`);
 		this.bot.on('polling_error', (error) => {
 			console.error('Polling error:', error);
 		});
@@ -250,7 +537,10 @@ ${signalData.technical_indicators ?
 	// Stop the bot
 	stop() {
 		console.log('Stopping Telegram Bot...');
-		this.bot.stopPolling();
+		// The webhook stays registered, other replicas keep receiving updates
+		if (!this.webhook) {
+			this.bot.stopPolling();
+		}
 		this.db.close();
 	}
 }
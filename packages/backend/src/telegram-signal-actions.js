@@ -0,0 +1,183 @@
+const CALLBACK_PREFIX = 'signal';
+
+const ACTIONS = {
+	paper: '📝 Paper trade this',
+	ignore: '🙈 Ignore',
+	chart: '📊 Show chart',
+	explain: '💡 Explain more',
+	mute: '🔇 Mute 24h'
+};
+
+const formatValue = (value) => {
+	if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4).replace(/0+$/, '');
+	if (value && typeof value === 'object') {
+		return Object.entries(value).map(([key, inner]) => `${key} ${formatValue(inner)}`).join(', ');
+	}
+	return String(value);
+};
+
+// Buttons under each Telegram signal. Every press is stored in signal_actions against the
+// signal ID before it is handled, so the log shows how people react even when the action
+// itself fails (for example a paper trade from an unlinked user).
+class TelegramSignalActions {
+	constructor({ bot, db, charts = null }) {
+		this.bot = bot;
+		this.db = db;
+		this.charts = charts;
+		this.trading = null;
+		this.sizeOrder = null;
+
+		this.bot.on('callback_query', (query) => {
+			if (query.data?.startsWith(`${CALLBACK_PREFIX}:`)) {
+				this.handleCallback(query).catch(error => console.error('Error handling signal action:', error));
+			}
+		});
+	}
+
+	// sizeOrder(account, signal) applies the account's position sizing to "Paper trade this"
+	useTrading(trading, { sizeOrder = null } = {}) {
+		this.trading = trading;
+		this.sizeOrder = sizeOrder;
+	}
+
+	keyboard(signalId, symbol) {
+		const button = (action, text = ACTIONS[action]) => ({ text, callback_data: `${CALLBACK_PREFIX}:${action}:${signalId}` });
+		return {
+			inline_keyboard: [
+				[button('paper'), button('ignore')],
+				[button('chart'), button('explain')],
+				[button('mute', `🔇 Mute ${symbol} for 24h`)]
+			]
+		};
+	}
+
+	async handleCallback(query) {
+		const [, action, rawId] = query.data.split(':');
+		const signalId = parseInt(rawId, 10);
+		if (!ACTIONS[action] || !Number.isInteger(signalId)) {
+			await this.bot.answerCallbackQuery(query.id, { text: 'Unknown action.' });
+			return;
+		}
+
+		try {
+			this.db.saveSignalAction({
+				signalId,
+				action,
+				chatId: query.message?.chat.id ?? null,
+				telegramUserId: query.from.id,
+				telegramUsername: query.from.username || null
+			});
+		} catch (error) {
+			console.error(`Error recording ${action} on signal ${signalId}:`, error);
+		}
+
+		let answer;
+		try {
+			const signal = this.db.getSignal(signalId);
+			if (!signal) {
+				throw new Error('This signal no longer exists.');
+			}
+			answer = await this[action](query, signal);
+		} catch (error) {
+			console.error(`Error handling ${action} on signal ${signalId}:`, error);
+			answer = { text: `❌ ${error.message}`.slice(0, 200), show_alert: true };
+		}
+		await this.bot.answerCallbackQuery(query.id, answer);
+	}
+
+	// Ask the presser to confirm a market order in their private chat, sized like an
+	// auto-traded signal on their linked account
+	async paper(query, signal) {
+		if (!this.trading) {
+			throw new Error('Paper trading is not available.');
+		}
+		if (signal.signalType === 'hold') {
+			throw new Error('A HOLD signal has nothing to trade.');
+		}
+		const link = this.db.getTelegramUser(query.from.id);
+		if (!link) {
+			throw new Error('Link your paper trading account first: send /link CODE to the bot in a private chat.');
+		}
+
+		const account = await this.trading.resolveAccount(link);
+		const quantity = this.sizeOrder ? await this.sizeOrder(account, signal) : 0;
+		if (!(quantity > 0)) {
+			throw new Error(`Not enough balance on ${account.id} to trade this signal.`);
+		}
+
+		const side = signal.signalType.toUpperCase();
+		await this.trading.askConfirmation({ chat: { id: query.from.id }, from: query.from }, account, {
+			type: 'order', side, symbol: signal.cryptocurrency, quantity, signalId: signal.id
+		}, `${side === 'BUY' ? '🟢 Buy' : '🔴 Sell'} ${quantity} ${signal.cryptocurrency} at market on ${account.id} for signal #${signal.id}?`);
+
+		return { text: query.message?.chat.type === 'private' ? 'Confirm the order below.' : 'Confirm the order in our private chat.' };
+	}
+
+	async ignore() {
+		return { text: 'Noted, signal ignored.' };
+	}
+
+	// The chart image of the candles since the signal, with the range and the move since then
+	async chart(query, signal) {
+		if (!this.charts) {
+			throw new Error('Charts are not available.');
+		}
+		const { png, low, high, last } = await this.charts.render(signal);
+		const sinceSignal = signal.price ? ` (${last >= signal.price ? '+' : ''}${(((last - signal.price) / signal.price) * 100).toFixed(2)}% since the signal)` : '';
+
+		await this.bot.sendPhoto(query.message.chat.id, png, {
+			caption: `📊 ${signal.cryptocurrency} ${signal.timeframe}\nLow $${low} · High $${high} · Last $${last}${sinceSignal}`,
+			reply_to_message_id: query.message.message_id
+		}, { filename: `${signal.cryptocurrency}-${signal.timeframe}.png`, contentType: 'image/png' });
+		return {};
+	}
+
+	// The stored reasoning and every indicator, plus what each paper account did with the signal
+	async explain(query, signal) {
+		const indicators = signal.technicalIndicators ? JSON.parse(signal.technicalIndicators) : {};
+		const decisions = this.db.getSignalDecisions({ signalId: signal.id });
+
+		const lines = [
+			`💡 ${signal.cryptocurrency} ${signal.signalType.toUpperCase()} (${signal.timeframe}), signal #${signal.id}`,
+			`Confidence ${(signal.confidence * 100).toFixed(1)}% at $${signal.price ?? 'N/A'}, ${new Date(signal.createdAt).toLocaleString()}`,
+			'',
+			'Reasoning:',
+			signal.aiReasoning || 'No reasoning stored.',
+			'',
+			'Indicators:',
+			...(Object.keys(indicators).length > 0
+				? Object.entries(indicators).map(([key, value]) => `• ${key}: ${formatValue(value)}`)
+				: ['No indicators stored.'])
+		];
+		if (decisions.length > 0) {
+			lines.push('', 'Paper accounts:', ...decisions.map(decision => `• ${decision.accountId} ${decision.decision}${decision.reason ? `: ${decision.reason}` : ''}`));
+		}
+
+		await this.bot.sendMessage(query.message.chat.id, lines.join('\n'), { reply_to_message_id: query.message.message_id });
+		return {};
+	}
+
+	// Mute the symbol for the chat the button was pressed in; expired mutes are dropped on the next write
+	async mute(query, signal) {
+		const chatId = query.message.chat.id;
+		const chat = this.db.getTelegramChat(chatId);
+		const now = Date.now();
+		const mutedUntil = Object.fromEntries(
+			Object.entries(chat?.filters?.mutedUntil || {}).filter(([, until]) => new Date(until).getTime() > now)
+		);
+		const until = new Date(now + TelegramSignalActions.MUTE_MS);
+		mutedUntil[signal.cryptocurrency] = until.toISOString();
+
+		this.db.addTelegramChat({
+			chatId,
+			chatType: query.message.chat.type,
+			filters: { ...(chat?.filters || {}), mutedUntil }
+		});
+		return { text: `🔇 ${signal.cryptocurrency} muted in this chat until ${until.toLocaleString()}.` };
+	}
+}
+
+TelegramSignalActions.ACTIONS = Object.keys(ACTIONS);
+TelegramSignalActions.MUTE_MS = 24 * 60 * 60 * 1000;
+
+module.exports = TelegramSignalActions;
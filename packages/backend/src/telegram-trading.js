@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+
+const CALLBACK_PREFIX = 'trade';
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toFixed(2)}`;
+
+// The last characters of a position or order id, enough to tell them apart in a chat
+const shortRef = (id) => id.slice(-8);
+
+// Paper trading from Telegram. A Telegram user is linked to a paper trading userId with a
+// one-time code from the Paper Trading page; after that, commands act on the user's selected
+// account. Anything that changes the account waits for an inline keyboard confirmation from
+// the same Telegram user.
+class TelegramTrading {
+	constructor({ bot, db, paperTrading }) {
+		this.bot = bot;
+		this.db = db;
+		this.paperTrading = paperTrading;
+
+		this.setupCommands();
+		this.bot.on('callback_query', (query) => {
+			if (query.data?.startsWith(`${CALLBACK_PREFIX}:`)) {
+				this.handleCallback(query).catch(error => console.error('Error handling trade confirmation:', error));
+			}
+		});
+	}
+
+	setupCommands() {
+		this.command('link', (context) => this.link(context), { requiresLink: false });
+		this.command('unlink', (context) => this.unlink(context));
+		this.command('account', (context) => this.selectAccount(context));
+		this.command('portfolio', (context) => this.showPortfolio(context));
+		this.command('positions', (context) => this.showPositions(context));
+		this.command('orders', (context) => this.showOrders(context));
+		this.command('buy', (context) => this.requestOrder(context, 'BUY'));
+		this.command('sell', (context) => this.requestOrder(context, 'SELL'));
+		this.command('close', (context) => this.requestClose(context));
+		this.command('cancel', (context) => this.requestCancel(context));
+	}
+
+	// Register a trading command. They only work in private chats, and all but /link need a
+	// linked user, whose account is resolved before the handler runs.
+	command(name, handler, { requiresLink = true } = {}) {
+		const pattern = new RegExp(`^\\/${name}(?:@\\w+)?(?:\\s+(.+))?$`);
+		this.bot.onText(pattern, async (msg, match) => {
+			const chatId = msg.chat.id;
+			try {
+				if (msg.chat.type !== 'private') {
+					await this.bot.sendMessage(chatId, '🔒 Trading commands only work in a private chat with the bot.');
+					return;
+				}
+
+				const context = { msg, chatId, args: (match[1] || '').trim().split(/\s+/).filter(Boolean) };
+				if (requiresLink) {
+					context.link = this.db.getTelegramUser(msg.from.id);
+					if (!context.link) {
+						await this.bot.sendMessage(chatId, '🔗 Link your paper trading account first: create a code on the Paper Trading page and send /link CODE.');
+						return;
+					}
+					context.account = await this.resolveAccount(context.link);
+				}
+
+				await handler(context);
+			} catch (error) {
+				console.error(`Error handling /${name}:`, error);
+				await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+			}
+		});
+	}
+
+	// One-time code that links the Telegram user who sends it to this paper account's user.
+	// Codes live in the database, so the instance that answers /link need not be the one that made it.
+	createLinkCode({ userId, accountId = null }) {
+		const bytes = crypto.randomBytes(TelegramTrading.LINK_CODE_LENGTH);
+		const code = Array.from(bytes, byte => LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length]).join('');
+		const expiresAt = new Date(Date.now() + TelegramTrading.LINK_CODE_TTL_MS).toISOString();
+		this.db.createTelegramLinkCode({ code, userId, accountId, expiresAt });
+		return { code, expiresAt };
+	}
+
+	// The linked user's selected account, falling back to their newest one if it is gone
+	async resolveAccount(link) {
+		if (link.accountId) {
+			const account = await this.paperTrading.getAccount(link.accountId);
+			if (account && account.userId === link.userId) {
+				return account;
+			}
+		}
+
+		const [account] = await this.paperTrading.getUserAccounts(link.userId);
+		if (!account) {
+			throw new Error(`No paper trading account found for ${link.userId}.`);
+		}
+		this.db.setTelegramUserAccount(link.telegramUserId, account.id);
+		return this.paperTrading.getAccount(account.id);
+	}
+
+	async link({ msg, chatId, args }) {
+		const entry = this.db.redeemTelegramLinkCode((args[0] || '').toUpperCase());
+		if (!entry) {
+			await this.bot.sendMessage(chatId, '❌ Invalid or expired link code. Create a new one on the Paper Trading page.');
+			return;
+		}
+
+		const link = this.db.linkTelegramUser({
+			telegramUserId: msg.from.id,
+			telegramUsername: msg.from.username || null,
+			userId: entry.userId,
+			accountId: entry.accountId
+		});
+		const account = await this.resolveAccount(link);
+		await this.bot.sendMessage(chatId, `✅ Linked to ${entry.userId}, trading account ${account.id}.\nTry /portfolio.`);
+	}
+
+	async unlink({ msg, chatId }) {
+		this.db.unlinkTelegramUser(msg.from.id);
+		await this.bot.sendMessage(chatId, '🔓 Unlinked. Trading commands are disabled until you /link again.');
+	}
+
+	async selectAccount({ msg, chatId, args, link, account }) {
+		const accounts = await this.paperTrading.getUserAccounts(link.userId);
+		if (args.length === 0) {
+			const lines = accounts.map(candidate => `${candidate.id === account.id ? '▶️' : '•'} ${candidate.id} - ${formatMoney(candidate.balance)}`);
+			await this.bot.sendMessage(chatId, `Accounts of ${link.userId}:\n${lines.join('\n')}\n\nSwitch with /account ID`);
+			return;
+		}
+
+		const selected = accounts.find(candidate => candidate.id === args[0] || candidate.id.endsWith(args[0]));
+		if (!selected) {
+			throw new Error(`Account ${args[0]} not found for ${link.userId}.`);
+		}
+		this.db.setTelegramUserAccount(msg.from.id, selected.id);
+		await this.bot.sendMessage(chatId, `✅ Trading account is now ${selected.id}.`);
+	}
+
+	async showPortfolio({ chatId, account }) {
+		const positions = this.paperTrading.getPositions(account.id);
+		const unrealizedPnl = positions.reduce((sum, position) => sum + (position.unrealizedPnl || 0), 0);
+		const equity = await this.paperTrading.calculateAccountEquity(account.id);
+		const winRate = account.totalTrades > 0 ? `${(account.winningTrades / account.totalTrades * 100).toFixed(1)}%` : 'n/a';
+
+		await this.bot.sendMessage(chatId, [
+			`💼 ${account.id}`,
+			`Balance: ${formatMoney(account.balance)}`,
+			`Reserved: ${formatMoney(account.reservedBalance)}`,
+			`Equity: ${formatMoney(equity)}`,
+			`Realized P&L: ${formatMoney(account.realizedPnl)}`,
+			`Unrealized P&L: ${formatMoney(unrealizedPnl)}`,
+			`Open positions: ${positions.length}`,
+			`Win rate: ${winRate} over ${account.totalTrades || 0} trades`
+		].join('\n'));
+	}
+
+	async showPositions({ chatId, account }) {
+		const positions = this.paperTrading.getPositions(account.id);
+		if (positions.length === 0) {
+			await this.bot.sendMessage(chatId, '📭 No open positions.');
+			return;
+		}
+
+		const lines = positions.map(position =>
+			`${shortRef(position.id)}  ${position.side} ${position.quantity} ${position.symbol} @ ${formatMoney(position.avgPrice)}  P&L ${formatMoney(position.unrealizedPnl)}`
+		);
+		await this.bot.sendMessage(chatId, `📊 Open positions\n${lines.join('\n')}\n\nClose one with /close ID or /close SYMBOL`);
+	}
+
+	async showOrders({ chatId, account }) {
+		const orders = await this.paperTrading.getOrders(account.id, TelegramTrading.ORDERS_SHOWN);
+		if (orders.length === 0) {
+			await this.bot.sendMessage(chatId, '📭 No orders yet.');
+			return;
+		}
+
+		const lines = orders.map(order => {
+			const price = order.executionPrice || order.price || order.stopPrice;
+			return `${shortRef(order.id)}  ${order.side} ${order.type} ${order.quantity} ${order.symbol} ${order.status}${price ? ` @ ${formatMoney(price)}` : ''}`;
+		});
+		await this.bot.sendMessage(chatId, `🧾 Latest orders\n${lines.join('\n')}\n\nCancel a pending one with /cancel ID`);
+	}
+
+	async requestOrder({ msg, args, account }, side) {
+		const symbol = (args[0] || '').toUpperCase();
+		const quantity = parseFloat(args[1]);
+		if (!/^[A-Z0-9]{5,20}$/.test(symbol) || !(quantity > 0) || args.length !== 2) {
+			throw new Error(`Usage: /${side.toLowerCase()} SYMBOL QUANTITY, for example /${side.toLowerCase()} BTCUSDT 0.01`);
+		}
+
+		await this.askConfirmation(msg, account, {
+			type: 'order', side, symbol, quantity
+		}, `${side === 'BUY' ? '🟢 Buy' : '🔴 Sell'} ${quantity} ${symbol} at market on ${account.id}?`);
+	}
+
+	async requestClose({ msg, args, account }) {
+		const position = this.findByRef(this.paperTrading.getPositions(account.id), args[0], 'position', candidate => candidate.symbol);
+		await this.askConfirmation(msg, account, {
+			type: 'close', positionId: position.id
+		}, `Close ${position.side} ${position.quantity} ${position.symbol} (${shortRef(position.id)}) at market?`);
+	}
+
+	async requestCancel({ msg, args, account }) {
+		const pending = (await this.paperTrading.getOrders(account.id, 'all')).filter(order => order.status === 'PENDING');
+		const order = this.findByRef(pending, args[0], 'pending order');
+		await this.askConfirmation(msg, account, {
+			type: 'cancel', orderId: order.id
+		}, `Cancel ${order.side} ${order.type} ${order.quantity} ${order.symbol} (${shortRef(order.id)})?`);
+	}
+
+	// A full id, the short reference shown in lists, or (for positions) a symbol
+	findByRef(items, ref, label, alias = null) {
+		if (!ref) {
+			throw new Error(`Which ${label}? Pass its ID.`);
+		}
+		const upper = ref.toUpperCase();
+		const matches = items.filter(item =>
+			item.id === ref || item.id.toUpperCase().endsWith(upper) || (alias && alias(item) === upper)
+		);
+		if (matches.length === 0) {
+			throw new Error(`No ${label} matches ${ref}.`);
+		}
+		if (matches.length > 1) {
+			throw new Error(`${ref} matches ${matches.length} ${label}s, use the ID.`);
+		}
+		return matches[0];
+	}
+
+	// Pending confirmations live in the database, like link codes, so the Confirm tap
+	// can be handled by another instance or after a restart
+	async askConfirmation(msg, account, action, question) {
+		const id = crypto.randomBytes(6).toString('hex');
+		this.db.createTelegramConfirmation({
+			id,
+			telegramUserId: msg.from.id,
+			accountId: account.id,
+			action,
+			expiresAt: new Date(Date.now() + TelegramTrading.CONFIRMATION_TTL_MS).toISOString()
+		});
+
+		await this.bot.sendMessage(msg.chat.id, question, {
+			reply_markup: {
+				inline_keyboard: [[
+					{ text: '✅ Confirm', callback_data: `${CALLBACK_PREFIX}:confirm:${id}` },
+					{ text: '✖️ Cancel', callback_data: `${CALLBACK_PREFIX}:abort:${id}` }
+				]]
+			}
+		});
+	}
+
+	async handleCallback(query) {
+		const [, decision, id] = query.data.split(':');
+		const confirmation = this.db.getTelegramConfirmation(id);
+		const message = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+
+		if (confirmation && String(query.from.id) !== confirmation.telegramUserId) {
+			await this.bot.answerCallbackQuery(query.id, { text: 'Only the person who asked can confirm.' });
+			return;
+		}
+
+		// Taken out before running so a double tap cannot execute twice; only the tap that deletes it goes on
+		if (!confirmation || !this.db.deleteTelegramConfirmation(id) || confirmation.expiresAt < new Date().toISOString()) {
+			await this.bot.answerCallbackQuery(query.id, { text: 'This confirmation has expired.' });
+			await this.bot.editMessageText('⌛ Expired, send the command again.', message);
+			return;
+		}
+
+		if (decision !== 'confirm') {
+			await this.bot.answerCallbackQuery(query.id, { text: 'Cancelled' });
+			await this.bot.editMessageText(`${query.message.text}\n✖️ Cancelled`, message);
+			return;
+		}
+
+		let result;
+		try {
+			// The user may have unlinked since asking
+			const link = this.db.getTelegramUser(query.from.id);
+			if (!link || link.accountId !== confirmation.accountId) {
+				throw new Error('The trading account changed since you asked, send the command again.');
+			}
+			result = `✅ ${await this.execute(confirmation)}`;
+		} catch (error) {
+			console.error('Error executing confirmed trade:', error);
+			result = `❌ ${error.message}`;
+		}
+		await this.bot.answerCallbackQuery(query.id, { text: result.slice(0, 200) });
+		await this.bot.editMessageText(`${query.message.text}\n${result}`, message);
+	}
+
+	async execute({ accountId, action }) {
+		switch (action.type) {
+			case 'order': {
+				// Orders from a signal's button are linked to it for the trade journal
+				const linked = action.signalId ? [null, { signalId: action.signalId }] : [];
+				const order = await this.paperTrading.placeMarketOrder(accountId, action.symbol, action.side, action.quantity, ...linked);
+				return `${order.side} ${order.quantity} ${order.symbol} filled at ${formatMoney(order.executionPrice)}`;
+			}
+			case 'close': {
+				const position = this.paperTrading.getPositions(accountId).find(candidate => candidate.id === action.positionId);
+				if (!position) {
+					throw new Error('The position is already closed.');
+				}
+				const price = await this.paperTrading.binance.getCurrentPrice(position.symbol);
+				const closed = await this.paperTrading.closePosition(position.id, price, 'MANUAL');
+				return `Closed ${position.symbol} at ${formatMoney(closed.order.executionPrice)}, P&L ${formatMoney(closed.realizedPnl)}`;
+			}
+			case 'cancel': {
+				const order = await this.paperTrading.cancelOrder(action.orderId);
+				return `Cancelled ${order.side} ${order.quantity} ${order.symbol}`;
+			}
+			default:
+				throw new Error(`Unknown action ${action.type}`);
+		}
+	}
+}
+
+TelegramTrading.LINK_CODE_LENGTH = 6;
+TelegramTrading.LINK_CODE_TTL_MS = 10 * 60 * 1000;
+TelegramTrading.CONFIRMATION_TTL_MS = 2 * 60 * 1000;
+TelegramTrading.ORDERS_SHOWN = 10;
+
+module.exports = TelegramTrading;
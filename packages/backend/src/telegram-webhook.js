@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/; // what Telegram accepts as secret_token
+
+// Receives Telegram updates over HTTPS instead of long polling, so several backend replicas
+// can run without fighting over getUpdates. Telegram sends the secret_token given to
+// setWebHook in X-Telegram-Bot-Api-Secret-Token. Accepted updates are answered at once and
+// handed to the bot one at a time, in arrival order. Telegram resends an update it did not
+// get a 200 for, possibly to another replica or after a restart, so handled update_ids are
+// recorded in the database and a resent one is dropped.
+class TelegramWebhook {
+	constructor({ bot, db, secretToken, url = null, path = TelegramWebhook.DEFAULT_PATH }) {
+		if (!SECRET_PATTERN.test(secretToken || '')) {
+			throw new Error('Telegram webhook secret must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+		}
+
+		this.bot = bot;
+		this.db = db;
+		this.secret = Buffer.from(secretToken);
+		this.url = url;
+		this.path = path;
+		this.queue = [];
+		this.draining = null;
+		this.stats = { received: 0, duplicates: 0, rejected: 0, processed: 0, failed: 0 };
+
+		this.router = express.Router();
+		this.router.post(this.path, (req, res) => this.handleRequest(req, res));
+	}
+
+	handleRequest(req, res) {
+		if (!this.verifySecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+			this.stats.rejected++;
+			res.status(401).json({ error: 'Invalid secret token' });
+			return;
+		}
+		if (!Number.isInteger(req.body?.update_id)) {
+			this.stats.rejected++;
+			res.status(400).json({ error: 'Not a Telegram update' });
+			return;
+		}
+
+		this.receive(req.body);
+		res.sendStatus(200);
+	}
+
+	verifySecret(header) {
+		if (typeof header !== 'string') return false;
+		const given = Buffer.from(header);
+		return given.length === this.secret.length && crypto.timingSafeEqual(given, this.secret);
+	}
+
+	// Queue an update unless some instance already received it; returns whether it was queued
+	receive(update) {
+		this.stats.received++;
+		const expiredBefore = new Date(Date.now() - TelegramWebhook.UPDATE_TTL_MS).toISOString();
+		if (!this.db.recordTelegramUpdate(update.update_id, expiredBefore)) {
+			this.stats.duplicates++;
+			console.log(`Telegram update ${update.update_id} already received, skipping`);
+			return false;
+		}
+
+		this.queue.push(update);
+		if (!this.draining) {
+			this.draining = this.drain().finally(() => {
+				this.draining = null;
+			});
+		}
+		return true;
+	}
+
+	async drain() {
+		while (this.queue.length > 0) {
+			const update = this.queue.shift();
+			try {
+				this.bot.processUpdate(update);
+				this.stats.processed++;
+			} catch (error) {
+				this.stats.failed++;
+				console.error(`Error processing Telegram update ${update.update_id}:`, error);
+			}
+			// Let the handlers of this update start before the next one
+			await new Promise(resolve => setImmediate(resolve));
+		}
+	}
+
+	// Resolves once every queued update has been handed to the bot
+	async idle() {
+		while (this.draining) {
+			await this.draining;
+		}
+	}
+
+	// Point Telegram at this endpoint. Without a public URL the webhook is expected to be set
+	// elsewhere, for example once by a deploy script for all replicas.
+	async register() {
+		if (!this.url) {
+			console.log('TELEGRAM_WEBHOOK_URL not set, leaving the Telegram webhook registration as it is');
+			return false;
+		}
+		const endpoint = `${this.url.replace(/\/+$/, '')}${this.path}`;
+		await this.bot.setWebHook(endpoint, {
+			secret_token: this.secret.toString(),
+			allowed_updates: JSON.stringify(TelegramWebhook.ALLOWED_UPDATES)
+		});
+		console.log(`Telegram webhook registered at ${endpoint}`);
+		return true;
+	}
+}
+
+TelegramWebhook.DEFAULT_PATH = '/telegram/webhook';
+TelegramWebhook.UPDATE_TTL_MS = 24 * 60 * 60 * 1000; // Telegram gives up on an update after a day
+TelegramWebhook.ALLOWED_UPDATES = ['message', 'callback_query'];
+TelegramWebhook.MODES = ['polling', 'webhook'];
+
+module.exports = TelegramWebhook;
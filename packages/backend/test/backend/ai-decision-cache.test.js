@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const BacktestingService = require('../../src/backtesting-service');
+const AIDecisionCache = require('../../src/ai-decision-cache');
+const CandleStore = require('../../src/candle-store');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Oscillating closes so RSI swings through both thresholds
+const createCandles = (count = 200) => Array.from({ length: count }, (_, i) => {
+	const close = 100 + 20 * Math.sin(i / 8);
+	return { timestamp: START + i * HOUR, open: close, high: close + 1, low: close - 1, close, volume: 1000 };
+});
+
+describe('AIDecisionCache', () => {
+	let db;
+	let service;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		service = new BacktestingService({ db, syncMissingCandles: false, openai: { model: 'gpt-test' } });
+		db.saveCandles('BTCUSDT', '1h', createCandles(), 'csv');
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	const config = {
+		cryptocurrency: 'BTCUSDT',
+		timeframe: '1h',
+		startDate: '2024-01-01',
+		endDate: '2024-01-10',
+		strategy: 'ai'
+	};
+
+	it('should run AI backtests offline with the stub provider and replay them from the cache', async () => {
+		expect(() => service.validateConfig({ ...config, aiMode: 'guess' })).toThrow('Unknown AI decision mode');
+
+		const first = await service.runBacktest(service.validateConfig({ ...config, aiMode: 'stub' }));
+		expect(first.totalTrades).toBeGreaterThan(0);
+		expect(first.aiDecisions).toMatchObject({ mode: 'stub', model: 'stub', hits: 0, misses: 150, recorded: 150 });
+
+		const second = await service.runBacktest(service.validateConfig({ ...config, aiMode: 'stub' }));
+		expect(second.aiDecisions).toMatchObject({ hits: 150, misses: 0, recorded: 0 });
+		expect(second.trades).toEqual(first.trades);
+	});
+
+	it('should ask the model once per candle and replay the recorded answers', async () => {
+		const analyze = vi.spyOn(service.openai, 'analyzeCryptocurrency').mockImplementation(async (symbol, timeframe, marketData, indicators) => ({
+			signal: indicators.rsi < 30 ? 'buy' : indicators.rsi > 70 ? 'sell' : 'hold',
+			confidence: 0.9,
+			reasoning: 'Recorded',
+			analysisId: 1
+		}));
+
+		const recorded = await service.runBacktest(service.validateConfig(config));
+		expect(analyze).toHaveBeenCalledTimes(150);
+		expect(recorded.aiDecisions).toMatchObject({ mode: 'live', model: 'gpt-test', recorded: 150 });
+		expect(db.getAIDecision('BTCUSDT', '1h', START + 60 * HOUR, 'analysis-v1', 'gpt-test')).toMatchObject({ source: 'live', confidence: 0.9 });
+
+		analyze.mockClear();
+		const replayed = await service.runBacktest(service.validateConfig({ ...config, aiMode: 'replay' }));
+		expect(analyze).not.toHaveBeenCalled();
+		expect(replayed.trades).toEqual(recorded.trades);
+
+		// Another prompt version has nothing cached, so a replay makes no trades and no calls
+		service.aiDecisions.promptVersion = 'analysis-v2';
+		const missed = await service.runBacktest(service.validateConfig({ ...config, aiMode: 'replay' }));
+		expect(missed.totalTrades).toBe(0);
+		expect(missed.aiDecisions).toMatchObject({ hits: 0, misses: 150 });
+		expect(analyze).not.toHaveBeenCalled();
+	});
+
+	it('should fill the cache from analysis history on the last closed candle', () => {
+		const cache = new AIDecisionCache({ db, candleStore: new CandleStore({ db }), model: 'gpt-4' });
+		const saveAnalysis = (aiResponse, createdAt) => {
+			const id = db.saveAIAnalysis({ cryptocurrency: 'BTCUSDT', timeframe: '1h', marketData: {}, aiResponse });
+			db.db.prepare('UPDATE ai_analysis SET createdAt = ? WHERE id = ?').run(createdAt, id);
+		};
+		saveAnalysis('{"signal":"BUY","confidence":0.6,"risk_level":"LOW"}', '2024-01-03 10:05:00');
+		saveAnalysis('{"signal":"SELL","confidence":0.8}', '2024-01-03 10:40:00');
+		saveAnalysis('not json', '2024-01-03 12:00:00');
+
+		expect(cache.importAnalysisHistory('BTCUSDT', '1h')).toEqual({ imported: 1, skipped: 1 });
+
+		const [decision] = db.getAIDecisions({ symbol: 'BTCUSDT' });
+		expect(decision).toMatchObject({
+			candleTime: Date.UTC(2024, 0, 3, 9),
+			promptVersion: 'analysis-v1',
+			model: 'gpt-4',
+			signal: 'SELL',
+			confidence: 0.8,
+			source: 'ai_analysis'
+		});
+	});
+
+	it('should move recorded decisions between databases without overwriting', () => {
+		const cache = new AIDecisionCache({ db, model: 'gpt-4' });
+		db.saveAIDecisions([
+			{ symbol: 'BTCUSDT', timeframe: '1h', candleTime: START, promptVersion: 'analysis-v1', model: 'gpt-4', signal: 'BUY', confidence: 0.9, source: 'live' },
+			{ symbol: 'BTCUSDT', timeframe: '1h', candleTime: START + HOUR, promptVersion: 'analysis-v1', model: 'gpt-4', signal: 'HOLD', confidence: 0.4, source: 'live' }
+		]);
+
+		const other = new CryptoBotDatabase(':memory:');
+		try {
+			const target = new AIDecisionCache({ db: other, model: 'gpt-4' });
+			target.importDecisions([{ ...cache.exportDecisions()[0], signal: 'SELL' }]);
+
+			expect(target.importDecisions(cache.exportDecisions())).toEqual({ imported: 1, total: 2 });
+			expect(other.getAIDecision('BTCUSDT', '1h', START, 'analysis-v1', 'gpt-4')).toMatchObject({ signal: 'SELL', source: 'import' });
+			expect(() => target.importDecisions([{ symbol: 'BTCUSDT' }])).toThrow('needs symbol, timeframe, candleTime');
+		} finally {
+			other.close();
+		}
+	});
+});
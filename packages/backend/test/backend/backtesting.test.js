@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const BacktestingService = require('../../src/backtesting-service');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+// Oscillating closes so RSI swings through both thresholds
+const createCandles = (count = 200) => Array.from({ length: count }, (_, i) => {
+	const close = 100 + 20 * Math.sin(i / 8);
+	return {
+		timestamp: Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000,
+		open: close,
+		high: close + 1,
+		low: close - 1,
+		close,
+		volume: 1000
+	};
+});
+
+describe('BacktestingService', () => {
+	let db;
+	let service;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		service = new BacktestingService({ db, progressInterval: 50, syncMissingCandles: false });
+		db.saveCandles('BTCUSDT', '1h', createCandles(), 'csv');
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	const config = {
+		cryptocurrency: 'BTCUSDT',
+		timeframe: '1h',
+		startDate: '2024-01-01',
+		endDate: '2024-01-10',
+		strategy: 'technical'
+	};
+
+	it('should validate the run config', () => {
+		expect(() => service.validateConfig({ ...config, cryptocurrency: '' })).toThrow('needs a cryptocurrency');
+		expect(() => service.validateConfig({ ...config, strategy: 'magic' })).toThrow('Unknown backtest strategy');
+		expect(() => service.validateConfig({ ...config, endDate: '2023-12-31' })).toThrow('valid date range');
+		expect(service.validateConfig({ ...config, initialBalance: '5000' }).initialBalance).toBe(5000);
+	});
+
+	it('should report progress and save the run with its equity curve', async () => {
+		const onProgress = vi.fn();
+
+		const results = await service.runBacktest({ ...config, initialBalance: 5000 }, onProgress);
+
+		expect(results.totalTrades).toBeGreaterThan(0);
+		expect(results.initialBalance).toBe(5000);
+		expect(results.equityCurve).toHaveLength(150);
+		expect(results.equityCurve[0]).toEqual(expect.objectContaining({ timestamp: expect.any(Number), equity: expect.any(Number) }));
+
+		expect(onProgress).toHaveBeenCalledTimes(3);
+		expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ processed: 150, total: 150, percent: 100 }));
+
+		const runs = await service.getBacktestResults();
+		expect(runs).toHaveLength(1);
+		expect(runs[0]).toMatchObject({ id: results.id, cryptocurrency: 'BTCUSDT', strategy: 'technical', totalTrades: results.totalTrades });
+		expect(runs[0].results).toBeUndefined();
+		expect(runs[0].totalReturn).toBeCloseTo(results.metrics.totalReturn);
+		expect(runs[0].sharpeRatio).toBeCloseTo(results.metrics.sharpeRatio);
+		expect(runs[0].benchmarkReturn).toBeCloseTo(results.metrics.benchmarkReturn);
+
+		const detail = await service.getBacktestDetail(results.id);
+		expect(detail.results.trades).toHaveLength(results.totalTrades);
+		expect(detail.results.equityCurve).toHaveLength(150);
+	});
+
+	it('should apply strategy parameters to the technical signal', () => {
+		const indicators = { rsi: 33, macd: { MACD: 1, signal: 0 }, sma_20: 110, sma_50: 100 };
+
+		expect(service.generateTechnicalSignal(indicators)).toBeNull();
+		expect(service.generateTechnicalSignal(indicators, service.resolveTechnicalParams({ rsiOversold: 35 })))
+			.toEqual({ signal: 'BUY', confidence: 1 });
+		expect(() => service.resolveTechnicalParams({ rsiOversold: 80 })).toThrow('rsiOversold must be below rsiOverbought');
+		expect(service.validateConfig({ ...config, params: { minConfidence: '0.9' } }).params.minConfidence).toBe(0.9);
+	});
+
+	it('should gate trades on the configured minimum confidence', async () => {
+		const results = await service.runBacktest({ ...config, params: { minConfidence: 1.5 } });
+
+		expect(results.totalTrades).toBe(0);
+		expect(results.metrics).toEqual(expect.objectContaining({ totalTrades: 0, sharpeRatio: 0, profitFactor: 0 }));
+	});
+
+	it('should calculate risk-adjusted metrics from round trips and the equity curve', () => {
+		const trades = [
+			{ type: 'BUY', commission: 1 },
+			{ type: 'SELL', commission: 1, profit: 50 },
+			{ type: 'BUY', commission: 1 },
+			{ type: 'SELL', commission: 1, profit: -20 }
+		];
+		const equity = [1000, 1100, 990, 1089, 1200];
+
+		const metrics = service.calculateMetrics(trades, equity, '1h', { candlesInMarket: 2, prices: [100, 105, 98, 110] });
+
+		expect(metrics).toMatchObject({ totalReturn: 20, closedTrades: 2, winRate: 50, expectancy: 13, averageWin: 48, averageLoss: -22 });
+		expect(metrics.profitFactor).toBeCloseTo(48 / 22);
+		expect(metrics.maxDrawdown).toBeCloseTo(10);
+		expect(metrics.longestDrawdownSeconds).toBe(7200);
+		expect(metrics.timeInMarket).toBe(50);
+		expect(metrics.benchmarkReturn).toBeCloseTo(10);
+		expect(metrics.sortinoRatio).toBeGreaterThan(metrics.sharpeRatio);
+		expect(metrics.calmarRatio).toBeCloseTo(metrics.annualizedReturn / metrics.maxDrawdown);
+
+		const winner = service.calculateMetrics(trades.slice(0, 2), [1000, 1050, 1100], '1h');
+		expect(winner).toMatchObject({ profitFactor: Infinity, sortinoRatio: Infinity, calmarRatio: Infinity, maxDrawdown: 0 });
+	});
+
+	it('should replay the same stored candles on every run', async () => {
+		const first = await service.runBacktest(config);
+		const second = await service.runBacktest(config);
+
+		expect(second.finalBalance).toBe(first.finalBalance);
+		expect(second.trades).toEqual(first.trades);
+	});
+
+	it('should fail when the period has no candles', async () => {
+		await expect(service.runBacktest({ ...config, cryptocurrency: 'ETHUSDT' })).rejects.toThrow('No historical data available');
+		await expect(service.getBacktestDetail(999)).rejects.toThrow('Backtest 999 not found');
+	});
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const CandleStore = require('../../src/candle-store');
+const BinanceService = require('../../src/binance-service');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2024, 0, 1);
+
+const createCandles = (count, intervalMs, start = START) => Array.from({ length: count }, (_, i) => ({
+	timestamp: start + i * intervalMs,
+	open: 100 + i,
+	high: 101 + i,
+	low: 99 + i,
+	close: 100.5 + i,
+	volume: 10
+}));
+
+const toCsvLine = (candle, timeScale = 1) => [
+	candle.timestamp * timeScale, candle.open, candle.high, candle.low, candle.close, candle.volume,
+	(candle.timestamp + HOUR - 1) * timeScale, 1000, 42, 5, 500, 0
+].join(',');
+
+describe('CandleStore', () => {
+	let db;
+	let store;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		store = new CandleStore({ db });
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	describe('CSV import', () => {
+		it('should import a Binance dump and report gaps', () => {
+			const candles = createCandles(6, HOUR).filter((_, i) => i !== 2 && i !== 3);
+			const csv = candles.map(candle => toCsvLine(candle)).join('\n');
+
+			const result = store.importCsv(csv, { symbol: 'BTCUSDT', timeframe: '1h' });
+
+			expect(result.imported).toBe(4);
+			expect(result.gaps).toEqual([{ from: START + 2 * HOUR, to: START + 3 * HOUR, missing: 2 }]);
+			expect(db.getCandles('BTCUSDT', '1h')).toHaveLength(4);
+		});
+
+		it('should accept a header row and microsecond timestamps', () => {
+			const header = 'open_time,open,high,low,close,volume,close_time,quote_volume,count,taker_buy_volume,taker_buy_quote_volume,ignore';
+			const csv = [header, ...createCandles(3, HOUR).map(candle => toCsvLine(candle, 1000))].join('\r\n');
+
+			const result = store.importCsv(csv, { symbol: 'BTCUSDT', timeframe: '1h' });
+
+			expect(result.imported).toBe(3);
+			expect(result.from).toBe(START);
+			expect(result.gaps).toEqual([]);
+		});
+
+		it('should reject rows that do not match the timeframe or are malformed', () => {
+			const offset = createCandles(1, HOUR, START + 30 * MINUTE).map(candle => toCsvLine(candle)).join('\n');
+			expect(() => store.importCsv(offset, { symbol: 'BTCUSDT', timeframe: '1h' })).toThrow('is not a 1h candle');
+			expect(() => store.importCsv(`${START},1,2,x,1,1`, { symbol: 'BTCUSDT', timeframe: '1h' })).toThrow('Invalid candle on line 1');
+		});
+	});
+
+	describe('Resampling', () => {
+		it('should build 4h candles from 1m data and drop incomplete buckets', () => {
+			// Four full hours plus half of the next 4h bucket
+			const candles = createCandles(4 * 60 + 120, MINUTE);
+
+			const resampled = store.resample(candles, '1m', '4h');
+
+			expect(resampled).toEqual([{
+				timestamp: START,
+				open: 100,
+				high: 101 + 239,
+				low: 99,
+				close: 100.5 + 239,
+				volume: 2400
+			}]);
+			expect(store.resample(candles, '1m', '4h', { includePartial: true })).toHaveLength(2);
+			expect(() => store.resample(candles, '4h', '1h')).toThrow('Cannot resample');
+		});
+
+		it('should serve a missing timeframe from stored 1m candles', async () => {
+			db.saveCandles('BTCUSDT', '1m', createCandles(24 * 60, MINUTE), 'csv');
+
+			const daily = await store.getCandles('BTCUSDT', '1d', START, START + 23 * HOUR);
+			const fourHour = await store.getCandles('BTCUSDT', '4h', START, START + 23 * HOUR);
+
+			expect(daily).toHaveLength(1);
+			expect(daily[0]).toMatchObject({ timestamp: START, open: 100, close: 100.5 + 1439, volume: 14400 });
+			expect(fourHour).toHaveLength(6);
+			expect(db.getCandleCoverage('BTCUSDT').map(series => series.timeframe)).toEqual(['1d', '1m', '4h']);
+		});
+	});
+
+	describe('Sync', () => {
+		it('should only fetch the missing candles, page by page', async () => {
+			const binance = {
+				fetchCandles: vi.fn(async (symbol, timeframe, { startTime, endTime, limit }) => {
+					const count = Math.min(limit, (endTime - startTime) / HOUR + 1);
+					return createCandles(count, HOUR, startTime);
+				})
+			};
+			store = new CandleStore({ db, binance, pageSize: 5 });
+			db.saveCandles('BTCUSDT', '1h', createCandles(4, HOUR), 'csv');
+
+			const result = await store.sync('BTCUSDT', '1h', START, START + 11 * HOUR);
+
+			expect(result.fetched).toBe(8);
+			expect(result.gaps).toEqual([]);
+			expect(binance.fetchCandles).toHaveBeenCalledTimes(2);
+			expect(binance.fetchCandles).toHaveBeenNthCalledWith(1, 'BTCUSDT', '1h', { startTime: START + 4 * HOUR, endTime: START + 11 * HOUR, limit: 5 });
+
+			// Continues from the last stored candle when no start is given
+			await store.sync('BTCUSDT', '1h', null, START + 13 * HOUR);
+			expect(binance.fetchCandles).toHaveBeenLastCalledWith('BTCUSDT', '1h', { startTime: START + 12 * HOUR, endTime: START + 13 * HOUR, limit: 5 });
+			expect(db.getCandles('BTCUSDT', '1h')).toHaveLength(14);
+		});
+
+		it('should fall back to stored candles when the exchange is unreachable', async () => {
+			const binance = { fetchCandles: vi.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.binance.com')) };
+			store = new CandleStore({ db, binance });
+			db.saveCandles('BTCUSDT', '1h', createCandles(3, HOUR), 'csv');
+
+			const candles = await store.getCandles('BTCUSDT', '1h', START, START + 5 * HOUR, { sync: true });
+
+			expect(binance.fetchCandles).toHaveBeenCalled();
+			expect(candles).toHaveLength(3);
+		});
+	});
+
+	describe('Price fallback', () => {
+		let binance;
+
+		beforeEach(() => {
+			binance = new BinanceService();
+			binance.db.close();
+			binance.candleStore = store;
+			vi.spyOn(binance.client, 'prices').mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.binance.com'));
+			vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.binance.com')));
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		it('should only stand in a recent stored close for the live price', async () => {
+			const now = Math.floor(Date.now() / MINUTE) * MINUTE;
+			db.saveCandles('BTCUSDT', '1m', createCandles(3, MINUTE, now - 2 * MINUTE), 'sync');
+			expect(await binance.getCurrentPrice('BTCUSDT')).toBe(102.5);
+
+			// Months old, as after a CSV import, so there is no current price
+			db.saveCandles('ETHUSDT', '1m', createCandles(3, MINUTE), 'csv');
+			await expect(binance.getCurrentPrice('ETHUSDT')).rejects.toThrow('No current price for ETHUSDT, last stored close is from 2024-01-01T00:02:00.000Z');
+		});
+	});
+});
@@ -180,6 +180,238 @@ describe('CryptoBotDatabase', () => {
 			expect(orders[0].symbol).toBe('BTCUSDT');
 			expect(orders[0].side).toBe('BUY');
 		});
+
+		it('should persist stop-loss and take-profit levels', async () => {
+			db.createPaperTradingAccount({
+				id: 'test_account_1',
+				userId: 'user1',
+				balance: 10000,
+				currency: 'USDT',
+				equity: 10000
+			});
+
+			db.updatePaperTradingPosition({
+				id: 'test_position_1',
+				accountId: 'test_account_1',
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.1,
+				avgPrice: 50000,
+				currentPrice: 50000,
+				unrealizedPnl: 0,
+				stopLoss: 48000,
+				takeProfit: 55000
+			});
+
+			db.createPaperTradingOrder({
+				id: 'test_order_1',
+				accountId: 'test_account_1',
+				symbol: 'BTCUSDT',
+				side: 'SELL',
+				type: 'MARKET',
+				quantity: 0.1,
+				price: 48000,
+				status: 'FILLED',
+				exitReason: 'STOP_LOSS'
+			});
+
+			const positions = db.getPaperTradingPositions('test_account_1');
+			expect(positions[0].stopLoss).toBe(48000);
+			expect(positions[0].takeProfit).toBe(55000);
+
+			const orders = db.getPaperTradingOrders('test_account_1');
+			expect(orders[0].exitReason).toBe('STOP_LOSS');
+		});
+
+		it('should accept stop and trailing stop order types', async () => {
+			db.createPaperTradingAccount({
+				id: 'test_account_1',
+				userId: 'user1',
+				balance: 10000,
+				currency: 'USDT',
+				equity: 10000
+			});
+
+			['STOP', 'STOP_LIMIT', 'TRAILING_STOP'].forEach((type, index) => {
+				db.createPaperTradingOrder({
+					id: `test_order_${index}`,
+					accountId: 'test_account_1',
+					symbol: 'BTCUSDT',
+					side: 'SELL',
+					type,
+					quantity: 0.1,
+					price: 49000,
+					stopPrice: 49000,
+					trailingPercent: type === 'TRAILING_STOP' ? 2 : null,
+					status: 'PENDING'
+				});
+			});
+
+			const orders = db.getPaperTradingOrders('test_account_1');
+			expect(orders.map(order => order.type).sort()).toEqual(['STOP', 'STOP_LIMIT', 'TRAILING_STOP']);
+			expect(orders.find(order => order.type === 'TRAILING_STOP').trailingPercent).toBe(2);
+		});
+
+		it('should persist short selling mode and SHORT position margin', async () => {
+			db.createPaperTradingAccount({
+				id: 'test_account_1',
+				userId: 'user1',
+				balance: 10000,
+				currency: 'USDT',
+				equity: 10000
+			});
+			db.setPaperTradingAccountShortSelling('test_account_1', true);
+
+			db.updatePaperTradingPosition({
+				id: 'test_position_1',
+				accountId: 'test_account_1',
+				symbol: 'BTCUSDT',
+				side: 'SHORT',
+				quantity: 0.1,
+				avgPrice: 50000,
+				currentPrice: 50000,
+				unrealizedPnl: 0,
+				margin: 5000
+			});
+
+			const account = db.getPaperTradingAccount('test_account_1');
+			expect(account.shortSellingEnabled).toBe(1);
+
+			const positions = db.getPaperTradingPositions('test_account_1');
+			expect(positions[0].side).toBe('SHORT');
+			expect(positions[0].margin).toBe(5000);
+		});
+	});
+
+	describe('Equity Snapshots', () => {
+		it('should return snapshots for a range in chronological order', () => {
+			db.createPaperTradingAccount({ id: 'account_1', userId: 'user1', balance: 10000, currency: 'USDT', equity: 10000 });
+			db.createPaperTradingAccount({ id: 'account_2', userId: 'user2', balance: 500, currency: 'USDT', equity: 500 });
+			['2026-01-01T00:00:00.000Z', '2026-01-01T00:01:00.000Z', '2026-01-01T00:02:00.000Z'].forEach((createdAt, index) => {
+				db.savePaperTradingEquitySnapshot({
+					accountId: 'account_1',
+					equity: 10000 + index * 100,
+					balance: 10000,
+					exposure: 5000,
+					openPositions: 1,
+					createdAt
+				});
+			});
+			db.savePaperTradingEquitySnapshot({ accountId: 'account_2', equity: 500, balance: 500 });
+
+			const range = db.getPaperTradingEquitySnapshots('account_1', { from: '2026-01-01T00:01:00.000Z' });
+			expect(range.map(snapshot => snapshot.equity)).toEqual([10100, 10200]);
+
+			const latest = db.getPaperTradingEquitySnapshots('account_1', { limit: 2 });
+			expect(latest.map(snapshot => snapshot.createdAt)).toEqual(['2026-01-01T00:01:00.000Z', '2026-01-01T00:02:00.000Z']);
+
+			expect(db.getLatestPaperTradingEquitySnapshot('account_1').equity).toBe(10200);
+		});
+	});
+
+	describe('Backtest Results', () => {
+		it('should store metrics as numbers and keep infinite ratios as NULL', () => {
+			const id = db.saveBacktestResult({
+				cryptocurrency: 'BTCUSDT',
+				timeframe: '1h',
+				startDate: '2026-01-01',
+				endDate: '2026-02-01',
+				strategy: 'technical',
+				initialBalance: 10000,
+				finalBalance: 10450,
+				totalTrades: 4,
+				metrics: { totalReturn: 4.5, winRate: 100, maxDrawdown: 1.2, sharpeRatio: 1.8, profitFactor: Infinity, benchmarkReturn: -3 },
+				results: { trades: [] }
+			});
+
+			const [run] = db.getBacktestResults();
+			expect(run).toMatchObject({ id, totalReturn: 4.5, winRate: 100, maxDrawdown: 1.2, sharpeRatio: 1.8, profitFactor: null, benchmarkReturn: -3 });
+			expect(run.results).toBeUndefined();
+		});
+
+		it('should convert text percentages from older databases', () => {
+			db.db.exec('DROP TABLE backtest_results');
+			db.db.exec(`
+				CREATE TABLE backtest_results (
+					id INTEGER PRIMARY KEY AUTOINCREMENT, cryptocurrency TEXT NOT NULL, timeframe TEXT NOT NULL,
+					startDate TEXT NOT NULL, endDate TEXT NOT NULL, strategy TEXT NOT NULL, initialBalance REAL NOT NULL,
+					finalBalance REAL NOT NULL, totalReturn TEXT NOT NULL, totalTrades INTEGER NOT NULL,
+					winRate TEXT NOT NULL, maxDrawdown TEXT NOT NULL, results TEXT NOT NULL,
+					createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+				)
+			`);
+			db.db.prepare(`
+				INSERT INTO backtest_results (cryptocurrency, timeframe, startDate, endDate, strategy, initialBalance,
+					finalBalance, totalReturn, totalTrades, winRate, maxDrawdown, results)
+				VALUES ('BTCUSDT', '1h', '2026-01-01', '2026-02-01', 'ai', 10000, 9800, '-2.00%', 6, '33.33%', '5.10%', '{}')
+			`).run();
+
+			db.initSchema();
+
+			const [run] = db.getBacktestResults();
+			expect(run).toMatchObject({ totalReturn: -2, winRate: 33.33, maxDrawdown: 5.1, sharpeRatio: null });
+		});
+	});
+
+	describe('Trade Journal', () => {
+		it('should store closed trades and filter them', () => {
+			db.createPaperTradingAccount({ id: 'account_1', userId: 'user1', balance: 10000, currency: 'USDT', equity: 10000 });
+			const baseTrade = {
+				accountId: 'account_1',
+				side: 'LONG',
+				quantity: 0.1,
+				entryPrice: 50000,
+				exitPrice: 51000,
+				entryOrderIds: ['order_1'],
+				exitOrderId: 'order_2',
+				grossPnl: 100,
+				netPnl: 90
+			};
+
+			db.saveClosedTrade({ ...baseTrade, id: 'trade_1', symbol: 'BTCUSDT', entrySignalId: 7, exitReason: 'SIGNAL', closedAt: '2026-01-01T00:00:00.000Z' });
+			db.saveClosedTrade({ ...baseTrade, id: 'trade_2', symbol: 'ETHUSDT', grossPnl: -50, netPnl: -55, exitReason: 'STOP_LOSS', closedAt: '2026-01-02T00:00:00.000Z' });
+			db.saveClosedTrade({ ...baseTrade, id: 'trade_3', symbol: 'BTCUSDT', side: 'SHORT', exitSignalId: 7, closedAt: '2026-01-03T00:00:00.000Z' });
+
+			expect(db.getClosedTrades({ accountId: 'account_1' }).map(trade => trade.id)).toEqual(['trade_3', 'trade_2', 'trade_1']);
+			expect(db.getClosedTrades({ symbol: 'BTCUSDT', side: 'LONG' }).map(trade => trade.id)).toEqual(['trade_1']);
+			expect(db.getClosedTrades({ outcome: 'LOSS' }).map(trade => trade.id)).toEqual(['trade_2']);
+			expect(db.getClosedTrades({ signalId: 7 }).map(trade => trade.id)).toEqual(['trade_3', 'trade_1']);
+			expect(db.getClosedTrades({ to: '2026-01-01T12:00:00.000Z' })[0].entryOrderIds).toEqual(['order_1']);
+		});
+	});
+
+	describe('Signal Decisions', () => {
+		it('should log decisions and filter them by account and signal', () => {
+			db.saveSignalDecision({
+				signalId: 1,
+				accountId: 'account_1',
+				symbol: 'BTCUSDT',
+				timeframe: '4h',
+				signalType: 'BUY',
+				confidence: 0.9,
+				riskLevel: 'LOW',
+				decision: 'TAKEN',
+				reason: 'Matched subscription',
+				orderId: 'order_1',
+				quantity: 0.1
+			});
+			db.saveSignalDecision({
+				signalId: 1,
+				accountId: 'account_2',
+				symbol: 'BTCUSDT',
+				decision: 'SKIPPED',
+				reason: 'Timeframe 4h not subscribed'
+			});
+
+			expect(db.getSignalDecisions({ signalId: 1 })).toHaveLength(2);
+
+			const skipped = db.getSignalDecisions({ accountId: 'account_2' });
+			expect(skipped).toHaveLength(1);
+			expect(skipped[0].decision).toBe('SKIPPED');
+			expect(skipped[0].reason).toBe('Timeframe 4h not subscribed');
+
+			expect(db.getSignalDecisions({ decision: 'TAKEN' })[0].orderId).toBe('order_1');
+		});
 	});
 
 	describe('AI Analysis', () => {
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+const ExecutionModel = require('../../src/execution-model.js');
+
+describe('ExecutionModel', () => {
+	let model;
+	let config;
+
+	const orderBook = {
+		symbol: 'BTCUSDT',
+		bids: [
+			{ price: 49990, quantity: 1 },
+			{ price: 49980, quantity: 2 }
+		],
+		asks: [
+			{ price: 50010, quantity: 1 },
+			{ price: 50020, quantity: 2 }
+		]
+	};
+
+	beforeEach(() => {
+		config = null;
+		model = new ExecutionModel({
+			db: { getConfig: vi.fn(() => config) },
+			binance: { getOrderBook: vi.fn().mockResolvedValue(orderBook) },
+			commission: 0.001
+		});
+	});
+
+	it('should pay half the spread on a small market order', async () => {
+		const fill = await model.simulateMarketFill('BTCUSDT', 'BUY', 0.5, 50000);
+
+		expect(fill.slippageSource).toBe('ORDER_BOOK');
+		expect(fill.executionPrice).toBeCloseTo(50010);
+	});
+
+	it('should walk the book for larger orders', async () => {
+		const small = await model.simulateMarketFill('BTCUSDT', 'SELL', 0.5, 50000);
+		const large = await model.simulateMarketFill('BTCUSDT', 'SELL', 3, 50000);
+
+		expect(small.executionPrice).toBeCloseTo(49990);
+		// (1 x 49990 + 2 x 49980) / 3
+		expect(large.executionPrice).toBeCloseTo(49983.33, 1);
+	});
+
+	it('should add square-root impact beyond the visible depth', async () => {
+		const fill = await model.simulateMarketFill('BTCUSDT', 'BUY', 6, 50000);
+
+		// 3 units visible at 50010 / 50020, 3 more at 50020 plus 0.1 x sqrt(3 / 3) impact
+		const expectedCost = 50010 + 2 * 50020 + 3 * 50020 * 1.1;
+		expect(fill.executionPrice).toBeCloseTo(expectedCost / 6, 0);
+	});
+
+	it('should fall back to the configured slippage without an order book', async () => {
+		model.binance.getOrderBook.mockRejectedValue(new Error('Network error'));
+		config = { fallbackSlippage: 0.001 };
+
+		const fill = await model.simulateMarketFill('BTCUSDT', 'BUY', 1, 50000);
+
+		expect(fill.slippageSource).toBe('FALLBACK');
+		expect(fill.executionPrice).toBeCloseTo(50050);
+	});
+
+	it('should charge maker or taker fees by order type with an optional BNB discount', () => {
+		config = { makerFee: 0.0002, takerFee: 0.0007 };
+		expect(model.calculateFee('LIMIT', 10000)).toEqual({ liquidity: 'MAKER', feeRate: 0.0002, commission: 2 });
+		expect(model.calculateFee('STOP', 10000).commission).toBeCloseTo(7);
+
+		config = { makerFee: 0.0002, takerFee: 0.0007, bnbDiscount: true };
+		expect(model.calculateFee('MARKET', 10000).commission).toBeCloseTo(5.25);
+	});
+
+	it('should describe slippage as a cost for both sides', () => {
+		expect(model.describeFill('BUY', 2, 50000, 50010)).toEqual({ expectedPrice: 50000, slippageCost: 20, slippageBps: 2 });
+		expect(model.describeFill('SELL', 2, 50000, 49990).slippageCost).toBeCloseTo(20);
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+const HealthService = require('../../src/health-service');
+
+describe('HealthService', () => {
+	let db;
+	let binance;
+	let openai;
+
+	beforeEach(() => {
+		db = { ping: vi.fn(() => true) };
+		binance = { testConnection: vi.fn(async () => true) };
+		openai = { testConnection: vi.fn(async () => true) };
+	});
+
+	it('should be ready when every critical dependency is up and mark missing ones disabled', async () => {
+		const health = new HealthService({ db, binance, openai });
+
+		const readiness = await health.getReadiness();
+
+		expect(readiness.status).toBe('ready');
+		expect(readiness.checks.database).toMatchObject({ status: 'up', critical: true, cached: false });
+		expect(readiness.checks.binance.status).toBe('up');
+		expect(readiness.checks.openai.status).toBe('up');
+		expect(readiness.checks.telegram).toEqual({ status: 'disabled', critical: false });
+	});
+
+	it('should cache probe results and share a probe between concurrent requests', async () => {
+		const health = new HealthService({ db, binance, openai });
+
+		await Promise.all([health.getReadiness(), health.getReadiness()]);
+		const cached = await health.getReadiness();
+
+		expect(openai.testConnection).toHaveBeenCalledTimes(1);
+		expect(binance.testConnection).toHaveBeenCalledTimes(1);
+		expect(cached.checks.openai.cached).toBe(true);
+
+		await health.getReadiness({ refresh: true });
+		expect(openai.testConnection).toHaveBeenCalledTimes(2);
+	});
+
+	it('should degrade on an optional dependency and fail on a critical one', async () => {
+		openai.testConnection.mockResolvedValue(false);
+		let health = new HealthService({ db, binance, openai });
+		expect((await health.getReadiness()).status).toBe('degraded');
+
+		db.ping.mockImplementation(() => { throw new Error('The database connection is not open'); });
+		health = new HealthService({ db, binance, openai });
+		const readiness = await health.getReadiness();
+
+		expect(readiness.status).toBe('not_ready');
+		expect(readiness.checks.database).toMatchObject({ status: 'down', error: 'The database connection is not open' });
+	});
+
+	it('should count a probe that hangs as down', async () => {
+		binance.testConnection.mockImplementation(() => new Promise(() => {}));
+		const health = new HealthService({ db, binance, openai, timeoutMs: 20 });
+
+		const readiness = await health.getReadiness();
+
+		expect(readiness.status).toBe('not_ready');
+		expect(readiness.checks.binance).toMatchObject({ status: 'down', error: 'Timed out after 20ms' });
+	});
+});
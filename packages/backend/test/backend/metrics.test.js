@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+const { Metrics } = require('../../src/metrics');
+
+describe('Metrics', () => {
+	let metrics;
+
+	beforeEach(() => {
+		metrics = new Metrics();
+	});
+
+	it('should count signals, OpenAI tokens and cost by label', async () => {
+		metrics.recordSignal({ cryptocurrency: 'BTCUSDT', signalType: 'buy', timeframe: '1h' });
+		metrics.recordSignal({ cryptocurrency: 'BTCUSDT', signalType: 'buy', timeframe: '1h' });
+		metrics.recordOpenAIUsage('gpt-4', { prompt_tokens: 300, completion_tokens: 40, total_tokens: 340 }, 0.0021);
+		metrics.recordOpenAIUsage('gpt-4', { total_tokens: 100 }, 0);
+
+		const text = await metrics.render();
+		expect(text).toContain('crypto_bot_signals_generated_total{symbol="BTCUSDT",type="buy",timeframe="1h"} 2');
+		expect(text).toContain('crypto_bot_openai_tokens_total{model="gpt-4",kind="prompt"} 300');
+		expect(text).toContain('crypto_bot_openai_tokens_total{model="gpt-4",kind="completion"} 40');
+		expect(text).toContain('crypto_bot_openai_tokens_total{model="gpt-4",kind="total"} 100');
+		expect(text).toContain('crypto_bot_openai_cost_usd_total{model="gpt-4"} 0.0021');
+	});
+
+	it('should time Binance client requests and count the failures', async () => {
+		const binanceClient = metrics.instrumentBinanceClient({
+			prices: vi.fn(async () => ({ BTCUSDT: '50000' })),
+			candles: vi.fn(async () => { throw new Error('Timeout'); }),
+			getInfo: () => ({ spot: {} }),
+			ws: { ticker: vi.fn() }
+		});
+
+		await expect(binanceClient.prices({ symbol: 'BTCUSDT' })).resolves.toEqual({ BTCUSDT: '50000' });
+		await expect(binanceClient.candles({ symbol: 'BTCUSDT' })).rejects.toThrow('Timeout');
+		expect(binanceClient.getInfo()).toEqual({ spot: {} });
+		binanceClient.ws.ticker('BTCUSDT');
+
+		const text = await metrics.render();
+		expect(text).toContain('crypto_bot_binance_request_duration_seconds_count{method="prices"} 1');
+		expect(text).toContain('crypto_bot_binance_request_duration_seconds_count{method="candles"} 1');
+		expect(text).toContain('crypto_bot_binance_request_errors_total{method="candles"} 1');
+		expect(text).not.toContain('method="getInfo"');
+		expect(text).not.toContain('crypto_bot_binance_request_errors_total{method="prices"}');
+	});
+
+	it('should read WebSocket clients and paper equity at scrape time', async () => {
+		let accounts = [{ id: 'account_1', equity: 10250.5 }, { id: 'account_2', equity: 9800 }];
+		metrics.trackWebSocketClients(() => 3);
+		metrics.trackPaperAccounts(() => accounts);
+
+		let text = await metrics.render();
+		expect(text).toContain('crypto_bot_websocket_clients 3');
+		expect(text).toContain('crypto_bot_paper_equity_usd{account="account_1"} 10250.5');
+
+		accounts = [{ id: 'account_2', equity: 9900 }];
+		text = await metrics.render();
+		expect(text).not.toContain('account="account_1"');
+		expect(text).toContain('crypto_bot_paper_equity_usd{account="account_2"} 9900');
+	});
+
+	it('should time analysis cycles', async () => {
+		const end = metrics.analysisCycleDuration.startTimer();
+		end();
+
+		expect(await metrics.render()).toContain('crypto_bot_analysis_cycle_duration_seconds_count 1');
+	});
+});
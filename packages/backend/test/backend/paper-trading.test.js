@@ -22,6 +22,13 @@ describe('PaperTradingService', () => {
 			getPaperTradingOrder: vi.fn(),
 			updatePaperTradingOrder: vi.fn(),
 			getPaperTradingAccounts: vi.fn(),
+			setPaperTradingAccountShortSelling: vi.fn(),
+			getUserSetting: vi.fn().mockReturnValue(null),
+			setUserSetting: vi.fn(),
+			savePaperTradingEquitySnapshot: vi.fn(),
+			saveClosedTrade: vi.fn(),
+			getClosedTrades: vi.fn().mockReturnValue([]),
+			getPaperTradingEquitySnapshots: vi.fn().mockReturnValue([]),
 			db: {
 				prepare: vi.fn().mockReturnValue({
 					all: vi.fn().mockReturnValue([])
@@ -382,6 +389,675 @@ describe('PaperTradingService', () => {
 		});
 	});
 
+	describe('Stop-Loss and Take-Profit', () => {
+		let account;
+
+		beforeEach(async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+		});
+
+		it('should attach exit levels to the position opened by a market order', async () => {
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000, {
+				stopLoss: '48000',
+				takeProfit: 55000
+			});
+
+			const position = paperTradingService.positions.get(`${account.id}_BTCUSDT`);
+			expect(position.stopLoss).toBe(48000);
+			expect(position.takeProfit).toBe(55000);
+			expect(mockDb.updatePaperTradingPosition).toHaveBeenCalledWith(expect.objectContaining({
+				stopLoss: 48000,
+				takeProfit: 55000
+			}));
+		});
+
+		it('should reject a stop-loss above the entry price', async () => {
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000, {
+				stopLoss: 51000
+			})).rejects.toThrow('Stop-loss must be below the entry price');
+		});
+
+		it('should detect which level was crossed', () => {
+			const position = { side: 'LONG', stopLoss: 48000, takeProfit: 55000 };
+
+			expect(paperTradingService.getTriggeredExitReason(position, 50000)).toBeNull();
+			expect(paperTradingService.getTriggeredExitReason(position, 47900)).toBe('STOP_LOSS');
+			expect(paperTradingService.getTriggeredExitReason(position, 55100)).toBe('TAKE_PROFIT');
+		});
+
+		it('should close positions whose stop-loss is hit and record the reason', async () => {
+			const position = await paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.1,
+				avgPrice: 50000,
+				stopLoss: 48000,
+				takeProfit: 55000
+			});
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(47500);
+			const balanceBefore = account.balance;
+
+			const closed = await paperTradingService.checkExitLevels();
+
+			expect(closed).toHaveLength(1);
+			expect(closed[0].exitReason).toBe('STOP_LOSS');
+			// Closed at the market: 0.05% fallback slippage below the 47500 trigger
+			const fillPrice = 47500 * (1 - 0.0005);
+			expect(closed[0].order.expectedPrice).toBe(47500);
+			expect(closed[0].order.executionPrice).toBeCloseTo(fillPrice);
+			expect(closed[0].realizedPnl).toBeCloseTo((fillPrice - 50000) * 0.1);
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(false);
+			expect(mockDb.deletePaperTradingPosition).toHaveBeenCalledWith(position.id);
+			expect(mockDb.createPaperTradingOrder).toHaveBeenCalledWith(expect.objectContaining({
+				side: 'SELL',
+				exitReason: 'STOP_LOSS'
+			}));
+			expect(account.balance).toBeCloseTo(balanceBefore + fillPrice * 0.1 * (1 - 0.001));
+			expect(account.losingTrades).toBe(1);
+			// Equity is revalued with the exit, not on the next price tick
+			expect(account.equity).toBeCloseTo(account.balance);
+			expect(mockDb.updatePaperTradingAccount).toHaveBeenLastCalledWith(expect.objectContaining({ equity: account.equity }));
+		});
+
+		it('should leave positions alone while the price is between the levels', async () => {
+			await paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.1,
+				avgPrice: 50000,
+				stopLoss: 48000,
+				takeProfit: 55000
+			});
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(51000);
+
+			const closed = await paperTradingService.checkExitLevels();
+
+			expect(closed).toHaveLength(0);
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(true);
+		});
+	});
+
+	describe('Limit Orders', () => {
+		let account;
+
+		beforeEach(async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+		});
+
+		it('should reserve balance for a pending BUY limit order', async () => {
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+
+			expect(order.status).toBe('PENDING');
+			expect(order.reservedAmount).toBeCloseTo(5005);
+			expect(account.balance).toBeCloseTo(10000 - 5005);
+			expect(account.reservedBalance).toBeCloseTo(5005);
+			expect(mockDb.updatePaperTradingAccount).toHaveBeenCalledWith(expect.objectContaining({
+				reservedBalance: expect.closeTo(5005)
+			}));
+		});
+
+		it('should reject a limit order the balance cannot cover', async () => {
+			await expect(paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 1, 50000))
+				.rejects.toThrow('Insufficient balance');
+			expect(account.reservedBalance || 0).toBe(0);
+		});
+
+		it('should release the reservation when the order is cancelled', async () => {
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+
+			const cancelled = await paperTradingService.cancelOrder(order.id);
+
+			expect(cancelled.status).toBe('CANCELLED');
+			expect(account.balance).toBeCloseTo(10000);
+			expect(account.reservedBalance).toBeCloseTo(0);
+			expect(mockDb.updatePaperTradingOrder).toHaveBeenCalledWith(expect.objectContaining({
+				id: order.id,
+				status: 'CANCELLED'
+			}));
+		});
+
+		it('should fill a BUY limit at the limit price once a candle trades through it', async () => {
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([
+				{ timestamp: Date.now() - 30000, open: 50500, high: 50600, low: 49900, close: 50400, volume: 10 }
+			]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(50400);
+
+			const filled = await paperTradingService.checkPendingOrders();
+
+			expect(filled).toHaveLength(1);
+			expect(order.status).toBe('FILLED');
+			expect(order.executionPrice).toBe(50000);
+			expect(account.reservedBalance).toBeCloseTo(0);
+			expect(account.balance).toBeCloseTo(10000 - 5005);
+
+			const position = paperTradingService.positions.get(`${account.id}_BTCUSDT`);
+			expect(position.quantity).toBe(0.1);
+			expect(position.avgPrice).toBe(50000);
+		});
+
+		it('should keep the order pending while the price stays above the limit', async () => {
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([
+				{ timestamp: Date.now() - 30000, open: 50500, high: 50600, low: 50100, close: 50400, volume: 10 }
+			]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(50400);
+
+			const filled = await paperTradingService.checkPendingOrders();
+
+			expect(filled).toHaveLength(0);
+			expect(order.status).toBe('PENDING');
+			expect(account.reservedBalance).toBeCloseTo(5005);
+		});
+	});
+
+	describe('Stop Orders', () => {
+		let account;
+
+		const priceRange = (low, high, currentPrice) => {
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([
+				{ timestamp: Date.now() - 30000, open: currentPrice, high, low, close: currentPrice, volume: 10 }
+			]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(currentPrice);
+		};
+
+		beforeEach(async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+		});
+
+		it('should fill a BUY stop at the market once the price rises through it', async () => {
+			const order = await paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 51000);
+			expect(order.type).toBe('STOP');
+			expect(account.reservedBalance).toBeCloseTo(5105.1);
+
+			priceRange(50000, 50900, 50800);
+			expect(await paperTradingService.checkPendingOrders()).toHaveLength(0);
+
+			priceRange(50800, 51300, 51200);
+			const filled = await paperTradingService.checkPendingOrders();
+
+			expect(filled).toHaveLength(1);
+			expect(order.status).toBe('FILLED');
+			expect(order.expectedPrice).toBe(51200);
+			expect(order.executionPrice).toBeCloseTo(51200 * (1 + 0.0005));
+			expect(order.liquidity).toBe('TAKER');
+			expect(account.reservedBalance).toBeCloseTo(0);
+		});
+
+		it('should work a STOP_LIMIT as a limit order after it triggers', async () => {
+			const order = await paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 51000, {
+				type: 'STOP_LIMIT',
+				limitPrice: 51100
+			});
+
+			priceRange(50900, 51500, 51400);
+			expect(await paperTradingService.checkPendingOrders()).toHaveLength(0);
+			expect(order.triggeredAt).toBeTruthy();
+			expect(order.status).toBe('PENDING');
+
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(51050);
+			const filled = await paperTradingService.checkPendingOrders();
+
+			expect(filled).toHaveLength(1);
+			expect(order.executionPrice).toBe(51100);
+		});
+
+		it('should trail a SELL stop behind the highest price and fill when it reverses', async () => {
+			await paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.1,
+				avgPrice: 48000
+			});
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(50000);
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([]);
+
+			const order = await paperTradingService.placeTrailingStopOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 2);
+			expect(order.stopPrice).toBeCloseTo(49000);
+			expect(order.reservedAmount).toBe(0);
+
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(52000);
+			await paperTradingService.checkPendingOrders();
+			expect(order.stopPrice).toBeCloseTo(50960);
+
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(51500);
+			await paperTradingService.checkPendingOrders();
+			expect(order.stopPrice).toBeCloseTo(50960);
+			expect(order.status).toBe('PENDING');
+
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(50900);
+			const filled = await paperTradingService.checkPendingOrders();
+
+			expect(filled).toHaveLength(1);
+			expect(order.expectedPrice).toBe(50900);
+			expect(order.executionPrice).toBeCloseTo(50900 * (1 - 0.0005));
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(false);
+		});
+
+		it('should describe stop orders by type and stop price when they are cancelled', async () => {
+			global.serverInstance = { broadcast: vi.fn() };
+			try {
+				const stop = await paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 51000);
+				const stopLimit = await paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 51000, {
+					type: 'STOP_LIMIT',
+					limitPrice: 51100
+				});
+				paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(50000);
+				const trailing = await paperTradingService.placeTrailingStopOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 2);
+
+				for (const order of [stop, stopLimit, trailing]) {
+					await paperTradingService.cancelOrder(order.id);
+				}
+
+				expect(global.serverInstance.broadcast.mock.calls.map(([event]) => event.data.message)).toEqual([
+					'🚫 Paper Trading: BUY STOP 0.05 BTCUSDT stop $51000 cancelled',
+					'🚫 Paper Trading: BUY STOP_LIMIT 0.05 BTCUSDT stop $51000 limit $51100 cancelled',
+					'🚫 Paper Trading: BUY TRAILING_STOP 0.05 BTCUSDT stop $51000 cancelled'
+				]);
+				expect(global.serverInstance.broadcast).toHaveBeenLastCalledWith({
+					type: 'paper_trading_order_cancelled',
+					data: expect.objectContaining({ type: 'TRAILING_STOP', stopPrice: 51000 })
+				});
+			} finally {
+				delete global.serverInstance;
+			}
+		});
+
+		it('should reject invalid stop parameters', async () => {
+			await expect(paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 0))
+				.rejects.toThrow('positive stop price');
+			await expect(paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 51000, { type: 'STOP_LIMIT' }))
+				.rejects.toThrow('positive limit price');
+			await expect(paperTradingService.placeTrailingStopOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 150))
+				.rejects.toThrow('between 0 and 100');
+		});
+	});
+
+	describe('Short Selling', () => {
+		let account;
+
+		beforeEach(async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+		});
+
+		it('should refuse a SELL without a position unless short selling is enabled', async () => {
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 50000))
+				.rejects.toThrow('Short selling is not enabled');
+			expect(account.balance).toBe(10000);
+		});
+
+		it('should open a SHORT and lock its margin', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+			expect(mockDb.setPaperTradingAccountShortSelling).toHaveBeenCalledWith(account.id, true);
+
+			const order = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 50000);
+
+			const position = paperTradingService.positions.get(`${account.id}_BTCUSDT`);
+			expect(position.side).toBe('SHORT');
+			expect(position.quantity).toBe(0.1);
+			expect(position.margin).toBeCloseTo(order.amount);
+			expect(account.balance).toBeCloseTo(10000 - order.amount - order.commission);
+		});
+
+		it('should reject a SHORT the balance cannot margin', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 1, 50000))
+				.rejects.toThrow('Insufficient margin for short sale');
+		});
+
+		it('should report unrealized P&L that rises as the price falls', async () => {
+			const position = await paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'SHORT',
+				quantity: 0.1,
+				avgPrice: 50000,
+				margin: 5000
+			});
+
+			const updated = await paperTradingService.updateUnrealizedPnL(position.id, 48000);
+			expect(updated.unrealizedPnl).toBeCloseTo(200);
+		});
+
+		it('should realize P&L and release margin when the SHORT is covered', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+			const sell = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 50000);
+			const balanceAfterShort = account.balance;
+
+			const buy = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 48000);
+
+			const realizedPnl = (sell.executionPrice - buy.executionPrice) * 0.1;
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(false);
+			expect(account.realizedPnl).toBeCloseTo(realizedPnl);
+			expect(account.winningTrades).toBe(1);
+			expect(account.balance).toBeCloseTo(balanceAfterShort + sell.amount + realizedPnl - buy.commission);
+		});
+
+		it('should not let a BUY cover more than the open SHORT', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 50000);
+
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.2, 48000))
+				.rejects.toThrow('exceeds the open SHORT position');
+		});
+
+		it('should not reserve cash for a BUY limit that covers a SHORT', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.19, 50000);
+			const balanceAfterShort = account.balance;
+			expect(balanceAfterShort).toBeLessThan(500);
+
+			// The cover is paid from the SHORT's margin when it fills
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.19, 48000);
+			expect(order.reservedAmount).toBe(0);
+			expect(account.balance).toBe(balanceAfterShort);
+
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([
+				{ timestamp: Date.now() - 30000, open: 48500, high: 48600, low: 47900, close: 48100, volume: 10 }
+			]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(48100);
+			expect(await paperTradingService.checkPendingOrders()).toHaveLength(1);
+			expect(order.status).toBe('FILLED');
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(false);
+		});
+
+		it('should not let a SELL run past the open LONG', async () => {
+			await paperTradingService.setShortSelling(account.id, true);
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.01, 50000);
+			const balanceAfterBuy = account.balance;
+
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 1, 50000))
+				.rejects.toThrow('SELL quantity exceeds the open LONG position');
+			expect(account.balance).toBe(balanceAfterBuy);
+			expect(paperTradingService.positions.get(`${account.id}_BTCUSDT`)).toMatchObject({ side: 'LONG', quantity: 0.01 });
+
+			const sell = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.01, 50000);
+			expect(account.balance).toBeCloseTo(balanceAfterBuy + sell.amount - sell.commission);
+			expect(paperTradingService.positions.has(`${account.id}_BTCUSDT`)).toBe(false);
+		});
+	});
+
+	describe('Execution Model', () => {
+		it('should store the expected and realized fill of a market order', async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+			paperTradingService.binance.getOrderBook = vi.fn().mockResolvedValue({
+				bids: [{ price: 49950, quantity: 5 }],
+				asks: [{ price: 50050, quantity: 5 }]
+			});
+
+			const order = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+
+			expect(order.expectedPrice).toBe(50000);
+			expect(order.executionPrice).toBeCloseTo(50050);
+			expect(order.slippageCost).toBeCloseTo(5);
+			expect(order.slippageBps).toBeCloseTo(10);
+			expect(order.liquidity).toBe('TAKER');
+			expect(order.commission).toBeCloseTo(5.005);
+			expect(mockDb.createPaperTradingOrder).toHaveBeenCalledWith(expect.objectContaining({
+				expectedPrice: 50000,
+				liquidity: 'TAKER'
+			}));
+		});
+
+		it('should fill a LIMIT order at its price with the maker fee', async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			mockDb.getConfig = vi.fn(key => (key === 'execution_model' ? { makerFee: 0.0002, takerFee: 0.001 } : null));
+			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.getOHLCV = vi.fn().mockResolvedValue([]);
+			paperTradingService.binance.getCurrentPrice = vi.fn().mockResolvedValue(48900);
+
+			const order = await paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 49000);
+			expect(order.reservedAmount).toBeCloseTo(4900 * 1.0002);
+
+			await paperTradingService.checkPendingOrders();
+
+			expect(order.executionPrice).toBe(49000);
+			expect(order.slippageCost).toBe(0);
+			expect(order.liquidity).toBe('MAKER');
+			expect(order.commission).toBeCloseTo(0.98);
+		});
+	});
+
+	describe('Risk Limits', () => {
+		it('should reject an order that breaks the account risk limits', async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) =>
+				settingKey === 'risk_limits' ? JSON.stringify({ maxSymbolExposurePercent: 20 }) : null
+			);
+
+			await expect(paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 50000))
+				.rejects.toThrow('Risk limit exceeded');
+			expect(account.balance).toBe(10000);
+
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.03, 50000);
+			expect(paperTradingService.positions.get(`${account.id}_BTCUSDT`).quantity).toBe(0.03);
+		});
+
+		it('should check the risk limits when a pending order is placed, not only when it fills', async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) =>
+				settingKey === 'risk_limits' ? JSON.stringify({ maxSymbolExposurePercent: 20 }) : null
+			);
+
+			await expect(paperTradingService.placeLimitOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 50000))
+				.rejects.toThrow('Risk limit exceeded');
+			await expect(paperTradingService.placeStopOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 51000))
+				.rejects.toThrow('Risk limit exceeded');
+			expect(account.balance).toBe(10000);
+			expect(account.reservedBalance || 0).toBe(0);
+			expect(paperTradingService.orders.size).toBe(0);
+		});
+
+		it('should count open positions in equity so buying does not look like a drawdown', async () => {
+			const settings = new Map([['risk_limits', JSON.stringify({ maxDailyDrawdownPercent: 5, maxSymbolExposurePercent: 30 })]]);
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) => settings.get(settingKey) ?? null);
+			mockDb.setUserSetting.mockImplementation((accountId, settingKey, value) => settings.set(settingKey, value));
+			mockDb.getPaperTradingPositions.mockImplementation(() => [...paperTradingService.positions.values()]);
+			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+			paperTradingService.binance.getMarketData = vi.fn().mockResolvedValue({ currentPrice: 50000 });
+
+			const order = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.05, 50000);
+
+			expect(account.balance).toBeCloseTo(10000 - order.amount - order.commission);
+			expect(account.equity).toBeCloseTo(10000 - order.commission - (order.executionPrice - 50000) * 0.05);
+			expect(account.equity).toBeGreaterThan(9990);
+			expect(paperTradingService.riskManager.getPauseReason(account.id)).toBeNull();
+
+			// Exposure limits are measured against the same equity: 27.5% of it is within 30%
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.005, 50000);
+			expect(paperTradingService.positions.get(`${account.id}_BTCUSDT`).quantity).toBeCloseTo(0.055);
+		});
+	});
+
+	describe('Trade Journal', () => {
+		let account;
+
+		beforeEach(async () => {
+			mockDb.getPaperTradingPositions.mockReturnValue([]);
+			account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+		});
+
+		it('should journal a round trip with its orders, signals and fees', async () => {
+			const entry = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000, { signalId: 7 });
+			const exit = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.1, 52000, { signalId: 9 });
+
+			expect(mockDb.saveClosedTrade).toHaveBeenCalledTimes(1);
+			const trade = mockDb.saveClosedTrade.mock.calls[0][0];
+			const grossPnl = (exit.executionPrice - entry.executionPrice) * 0.1;
+
+			expect(trade).toMatchObject({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.1,
+				entryPrice: entry.executionPrice,
+				exitPrice: exit.executionPrice,
+				entryOrderIds: [entry.id],
+				exitOrderId: exit.id,
+				entrySignalId: 7,
+				exitSignalId: 9,
+				exitReason: 'SIGNAL'
+			});
+			expect(trade.entryFees).toBeCloseTo(entry.commission);
+			expect(trade.exitFees).toBeCloseTo(exit.commission);
+			expect(trade.grossPnl).toBeCloseTo(grossPnl);
+			expect(trade.netPnl).toBeCloseTo(grossPnl - entry.commission - exit.commission);
+			expect(trade.holdingSeconds).toBeGreaterThanOrEqual(0);
+		});
+
+		it('should split entry fees across partial closes and track MAE/MFE', async () => {
+			const entry = await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'BUY', 0.1, 50000);
+			const position = paperTradingService.positions.get(`${account.id}_BTCUSDT`);
+
+			await paperTradingService.updateUnrealizedPnL(position.id, 48000);
+			await paperTradingService.updateUnrealizedPnL(position.id, 53000);
+			await paperTradingService.placeMarketOrder(account.id, 'BTCUSDT', 'SELL', 0.025, 51000);
+
+			const trade = mockDb.saveClosedTrade.mock.calls[0][0];
+			expect(trade.quantity).toBe(0.025);
+			expect(trade.entryFees).toBeCloseTo(entry.commission / 4);
+			expect(trade.exitReason).toBe('MARKET');
+			expect(trade.mae).toBeCloseTo((48000 - entry.executionPrice) * 0.025);
+			expect(trade.mfe).toBeCloseTo((53000 - entry.executionPrice) * 0.025);
+			expect(position.entryFees).toBeCloseTo(entry.commission * 3 / 4);
+		});
+
+		it('should journal a SHORT closed by its stop-loss', async () => {
+			const position = await paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'SHORT',
+				quantity: 0.1,
+				avgPrice: 50000,
+				margin: 5000,
+				stopLoss: 51000
+			});
+
+			const result = await paperTradingService.closePosition(position.id, 51000, 'STOP_LOSS');
+
+			const trade = mockDb.saveClosedTrade.mock.calls[0][0];
+			expect(trade.side).toBe('SHORT');
+			expect(trade.exitReason).toBe('STOP_LOSS');
+			expect(trade.exitOrderId).toBe(result.order.id);
+			expect(trade.grossPnl).toBeCloseTo(result.realizedPnl);
+			expect(trade.mae).toBeCloseTo(result.realizedPnl);
+			expect(trade.mfe).toBe(0);
+		});
+
+		it('should summarize the journal', () => {
+			mockDb.getClosedTrades.mockReturnValue([
+				{ netPnl: 120, entryFees: 5, exitFees: 5, holdingSeconds: 3600, mae: -40, mfe: 150 },
+				{ netPnl: -60, entryFees: 5, exitFees: 5, holdingSeconds: 1800, mae: -80, mfe: 10 }
+			]);
+
+			const { trades, summary } = paperTradingService.getClosedTrades({ accountId: account.id, symbol: 'BTCUSDT' });
+
+			expect(mockDb.getClosedTrades).toHaveBeenCalledWith({ accountId: account.id, symbol: 'BTCUSDT' });
+			expect(trades).toHaveLength(2);
+			expect(summary).toMatchObject({ count: 2, wins: 1, losses: 1, winRate: 50, netPnl: 60, fees: 20, avgHoldingSeconds: 2700, avgMae: -60, avgMfe: 80 });
+		});
+	});
+
+	describe('Equity Snapshots', () => {
+		let account;
+
+		beforeEach(async () => {
+			// 5000 of the initial 10000 paid for the open position below
+			account = await paperTradingService.createAccount('user1', 5000, 'USDT');
+			mockDb.getPaperTradingAccount.mockReturnValue(account);
+			mockDb.getPaperTradingPositions.mockReturnValue([
+				{
+					id: 'snapshot_position',
+					accountId: account.id,
+					symbol: 'BTCUSDT',
+					side: 'LONG',
+					quantity: 0.1,
+					avgPrice: 50000,
+					currentPrice: 50000,
+					createdAt: new Date().toISOString()
+				}
+			]);
+			paperTradingService.binance.getMarketData = vi.fn().mockResolvedValue({ currentPrice: 52000 });
+		});
+
+		it('should snapshot equity and exposure when revaluing an account', async () => {
+			await paperTradingService.updateAccountUnrealizedPnL(account.id);
+
+			expect(mockDb.savePaperTradingEquitySnapshot).toHaveBeenCalledWith(expect.objectContaining({
+				accountId: account.id,
+				equity: 10200,
+				balance: 5000,
+				unrealizedPnl: 200,
+				exposure: 5200,
+				openPositions: 1
+			}));
+		});
+
+		it('should snapshot the equity of an account that just opened a position as unchanged but for fees', async () => {
+			const buyer = await paperTradingService.createAccount('user2', 10000, 'USDT');
+			mockDb.getPaperTradingPositions.mockImplementation(() => [...paperTradingService.positions.values()]);
+			paperTradingService.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+			paperTradingService.binance.getMarketData = vi.fn().mockResolvedValue({ currentPrice: 50000 });
+
+			const order = await paperTradingService.placeMarketOrder(buyer.id, 'BTCUSDT', 'BUY', 0.05, 50000);
+
+			const snapshot = mockDb.savePaperTradingEquitySnapshot.mock.calls.at(-1)[0];
+			expect(snapshot).toMatchObject({ accountId: buyer.id, openPositions: 1, exposure: 2500 });
+			expect(snapshot.balance).toBeCloseTo(10000 - order.amount - order.commission);
+			expect(snapshot.equity).toBeCloseTo(10000 - order.commission - (order.executionPrice - 50000) * 0.05);
+			expect(10000 - snapshot.equity).toBeLessThan(5);
+		});
+
+		it('should throttle snapshots to the configured interval', async () => {
+			paperTradingService.equitySnapshotInterval = 60000;
+
+			await paperTradingService.updateAccountUnrealizedPnL(account.id);
+			await paperTradingService.updateAccountUnrealizedPnL(account.id);
+			expect(mockDb.savePaperTradingEquitySnapshot).toHaveBeenCalledTimes(1);
+
+			paperTradingService.recordEquitySnapshot(account, { force: true });
+			expect(mockDb.savePaperTradingEquitySnapshot).toHaveBeenCalledTimes(2);
+		});
+
+		it('should return the equity history with running drawdown', () => {
+			mockDb.getPaperTradingEquitySnapshots.mockReturnValue([
+				{ accountId: account.id, equity: 10000, createdAt: '2026-01-01T00:00:00.000Z' },
+				{ accountId: account.id, equity: 11000, createdAt: '2026-01-01T00:01:00.000Z' },
+				{ accountId: account.id, equity: 9900, createdAt: '2026-01-01T00:02:00.000Z' },
+				{ accountId: account.id, equity: 10450, createdAt: '2026-01-01T00:03:00.000Z' }
+			]);
+
+			const history = paperTradingService.getEquityHistory(account.id, { from: '2026-01-01T00:00:00.000Z' });
+
+			expect(mockDb.getPaperTradingEquitySnapshots).toHaveBeenCalledWith(account.id, expect.objectContaining({
+				from: '2026-01-01T00:00:00.000Z'
+			}));
+			expect(history.points.map(point => point.peakEquity)).toEqual([10000, 11000, 11000, 11000]);
+			expect(history.points[2].drawdown).toBe(1100);
+			expect(history.points[2].drawdownPercent).toBeCloseTo(10);
+			expect(history.points[3].drawdownPercent).toBeCloseTo(5);
+			expect(history.maxDrawdownPercent).toBeCloseTo(10);
+		});
+	});
+
 	describe('Balance and Equity Calculations', () => {
 		it('should calculate account equity correctly', async () => {
 			// Mock the database methods
@@ -402,8 +1078,8 @@ describe('PaperTradingService', () => {
 				}
 			]);
 			
-			// Create account
-			const account = await paperTradingService.createAccount('user1', 10000, 'USDT');
+			// Create account, 5000 of 10000 already paid for the position
+			const account = await paperTradingService.createAccount('user1', 5000, 'USDT');
 
 			// Create position with unrealized PnL
 			await paperTradingService.createPosition({
@@ -416,7 +1092,7 @@ describe('PaperTradingService', () => {
 			});
 
 			const equity = await paperTradingService.calculateAccountEquity(account.id);
-			expect(equity).toBe(10000 + 100); // Initial balance + unrealized PnL
+			expect(equity).toBe(5000 + 5000 + 100); // Balance + position cost + unrealized PnL
 			
 			// Verify that the database methods were called
 			expect(mockDb.getPaperTradingPositions).toHaveBeenCalled();
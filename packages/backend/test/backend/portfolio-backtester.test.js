@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const BacktestingService = require('../../src/backtesting-service');
+const PortfolioBacktester = require('../../src/portfolio-backtester');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+// Oscillating closes so RSI swings through both thresholds; the phase shifts each symbol's cycle
+const createCandles = (base, phase, count = 200) => Array.from({ length: count }, (_, i) => {
+	const close = base * (1 + 0.2 * Math.sin(i / 8 + phase));
+	return {
+		timestamp: Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000,
+		open: close,
+		high: close * 1.005,
+		low: close * 0.995,
+		close,
+		volume: 1000
+	};
+});
+
+describe('PortfolioBacktester', () => {
+	let db;
+	let portfolio;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		const backtesting = new BacktestingService({ db, syncMissingCandles: false });
+		portfolio = new PortfolioBacktester({ backtesting, progressInterval: 50 });
+		db.saveCandles('BTCUSDT', '1h', createCandles(100, 0), 'csv');
+		db.saveCandles('ETHUSDT', '1h', createCandles(10, 1.5), 'csv');
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	const config = {
+		symbols: ['BTCUSDT', 'ethusdt'],
+		timeframe: '1h',
+		startDate: '2024-01-01',
+		endDate: '2024-01-10',
+		strategy: 'technical',
+		sizing: { model: 'fixed_fraction', fraction: 0.25 }
+	};
+
+	it('should validate the basket and read sizing and limits from an account', () => {
+		expect(() => portfolio.validateConfig({ ...config, symbols: ['BTCUSDT'] })).toThrow('at least two symbols');
+		expect(portfolio.validateConfig(config).symbols).toEqual(['BTCUSDT', 'ETHUSDT']);
+
+		db.setConfig('cryptocurrencies', JSON.stringify(['BTCUSDT', 'ETHUSDT', 'SOLUSDT']));
+		db.setUserSetting('account_1', 'position_sizing', JSON.stringify({ model: 'fixed_notional', notional: 500 }));
+		db.setUserSetting('account_1', 'risk_limits', JSON.stringify({ maxOpenPositions: 1 }));
+
+		const resolved = portfolio.validateConfig({ ...config, symbols: undefined, sizing: undefined, accountId: 'account_1' });
+		expect(resolved.symbols).toEqual(['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+		expect(resolved.sizing).toMatchObject({ model: 'fixed_notional', notional: 500 });
+		expect(resolved.riskLimits.maxOpenPositions).toBe(1);
+	});
+
+	it('should trade the basket from one cash balance and attribute the return to each symbol', async () => {
+		const onProgress = vi.fn();
+		const results = await portfolio.runBacktest(portfolio.validateConfig({ ...config, initialBalance: 5000 }), onProgress);
+
+		expect(new Set(results.trades.map(trade => trade.symbol))).toEqual(new Set(['BTCUSDT', 'ETHUSDT']));
+		expect(results.equityCurve).toHaveLength(150);
+		expect(results.equityCurve.every(point => point.cash >= 0)).toBe(true);
+		expect(results.equityCurve.some(point => point.openPositions === 2)).toBe(true);
+		expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ processed: 150, total: 150, percent: 100 }));
+
+		// Entries use the fixed fraction of the cash left at the time
+		expect(results.trades[0].amount).toBeCloseTo(5000 * 0.25 / 1.001, 0);
+
+		const contributed = results.contributions.reduce((sum, contribution) => sum + contribution.netPnl, 0);
+		expect(contributed).toBeCloseTo(results.finalBalance - 5000, 6);
+
+		const { symbols, values } = results.correlation;
+		expect(symbols).toEqual(['BTCUSDT', 'ETHUSDT']);
+		expect(values[0][0]).toBe(1);
+		expect(values[0][1]).toBeCloseTo(values[1][0]);
+		expect(Math.abs(values[0][1])).toBeLessThan(1);
+
+		const [run] = db.getBacktestResults();
+		expect(run).toMatchObject({ id: results.id, cryptocurrency: 'BTCUSDT,ETHUSDT', totalTrades: results.totalTrades });
+		expect(run.benchmarkReturn).toBeCloseTo(results.metrics.benchmarkReturn);
+	});
+
+	it('should apply the paper trading risk limits', async () => {
+		const results = await portfolio.runBacktest(portfolio.validateConfig({ ...config, riskLimits: { maxOpenPositions: 1 } }));
+
+		expect(results.equityCurve.every(point => point.openPositions <= 1)).toBe(true);
+		expect(results.contributions.some(contribution => contribution.riskBlocked > 0)).toBe(true);
+	});
+
+	it('should stop opening positions for the day once the daily drawdown limit is hit', async () => {
+		const results = await portfolio.runBacktest(portfolio.validateConfig({
+			...config,
+			sizing: { model: 'fixed_fraction', fraction: 1 },
+			riskLimits: { maxDailyDrawdownPercent: 0.5 }
+		}));
+
+		expect(results.pausedDays.length).toBeGreaterThan(0);
+		results.pausedDays.forEach(({ date, pausedAt }) => {
+			const tradedAfterPause = results.trades.filter(trade => trade.time.getTime() > pausedAt &&
+				trade.time.toISOString().startsWith(date) && trade.reason !== 'STOP_LOSS' && trade.reason !== 'TAKE_PROFIT');
+			expect(tradedAfterPause).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+const PositionSizingService = require('../../src/position-sizing-service.js');
+
+describe('PositionSizingService', () => {
+	let sizing;
+	let account;
+	const signal = { cryptocurrency: 'BTCUSDT', timeframe: '1h', signalType: 'buy' };
+
+	// Candles with a constant true range of 500
+	const flatCandles = Array.from({ length: 15 }, (_, i) => ({
+		timestamp: i,
+		open: 50000,
+		high: 50250,
+		low: 49750,
+		close: 50000,
+		volume: 1
+	}));
+
+	beforeEach(() => {
+		sizing = new PositionSizingService({
+			binance: { getOHLCV: vi.fn().mockResolvedValue(flatCandles) },
+			commission: 0.001
+		});
+		account = { id: 'account_1', balance: 10000, winningTrades: 0, losingTrades: 0 };
+	});
+
+	const notionalOf = quantity => quantity * 50000 * 1.001;
+
+	it('should default to 25% of the balance', async () => {
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 });
+		expect(notionalOf(quantity)).toBeCloseTo(2500, 0);
+	});
+
+	it('should size a fixed notional', async () => {
+		const settings = sizing.normalizeSettings({ model: 'fixed_notional', notional: 500 });
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+		expect(notionalOf(quantity)).toBeCloseTo(500, 0);
+	});
+
+	it('should size from stop distance for risk per trade', async () => {
+		const settings = sizing.normalizeSettings({ model: 'risk_per_trade', riskFraction: 0.01 });
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000, stopLoss: 49000 }, settings);
+
+		// Losing 1000 per unit at the stop risks 1% of 10000
+		expect(quantity * 1000).toBeCloseTo(100 / 1.001, 1);
+	});
+
+	it('should fall back to the fixed fraction when risk per trade has no stop', async () => {
+		const settings = sizing.normalizeSettings({ model: 'risk_per_trade', fraction: 0.1 });
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+		expect(notionalOf(quantity)).toBeCloseTo(1000, 0);
+	});
+
+	it('should scale size by ATR for the volatility model', async () => {
+		const settings = sizing.normalizeSettings({ model: 'volatility', riskFraction: 0.01, atrPeriod: 14, atrMultiplier: 2 });
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+
+		expect(sizing.binance.getOHLCV).toHaveBeenCalledWith('BTCUSDT', '1h', 15);
+		// 100 of risk over a 2 x 500 ATR stop
+		expect(quantity).toBeCloseTo(0.1 / 1.001, 5);
+	});
+
+	it('should use the Kelly fraction once enough trades have closed', async () => {
+		const settings = sizing.normalizeSettings({ model: 'kelly', minTrades: 10, payoffRatio: 2, kellyMultiplier: 0.5 });
+
+		account.winningTrades = 3;
+		account.losingTrades = 2;
+		const fallback = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+		expect(notionalOf(fallback)).toBeCloseTo(2500, 0);
+
+		account.winningTrades = 6;
+		account.losingTrades = 4;
+		// Kelly = 0.6 - 0.4 / 2 = 0.4, halved
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+		expect(notionalOf(quantity)).toBeCloseTo(2000, 0);
+
+		account.winningTrades = 2;
+		account.losingTrades = 8;
+		expect(await sizing.calculateQuantity({ account, signal, price: 50000 }, settings)).toBe(0);
+	});
+
+	it('should cap every model at maxFraction of the balance', async () => {
+		const settings = sizing.normalizeSettings({ model: 'fixed_notional', notional: 50000, maxFraction: 0.5 });
+		const quantity = await sizing.calculateQuantity({ account, signal, price: 50000 }, settings);
+		expect(notionalOf(quantity)).toBeCloseTo(5000, 0);
+	});
+
+	it('should reject invalid settings and ignore corrupt stored values', () => {
+		expect(() => sizing.normalizeSettings({ model: 'fixed_fraction', fraction: 1.5 })).toThrow('between 0 and 1');
+		expect(() => sizing.normalizeSettings({ model: 'fixed_notional', notional: 'abc' })).toThrow('Invalid position sizing parameter');
+		expect(sizing.parseSettings('{not json').model).toBe('fixed_fraction');
+	});
+});
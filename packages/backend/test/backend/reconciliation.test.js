@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const BacktestingService = require('../../src/backtesting-service');
+const PortfolioBacktester = require('../../src/portfolio-backtester');
+const ReconciliationService = require('../../src/reconciliation-service');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const iso = (time) => new Date(time).toISOString();
+
+// Oscillating closes so RSI swings through both thresholds
+const createCandles = (count = 200) => Array.from({ length: count }, (_, i) => {
+	const close = 100 * (1 + 0.2 * Math.sin(i / 6));
+	return { timestamp: START + i * HOUR, open: close, high: close * 1.005, low: close * 0.995, close, volume: 1000 };
+});
+
+describe('ReconciliationService', () => {
+	let db;
+	let portfolio;
+	let service;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		const backtesting = new BacktestingService({ db, syncMissingCandles: false });
+		portfolio = new PortfolioBacktester({ backtesting });
+		service = new ReconciliationService({ portfolio });
+		db.saveCandles('BTCUSDT', '1h', createCandles(), 'csv');
+		db.createPaperTradingAccount({ id: 'account_1', userId: 'user_1', balance: 10000, equity: 10000 });
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	// The window starts right after the warm-up, so the replay sees the same candles as this run
+	const window = { startDate: iso(START + 51 * HOUR), endDate: iso(START + 199 * HOUR) };
+	const replayTrips = async () => {
+		const config = portfolio.validateConfig({
+			symbols: ['BTCUSDT'],
+			timeframe: '1h',
+			startDate: iso(START),
+			endDate: iso(START + 200 * HOUR),
+			strategy: 'technical',
+			accountId: 'account_1',
+			initialBalance: 10000
+		}, { minSymbols: 1 });
+		const results = await portfolio.simulate(await portfolio.loadSeries(config), config);
+		return service.getBacktestTrips(results.trades, HOUR).filter(trip => trip.exitTime !== null);
+	};
+	const savePaperTrade = (id, trip, overrides = {}) => db.saveClosedTrade({
+		id,
+		accountId: 'account_1',
+		symbol: 'BTCUSDT',
+		side: 'LONG',
+		quantity: trip.quantity,
+		entryPrice: trip.entryPrice,
+		exitPrice: trip.exitPrice,
+		openedAt: iso(trip.entryTime),
+		closedAt: iso(trip.exitTime),
+		grossPnl: trip.netPnl,
+		netPnl: trip.netPnl,
+		returnPercent: trip.returnPercent,
+		exitReason: trip.exitReason,
+		...overrides
+	});
+
+	it('should validate the request against the account', () => {
+		expect(() => service.validateConfig({})).toThrow('needs an accountId');
+		expect(() => service.validateConfig({ accountId: 'missing' })).toThrow('not found');
+		expect(() => service.validateConfig({ accountId: 'account_1', priceTolerancePercent: -1 })).toThrow('priceTolerancePercent must be a non-negative number');
+		expect(service.validateConfig({ accountId: 'account_1' })).toMatchObject({
+			strategy: 'ai',
+			aiMode: 'replay',
+			importHistory: true,
+			...ReconciliationService.DEFAULT_TOLERANCES
+		});
+	});
+
+	it('should diff paper trades against a replay of the window and flag each divergence', async () => {
+		const trips = await replayTrips();
+		expect(trips.length).toBeGreaterThanOrEqual(4);
+		const [exact, slipped, late, skipped] = trips;
+
+		savePaperTrade('exact', exact);
+		db.createPaperTradingOrder({
+			id: 'order_slipped', accountId: 'account_1', symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: slipped.quantity,
+			price: slipped.entryPrice, status: 'FILLED', slippageBps: 50
+		});
+		savePaperTrade('slipped', slipped, { entryPrice: slipped.entryPrice * 1.005, entryOrderIds: ['order_slipped'] });
+		savePaperTrade('late', late, { openedAt: iso(late.entryTime + 2 * HOUR) });
+		savePaperTrade('short', exact, { side: 'SHORT' });
+
+		// An entry at least four candles away from anything the replay bought
+		const quietTime = [...Array(140).keys()].map(i => START + (i + 55) * HOUR)
+			.find(time => trips.every(trip => Math.abs(trip.entryTime - time) > 3 * HOUR));
+		savePaperTrade('unsignalled', exact, { openedAt: iso(quietTime), closedAt: iso(quietTime + HOUR) });
+
+		db.saveSignalDecision({ accountId: 'account_1', symbol: 'BTCUSDT', timeframe: '1h', decision: 'SKIPPED', reason: 'Insufficient balance' });
+		db.db.prepare('UPDATE signal_decisions SET createdAt = ?').run(new Date(skipped.entryTime).toISOString().replace('T', ' ').slice(0, 19));
+
+		const report = await service.reconcile(service.validateConfig({ accountId: 'account_1', timeframe: '1h', strategy: 'technical', ...window }));
+		const rowFor = (tradeId) => report.trades.find(row => row.paper?.tradeId === tradeId);
+
+		expect(rowFor('exact')).toMatchObject({ status: 'MATCHED', causes: [] });
+		expect(rowFor('exact').diff).toMatchObject({ entryDelaySeconds: 0, exitDelaySeconds: 0 });
+		expect(rowFor('slipped')).toMatchObject({ status: 'MATCHED', causes: ['SLIPPAGE'] });
+		expect(rowFor('slipped').paper.entrySlippageBps).toBeCloseTo(50);
+		expect(rowFor('slipped').diff.entryPricePercent).toBeCloseTo(0.5);
+		expect(rowFor('late')).toMatchObject({ status: 'MATCHED', causes: ['TIMING'], diff: { entryDelaySeconds: 7200 } });
+		expect(rowFor('short')).toMatchObject({ status: 'NOT_SIMULATED', backtest: null });
+		expect(rowFor('unsignalled')).toMatchObject({
+			status: 'MISSING_IN_BACKTEST',
+			causes: ['MISSING_SIGNAL'],
+			reason: 'The technical strategy did not signal a BUY near this entry'
+		});
+
+		const missing = report.trades.find(row => row.status === 'MISSING_IN_PAPER' && row.backtest.entryTime === iso(skipped.entryTime));
+		expect(missing.reason).toBe('Signal skipped by the account: Insufficient balance');
+
+		expect(report.summary).toMatchObject({
+			paperTrades: 5,
+			matched: 3,
+			missingInBacktest: 1,
+			notSimulated: 1,
+			missingInPaper: trips.length - 3,
+			divergences: { SLIPPAGE: 1, TIMING: 1, MISSING_SIGNAL: trips.length - 2, PNL: 0 }
+		});
+
+		const [saved] = service.getReports('account_1');
+		expect(saved).toMatchObject({ id: report.id, symbols: ['BTCUSDT'], timeframe: '1h', summary: report.summary });
+		expect(service.getReport(report.id).trades).toEqual(report.trades);
+	});
+
+	it('should take the window and timeframe from the account and replay recorded AI decisions', async () => {
+		const trips = await replayTrips();
+		savePaperTrade('exact', trips[0]);
+		db.saveSignalDecision({ accountId: 'account_1', symbol: 'BTCUSDT', timeframe: '1h', decision: 'TAKEN' });
+
+		const report = await service.reconcile(service.validateConfig({ accountId: 'account_1' }));
+
+		expect(report).toMatchObject({ timeframe: '1h', strategy: 'ai', startDate: iso(trips[0].entryTime), endDate: iso(trips[0].exitTime) });
+		expect(report.summary.aiDecisions).toMatchObject({ mode: 'replay', recorded: 0 });
+		expect(report.trades).toEqual([expect.objectContaining({
+			status: 'MISSING_IN_BACKTEST',
+			reason: expect.stringMatching(/^No recorded AI decision for the .* candle$/)
+		})]);
+	});
+});
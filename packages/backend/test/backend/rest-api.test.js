@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const express = require('express');
+const RestApi = require('../../src/rest-api');
+
+describe('RestApi', () => {
+	let dispatch;
+	let httpServer;
+	let baseUrl;
+
+	const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+		method,
+		headers: { 'Content-Type': 'application/json' },
+		...(body !== undefined && { body: JSON.stringify(body) })
+	});
+
+	beforeEach(async () => {
+		dispatch = vi.fn(async (type, payload) => ({ type: `${type}_response`, data: { type, payload } }));
+		const app = express();
+		app.use(express.json());
+		app.use('/api/v1', new RestApi({ dispatch }).router);
+		httpServer = await new Promise(resolve => {
+			const listening = app.listen(0, () => resolve(listening));
+		});
+		baseUrl = `http://localhost:${httpServer.address().port}/api/v1`;
+	});
+
+	afterEach(async () => {
+		await new Promise(resolve => httpServer.close(resolve));
+	});
+
+	it('should dispatch the WebSocket message with coerced query parameters and defaults', async () => {
+		const response = await request('GET', '/paper/trades?accountId=account1&signalId=7&outcome=WIN&ignored=1');
+
+		expect(response.status).toBe(200);
+		expect(dispatch).toHaveBeenCalledWith('get_closed_trades', { accountId: 'account1', signalId: 7, outcome: 'WIN', limit: 100 });
+		expect((await response.json()).type).toBe('get_closed_trades');
+	});
+
+	it('should map path parameters and bodies onto the message payload', async () => {
+		await request('PUT', '/config/analysis_interval', { value: 60000 });
+		expect(dispatch).toHaveBeenLastCalledWith('update_config', { key: 'analysis_interval', value: 60000 });
+
+		const order = { accountId: 'account1', symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 0.1, price: 50000 };
+		const response = await request('POST', '/paper/orders', order);
+		expect(response.status).toBe(201);
+		expect(dispatch).toHaveBeenLastCalledWith('create_paper_trading_order', { orderData: order });
+
+		await request('DELETE', '/paper/orders/order_1');
+		expect(dispatch).toHaveBeenLastCalledWith('cancel_paper_trading_order', { orderId: 'order_1' });
+	});
+
+	it('should reject invalid requests before dispatching them', async () => {
+		let response = await request('POST', '/paper/orders', { accountId: 'account1', symbol: 'BTCUSDT', side: 'HOLD', quantity: -1 });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({
+			error: 'Invalid request',
+			details: ['body.side must be one of BUY, SELL', 'body.quantity must be greater than 0']
+		});
+
+		response = await request('GET', '/signals?limit=abc');
+		expect((await response.json()).details).toEqual(['query.limit must be an integer']);
+
+		expect(dispatch).not.toHaveBeenCalled();
+	});
+
+	it('should turn handler errors into HTTP statuses', async () => {
+		dispatch.mockResolvedValueOnce({ type: 'error', data: { message: 'Backtest backtest_9 not found' } });
+		let response = await request('GET', '/backtests/backtest_9');
+		expect(response.status).toBe(404);
+		expect(await response.json()).toEqual({ error: 'Backtest backtest_9 not found' });
+
+		dispatch.mockResolvedValueOnce({ type: 'error', data: { message: 'A backtest is already running (backtest_1)' } });
+		response = await request('POST', '/backtests', { cryptocurrency: 'BTCUSDT', timeframe: '1h', startDate: '2024-01-01', endDate: '2024-02-01' });
+		expect(response.status).toBe(409);
+
+		dispatch.mockResolvedValueOnce(null);
+		response = await request('POST', '/generator/stop');
+		expect(response.status).toBe(204);
+
+		response = await request('GET', '/unknown');
+		expect(response.status).toBe(404);
+	});
+
+	it('should describe every route in the OpenAPI document', async () => {
+		const document = await (await request('GET', '/openapi.json')).json();
+
+		expect(document.openapi).toBe('3.0.3');
+		expect(Object.values(document.paths).flatMap(Object.values)).toHaveLength(RestApi.ROUTES.length);
+		expect(document.paths['/api/v1/config/{key}'].put.parameters).toEqual([
+			{ name: 'key', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+		]);
+		expect(document.paths['/api/v1/backtests'].post.requestBody.content['application/json'].schema.required)
+			.toEqual(['cryptocurrency', 'timeframe', 'startDate', 'endDate']);
+		expect(document.paths['/api/v1/backtests'].post.responses).toHaveProperty('202');
+	});
+});
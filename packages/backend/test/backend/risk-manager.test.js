@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const RiskManager = require('../../src/risk-manager.js');
+
+describe('RiskManager', () => {
+	let riskManager;
+	let settings;
+	let telegramBot;
+	let account;
+
+	beforeEach(() => {
+		settings = new Map();
+		const db = {
+			getUserSetting: vi.fn((userId, key) => settings.get(`${userId}:${key}`) ?? null),
+			setUserSetting: vi.fn((userId, key, value) => settings.set(`${userId}:${key}`, value))
+		};
+		telegramBot = { sendAlert: vi.fn().mockResolvedValue() };
+		riskManager = new RiskManager({ db, telegramBot });
+		global.serverInstance = { broadcast: vi.fn() };
+		account = { id: 'account_1', balance: 10000, equity: 10000 };
+	});
+
+	afterEach(() => {
+		delete global.serverInstance;
+	});
+
+	const longPosition = (symbol, quantity, price) => ({ accountId: 'account_1', symbol, side: 'LONG', quantity, avgPrice: price, currentPrice: price });
+
+	it('should allow everything when no limits are configured', () => {
+		expect(() => riskManager.checkOrder(account, [], 'BTCUSDT', 'BUY', 1, 50000)).not.toThrow();
+	});
+
+	it('should block orders that exceed the per-symbol exposure and notify', () => {
+		riskManager.setLimits('account_1', { maxSymbolExposurePercent: 30 });
+
+		expect(() => riskManager.checkOrder(account, [], 'BTCUSDT', 'BUY', 0.05, 50000)).not.toThrow();
+		expect(() => riskManager.checkOrder(account, [longPosition('BTCUSDT', 0.05, 50000)], 'BTCUSDT', 'BUY', 0.02, 50000))
+			.toThrow('Risk limit exceeded: BTCUSDT exposure would be 35.0% of equity, limit is 30%');
+
+		expect(global.serverInstance.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+			type: 'paper_trading_risk_blocked',
+			data: expect.objectContaining({ accountId: 'account_1', symbol: 'BTCUSDT', side: 'BUY' })
+		}));
+		expect(telegramBot.sendAlert).toHaveBeenCalledWith(expect.stringContaining('Risk limit blocked BUY 0.02 BTCUSDT'));
+	});
+
+	it('should block orders past the total exposure and open position limits', () => {
+		riskManager.setLimits('account_1', { maxTotalExposurePercent: 50, maxOpenPositions: 2 });
+		const positions = [longPosition('BTCUSDT', 0.06, 50000), longPosition('ETHUSDT', 0.5, 3000)];
+
+		expect(() => riskManager.checkOrder(account, positions, 'ADAUSDT', 'BUY', 100, 0.5))
+			.toThrow('2 open positions, limit is 2');
+		expect(() => riskManager.checkOrder(account, positions, 'ETHUSDT', 'BUY', 0.2, 3000))
+			.toThrow('total exposure would be 51.0% of equity, limit is 50%');
+		expect(() => riskManager.checkOrder(account, positions, 'ETHUSDT', 'BUY', 0.1, 3000)).not.toThrow();
+	});
+
+	it('should always allow orders that reduce a position', () => {
+		riskManager.setLimits('account_1', { maxSymbolExposurePercent: 10, maxOpenPositions: 1 });
+		const positions = [longPosition('BTCUSDT', 0.1, 50000)];
+
+		expect(() => riskManager.checkOrder(account, positions, 'BTCUSDT', 'SELL', 0.05, 50000)).not.toThrow();
+	});
+
+	it('should pause auto-trading after the daily drawdown limit and resume on request', () => {
+		riskManager.setLimits('account_1', { maxDailyDrawdownPercent: 5 });
+		riskManager.checkDrawdown(account);
+		expect(riskManager.getPauseReason('account_1')).toBeNull();
+
+		account.equity = 9600;
+		riskManager.checkDrawdown(account);
+		expect(riskManager.getPauseReason('account_1')).toBeNull();
+
+		account.equity = 9400;
+		riskManager.checkDrawdown(account);
+		expect(riskManager.getPauseReason('account_1')).toContain('Daily drawdown 6.00% reached the 5% limit');
+		expect(global.serverInstance.broadcast).toHaveBeenCalledWith(expect.objectContaining({ type: 'paper_trading_circuit_breaker' }));
+		expect(telegramBot.sendAlert).toHaveBeenCalledTimes(1);
+
+		// Already paused, no repeated alerts
+		riskManager.checkDrawdown(account);
+		expect(telegramBot.sendAlert).toHaveBeenCalledTimes(1);
+
+		riskManager.resumeAutoTrading(account);
+		expect(riskManager.getPauseReason('account_1')).toBeNull();
+		expect(riskManager.getDailyState(account).startEquity).toBe(9400);
+	});
+
+	it('should start a new day with a fresh baseline', () => {
+		settings.set('account_1:risk_state', JSON.stringify({ date: '2000-01-01', startEquity: 20000, pausedAt: '2000-01-01T10:00:00Z', pauseReason: 'old' }));
+
+		expect(riskManager.getPauseReason('account_1')).toBeNull();
+		expect(riskManager.getDailyState(account).startEquity).toBe(10000);
+	});
+
+	it('should reject invalid limits', () => {
+		expect(() => riskManager.setLimits('account_1', { maxOpenPositions: -1 })).toThrow('Invalid risk limit maxOpenPositions');
+	});
+});
@@ -443,4 +443,83 @@ describe('Server Configuration WebSocket Tests', () => {
 			expect(result.responseReceived).toBe(true);
 		}, 10000); // Increase timeout to 10 seconds
 	});
+
+	describe('Metrics Endpoint', () => {
+		it('should serve Prometheus metrics with the connected client count', async () => {
+			const response = await fetch(`http://localhost:${port}/metrics`);
+			const text = await response.text();
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('content-type')).toContain('text/plain');
+			expect(text).toContain('crypto_bot_websocket_clients 1');
+			expect(text).toContain('# TYPE crypto_bot_binance_request_duration_seconds histogram');
+			expect(text).toContain('crypto_bot_process_resident_memory_bytes');
+		});
+	});
+
+	describe('REST API', () => {
+		it('should update configuration through the same handler as update_config', async () => {
+			const broadcasts = [];
+			ws.on('message', (data) => {
+				const message = JSON.parse(data);
+				if (message.type === 'config_updated') broadcasts.push(message);
+			});
+
+			let response = await fetch(`http://localhost:${port}/api/v1/config/cryptocurrencies`, {
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ value: ['BTCUSDT', 'SOLUSDT'] })
+			});
+			expect(response.status).toBe(200);
+			expect(await response.json()).toEqual({ success: true, message: 'Configuration updated' });
+
+			response = await fetch(`http://localhost:${port}/api/v1/config`);
+			expect((await response.json()).cryptocurrencies).toEqual(['BTCUSDT', 'SOLUSDT']);
+			expect(db.getConfig('cryptocurrencies')).toEqual(['BTCUSDT', 'SOLUSDT']);
+
+			await new Promise(resolve => setTimeout(resolve, 50));
+			expect(broadcasts).toHaveLength(1);
+			expect(broadcasts[0].data.key).toBe('cryptocurrencies');
+		});
+
+		it('should answer malformed JSON with a client error', async () => {
+			const response = await fetch(`http://localhost:${port}/api/v1/backtests`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: '{"cryptocurrency":'
+			});
+
+			expect(response.status).toBe(400);
+			expect(await response.json()).toEqual({ error: 'Request body is not valid JSON' });
+		});
+	});
+
+	describe('Health Endpoints', () => {
+		it('should answer liveness without probing dependencies', async () => {
+			const binanceProbe = vi.spyOn(server.signalGenerator.binance, 'testConnection');
+
+			const response = await fetch(`http://localhost:${port}/api/health/live`);
+			const body = await response.json();
+
+			expect(response.status).toBe(200);
+			expect(body.status).toBe('ok');
+			expect(body.version).toMatch(/^\d+\.\d+\.\d+/);
+			expect(binanceProbe).not.toHaveBeenCalled();
+		});
+
+		it('should report not ready with per-dependency status when a critical probe fails', async () => {
+			vi.spyOn(server.signalGenerator.binance, 'testConnection').mockResolvedValue(false);
+			vi.spyOn(server.signalGenerator.openai, 'testConnection').mockResolvedValue(true);
+			vi.spyOn(server.signalGenerator.telegramBot, 'testConnection').mockResolvedValue(true);
+
+			const response = await fetch(`http://localhost:${port}/api/health/ready`);
+			const body = await response.json();
+
+			expect(response.status).toBe(503);
+			expect(body.status).toBe('not_ready');
+			expect(body.checks.database.status).toBe('up');
+			expect(body.checks.binance).toMatchObject({ status: 'down', critical: true, error: 'Connection test failed' });
+			expect(body.checks.openai.status).toBe('up');
+		});
+	});
 });
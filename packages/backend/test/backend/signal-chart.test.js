@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+const zlib = require('zlib');
+const SignalChart = require('../../src/signal-chart');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 1);
+
+// A wave so the overlays and RSI move through their whole range
+const makeCandles = (count = 100) => {
+	let price = 50000;
+	return Array.from({ length: count }, (_, i) => {
+		const open = price;
+		price += Math.sin(i / 6) * 300 + ((i % 7) - 3) * 60;
+		return { timestamp: START + i * HOUR, open, close: price, high: Math.max(open, price) + 120, low: Math.min(open, price) - 110, volume: 10 };
+	});
+};
+
+// Reads back the PNG the way an image viewer would: chunk CRCs, header and unfiltered RGB rows
+const decodePng = (png) => {
+	expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+	const chunks = {};
+	for (let offset = 8; offset < png.length;) {
+		const length = png.readUInt32BE(offset);
+		const type = png.toString('ascii', offset + 4, offset + 8);
+		const data = png.subarray(offset + 8, offset + 8 + length);
+		if (zlib.crc32) { // Node 20.15+
+			expect(png.readUInt32BE(offset + 8 + length)).toBe(zlib.crc32(png.subarray(offset + 4, offset + 8 + length)));
+		}
+		chunks[type] = data;
+		offset += length + 12;
+	}
+
+	const width = chunks.IHDR.readUInt32BE(0);
+	const height = chunks.IHDR.readUInt32BE(4);
+	const raw = zlib.inflateSync(chunks.IDAT);
+	const colors = new Map();
+	for (let y = 0; y < height; y++) {
+		const row = y * (width * 3 + 1);
+		expect(raw[row]).toBe(0);
+		for (let x = 0; x < width; x++) {
+			const key = raw.subarray(row + 1 + x * 3, row + 4 + x * 3).join(',');
+			colors.set(key, (colors.get(key) || 0) + 1);
+		}
+	}
+	return { width, height, bitDepth: chunks.IHDR[8], colorType: chunks.IHDR[9], colors, hasIend: 'IEND' in chunks };
+};
+
+const pixelsOf = (image, color) => image.colors.get(color.join(',')) || 0;
+
+describe('SignalChart', () => {
+	it('should render a valid PNG with candles, overlays, the RSI panel and the entry marker', async () => {
+		const binance = { getOHLCV: vi.fn().mockResolvedValue(makeCandles()) };
+		const chart = new SignalChart({ binance });
+
+		const result = await chart.render({ cryptocurrency: 'BTCUSDT', timeframe: '1h', signalType: 'buy', confidence: 0.82, price: 51000 });
+		expect(binance.getOHLCV).toHaveBeenCalledWith('BTCUSDT', '1h', SignalChart.CANDLES + SignalChart.WARMUP);
+
+		const image = decodePng(result.png);
+		expect(image).toMatchObject({ width: 800, height: 520, bitDepth: 8, colorType: 2, hasIend: true });
+		const { COLORS } = SignalChart;
+		expect(pixelsOf(image, COLORS.bandFill)).toBeGreaterThan(10000);
+		expect(pixelsOf(image, COLORS.sma)).toBeGreaterThan(500);
+		expect(pixelsOf(image, COLORS.band)).toBeGreaterThan(500);
+		expect(pixelsOf(image, COLORS.rsi)).toBeGreaterThan(500);
+		expect(pixelsOf(image, COLORS.down)).toBeGreaterThan(200);
+		// Up candles, the dashed entry line, the marker and the axis label share the buy color
+		expect(pixelsOf(image, COLORS.up)).toBeGreaterThan(pixelsOf(image, COLORS.down));
+
+		const closes = makeCandles().slice(-SignalChart.CANDLES).map(candle => candle.close);
+		expect(result).toMatchObject({ low: Math.min(...closes), high: Math.max(...closes), last: closes.at(-1) });
+	});
+
+	it('should draw a sell entry in the sell color and cope with fewer candles than the indicator periods', () => {
+		const chart = new SignalChart({ binance: null });
+		const image = decodePng(chart.draw({ cryptocurrency: 'ETHUSDT', timeframe: '4h', signalType: 'sell', price: 50100 }, makeCandles(10)).png);
+
+		expect(pixelsOf(image, SignalChart.COLORS.down)).toBeGreaterThan(0);
+		expect(pixelsOf(image, SignalChart.COLORS.sma)).toBe(30); // the legend swatch, no line yet
+		expect(pixelsOf(image, SignalChart.COLORS.rsi)).toBeGreaterThan(0); // the RSI label
+	});
+
+	it('should place the entry on the candle the signal was created in', () => {
+		const chart = new SignalChart({ binance: null });
+		const candles = makeCandles(10);
+
+		expect(chart.findEntryIndex(candles, undefined)).toBe(9);
+		expect(chart.findEntryIndex(candles, new Date(START + 3 * HOUR + 1000).toISOString())).toBe(3);
+		expect(chart.findEntryIndex(candles, new Date(START + 30 * HOUR).toISOString())).toBe(9);
+		expect(chart.findEntryIndex(candles, new Date(START - HOUR).toISOString())).toBeNull();
+	});
+});
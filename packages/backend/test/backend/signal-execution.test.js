@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const SignalGenerator = require('../../src/signal-generator');
+const PaperTradingService = require('../../src/paper-trading-service');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+// Live signals end to end: OpenAIService.generateSignal stores the signal, the generator
+// executes what it returns against paper accounts in the same database
+describe('Signal execution with stored signals', () => {
+	let db;
+	let generator;
+	let paperTrading;
+
+	const generateSignal = (signal = 'BUY') => {
+		vi.spyOn(generator.openai, 'analyzeCryptocurrency').mockResolvedValue({
+			signal,
+			confidence: 0.9,
+			reasoning: 'Breakout above resistance',
+			risk_level: 'MEDIUM'
+		});
+		return generator.openai.generateSignal('BTCUSDT', '1h', { currentPrice: 50000 }, { rsi: 35 });
+	};
+
+	beforeEach(() => {
+		vi.spyOn(PaperTradingService.prototype, 'initializeTestAccounts').mockResolvedValue();
+		vi.spyOn(SignalGenerator.prototype, 'ensurePaperTradingAccounts').mockResolvedValue();
+
+		db = new CryptoBotDatabase(':memory:');
+		paperTrading = new PaperTradingService({ db });
+		generator = new SignalGenerator({ db, paperTradingService: paperTrading });
+		generator.openai.db = db;
+		generator.binance.getCurrentPrice = vi.fn().mockResolvedValue(50000);
+		vi.spyOn(generator, 'calculateOrderQuantity').mockResolvedValue(0.1);
+	});
+
+	afterEach(() => {
+		db.close();
+		vi.restoreAllMocks();
+	});
+
+	it('should log decisions against the id of the stored signal', async () => {
+		const subscribed = await paperTrading.createAccount('user1', 10000, 'USDT');
+		const filtered = await paperTrading.createAccount('user2', 10000, 'USDT');
+		await generator.setSignalSubscription(filtered.id, { symbols: ['ETHUSDT'] });
+		vi.spyOn(paperTrading, 'placeMarketOrder').mockResolvedValue({ id: 'order_1' });
+
+		const signal = await generateSignal();
+		expect(signal.signalId).toBe(db.getSignals(1)[0].id);
+
+		const result = await generator.executeSignalInPaperTrading(signal);
+		expect(result.success).toBe(true);
+
+		const decisions = db.getSignalDecisions({ signalId: signal.signalId });
+		expect(decisions).toHaveLength(2);
+		expect(decisions.find(decision => decision.accountId === subscribed.id)).toMatchObject({ decision: 'TAKEN', orderId: 'order_1', riskLevel: 'MEDIUM' });
+		expect(decisions.find(decision => decision.accountId === filtered.id)).toMatchObject({ decision: 'SKIPPED', reason: 'Symbol BTCUSDT not subscribed' });
+
+		// The same stored signal is not executed twice
+		expect(await generator.executeSignalInPaperTrading(signal)).toMatchObject({ message: 'Signal already executed, skipping' });
+	});
+
+	it('should save the orders of live signals and journal the trade against both signals', async () => {
+		const account = await paperTrading.createAccount('user1', 10000, 'USDT');
+		paperTrading.binance.placeMarketOrder = vi.fn().mockRejectedValue(new Error('Sandbox unavailable'));
+		paperTrading.binance.getOrderBook = vi.fn().mockRejectedValue(new Error('Order book unavailable'));
+		paperTrading.binance.getMarketData = vi.fn().mockResolvedValue({ currentPrice: 50000 });
+
+		const entry = await generateSignal('BUY');
+		const entryResult = await generator.executeSignalInPaperTrading(entry);
+		expect(entryResult.decisions[0]).toMatchObject({ decision: 'TAKEN', signalId: entry.signalId });
+		expect(db.getPaperTradingOrders(account.id, 10)).toEqual([
+			expect.objectContaining({ id: entryResult.decisions[0].orderId, side: 'BUY', signalId: entry.signalId })
+		]);
+
+		const exit = await generateSignal('SELL');
+		const exitResult = await generator.executeSignalInPaperTrading(exit);
+		expect(exitResult.decisions[0]).toMatchObject({ decision: 'TAKEN', signalId: exit.signalId });
+
+		expect(db.getPaperTradingPositions(account.id)).toEqual([]);
+		expect(db.getClosedTrades({ accountId: account.id })).toEqual([
+			expect.objectContaining({ entrySignalId: entry.signalId, exitSignalId: exit.signalId, exitReason: 'SIGNAL', quantity: 0.1 })
+		]);
+	});
+});
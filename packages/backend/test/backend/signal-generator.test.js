@@ -29,6 +29,10 @@ describe('SignalGenerator', () => {
 			getPaperTradingPositions: vi.fn().mockReturnValue([]),
 			getPaperTradingOrders: vi.fn(),
 			updatePaperTradingOrder: vi.fn(),
+			getUserSetting: vi.fn().mockReturnValue(null),
+			setUserSetting: vi.fn(),
+			saveSignalDecision: vi.fn(),
+			getSignalDecisions: vi.fn().mockReturnValue([]),
 			close: vi.fn()
 		};
 
@@ -192,6 +196,48 @@ describe('SignalGenerator', () => {
 			const quantity = await signalGenerator.calculateOrderQuantity(account, signal);
 			expect(quantity).toBeGreaterThan(0);
 		});
+
+		it('should size orders with the model stored for the account', async () => {
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) =>
+				accountId === 'account_fixed' && settingKey === 'position_sizing'
+					? JSON.stringify({ model: 'fixed_notional', notional: 1000 })
+					: null
+			);
+
+			const signal = { signalType: 'buy', price: 50000, cryptocurrency: 'BTCUSDT' };
+
+			const fixedQuantity = await signalGenerator.calculateOrderQuantity({ id: 'account_fixed', balance: 10000 }, signal);
+			const defaultQuantity = await signalGenerator.calculateOrderQuantity({ id: 'account_default', balance: 10000 }, signal);
+
+			expect(fixedQuantity).toBeCloseTo(1000 / (50000 * 1.001), 6);
+			expect(defaultQuantity).toBeCloseTo(2500 / (50000 * 1.001), 6);
+		});
+
+		it('should not size a SELL past the LONG the account holds', async () => {
+			const account = await signalGenerator.paperTradingService.createAccount('user1', 10000, 'USDT');
+			await signalGenerator.paperTradingService.createPosition({
+				accountId: account.id,
+				symbol: 'BTCUSDT',
+				side: 'LONG',
+				quantity: 0.01,
+				avgPrice: 50000
+			});
+			const signal = { signalType: 'sell', price: 50000, cryptocurrency: 'BTCUSDT' };
+
+			expect(await signalGenerator.calculateOrderQuantity(account, signal)).toBe(0.01);
+			expect(await signalGenerator.calculateOrderQuantity({ id: 'account_flat', balance: 10000 }, signal)).toBeCloseTo(2500 / (50000 * 1.001), 6);
+		});
+
+		it('should store validated position sizing settings per account', async () => {
+			const settings = await signalGenerator.setPositionSizingSettings('account_1', { model: 'risk_per_trade', riskFraction: '0.02' });
+
+			expect(settings.model).toBe('risk_per_trade');
+			expect(settings.riskFraction).toBe(0.02);
+			expect(mockDb.setUserSetting).toHaveBeenCalledWith('account_1', 'position_sizing', JSON.stringify(settings));
+
+			await expect(signalGenerator.setPositionSizingSettings('account_1', { model: 'martingale' }))
+				.rejects.toThrow('Unknown position sizing model');
+		});
 	});
 
 	describe('Paper Trading Execution', () => {
@@ -258,6 +304,94 @@ describe('SignalGenerator', () => {
 			mockCalculateOrderQuantity.mockRestore();
 		});
 
+		it('should only execute signals an account subscribes to and log every decision', async () => {
+			const accounts = [
+				{ id: 'account_btc_4h', userId: 'user1', balance: 10000 },
+				{ id: 'account_all', userId: 'user2', balance: 10000 }
+			];
+			vi.spyOn(signalGenerator.paperTradingService, 'getAllAccounts').mockResolvedValue(accounts);
+			const placeMarketOrder = vi.spyOn(signalGenerator.paperTradingService, 'placeMarketOrder')
+				.mockResolvedValue({ id: 'order_1' });
+			vi.spyOn(signalGenerator, 'calculateOrderQuantity').mockResolvedValue(0.1);
+			signalGenerator.binance.getCurrentPrice = vi.fn().mockResolvedValue(50000);
+
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) =>
+				accountId === 'account_btc_4h' && settingKey === 'signal_subscription'
+					? JSON.stringify({ symbols: ['BTCUSDT'], timeframes: ['4h'], minConfidence: 0.8, riskLevels: ['LOW', 'MEDIUM'] })
+					: null
+			);
+
+			// Shaped like OpenAIService.generateSignal's return value
+			const signal = {
+				signalId: 42,
+				cryptocurrency: 'BTCUSDT',
+				signalType: 'buy',
+				timeframe: '1h',
+				price: 50000,
+				confidence: 0.85,
+				analysis: { risk_level: 'MEDIUM' }
+			};
+
+			const result = await signalGenerator.executeSignalInPaperTrading(signal);
+
+			expect(result.success).toBe(true);
+			expect(placeMarketOrder).toHaveBeenCalledTimes(1);
+			expect(placeMarketOrder.mock.calls[0][0]).toBe('account_all');
+
+			expect(mockDb.saveSignalDecision).toHaveBeenCalledWith(expect.objectContaining({
+				signalId: 42,
+				accountId: 'account_btc_4h',
+				decision: 'SKIPPED',
+				reason: 'Timeframe 1h not subscribed',
+				riskLevel: 'MEDIUM'
+			}));
+			expect(mockDb.saveSignalDecision).toHaveBeenCalledWith(expect.objectContaining({
+				signalId: 42,
+				accountId: 'account_all',
+				decision: 'TAKEN',
+				orderId: 'order_1',
+				quantity: 0.1
+			}));
+		});
+
+		it('should skip accounts whose auto-trading is paused', async () => {
+			vi.spyOn(signalGenerator.paperTradingService, 'getAllAccounts').mockResolvedValue([{ id: 'account_paused', balance: 10000 }]);
+			const placeMarketOrder = vi.spyOn(signalGenerator.paperTradingService, 'placeMarketOrder');
+			mockDb.getUserSetting.mockImplementation((accountId, settingKey) =>
+				settingKey === 'risk_state'
+					? JSON.stringify({ date: new Date().toISOString().slice(0, 10), startEquity: 10000, pausedAt: new Date().toISOString(), pauseReason: 'Daily drawdown 6.00% reached the 5% limit' })
+					: null
+			);
+
+			const result = await signalGenerator.executeSignalInPaperTrading({ signalId: 7, cryptocurrency: 'BTCUSDT', signalType: 'buy', timeframe: '1h', confidence: 0.9 });
+
+			expect(placeMarketOrder).not.toHaveBeenCalled();
+			expect(result.decisions[0]).toMatchObject({
+				decision: 'SKIPPED',
+				reason: 'Auto-trading paused: Daily drawdown 6.00% reached the 5% limit'
+			});
+		});
+
+		it('should explain which subscription filter rejected a signal', () => {
+			const subscription = signalGenerator.normalizeSignalSubscription({
+				symbols: 'btcusdt, ethusdt',
+				timeframes: ['4h'],
+				minConfidence: 0.8,
+				riskLevels: ['low']
+			});
+			const signal = { cryptocurrency: 'BTCUSDT', timeframe: '4h', confidence: 0.9, analysis: { risk_level: 'LOW' } };
+
+			expect(signalGenerator.getSubscriptionSkipReason(subscription, signal)).toBeNull();
+			expect(signalGenerator.getSubscriptionSkipReason(subscription, { ...signal, cryptocurrency: 'SOLUSDT' }))
+				.toBe('Symbol SOLUSDT not subscribed');
+			expect(signalGenerator.getSubscriptionSkipReason(subscription, { ...signal, confidence: 0.75 }))
+				.toBe('Confidence 75.0% below minimum 80.0%');
+			expect(signalGenerator.getSubscriptionSkipReason(subscription, { ...signal, analysis: { risk_level: 'HIGH' } }))
+				.toBe('Risk level HIGH not allowed');
+			expect(() => signalGenerator.normalizeSignalSubscription({ minConfidence: 80 }))
+				.toThrow('minConfidence must be between 0 and 1');
+		});
+
 		it('should convert NEUTRAL signals to HOLD', async () => {
 			const signal = {
 				id: 1,
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const BacktestingService = require('../../src/backtesting-service');
+const StrategyOptimizer = require('../../src/strategy-optimizer');
+const CryptoBotDatabase = require('@signal-crypto-bot/database');
+
+// Oscillating closes with a slow drift so different RSI thresholds trade differently
+const createCandles = (count = 400) => Array.from({ length: count }, (_, i) => {
+	const close = 100 + 20 * Math.sin(i / 8) + i * 0.05;
+	return {
+		timestamp: Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000,
+		open: close,
+		high: close + 1,
+		low: close - 1,
+		close,
+		volume: 1000
+	};
+});
+
+describe('StrategyOptimizer', () => {
+	let db;
+	let backtesting;
+	let optimizer;
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		backtesting = new BacktestingService({ db, syncMissingCandles: false });
+		optimizer = new StrategyOptimizer({ backtesting, progressInterval: 4 });
+		db.saveCandles('BTCUSDT', '1h', createCandles(), 'csv');
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	const request = {
+		cryptocurrency: 'BTCUSDT',
+		timeframe: '1h',
+		startDate: '2024-01-01',
+		endDate: '2024-01-31',
+		searchSpace: {
+			rsiOversold: [25, 30, 35],
+			rsiOverbought: [65, 75]
+		}
+	};
+
+	it('should build grid and seeded random candidates', () => {
+		expect(optimizer.expandGrid(request.searchSpace)).toHaveLength(6);
+		expect(optimizer.expandGrid(request.searchSpace)).toContainEqual({ rsiOversold: 35, rsiOverbought: 65 });
+
+		const first = optimizer.sampleRandom(request.searchSpace, 4, 42);
+		expect(first).toHaveLength(4);
+		expect(new Set(first.map(params => JSON.stringify(params))).size).toBe(4);
+		expect(optimizer.sampleRandom(request.searchSpace, 4, 42)).toEqual(first);
+		// Never more samples than the space holds
+		expect(optimizer.sampleRandom(request.searchSpace, 50, 1)).toHaveLength(6);
+	});
+
+	it('should split candles into rolling walk-forward windows', () => {
+		const windows = optimizer.splitWalkForward(400, 3, 0.7);
+
+		expect(windows).toHaveLength(3);
+		expect(windows[0].inSample.startIndex).toBe(50);
+		windows.forEach((window, index) => {
+			expect(window.inSample.endIndex).toBe(window.outOfSample.startIndex);
+			if (index > 0) {
+				expect(window.outOfSample.startIndex).toBe(windows[index - 1].outOfSample.endIndex);
+			}
+		});
+		expect(windows[2].outOfSample.endIndex).toBeLessThanOrEqual(400);
+		expect(() => optimizer.splitWalkForward(55, 3, 0.7)).toThrow('Not enough candles');
+	});
+
+	it('should reject invalid requests', () => {
+		expect(() => optimizer.validateConfig({ ...request, objective: 'luck' })).toThrow('Unknown optimization objective');
+		expect(() => optimizer.validateConfig({ ...request, searchSpace: { rsiPeriod: [14] } })).toThrow('Unknown strategy parameters: rsiPeriod');
+		expect(() => optimizer.validateConfig({ ...request, folds: 0 })).toThrow('folds must be an integer');
+
+		optimizer.maxCombinations = 5;
+		expect(() => optimizer.validateConfig(request)).toThrow('Search would try 6 parameter sets, the limit is 5');
+	});
+
+	it('should rank parameter sets on out-of-sample data and persist the leaderboard', async () => {
+		const onProgress = vi.fn();
+		const config = optimizer.validateConfig({ ...request, objective: 'sharpe', folds: 2 });
+
+		const result = await optimizer.optimize(config, onProgress);
+
+		expect(result.combinations).toBe(6);
+		expect(result.walkForward).toHaveLength(2);
+		expect(result.walkForward[0]).toEqual(expect.objectContaining({
+			fold: 1,
+			params: expect.any(Object),
+			outOfSampleMetrics: expect.objectContaining({ sharpeRatio: expect.any(Number) })
+		}));
+		expect(onProgress).toHaveBeenLastCalledWith({ processed: 12, total: 12, percent: 100 });
+
+		const scores = result.leaderboard.map(entry => entry.score);
+		expect(scores).toEqual([...scores].sort((a, b) => b - a));
+		expect(result.bestParams).toMatchObject(result.leaderboard[0].params);
+		expect(result.bestParams.minConfidence).toBe(0.7);
+
+		const stored = optimizer.getLeaderboard(result.id, 3);
+		expect(stored.walkForward).toHaveLength(2);
+		expect(stored.leaderboard.map(entry => entry.rank)).toEqual([1, 2, 3]);
+		expect(stored.leaderboard[0].params).toEqual(result.leaderboard[0].params);
+		expect(optimizer.getOptimizationRuns()).toEqual([expect.objectContaining({ id: result.id, objective: 'sharpe', method: 'grid' })]);
+		expect(() => optimizer.getLeaderboard('missing')).toThrow('Optimization run missing not found');
+	});
+
+	it('should rank by drawdown with too-quiet parameter sets last', async () => {
+		const config = optimizer.validateConfig({
+			...request,
+			objective: 'maxDrawdown',
+			method: 'random',
+			samples: 4,
+			seed: 7,
+			minTrades: 1,
+			searchSpace: { minConfidence: [0.7, 1.5], rsiOverbought: [70, 75] }
+		});
+
+		const result = await optimizer.optimize(config);
+
+		// No signal reaches a confidence of 1.5, so those sets never trade and cannot be judged
+		const quiet = result.leaderboard.filter(entry => entry.params.minConfidence === 1.5);
+		expect(quiet).toHaveLength(2);
+		expect(quiet.every(entry => entry.score === -Infinity)).toBe(true);
+		expect(result.leaderboard.slice(2).every(entry => entry.params.minConfidence === 1.5)).toBe(true);
+		expect(optimizer.getLeaderboard(result.id).leaderboard[3].score).toBeNull();
+	});
+});
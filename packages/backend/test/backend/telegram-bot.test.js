@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CryptoBotDatabase from '@signal-crypto-bot/database';
+const CryptoSignalBot = require('../../src/telegram-bot');
+
+describe('CryptoSignalBot subscriptions', () => {
+	let db;
+	let bot;
+	let sendMessage;
+	let updateId = 0;
+
+	// Feed a message through the library's update handling, as polling would
+	const command = async (text, chat = { id: 1001, type: 'private', first_name: 'Ana' }) => {
+		bot.bot.processUpdate({ update_id: ++updateId, message: { message_id: updateId, chat, date: 0, text } });
+		await new Promise(resolve => setTimeout(resolve, 0));
+		return sendMessage.mock.calls.at(-1)?.[1];
+	};
+
+	const signal = (overrides = {}) => ({
+		cryptocurrency: 'BTCUSDT',
+		timeframe: '1h',
+		signalType: 'buy',
+		confidence: 0.8,
+		price: 50000,
+		...overrides
+	});
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db });
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('should store chats through subscribe and unsubscribe and keep filters in between', async () => {
+		expect(await command('/subscribe')).toContain('Subscribed');
+		expect(db.getTelegramChat(1001)).toMatchObject({ chatType: 'private', chatTitle: 'Ana', isActive: true });
+
+		await command('/filter symbols btcusdt, ETHUSDT');
+		expect(await command('/unsubscribe')).toContain('Unsubscribed');
+		expect(db.getActiveTelegramChats()).toHaveLength(0);
+
+		await command('/subscribe');
+		const chat = db.getTelegramChat(1001);
+		expect(chat.isActive).toBe(true);
+		expect(chat.filters).toEqual({ symbols: ['BTCUSDT', 'ETHUSDT'] });
+	});
+
+	it('should update filters and describe them in /mysettings', async () => {
+		await command('/subscribe');
+		await command('/filter timeframes 1h 4h');
+		await command('/filter types buy sell');
+		await command('/filter confidence 75');
+
+		const settings = await command('/mysettings');
+		expect(settings).toContain('Subscription: active');
+		expect(settings).toContain('Symbols: all');
+		expect(settings).toContain('Timeframes: 1h, 4h');
+		expect(settings).toContain('Signal types: BUY, SELL');
+		expect(settings).toContain('Minimum confidence: 75%');
+
+		expect(await command('/filter timeframes 2h')).toContain('Unknown timeframe 2h');
+		expect(await command('/filter confidence 150')).toContain('between 0 and 100');
+		expect(db.getTelegramChat(1001).filters).toEqual({ timeframes: ['1h', '4h'], minConfidence: 0.75 });
+
+		await command('/filter timeframes all');
+		expect(db.getTelegramChat(1001).filters.timeframes).toBeNull();
+
+		await command('/filter reset');
+		expect(db.getTelegramChat(1001)).toMatchObject({ notificationTypes: null, filters: null, isActive: true });
+	});
+
+	it('should tell a chat that never subscribed how to start', async () => {
+		expect(await command('/mysettings')).toContain('not subscribed');
+
+		expect(await command('/filter types sell')).toContain('use /subscribe');
+		expect(db.getTelegramChat(1001)).toMatchObject({ isActive: false, notificationTypes: ['sell'] });
+	});
+
+	it('should send signals only to active chats whose preferences match', async () => {
+		const group = { id: -2002, type: 'group', title: 'Traders' };
+		await command('/subscribe');
+		await command('/subscribe', group);
+		await command('/filter types sell', group);
+		await command('/subscribe', { id: 3003, type: 'private', first_name: 'Ivo' });
+		await command('/filter confidence 90', { id: 3003, type: 'private' });
+		await command('/filter symbols ETHUSDT', { id: 4004, type: 'private' }); // never subscribed
+		sendMessage.mockClear();
+
+		await bot.sendSignal(signal());
+		expect(sendMessage.mock.calls.map(call => call[0])).toEqual(['1001']);
+
+		sendMessage.mockClear();
+		await bot.sendSignal(signal({ signalType: 'sell', confidence: 0.95 }));
+		expect(sendMessage.mock.calls.map(call => call[0]).sort()).toEqual(['-2002', '1001', '3003']);
+	});
+
+	it('should send the chart image ahead of the signal and still send the signal when rendering fails', async () => {
+		const candles = Array.from({ length: 30 }, (_, i) => ({ timestamp: i * 3600000, open: 100 + i, high: 102 + i, low: 99 + i, close: 101 + i }));
+		const getOHLCV = vi.fn().mockResolvedValue(candles);
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db, binance: { getOHLCV } });
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		const sendPhoto = vi.spyOn(bot.bot, 'sendPhoto').mockResolvedValue({});
+		await command('/subscribe');
+		await command('/subscribe', { id: 3003, type: 'private', first_name: 'Ivo' });
+		sendMessage.mockClear();
+
+		await bot.sendSignal(signal({ signalId: 12 }));
+		expect(getOHLCV).toHaveBeenCalledTimes(1); // rendered once for every chat
+		expect(sendPhoto.mock.calls.map(call => [call[0], call[2].caption])).toEqual([
+			['1001', '🟢 BTCUSDT 1h BUY'],
+			['3003', '🟢 BTCUSDT 1h BUY']
+		]);
+		expect(sendPhoto.mock.invocationCallOrder[0]).toBeLessThan(sendMessage.mock.invocationCallOrder[0]);
+		expect(sendMessage).toHaveBeenCalledTimes(2);
+
+		getOHLCV.mockRejectedValueOnce(new Error('Binance is down'));
+		sendPhoto.mockClear();
+		sendMessage.mockClear();
+		await bot.sendSignal(signal({ signalId: 13 }));
+		expect(sendPhoto).not.toHaveBeenCalled();
+		expect(sendMessage).toHaveBeenCalledTimes(2);
+	});
+});
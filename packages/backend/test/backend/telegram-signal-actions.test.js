@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CryptoBotDatabase from '@signal-crypto-bot/database';
+const CryptoSignalBot = require('../../src/telegram-bot');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Telegram signal actions', () => {
+	let db;
+	let bot;
+	let sendMessage;
+	let answerCallbackQuery;
+	let signalId;
+	let updateId = 0;
+
+	const group = { id: -2002, type: 'group', title: 'Traders' };
+	const ana = { id: 555, username: 'ana' };
+
+	// Press a button of the signal message last sent to the chat
+	const press = async (action, { from = ana, chat = group } = {}) => {
+		const [, , options] = sendMessage.mock.calls.filter(call => String(call[0]) === String(chat.id) && call[2]?.reply_markup).at(-1);
+		const button = options.reply_markup.inline_keyboard.flat().find(candidate => candidate.callback_data.startsWith(`signal:${action}:`));
+		bot.bot.processUpdate({
+			update_id: ++updateId,
+			callback_query: { id: `cb${updateId}`, from, data: button.callback_data, message: { message_id: 42, chat, text: 'signal' } }
+		});
+		await flush();
+		await flush();
+		return answerCallbackQuery.mock.calls.at(-1)[1];
+	};
+
+	const sendSignal = (overrides = {}) => bot.sendSignal({
+		signalId,
+		cryptocurrency: 'BTCUSDT',
+		timeframe: '1h',
+		signalType: 'buy',
+		confidence: 0.8,
+		price: 50000,
+		...overrides
+	});
+
+	beforeEach(() => {
+		db = new CryptoBotDatabase(':memory:');
+		signalId = Number(db.createSignal({
+			cryptocurrency: 'BTCUSDT',
+			signalType: 'buy',
+			timeframe: '1h',
+			price: 50000,
+			confidence: 0.8,
+			aiReasoning: 'Breakout above resistance on rising volume.',
+			technicalIndicators: { rsi: 61.25, macd: { histogram: 12.5 } }
+		}).lastInsertRowid);
+		db.addTelegramChat({ chatId: group.id, chatType: 'group', chatTitle: 'Traders', isActive: true });
+
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db });
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		answerCallbackQuery = vi.spyOn(bot.bot, 'answerCallbackQuery').mockResolvedValue(true);
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('should attach the action buttons and record every press against the signal', async () => {
+		await sendSignal();
+		const keyboard = sendMessage.mock.calls[0][2].reply_markup.inline_keyboard.flat();
+		expect(keyboard.map(button => button.callback_data)).toEqual(
+			['paper', 'ignore', 'chart', 'explain', 'mute'].map(action => `signal:${action}:${signalId}`)
+		);
+
+		expect(await press('ignore')).toEqual({ text: 'Noted, signal ignored.' });
+		await press('ignore', { from: { id: 777 } });
+		await press('explain');
+
+		const explanation = sendMessage.mock.calls.at(-1);
+		expect(explanation[1]).toContain('Breakout above resistance on rising volume.');
+		expect(explanation[1]).toContain('• rsi: 61.25');
+		expect(explanation[1]).toContain('• macd: histogram 12.5');
+		expect(explanation[2]).toEqual({ reply_to_message_id: 42 });
+
+		expect(db.getSignalActions({ signalId })).toHaveLength(3);
+		expect(db.getSignalActions({ signalId })[0]).toMatchObject({ action: 'explain', chatId: '-2002', telegramUserId: '555', telegramUsername: 'ana' });
+		const [summary] = db.getSignalActionSummary();
+		expect(summary).toMatchObject({
+			signalId,
+			cryptocurrency: 'BTCUSDT',
+			total: 3,
+			counts: { ignore: { count: 2, users: 2 }, explain: { count: 1, users: 1 } }
+		});
+	});
+
+	it('should mute the symbol for the chat for 24 hours', async () => {
+		await sendSignal();
+		expect((await press('mute')).text).toContain('BTCUSDT muted in this chat until');
+		expect(bot.describeSettings(db.getTelegramChat(group.id))).toContain('Muted: BTCUSDT until');
+
+		sendMessage.mockClear();
+		await sendSignal();
+		await sendSignal({ cryptocurrency: 'ETHUSDT' });
+		expect(sendMessage.mock.calls.map(call => call[2].reply_markup.inline_keyboard[2][0].text)).toEqual(['🔇 Mute ETHUSDT for 24h']);
+
+		vi.useFakeTimers({ now: Date.now() + 25 * 60 * 60 * 1000, toFake: ['Date'] });
+		try {
+			sendMessage.mockClear();
+			await sendSignal();
+			expect(sendMessage).toHaveBeenCalledTimes(1);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should ask a linked user to confirm a sized paper trade in their private chat', async () => {
+		const paperTrading = {
+			getAccount: vi.fn(async () => ({ id: 'account_1', userId: 'user1' })),
+			getUserAccounts: vi.fn(async () => []),
+			placeMarketOrder: vi.fn(async (accountId, symbol, side, quantity) => ({ symbol, side, quantity, executionPrice: 50100 })),
+			binance: { getOHLCV: vi.fn() }
+		};
+		const sizeOrder = vi.fn(async () => 0.02);
+		bot.setPaperTradingService(paperTrading, { sizeOrder });
+		const editMessageText = vi.spyOn(bot.bot, 'editMessageText').mockResolvedValue({});
+		await sendSignal();
+
+		expect(await press('paper')).toMatchObject({ show_alert: true, text: expect.stringContaining('Link your paper trading account first') });
+
+		db.linkTelegramUser({ telegramUserId: ana.id, userId: 'user1', accountId: 'account_1' });
+		expect(await press('paper')).toEqual({ text: 'Confirm the order in our private chat.' });
+		expect(sizeOrder).toHaveBeenCalledWith({ id: 'account_1', userId: 'user1' }, expect.objectContaining({ id: signalId }));
+
+		const [chatId, question, options] = sendMessage.mock.calls.at(-1);
+		expect(chatId).toBe(ana.id);
+		expect(question).toBe(`🟢 Buy 0.02 BTCUSDT at market on account_1 for signal #${signalId}?`);
+
+		bot.bot.processUpdate({
+			update_id: ++updateId,
+			callback_query: { id: 'confirm', from: ana, data: options.reply_markup.inline_keyboard[0][0].callback_data, message: { message_id: 7, chat: { id: ana.id }, text: question } }
+		});
+		await flush();
+		await flush();
+		expect(paperTrading.placeMarketOrder).toHaveBeenCalledWith('account_1', 'BTCUSDT', 'BUY', 0.02, null, { signalId });
+		expect(editMessageText.mock.calls.at(-1)[0]).toContain('BUY 0.02 BTCUSDT filled at $50100.00');
+		expect(db.getSignalActions({ signalId }).map(action => action.action)).toEqual(['paper', 'paper']);
+	});
+
+	it('should reply with the chart image and the move since the signal', async () => {
+		const closes = [49000, 49500, 50500, 51000];
+		const candles = closes.map((close, i) => ({ timestamp: Date.now() - (4 - i) * 3600000, open: close - 100, high: close + 50, low: close - 150, close }));
+		db.close();
+		db = new CryptoBotDatabase(':memory:');
+		signalId = Number(db.createSignal({ cryptocurrency: 'BTCUSDT', signalType: 'buy', timeframe: '1h', price: 50000, confidence: 0.8 }).lastInsertRowid);
+		db.addTelegramChat({ chatId: group.id, chatType: 'group', isActive: true });
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db, binance: { getOHLCV: vi.fn(async () => candles) } });
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		answerCallbackQuery = vi.spyOn(bot.bot, 'answerCallbackQuery').mockResolvedValue(true);
+		const sendPhoto = vi.spyOn(bot.bot, 'sendPhoto').mockResolvedValue({});
+		await sendSignal();
+		sendPhoto.mockClear();
+
+		await press('chart');
+		const [chatId, png, options, fileOptions] = sendPhoto.mock.calls.at(-1);
+		expect(chatId).toBe(group.id);
+		expect(png.subarray(1, 4).toString()).toBe('PNG');
+		expect(options).toEqual({
+			caption: '📊 BTCUSDT 1h\nLow $49000 · High $51000 · Last $51000 (+2.00% since the signal)',
+			reply_to_message_id: 42
+		});
+		expect(fileOptions).toEqual({ filename: 'BTCUSDT-1h.png', contentType: 'image/png' });
+	});
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CryptoBotDatabase from '@signal-crypto-bot/database';
+const CryptoSignalBot = require('../../src/telegram-bot');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Telegram paper trading commands', () => {
+	let db;
+	let bot;
+	let paperTrading;
+	let sendMessage;
+	let editMessageText;
+	let answerCallbackQuery;
+	let trading;
+	let updateId = 0;
+
+	const me = { id: 555, username: 'ana' };
+	const privateChat = { id: 555, type: 'private' };
+
+	const command = async (text, { from = me, chat = privateChat } = {}) => {
+		bot.bot.processUpdate({ update_id: ++updateId, message: { message_id: updateId, from, chat, date: 0, text } });
+		await flush();
+		return sendMessage.mock.calls.at(-1);
+	};
+
+	// Press a button of the last inline keyboard the bot sent
+	const press = async (label, from = me) => {
+		const [chatId, text, options] = sendMessage.mock.calls.filter(call => call[2]?.reply_markup).at(-1);
+		const button = options.reply_markup.inline_keyboard[0].find(candidate => candidate.text.includes(label));
+		bot.bot.processUpdate({
+			update_id: ++updateId,
+			callback_query: { id: `cb${updateId}`, from, data: button.callback_data, message: { message_id: 99, chat: { id: chatId }, text } }
+		});
+		await flush();
+		await flush();
+		return editMessageText.mock.calls.at(-1)?.[0];
+	};
+
+	const link = async () => {
+		const { code } = trading.createLinkCode({ userId: 'user1', accountId: 'account_b' });
+		await command(`/link ${code.toLowerCase()}`);
+	};
+
+	beforeEach(() => {
+		const accounts = {
+			account_a: { id: 'account_a', userId: 'user1', balance: 5000, reservedBalance: 0, realizedPnl: 0, totalTrades: 0 },
+			account_b: { id: 'account_b', userId: 'user1', balance: 9000, reservedBalance: 100, realizedPnl: 250, totalTrades: 4, winningTrades: 3 }
+		};
+		paperTrading = {
+			getAccount: vi.fn(async (id) => accounts[id] || null),
+			getUserAccounts: vi.fn(async (userId) => Object.values(accounts).filter(account => account.userId === userId)),
+			// Rows as PaperTradingService.getPositions reads them from paper_trading_positions
+			getPositions: vi.fn((accountId) => db.getPaperTradingPositions(accountId)),
+			getOrders: vi.fn(async () => [
+				{ id: 'order_x_1_2222bbbb', symbol: 'ETHUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 2900, status: 'PENDING' },
+				{ id: 'order_x_2_3333cccc', symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.1, executionPrice: 50000, status: 'FILLED' }
+			]),
+			calculateAccountEquity: vi.fn(async () => 14220),
+			placeMarketOrder: vi.fn(async (accountId, symbol, side, quantity) => ({ symbol, side, quantity, executionPrice: 51000 })),
+			closePosition: vi.fn(async () => ({ order: { executionPrice: 52000 }, realizedPnl: 200 })),
+			cancelOrder: vi.fn(async () => ({ side: 'BUY', quantity: 1, symbol: 'ETHUSDT' })),
+			binance: { getCurrentPrice: vi.fn(async () => 52000) }
+		};
+
+		db = new CryptoBotDatabase(':memory:');
+		db.createPaperTradingAccount({ ...accounts.account_b, equity: 14220 });
+		db.createPaperTradingPosition({ id: 'position_1111aaaa', accountId: 'account_b', symbol: 'BTCUSDT', side: 'LONG', quantity: 0.1, avgPrice: 50000, unrealizedPnl: 120 });
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db });
+		trading = bot.setPaperTradingService(paperTrading);
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		editMessageText = vi.spyOn(bot.bot, 'editMessageText').mockResolvedValue({});
+		answerCallbackQuery = vi.spyOn(bot.bot, 'answerCallbackQuery').mockResolvedValue(true);
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('should link a Telegram user with a one-time code and show the portfolio', async () => {
+		expect((await command('/portfolio'))[1]).toContain('Link your paper trading account first');
+
+		const { code } = trading.createLinkCode({ userId: 'user1', accountId: 'account_b' });
+		expect(code).toMatch(/^[A-Z2-9]{6}$/);
+		expect((await command(`/link ${code}`))[1]).toContain('Linked to user1, trading account account_b');
+		expect(db.getTelegramUser(555)).toMatchObject({ userId: 'user1', accountId: 'account_b', telegramUsername: 'ana' });
+		expect((await command(`/link ${code}`, { from: { id: 777 }, chat: { id: 777, type: 'private' } }))[1]).toContain('Invalid or expired');
+
+		const portfolio = (await command('/portfolio'))[1];
+		expect(portfolio).toContain('Equity: $14220.00');
+		expect(portfolio).toContain('Realized P&L: $250.00');
+		expect(portfolio).toContain('Win rate: 75.0% over 4 trades');
+
+		await command('/account account_a');
+		expect(db.getTelegramUser(555).accountId).toBe('account_a');
+	});
+
+	it('should redeem link codes made by another instance or before a restart, once and until they expire', async () => {
+		const { code, expiresAt } = trading.createLinkCode({ userId: 'user1', accountId: 'account_b' });
+		const expired = trading.createLinkCode({ userId: 'user1' });
+		db.db.prepare('UPDATE telegram_link_codes SET expiresAt = ? WHERE code = ?').run(new Date(Date.now() - 1000).toISOString(), expired.code);
+		expect(db.redeemTelegramLinkCode('NOPE42')).toBeNull();
+
+		// A fresh bot on the same database, like a restarted or second replica
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db });
+		bot.setPaperTradingService(paperTrading);
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+
+		expect((await command(`/link ${expired.code}`))[1]).toContain('Invalid or expired');
+		expect((await command(`/link ${code}`))[1]).toContain('Linked to user1, trading account account_b');
+		expect(db.redeemTelegramLinkCode(code)).toBeNull();
+		expect(new Date(expiresAt).getTime() - Date.now()).toBeGreaterThan(9 * 60 * 1000);
+		expect(db.db.prepare('SELECT COUNT(*) AS count FROM telegram_link_codes').get().count).toBe(0);
+	});
+
+	it('should refuse trading commands outside private chats', async () => {
+		await link();
+		const [, reply] = await command('/buy BTCUSDT 0.1', { chat: { id: -100, type: 'group' } });
+
+		expect(reply).toContain('only work in a private chat');
+		expect(paperTrading.placeMarketOrder).not.toHaveBeenCalled();
+	});
+
+	it('should place a market order only after the requester confirms', async () => {
+		await link();
+		const [, question, options] = await command('/buy btcusdt 0.1');
+		expect(question).toBe('🟢 Buy 0.1 BTCUSDT at market on account_b?');
+		expect(options.reply_markup.inline_keyboard[0]).toHaveLength(2);
+		expect(paperTrading.placeMarketOrder).not.toHaveBeenCalled();
+
+		await press('Confirm', { id: 999 });
+		expect(answerCallbackQuery).toHaveBeenLastCalledWith(expect.any(String), { text: 'Only the person who asked can confirm.' });
+		expect(paperTrading.placeMarketOrder).not.toHaveBeenCalled();
+
+		expect(await press('Confirm')).toContain('✅ BUY 0.1 BTCUSDT filled at $51000.00');
+		expect(paperTrading.placeMarketOrder).toHaveBeenCalledWith('account_b', 'BTCUSDT', 'BUY', 0.1);
+
+		// The same button again is an expired confirmation, not a second order
+		expect(await press('Confirm')).toContain('Expired');
+		expect(paperTrading.placeMarketOrder).toHaveBeenCalledTimes(1);
+
+		expect((await command('/sell BTCUSDT'))[1]).toContain('Usage: /sell SYMBOL QUANTITY');
+	});
+
+	it('should run a confirmation tapped on another instance or after a restart, once and until it expires', async () => {
+		await link();
+		const [, , options] = await command('/buy BTCUSDT 0.1');
+		const [confirm] = options.reply_markup.inline_keyboard[0];
+		const first = bot;
+
+		// A fresh bot on the same database, like a restarted or second replica
+		bot = new CryptoSignalBot('test-telegram-token', { polling: false, db });
+		bot.setPaperTradingService(paperTrading);
+		editMessageText = vi.spyOn(bot.bot, 'editMessageText').mockResolvedValue({});
+		vi.spyOn(bot.bot, 'answerCallbackQuery').mockResolvedValue(true);
+		const tap = async (target) => {
+			target.bot.processUpdate({
+				update_id: ++updateId,
+				callback_query: { id: `cb${updateId}`, from: me, data: confirm.callback_data, message: { message_id: 99, chat: privateChat, text: 'Buy?' } }
+			});
+			await flush();
+			await flush();
+			return target.bot.editMessageText.mock.calls.at(-1)?.[0];
+		};
+
+		expect(await tap(bot)).toContain('✅ BUY 0.1 BTCUSDT filled at $51000.00');
+		expect(await tap(first)).toContain('Expired');
+		expect(await tap(bot)).toContain('Expired');
+		expect(paperTrading.placeMarketOrder).toHaveBeenCalledTimes(1);
+		expect(db.db.prepare('SELECT COUNT(*) AS count FROM telegram_confirmations').get().count).toBe(0);
+
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		await command('/sell BTCUSDT 0.1');
+		db.db.prepare('UPDATE telegram_confirmations SET expiresAt = ?').run(new Date(Date.now() - 1000).toISOString());
+		expect(await press('Confirm')).toContain('Expired');
+		expect(paperTrading.placeMarketOrder).toHaveBeenCalledTimes(1);
+	});
+
+	it('should close positions and cancel pending orders by short reference', async () => {
+		await link();
+
+		expect((await command('/positions'))[1]).toContain('1111aaaa  LONG 0.1 BTCUSDT @ $50000.00  P&L $120.00');
+		expect((await command('/close BTCUSDT'))[1]).toContain('Close LONG 0.1 BTCUSDT (1111aaaa) at market?');
+		expect(await press('Confirm')).toContain('Closed BTCUSDT at $52000.00, P&L $200.00');
+		expect(paperTrading.closePosition).toHaveBeenCalledWith('position_1111aaaa', 52000, 'MANUAL');
+
+		expect((await command('/cancel 3333cccc'))[1]).toContain('No pending order matches 3333cccc');
+		await command('/cancel 2222bbbb');
+		expect(await press('Cancel')).toContain('✖️ Cancelled');
+		expect(paperTrading.cancelOrder).not.toHaveBeenCalled();
+
+		await command('/cancel 2222bbbb');
+		expect(await press('Confirm')).toContain('Cancelled BUY 1 ETHUSDT');
+		expect(paperTrading.cancelOrder).toHaveBeenCalledWith('order_x_1_2222bbbb');
+	});
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CryptoBotDatabase from '@signal-crypto-bot/database';
+import Server from '../../src/server.js';
+const express = require('express');
+const CryptoSignalBot = require('../../src/telegram-bot');
+const TelegramWebhook = require('../../src/telegram-webhook');
+const updates = require('../fixtures/telegram-updates.json');
+
+const SECRET = 'test_webhook-secret';
+
+describe('TelegramWebhook', () => {
+	let db;
+	let bot;
+	let webhook;
+	let httpServer;
+	let baseUrl;
+	let sendMessage;
+
+	const post = (body, secret = SECRET) => fetch(`${baseUrl}${TelegramWebhook.DEFAULT_PATH}`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			...(secret && { 'X-Telegram-Bot-Api-Secret-Token': secret })
+		},
+		body: JSON.stringify(body)
+	});
+
+	// Feed recorded updates the way Telegram delivers them, then wait for the bot's handlers
+	const deliver = async (...payloads) => {
+		const statuses = [];
+		for (const payload of payloads) {
+			statuses.push((await post(payload)).status);
+		}
+		await webhook.idle();
+		await new Promise(resolve => setTimeout(resolve, 0));
+		return statuses;
+	};
+
+	beforeEach(async () => {
+		db = new CryptoBotDatabase(':memory:');
+		db.createSignal({ cryptocurrency: 'BTCUSDT', signalType: 'buy', timeframe: '1h', price: 50000, confidence: 0.8 });
+		bot = new CryptoSignalBot('test-telegram-token', { db, webhook: { secretToken: SECRET } });
+		webhook = bot.webhook;
+		sendMessage = vi.spyOn(bot.bot, 'sendMessage').mockResolvedValue({});
+		vi.spyOn(bot.bot, 'answerCallbackQuery').mockResolvedValue(true);
+
+		const app = express();
+		app.use(express.json());
+		app.use(webhook.router);
+		httpServer = await new Promise(resolve => {
+			const listening = app.listen(0, () => resolve(listening));
+		});
+		baseUrl = `http://localhost:${httpServer.address().port}`;
+	});
+
+	afterEach(async () => {
+		await new Promise(resolve => httpServer.close(resolve));
+		db.close();
+	});
+
+	it('should run recorded updates through the bot without polling', async () => {
+		expect(bot.bot.isPolling()).toBe(false);
+
+		const statuses = await deliver(updates.subscribe, updates.filter, updates.groupSubscribe, updates.ignoreButton);
+
+		expect(statuses).toEqual([200, 200, 200, 200]);
+		expect(db.getTelegramChat(412093756)).toMatchObject({ isActive: true, chatTitle: 'ana_trades', filters: { symbols: ['BTCUSDT', 'ETHUSDT'] } });
+		expect(db.getTelegramChat(-1002093118840)).toMatchObject({ isActive: true, chatType: 'supergroup', chatTitle: 'Desk Signals' });
+		expect(db.getSignalActions({ signalId: 1 })).toEqual([
+			expect.objectContaining({ action: 'ignore', chatId: '-1002093118840', telegramUsername: 'ivo_k' })
+		]);
+		expect(sendMessage.mock.calls.map(call => call[0])).toEqual([412093756, 412093756, -1002093118840]);
+		expect(webhook.stats).toMatchObject({ received: 4, processed: 4, duplicates: 0, rejected: 0 });
+	});
+
+	it('should reject requests without the secret token before touching the bot', async () => {
+		const processUpdate = vi.spyOn(bot.bot, 'processUpdate');
+
+		expect((await post(updates.subscribe, null)).status).toBe(401);
+		expect((await post(updates.subscribe, 'test_webhook-secreT')).status).toBe(401);
+		expect((await post(updates.subscribe, 'short')).status).toBe(401);
+		expect((await post({ message: updates.subscribe.message })).status).toBe(400);
+
+		await webhook.idle();
+		expect(processUpdate).not.toHaveBeenCalled();
+		expect(db.getTelegramChat(412093756)).toBeNull();
+		expect(webhook.stats.rejected).toBe(4);
+	});
+
+	it('should handle an update Telegram resends only once', async () => {
+		const processUpdate = vi.spyOn(bot.bot, 'processUpdate');
+
+		const statuses = await deliver(updates.subscribe, updates.filter, updates.subscribe);
+
+		expect(statuses).toEqual([200, 200, 200]);
+		expect(processUpdate.mock.calls.map(call => call[0].update_id)).toEqual([730418201, 730418202]);
+		expect(webhook.stats).toMatchObject({ received: 3, processed: 2, duplicates: 1 });
+	});
+
+	it('should skip a resent update on another instance or after a restart until it expires', async () => {
+		const processUpdate = vi.spyOn(bot.bot, 'processUpdate').mockImplementation(() => {});
+		await deliver(updates.subscribe);
+
+		// A second replica, or this one restarted, on the same database
+		const restarted = new TelegramWebhook({ bot: bot.bot, db, secretToken: SECRET });
+		expect(restarted.receive(updates.subscribe)).toBe(false);
+		expect(restarted.receive(updates.filter)).toBe(true);
+		await restarted.idle();
+		expect(processUpdate.mock.calls.map(call => call[0].update_id)).toEqual([730418201, 730418202]);
+		expect(restarted.stats).toMatchObject({ received: 2, processed: 1, duplicates: 1 });
+
+		vi.useFakeTimers({ now: Date.now() + TelegramWebhook.UPDATE_TTL_MS + 1000, toFake: ['Date'] });
+		try {
+			expect(restarted.receive({ update_id: 730418300 })).toBe(true);
+			expect(db.db.prepare('SELECT updateId FROM telegram_updates').all()).toEqual([{ updateId: 730418300 }]);
+		} finally {
+			vi.useRealTimers();
+		}
+		await restarted.idle();
+	});
+
+	it('should register the webhook with the secret token when a public URL is configured', async () => {
+		expect(await webhook.register()).toBe(false);
+
+		const registered = new TelegramWebhook({ bot: bot.bot, secretToken: SECRET, url: 'https://bot.example.com/' });
+		const setWebHook = vi.spyOn(bot.bot, 'setWebHook').mockResolvedValue(true);
+		expect(await registered.register()).toBe(true);
+		expect(setWebHook).toHaveBeenCalledWith('https://bot.example.com/telegram/webhook', {
+			secret_token: SECRET,
+			allowed_updates: '["message","callback_query"]'
+		});
+
+		expect(() => new TelegramWebhook({ bot: bot.bot, secretToken: '' })).toThrow('Telegram webhook secret');
+		expect(() => new TelegramWebhook({ bot: bot.bot, secretToken: 'has spaces' })).toThrow('Telegram webhook secret');
+	});
+});
+
+describe('CryptoBotServer Telegram mode', () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	it('should pick polling or webhook options from the environment', () => {
+		const server = new Server();
+
+		vi.stubEnv('TELEGRAM_MODE', '');
+		expect(server.getTelegramOptions()).toEqual({});
+
+		vi.stubEnv('TELEGRAM_MODE', 'Webhook');
+		vi.stubEnv('TELEGRAM_WEBHOOK_SECRET', SECRET);
+		vi.stubEnv('TELEGRAM_WEBHOOK_URL', 'https://bot.example.com');
+		expect(server.getTelegramOptions()).toEqual({ webhook: { secretToken: SECRET, url: 'https://bot.example.com' } });
+
+		vi.stubEnv('TELEGRAM_MODE', 'push');
+		expect(() => server.getTelegramOptions()).toThrow('Unknown TELEGRAM_MODE "push", use polling or webhook');
+		server.db.close();
+	});
+});
@@ -2,6 +2,9 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
+// Ratios can be infinite (a profit factor with no losing trades), SQLite stores those as NULL
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
 class CryptoBotDatabase {
 	constructor(dbPath = 'crypto_bot.db') {
 		this.dbPath = dbPath;
@@ -57,12 +60,98 @@ class CryptoBotDatabase {
 					}
 				}
 			});
+
+			// Bring databases created by older schema versions up to date
+			this.migrateSchema(statements);
 		} catch (error) {
 			console.error('Failed to initialize schema:', error);
 			throw error;
 		}
 	}
 
+	// Add columns introduced after a table was first created.
+	// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so new columns need ALTER TABLE.
+	migrateSchema(statements = []) {
+		this.rebuildTableIfOutdated('paper_trading_orders', statements, 'TRAILING_STOP');
+		// Backtest metrics used to be stored as text such as '4.50%'
+		if (this.rebuildTableIfOutdated('backtest_results', statements, 'sortinoRatio')) {
+			['totalReturn', 'winRate', 'maxDrawdown'].forEach(column => {
+				this.db.exec(`
+					UPDATE backtest_results SET ${column} = CAST(REPLACE(${column}, '%', '') AS REAL)
+					WHERE typeof(${column}) = 'text'
+				`);
+			});
+		}
+		this.ensureColumns('paper_trading_accounts', {
+			reservedBalance: 'REAL DEFAULT 0',
+			shortSellingEnabled: 'BOOLEAN DEFAULT 0'
+		});
+		this.ensureColumns('paper_trading_orders', {
+			stopLoss: 'REAL',
+			takeProfit: 'REAL',
+			exitReason: 'TEXT',
+			reservedAmount: 'REAL',
+			cancelledAt: 'DATETIME',
+			stopPrice: 'REAL',
+			trailingPercent: 'REAL',
+			triggeredAt: 'DATETIME',
+			expectedPrice: 'REAL',
+			slippageCost: 'REAL',
+			slippageBps: 'REAL',
+			feeRate: 'REAL',
+			liquidity: 'TEXT',
+			signalId: 'INTEGER'
+		});
+		this.ensureColumns('telegram_chats', {
+			filters: 'TEXT',
+			updatedAt: 'DATETIME'
+		});
+		this.ensureColumns('paper_trading_positions', {
+			stopLoss: 'REAL',
+			takeProfit: 'REAL',
+			margin: 'REAL DEFAULT 0',
+			entryOrderIds: 'TEXT',
+			entrySignalId: 'INTEGER',
+			entryFees: 'REAL DEFAULT 0',
+			highPrice: 'REAL',
+			lowPrice: 'REAL'
+		});
+	}
+
+	// SQLite cannot alter a CHECK constraint or a column type, so a table whose stored definition
+	// is missing `marker` is recreated from schema.sql and its rows copied across. Returns whether
+	// the table was rebuilt.
+	rebuildTableIfOutdated(table, statements, marker) {
+		const current = this.db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+		if (!current || current.sql.includes(marker)) return false;
+
+		const createStatement = statements.find(stmt => stmt.includes(`CREATE TABLE IF NOT EXISTS ${table} (`));
+		if (!createStatement) return false;
+
+		const columnsOf = (name) => this.db.prepare(`PRAGMA table_info(${name})`).all().map(column => column.name);
+		const oldColumns = columnsOf(table);
+
+		this.db.transaction(() => {
+			this.db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+			this.db.exec(createStatement);
+
+			const shared = columnsOf(table).filter(name => oldColumns.includes(name)).join(', ');
+			this.db.exec(`INSERT INTO ${table} (${shared}) SELECT ${shared} FROM ${table}_old`);
+			this.db.exec(`DROP TABLE ${table}_old`);
+		})();
+		return true;
+	}
+
+	ensureColumns(table, columns) {
+		const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+
+		Object.entries(columns).forEach(([name, definition]) => {
+			if (!existing.includes(name)) {
+				this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+			}
+		});
+	}
+
 	// Signal methods
 	createSignal(signalData) {
 		const stmt = this.db.prepare(`
@@ -93,6 +182,13 @@ class CryptoBotDatabase {
 		return stmt.all(limit);
 	}
 
+	getSignal(id) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM signals WHERE id = ?
+		`);
+		return stmt.get(id) || null;
+	}
+
 	getSignalsByCryptocurrency(cryptocurrency, limit = 100) {
 		const stmt = this.db.prepare(`
 			SELECT * FROM signals 
@@ -196,27 +292,163 @@ class CryptoBotDatabase {
 	}
 
 	// Telegram chat methods
+	// Insert or update a chat, keeping its createdAt. Preferences left undefined keep their stored value.
 	addTelegramChat(chatData) {
+		const existing = this.getTelegramChat(chatData.chatId);
+		const pick = (key, fallback) => (chatData[key] !== undefined ? chatData[key] : (existing ? existing[key] : fallback));
+
 		const stmt = this.db.prepare(`
-            INSERT OR REPLACE INTO telegram_chats (chat_id, chat_type, chat_title, notification_types)
-            VALUES (?, ?, ?, ?)
-        `);
+			INSERT INTO telegram_chats (chatId, chatType, chatTitle, isActive, notificationTypes, filters, updatedAt)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT(chatId) DO UPDATE SET
+				chatType = excluded.chatType,
+				chatTitle = excluded.chatTitle,
+				isActive = excluded.isActive,
+				notificationTypes = excluded.notificationTypes,
+				filters = excluded.filters,
+				updatedAt = excluded.updatedAt
+		`);
 
-		return stmt.run(
-			chatData.chat_id,
-			chatData.chat_type,
-			chatData.chat_title,
-			JSON.stringify(chatData.notification_types)
+		const notificationTypes = pick('notificationTypes', null);
+		const filters = pick('filters', null);
+		stmt.run(
+			String(chatData.chatId),
+			pick('chatType', 'private'),
+			pick('chatTitle', null),
+			pick('isActive', true) ? 1 : 0,
+			notificationTypes ? JSON.stringify(notificationTypes) : null,
+			filters ? JSON.stringify(filters) : null,
+			new Date().toISOString()
 		);
+		return this.getTelegramChat(chatData.chatId);
+	}
+
+	getTelegramChat(chatId) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM telegram_chats WHERE chatId = ?
+		`);
+		const chat = stmt.get(String(chatId));
+		return chat ? this.parseTelegramChat(chat) : null;
 	}
 
 	getActiveTelegramChats() {
 		const stmt = this.db.prepare(`
-            SELECT * FROM telegram_chats 
-            WHERE is_active = 1
-        `);
+			SELECT * FROM telegram_chats
+			WHERE isActive = 1
+		`);
 
-		return stmt.all();
+		return stmt.all().map(chat => this.parseTelegramChat(chat));
+	}
+
+	linkTelegramUser({ telegramUserId, telegramUsername = null, userId, accountId = null }) {
+		const stmt = this.db.prepare(`
+			INSERT OR REPLACE INTO telegram_users (telegramUserId, telegramUsername, userId, accountId, linkedAt)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		stmt.run(String(telegramUserId), telegramUsername, userId, accountId, new Date().toISOString());
+		return this.getTelegramUser(telegramUserId);
+	}
+
+	getTelegramUser(telegramUserId) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM telegram_users WHERE telegramUserId = ?
+		`);
+		return stmt.get(String(telegramUserId)) || null;
+	}
+
+	setTelegramUserAccount(telegramUserId, accountId) {
+		const stmt = this.db.prepare(`
+			UPDATE telegram_users SET accountId = ? WHERE telegramUserId = ?
+		`);
+		return stmt.run(accountId, String(telegramUserId));
+	}
+
+	unlinkTelegramUser(telegramUserId) {
+		const stmt = this.db.prepare(`
+			DELETE FROM telegram_users WHERE telegramUserId = ?
+		`);
+		return stmt.run(String(telegramUserId)).changes > 0;
+	}
+
+	// Stores a new link code, dropping the expired ones
+	createTelegramLinkCode({ code, userId, accountId = null, expiresAt }) {
+		const now = new Date().toISOString();
+		this.db.prepare(`
+			DELETE FROM telegram_link_codes WHERE expiresAt < ?
+		`).run(now);
+
+		const stmt = this.db.prepare(`
+			INSERT INTO telegram_link_codes (code, userId, accountId, expiresAt, createdAt)
+			VALUES (?, ?, ?, ?, ?)
+		`);
+		return stmt.run(code, userId, accountId, expiresAt, now);
+	}
+
+	createTelegramConfirmation({ id, telegramUserId, accountId, action, expiresAt }) {
+		const now = new Date().toISOString();
+		this.db.prepare(`
+			DELETE FROM telegram_confirmations WHERE expiresAt < ?
+		`).run(now);
+
+		const stmt = this.db.prepare(`
+			INSERT INTO telegram_confirmations (id, telegramUserId, accountId, action, expiresAt, createdAt)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`);
+		return stmt.run(id, String(telegramUserId), accountId, JSON.stringify(action), expiresAt, now);
+	}
+
+	getTelegramConfirmation(id) {
+		const confirmation = this.db.prepare(`
+			SELECT * FROM telegram_confirmations WHERE id = ?
+		`).get(id);
+		return confirmation ? { ...confirmation, action: JSON.parse(confirmation.action) } : null;
+	}
+
+	// Removes a confirmation, true only for the one caller that removed it,
+	// so a double tap (on any instance) runs the trade once.
+	deleteTelegramConfirmation(id) {
+		const stmt = this.db.prepare(`
+			DELETE FROM telegram_confirmations WHERE id = ?
+		`);
+		return stmt.run(id).changes === 1;
+	}
+
+	// Records a webhook update id, false when it was already recorded.
+	// Ids received before expiredBefore are dropped first.
+	recordTelegramUpdate(updateId, expiredBefore) {
+		this.db.prepare(`
+			DELETE FROM telegram_updates WHERE receivedAt < ?
+		`).run(expiredBefore);
+
+		const stmt = this.db.prepare(`
+			INSERT OR IGNORE INTO telegram_updates (updateId, receivedAt) VALUES (?, ?)
+		`);
+		return stmt.run(updateId, new Date().toISOString()).changes === 1;
+	}
+
+	// Uses up a link code. Returns it once, or null when it is unknown or expired;
+	// the immediate transaction keeps two instances from redeeming the same code.
+	redeemTelegramLinkCode(code) {
+		return this.db.transaction(() => {
+			const entry = this.db.prepare(`
+				SELECT * FROM telegram_link_codes WHERE code = ?
+			`).get(code);
+			if (!entry) return null;
+
+			this.db.prepare(`
+				DELETE FROM telegram_link_codes WHERE code = ?
+			`).run(code);
+			return entry.expiresAt >= new Date().toISOString() ? entry : null;
+		}).immediate();
+	}
+
+	parseTelegramChat(chat) {
+		return {
+			...chat,
+			isActive: chat.isActive === 1,
+			notificationTypes: chat.notificationTypes ? JSON.parse(chat.notificationTypes) : null,
+			filters: chat.filters ? JSON.parse(chat.filters) : null
+		};
 	}
 
 	// AI analysis methods
@@ -239,6 +471,29 @@ class CryptoBotDatabase {
 		return result.lastInsertRowid;
 	}
 
+	// Analyses in chronological order for one series; createdAt bounds are inclusive ISO strings
+	getAIAnalyses(cryptocurrency, timeframe, { from = null, to = null } = {}) {
+		const conditions = ['cryptocurrency = ?', 'timeframe = ?'];
+		const params = [cryptocurrency, timeframe];
+
+		// createdAt defaults to SQLite's 'YYYY-MM-DD HH:MM:SS', compare on the normalized form
+		if (from !== null) {
+			conditions.push('datetime(createdAt) >= datetime(?)');
+			params.push(from);
+		}
+		if (to !== null) {
+			conditions.push('datetime(createdAt) <= datetime(?)');
+			params.push(to);
+		}
+
+		const stmt = this.db.prepare(`
+			SELECT * FROM ai_analysis
+			WHERE ${conditions.join(' AND ')}
+			ORDER BY datetime(createdAt) ASC, id ASC
+		`);
+		return stmt.all(...params);
+	}
+
 	getAIAnalysisHistory(cryptocurrency, limit = 50) {
 		const stmt = this.db.prepare(`
             SELECT * FROM ai_analysis 
@@ -292,15 +547,17 @@ class CryptoBotDatabase {
 	createPaperTradingAccount(accountData) {
 		const stmt = this.db.prepare(`
 			INSERT OR REPLACE INTO paper_trading_accounts (
-				id, userId, balance, currency, equity, unrealizedPnl, realizedPnl,
-				totalTrades, winningTrades, losingTrades, createdAt, updatedAt
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				id, userId, balance, reservedBalance, shortSellingEnabled, currency, equity, unrealizedPnl,
+				realizedPnl, totalTrades, winningTrades, losingTrades, createdAt, updatedAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 
 		return stmt.run(
 			accountData.id,
 			accountData.userId,
 			accountData.balance,
+			accountData.reservedBalance || 0,
+			accountData.shortSellingEnabled ? 1 : 0,
 			accountData.currency || 'USDT',
 			accountData.equity,
 			accountData.unrealizedPnl || 0,
@@ -316,13 +573,14 @@ class CryptoBotDatabase {
 	updatePaperTradingAccount(accountData) {
 		const stmt = this.db.prepare(`
 			UPDATE paper_trading_accounts SET
-				balance = ?, equity = ?, unrealizedPnl = ?, realizedPnl = ?,
+				balance = ?, reservedBalance = ?, equity = ?, unrealizedPnl = ?, realizedPnl = ?,
 				totalTrades = ?, winningTrades = ?, losingTrades = ?, updatedAt = ?
 			WHERE id = ?
 		`);
 
 		return stmt.run(
 			accountData.balance,
+			accountData.reservedBalance || 0,
 			accountData.equity,
 			accountData.unrealizedPnl || 0,
 			accountData.realizedPnl || 0,
@@ -334,11 +592,19 @@ class CryptoBotDatabase {
 		);
 	}
 
+	setPaperTradingAccountShortSelling(accountId, enabled) {
+		const stmt = this.db.prepare(`
+			UPDATE paper_trading_accounts SET shortSellingEnabled = ?, updatedAt = ? WHERE id = ?
+		`);
+		return stmt.run(enabled ? 1 : 0, new Date().toISOString(), accountId);
+	}
+
 	createPaperTradingPosition(positionData) {
 		const stmt = this.db.prepare(`
 			INSERT INTO paper_trading_positions (
-				id, accountId, symbol, side, quantity, avgPrice, unrealizedPnl, createdAt, updatedAt
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+				id, accountId, symbol, side, quantity, avgPrice, unrealizedPnl, margin,
+				stopLoss, takeProfit, createdAt, updatedAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 
 		return stmt.run(
@@ -349,6 +615,9 @@ class CryptoBotDatabase {
 			positionData.quantity,
 			positionData.avgPrice,
 			positionData.unrealizedPnl || 0,
+			positionData.margin || 0,
+			positionData.stopLoss ?? null,
+			positionData.takeProfit ?? null,
 			positionData.createdAt || new Date().toISOString(),
 			positionData.updatedAt || new Date().toISOString()
 		);
@@ -379,8 +648,11 @@ class CryptoBotDatabase {
 		const stmt = this.db.prepare(`
 			INSERT INTO paper_trading_orders (
 				id, accountId, symbol, side, type, quantity, price, executionPrice,
-				amount, commission, status, isRealOrder, binanceOrderId, createdAt, filledAt
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				amount, commission, status, isRealOrder, binanceOrderId,
+				stopLoss, takeProfit, exitReason, reservedAmount, stopPrice, trailingPercent,
+				triggeredAt, expectedPrice, slippageCost, slippageBps, feeRate, liquidity,
+				signalId, createdAt, filledAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 
 		return stmt.run(
@@ -397,6 +669,19 @@ class CryptoBotDatabase {
 			orderData.status,
 			orderData.isRealOrder || 0,
 			orderData.binanceOrderId,
+			orderData.stopLoss ?? null,
+			orderData.takeProfit ?? null,
+			orderData.exitReason ?? null,
+			orderData.reservedAmount ?? null,
+			orderData.stopPrice ?? null,
+			orderData.trailingPercent ?? null,
+			orderData.triggeredAt ?? null,
+			orderData.expectedPrice ?? null,
+			orderData.slippageCost ?? null,
+			orderData.slippageBps ?? null,
+			orderData.feeRate ?? null,
+			orderData.liquidity ?? null,
+			orderData.signalId ?? null,
 			orderData.createdAt || new Date().toISOString(),
 			orderData.filledAt
 		);
@@ -406,7 +691,8 @@ class CryptoBotDatabase {
 		const stmt = this.db.prepare(`
 			UPDATE paper_trading_orders SET
 				executionPrice = ?, amount = ?, commission = ?, status = ?,
-				filledAt = ?
+				reservedAmount = ?, stopPrice = ?, triggeredAt = ?, expectedPrice = ?, slippageCost = ?,
+				slippageBps = ?, feeRate = ?, liquidity = ?, filledAt = ?, cancelledAt = ?
 			WHERE id = ?
 		`);
 
@@ -415,7 +701,16 @@ class CryptoBotDatabase {
 			orderData.amount,
 			orderData.commission,
 			orderData.status,
+			orderData.reservedAmount ?? null,
+			orderData.stopPrice ?? null,
+			orderData.triggeredAt ?? null,
+			orderData.expectedPrice ?? null,
+			orderData.slippageCost ?? null,
+			orderData.slippageBps ?? null,
+			orderData.feeRate ?? null,
+			orderData.liquidity ?? null,
 			orderData.filledAt || orderData.filledAt,
+			orderData.cancelledAt ?? null,
 			orderData.id
 		);
 	}
@@ -454,8 +749,9 @@ class CryptoBotDatabase {
 		const stmt = this.db.prepare(`
 			INSERT OR REPLACE INTO paper_trading_positions (
 				id, accountId, symbol, side, quantity, avgPrice, currentPrice,
-				unrealizedPnl, createdAt, updatedAt
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				unrealizedPnl, margin, stopLoss, takeProfit, entryOrderIds, entrySignalId,
+				entryFees, highPrice, lowPrice, createdAt, updatedAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 		`);
 
 		return stmt.run(
@@ -467,6 +763,14 @@ class CryptoBotDatabase {
 			positionData.avgPrice,
 			positionData.currentPrice,
 			positionData.unrealizedPnl || 0,
+			positionData.margin || 0,
+			positionData.stopLoss ?? null,
+			positionData.takeProfit ?? null,
+			JSON.stringify(positionData.entryOrderIds || []),
+			positionData.entrySignalId ?? null,
+			positionData.entryFees || 0,
+			positionData.highPrice ?? null,
+			positionData.lowPrice ?? null,
 			positionData.createdAt || new Date().toISOString(),
 			positionData.updatedAt || new Date().toISOString()
 		);
@@ -486,6 +790,492 @@ class CryptoBotDatabase {
 		return stmt.run(positionId);
 	}
 
+	// Backtest result methods
+	// Metrics are stored as numeric columns so runs can be sorted and compared in SQL
+	saveBacktestResult(backtest) {
+		const metrics = backtest.metrics || {};
+		const stmt = this.db.prepare(`
+			INSERT INTO backtest_results (
+				cryptocurrency, timeframe, startDate, endDate, strategy, initialBalance,
+				finalBalance, totalReturn, totalTrades, winRate, maxDrawdown, annualizedReturn,
+				sharpeRatio, sortinoRatio, calmarRatio, profitFactor, expectancy, averageWin,
+				averageLoss, longestDrawdownSeconds, timeInMarket, benchmarkReturn, results, createdAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			backtest.cryptocurrency,
+			backtest.timeframe,
+			backtest.startDate,
+			backtest.endDate,
+			backtest.strategy,
+			backtest.initialBalance,
+			backtest.finalBalance,
+			metrics.totalReturn || 0,
+			backtest.totalTrades,
+			metrics.winRate || 0,
+			metrics.maxDrawdown || 0,
+			finiteOrNull(metrics.annualizedReturn),
+			finiteOrNull(metrics.sharpeRatio),
+			finiteOrNull(metrics.sortinoRatio),
+			finiteOrNull(metrics.calmarRatio),
+			finiteOrNull(metrics.profitFactor),
+			finiteOrNull(metrics.expectancy),
+			finiteOrNull(metrics.averageWin),
+			finiteOrNull(metrics.averageLoss),
+			finiteOrNull(metrics.longestDrawdownSeconds),
+			finiteOrNull(metrics.timeInMarket),
+			finiteOrNull(metrics.benchmarkReturn),
+			JSON.stringify(backtest.results),
+			backtest.createdAt || new Date().toISOString()
+		);
+		return result.lastInsertRowid;
+	}
+
+	// Past runs without the results blob, newest first
+	getBacktestResults(limit = 50) {
+		const stmt = this.db.prepare(`
+			SELECT id, cryptocurrency, timeframe, startDate, endDate, strategy, initialBalance,
+				finalBalance, totalReturn, totalTrades, winRate, maxDrawdown, annualizedReturn,
+				sharpeRatio, sortinoRatio, calmarRatio, profitFactor, expectancy, averageWin,
+				averageLoss, longestDrawdownSeconds, timeInMarket, benchmarkReturn, createdAt
+			FROM backtest_results
+			ORDER BY createdAt DESC, id DESC
+			LIMIT ?
+		`);
+		return stmt.all(limit);
+	}
+
+	getBacktestResult(id) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM backtest_results WHERE id = ?
+		`);
+		const row = stmt.get(id);
+		return row ? { ...row, results: JSON.parse(row.results) } : null;
+	}
+
+	// Trade journal methods
+	saveClosedTrade(trade) {
+		const stmt = this.db.prepare(`
+			INSERT INTO closed_trades (
+				id, accountId, positionId, symbol, side, quantity, entryPrice, exitPrice,
+				entryOrderIds, exitOrderId, entrySignalId, exitSignalId, exitReason,
+				openedAt, closedAt, holdingSeconds, entryFees, exitFees, grossPnl, netPnl,
+				returnPercent, mae, mfe
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		return stmt.run(
+			trade.id,
+			trade.accountId,
+			trade.positionId ?? null,
+			trade.symbol,
+			trade.side,
+			trade.quantity,
+			trade.entryPrice,
+			trade.exitPrice,
+			JSON.stringify(trade.entryOrderIds || []),
+			trade.exitOrderId ?? null,
+			trade.entrySignalId ?? null,
+			trade.exitSignalId ?? null,
+			trade.exitReason ?? null,
+			trade.openedAt ?? null,
+			trade.closedAt || new Date().toISOString(),
+			trade.holdingSeconds ?? null,
+			trade.entryFees || 0,
+			trade.exitFees || 0,
+			trade.grossPnl,
+			trade.netPnl,
+			trade.returnPercent ?? null,
+			trade.mae ?? null,
+			trade.mfe ?? null
+		);
+	}
+
+	// Newest first; outcome is 'WIN' or 'LOSS' on net P&L, signalId matches the entry or exit signal
+	getClosedTrades({ accountId = null, symbol = null, side = null, outcome = null, signalId = null, exitReason = null, from = null, to = null, limit = 100 } = {}) {
+		const conditions = [];
+		const params = [];
+
+		if (accountId) {
+			conditions.push('accountId = ?');
+			params.push(accountId);
+		}
+		if (symbol) {
+			conditions.push('symbol = ?');
+			params.push(symbol);
+		}
+		if (side) {
+			conditions.push('side = ?');
+			params.push(side);
+		}
+		if (outcome === 'WIN') {
+			conditions.push('netPnl > 0');
+		} else if (outcome === 'LOSS') {
+			conditions.push('netPnl <= 0');
+		}
+		if (signalId) {
+			conditions.push('(entrySignalId = ? OR exitSignalId = ?)');
+			params.push(signalId, signalId);
+		}
+		if (exitReason) {
+			conditions.push('exitReason = ?');
+			params.push(exitReason);
+		}
+		if (from) {
+			conditions.push('closedAt >= ?');
+			params.push(from);
+		}
+		if (to) {
+			conditions.push('closedAt <= ?');
+			params.push(to);
+		}
+
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const stmt = this.db.prepare(`
+			SELECT * FROM closed_trades
+			${where}
+			ORDER BY closedAt DESC, rowid DESC
+			LIMIT ?
+		`);
+		return stmt.all(...params, limit).map(trade => ({
+			...trade,
+			entryOrderIds: trade.entryOrderIds ? JSON.parse(trade.entryOrderIds) : []
+		}));
+	}
+
+	// Equity snapshot methods
+	savePaperTradingEquitySnapshot(snapshot) {
+		const stmt = this.db.prepare(`
+			INSERT INTO paper_trading_equity_snapshots (
+				accountId, equity, balance, reservedBalance, unrealizedPnl,
+				exposure, openPositions, createdAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			snapshot.accountId,
+			snapshot.equity,
+			snapshot.balance,
+			snapshot.reservedBalance || 0,
+			snapshot.unrealizedPnl || 0,
+			snapshot.exposure || 0,
+			snapshot.openPositions || 0,
+			snapshot.createdAt || new Date().toISOString()
+		);
+		return result.lastInsertRowid;
+	}
+
+	// Snapshots for an account in chronological order, optionally bounded by ISO timestamps
+	getPaperTradingEquitySnapshots(accountId, { from = null, to = null, limit = 5000 } = {}) {
+		const conditions = ['accountId = ?'];
+		const params = [accountId];
+
+		if (from) {
+			conditions.push('createdAt >= ?');
+			params.push(from);
+		}
+		if (to) {
+			conditions.push('createdAt <= ?');
+			params.push(to);
+		}
+
+		// Keep the most recent rows when the range is larger than the limit
+		const stmt = this.db.prepare(`
+			SELECT * FROM (
+				SELECT * FROM paper_trading_equity_snapshots
+				WHERE ${conditions.join(' AND ')}
+				ORDER BY createdAt DESC, id DESC
+				LIMIT ?
+			) ORDER BY createdAt ASC, id ASC
+		`);
+		return stmt.all(...params, limit);
+	}
+
+	getLatestPaperTradingEquitySnapshot(accountId) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM paper_trading_equity_snapshots
+			WHERE accountId = ?
+			ORDER BY createdAt DESC, id DESC
+			LIMIT 1
+		`);
+		return stmt.get(accountId);
+	}
+
+	// Optimization methods
+	// Stores the run and its ranked leaderboard together. Non-finite scores (too few trades,
+	// a profit factor with no losing trades) are stored as NULL.
+	saveOptimizationRun(run, leaderboard) {
+		const runStmt = this.db.prepare(`
+			INSERT INTO optimization_runs (
+				id, cryptocurrency, timeframe, startDate, endDate, method, objective, folds,
+				inSampleRatio, combinations, bestParams, walkForward, createdAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const resultStmt = this.db.prepare(`
+			INSERT INTO optimization_results (
+				runId, rank, params, score, inSampleScore, sharpeRatio, profitFactor,
+				maxDrawdown, totalReturn, totalTrades, winRate
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+
+		this.db.transaction(() => {
+			runStmt.run(
+				run.id,
+				run.cryptocurrency,
+				run.timeframe,
+				run.startDate,
+				run.endDate,
+				run.method,
+				run.objective,
+				run.folds,
+				run.inSampleRatio,
+				run.combinations,
+				JSON.stringify(run.bestParams),
+				JSON.stringify(run.walkForward),
+				run.createdAt || new Date().toISOString()
+			);
+			leaderboard.forEach(entry => {
+				resultStmt.run(
+					run.id,
+					entry.rank,
+					JSON.stringify(entry.params),
+					finiteOrNull(entry.score),
+					finiteOrNull(entry.inSampleScore),
+					finiteOrNull(entry.metrics.sharpeRatio),
+					finiteOrNull(entry.metrics.profitFactor),
+					finiteOrNull(entry.metrics.maxDrawdown),
+					finiteOrNull(entry.metrics.totalReturn),
+					entry.metrics.totalTrades,
+					finiteOrNull(entry.metrics.winRate)
+				);
+			});
+		})();
+
+		return run.id;
+	}
+
+	// Past runs without the per-fold detail, newest first
+	getOptimizationRuns(limit = 20) {
+		const stmt = this.db.prepare(`
+			SELECT id, cryptocurrency, timeframe, startDate, endDate, method, objective, folds,
+				inSampleRatio, combinations, bestParams, createdAt
+			FROM optimization_runs
+			ORDER BY createdAt DESC
+			LIMIT ?
+		`);
+		return stmt.all(limit).map(run => ({ ...run, bestParams: JSON.parse(run.bestParams) }));
+	}
+
+	getOptimizationRun(id) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM optimization_runs WHERE id = ?
+		`);
+		const run = stmt.get(id);
+		return run ? { ...run, bestParams: JSON.parse(run.bestParams), walkForward: JSON.parse(run.walkForward) } : null;
+	}
+
+	getOptimizationLeaderboard(runId, limit = 20) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM optimization_results
+			WHERE runId = ?
+			ORDER BY rank ASC
+			LIMIT ?
+		`);
+		return stmt.all(runId, limit).map(entry => ({ ...entry, params: JSON.parse(entry.params) }));
+	}
+
+	// Historical candle methods
+	// Upserts in one transaction, returning the number of candles written
+	saveCandles(symbol, timeframe, candles, source = null) {
+		const stmt = this.db.prepare(`
+			INSERT OR REPLACE INTO ohlcv_candles (
+				symbol, timeframe, openTime, open, high, low, close, volume, source
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const insertAll = this.db.transaction((rows) => {
+			rows.forEach(candle => {
+				stmt.run(symbol, timeframe, candle.timestamp, candle.open, candle.high, candle.low, candle.close, candle.volume, source);
+			});
+			return rows.length;
+		});
+		return insertAll(candles);
+	}
+
+	// Candles in chronological order; openTime bounds are inclusive epoch milliseconds.
+	// With a limit the most recent candles in the range are kept.
+	getCandles(symbol, timeframe, { from = null, to = null, limit = null } = {}) {
+		const conditions = ['symbol = ?', 'timeframe = ?'];
+		const params = [symbol, timeframe];
+
+		if (from !== null) {
+			conditions.push('openTime >= ?');
+			params.push(from);
+		}
+		if (to !== null) {
+			conditions.push('openTime <= ?');
+			params.push(to);
+		}
+
+		const stmt = this.db.prepare(`
+			SELECT * FROM (
+				SELECT openTime AS timestamp, open, high, low, close, volume
+				FROM ohlcv_candles
+				WHERE ${conditions.join(' AND ')}
+				ORDER BY openTime DESC
+				LIMIT ?
+			) ORDER BY timestamp ASC
+		`);
+		return stmt.all(...params, limit === null ? -1 : limit);
+	}
+
+	getCandleOpenTimes(symbol, timeframe, from, to) {
+		const stmt = this.db.prepare(`
+			SELECT openTime FROM ohlcv_candles
+			WHERE symbol = ? AND timeframe = ? AND openTime >= ? AND openTime <= ?
+			ORDER BY openTime ASC
+		`);
+		return stmt.pluck().all(symbol, timeframe, from, to);
+	}
+
+	// First/last open time and candle count per stored series
+	getCandleCoverage(symbol = null) {
+		const stmt = this.db.prepare(`
+			SELECT symbol, timeframe, MIN(openTime) AS firstOpenTime, MAX(openTime) AS lastOpenTime, COUNT(*) AS count
+			FROM ohlcv_candles
+			${symbol ? 'WHERE symbol = ?' : ''}
+			GROUP BY symbol, timeframe
+			ORDER BY symbol, timeframe
+		`);
+		return symbol ? stmt.all(symbol) : stmt.all();
+	}
+
+	// AI decision cache methods
+	// Existing decisions are kept unless replace is set, so a recorded run is never overwritten
+	// by a later import. Returns the number of rows written.
+	saveAIDecisions(decisions, { replace = false } = {}) {
+		const stmt = this.db.prepare(`
+			INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO ai_decisions (
+				symbol, timeframe, candleTime, promptVersion, model, signal, confidence,
+				reasoning, riskLevel, source, analysisId
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const insertAll = this.db.transaction((rows) => rows.reduce((written, decision) => written + stmt.run(
+			decision.symbol,
+			decision.timeframe,
+			decision.candleTime,
+			decision.promptVersion,
+			decision.model,
+			decision.signal,
+			decision.confidence,
+			decision.reasoning ?? null,
+			decision.riskLevel ?? null,
+			decision.source,
+			decision.analysisId ?? null
+		).changes, 0));
+		return insertAll(decisions);
+	}
+
+	getAIDecision(symbol, timeframe, candleTime, promptVersion, model) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM ai_decisions
+			WHERE symbol = ? AND timeframe = ? AND candleTime = ? AND promptVersion = ? AND model = ?
+		`);
+		return stmt.get(symbol, timeframe, candleTime, promptVersion, model) || null;
+	}
+
+	// Decisions in candle order; every filter is optional and candleTime bounds are inclusive
+	getAIDecisions({ symbol = null, timeframe = null, promptVersion = null, model = null, from = null, to = null } = {}) {
+		const conditions = [];
+		const params = [];
+		const filters = { symbol, timeframe, promptVersion, model };
+
+		Object.entries(filters).forEach(([column, value]) => {
+			if (value !== null) {
+				conditions.push(`${column} = ?`);
+				params.push(value);
+			}
+		});
+		if (from !== null) {
+			conditions.push('candleTime >= ?');
+			params.push(from);
+		}
+		if (to !== null) {
+			conditions.push('candleTime <= ?');
+			params.push(to);
+		}
+
+		const stmt = this.db.prepare(`
+			SELECT * FROM ai_decisions
+			${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+			ORDER BY symbol, timeframe, candleTime ASC
+		`);
+		return stmt.all(...params);
+	}
+
+	// Decision counts per series, prompt version and model
+	getAIDecisionCoverage() {
+		const stmt = this.db.prepare(`
+			SELECT symbol, timeframe, promptVersion, model, COUNT(*) AS count,
+				MIN(candleTime) AS firstCandleTime, MAX(candleTime) AS lastCandleTime
+			FROM ai_decisions
+			GROUP BY symbol, timeframe, promptVersion, model
+			ORDER BY symbol, timeframe, promptVersion, model
+		`);
+		return stmt.all();
+	}
+
+	// Reconciliation report methods
+	saveReconciliationReport(report) {
+		const stmt = this.db.prepare(`
+			INSERT INTO reconciliation_reports (
+				id, accountId, symbols, timeframe, strategy, startDate, endDate, summary, trades, createdAt
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+
+		stmt.run(
+			report.id,
+			report.accountId,
+			report.symbols.join(','),
+			report.timeframe,
+			report.strategy,
+			report.startDate,
+			report.endDate,
+			JSON.stringify(report.summary),
+			JSON.stringify(report.trades),
+			report.createdAt || new Date().toISOString()
+		);
+		return report.id;
+	}
+
+	// Past reports without the per-trade rows, newest first
+	getReconciliationReports({ accountId = null, limit = 20 } = {}) {
+		const where = accountId ? 'WHERE accountId = ?' : '';
+		const stmt = this.db.prepare(`
+			SELECT id, accountId, symbols, timeframe, strategy, startDate, endDate, summary, createdAt
+			FROM reconciliation_reports
+			${where}
+			ORDER BY createdAt DESC
+			LIMIT ?
+		`);
+		const params = accountId ? [accountId, limit] : [limit];
+		return stmt.all(...params).map(report => ({
+			...report,
+			symbols: report.symbols.split(','),
+			summary: JSON.parse(report.summary)
+		}));
+	}
+
+	getReconciliationReport(id) {
+		const stmt = this.db.prepare(`
+			SELECT * FROM reconciliation_reports WHERE id = ?
+		`);
+		const report = stmt.get(id);
+		return report ? {
+			...report,
+			symbols: report.symbols.split(','),
+			summary: JSON.parse(report.summary),
+			trades: JSON.parse(report.trades)
+		} : null;
+	}
+
 	// User settings methods
 	getUserSetting(userId, settingKey) {
 		const stmt = this.db.prepare(`
@@ -512,7 +1302,129 @@ class CryptoBotDatabase {
 		return stmt.all(userId);
 	}
 
+	// Signal decision log methods
+	saveSignalDecision(decision) {
+		const stmt = this.db.prepare(`
+			INSERT INTO signal_decisions (
+				signalId, accountId, symbol, timeframe, signalType, confidence,
+				riskLevel, decision, reason, orderId, quantity
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			decision.signalId ?? null,
+			decision.accountId,
+			decision.symbol,
+			decision.timeframe ?? null,
+			decision.signalType ?? null,
+			decision.confidence ?? null,
+			decision.riskLevel ?? null,
+			decision.decision,
+			decision.reason ?? null,
+			decision.orderId ?? null,
+			decision.quantity ?? null
+		);
+		return result.lastInsertRowid;
+	}
+
+	getSignalDecisions({ accountId = null, signalId = null, decision = null, limit = 100 } = {}) {
+		const conditions = [];
+		const params = [];
+
+		if (accountId) {
+			conditions.push('accountId = ?');
+			params.push(accountId);
+		}
+		if (signalId) {
+			conditions.push('signalId = ?');
+			params.push(signalId);
+		}
+		if (decision) {
+			conditions.push('decision = ?');
+			params.push(decision);
+		}
+
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const stmt = this.db.prepare(`
+			SELECT * FROM signal_decisions
+			${where}
+			ORDER BY createdAt DESC, id DESC
+			LIMIT ?
+		`);
+		return stmt.all(...params, limit);
+	}
+
+	// Signal action methods
+	saveSignalAction({ signalId, action, chatId = null, telegramUserId = null, telegramUsername = null }) {
+		const stmt = this.db.prepare(`
+			INSERT INTO signal_actions (signalId, action, chatId, telegramUserId, telegramUsername, createdAt)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			signalId,
+			action,
+			chatId !== null ? String(chatId) : null,
+			telegramUserId !== null ? String(telegramUserId) : null,
+			telegramUsername,
+			new Date().toISOString()
+		);
+		return result.lastInsertRowid;
+	}
+
+	getSignalActions({ signalId = null, limit = 100 } = {}) {
+		const where = signalId ? 'WHERE signalId = ?' : '';
+		const stmt = this.db.prepare(`
+			SELECT * FROM signal_actions
+			${where}
+			ORDER BY createdAt DESC, id DESC
+			LIMIT ?
+		`);
+		return signalId ? stmt.all(signalId, limit) : stmt.all(limit);
+	}
+
+	// Press counts per action for the most recently acted-on signals
+	getSignalActionSummary({ signalId = null, limit = 50 } = {}) {
+		const where = signalId ? 'WHERE a.signalId = ?' : '';
+		const stmt = this.db.prepare(`
+			SELECT a.signalId, s.cryptocurrency, s.signalType, s.timeframe, s.createdAt AS signalCreatedAt,
+				a.action, COUNT(*) AS count, COUNT(DISTINCT a.telegramUserId) AS users, MAX(a.createdAt) AS lastActionAt
+			FROM signal_actions a
+			LEFT JOIN signals s ON s.id = a.signalId
+			${where}
+			GROUP BY a.signalId, a.action
+		`);
+		const rows = signalId ? stmt.all(signalId) : stmt.all();
+
+		const summaries = new Map();
+		rows.forEach(row => {
+			if (!summaries.has(row.signalId)) {
+				summaries.set(row.signalId, {
+					signalId: row.signalId,
+					cryptocurrency: row.cryptocurrency,
+					signalType: row.signalType,
+					timeframe: row.timeframe,
+					signalCreatedAt: row.signalCreatedAt,
+					counts: {},
+					total: 0,
+					lastActionAt: row.lastActionAt
+				});
+			}
+			const summary = summaries.get(row.signalId);
+			summary.counts[row.action] = { count: row.count, users: row.users };
+			summary.total += row.count;
+			if (row.lastActionAt > summary.lastActionAt) summary.lastActionAt = row.lastActionAt;
+		});
+
+		return [...summaries.values()]
+			.sort((a, b) => b.lastActionAt.localeCompare(a.lastActionAt))
+			.slice(0, limit);
+	}
+
 	// Utility methods
+	// Cheap round trip for health checks, throws once the connection is closed
+	ping() {
+		return this.db.prepare('SELECT 1 AS ok').get().ok === 1;
+	}
+
 	close() {
 		if (this.db) {
 			this.db.close();
@@ -30,10 +30,48 @@ CREATE TABLE IF NOT EXISTS telegram_chats (
     chatType TEXT NOT NULL, -- 'private', 'group', 'channel'
     chatTitle TEXT,
     isActive BOOLEAN DEFAULT 1,
-    notificationTypes TEXT, -- JSON array: ['buy', 'sell', 'hold']
+    notificationTypes TEXT, -- JSON array: ['buy', 'sell', 'hold'], NULL for every type
+    filters TEXT, -- JSON: { symbols, timeframes, minConfidence }, NULL entries match everything
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME
+);
+
+-- Telegram users allowed to trade a paper account from the bot, linked with a one-time code
+CREATE TABLE IF NOT EXISTS telegram_users (
+    telegramUserId TEXT PRIMARY KEY,
+    telegramUsername TEXT,
+    userId TEXT NOT NULL, -- paper trading userId, see paper_trading_accounts
+    accountId TEXT, -- account the trading commands act on
+    linkedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time codes for /link, kept here so any backend instance can redeem them
+CREATE TABLE IF NOT EXISTS telegram_link_codes (
+    code TEXT PRIMARY KEY,
+    userId TEXT NOT NULL,
+    accountId TEXT,
+    expiresAt DATETIME NOT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trades waiting for the requester's Confirm tap, shared so the tap can land on any backend instance
+CREATE TABLE IF NOT EXISTS telegram_confirmations (
+    id TEXT PRIMARY KEY,
+    telegramUserId TEXT NOT NULL,
+    accountId TEXT NOT NULL,
+    action TEXT NOT NULL, -- JSON order, close or cancel to run
+    expiresAt DATETIME NOT NULL,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Webhook update ids already handled, shared by all backend instances so a resent update runs once
+CREATE TABLE IF NOT EXISTS telegram_updates (
+    updateId INTEGER PRIMARY KEY,
+    receivedAt DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_updates_received ON telegram_updates(receivedAt);
+
 -- AI analysis history table - stores GPT-5 analysis results
 CREATE TABLE IF NOT EXISTS ai_analysis (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -78,10 +116,21 @@ CREATE TABLE IF NOT EXISTS backtest_results (
     strategy TEXT NOT NULL,
     initialBalance REAL NOT NULL,
     finalBalance REAL NOT NULL,
-    totalReturn TEXT NOT NULL,
+    totalReturn REAL NOT NULL, -- percent
     totalTrades INTEGER NOT NULL,
-    winRate TEXT NOT NULL,
-    maxDrawdown TEXT NOT NULL,
+    winRate REAL NOT NULL, -- percent of closed round trips
+    maxDrawdown REAL NOT NULL, -- percent
+    annualizedReturn REAL,
+    sharpeRatio REAL,
+    sortinoRatio REAL, -- NULL when there was no downside
+    calmarRatio REAL, -- NULL when there was no drawdown
+    profitFactor REAL, -- NULL when no round trip lost money
+    expectancy REAL, -- average net P&L per round trip
+    averageWin REAL,
+    averageLoss REAL,
+    longestDrawdownSeconds INTEGER,
+    timeInMarket REAL, -- percent of candles holding a position
+    benchmarkReturn REAL, -- buy-and-hold percent over the same candles
     results TEXT NOT NULL,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -91,6 +140,8 @@ CREATE TABLE IF NOT EXISTS paper_trading_accounts (
     id TEXT PRIMARY KEY,
     userId TEXT NOT NULL,
     balance REAL NOT NULL,
+    reservedBalance REAL DEFAULT 0, -- cash locked by open LIMIT orders, not included in balance
+    shortSellingEnabled BOOLEAN DEFAULT 0, -- SELL without a LONG opens a SHORT when set
     currency TEXT NOT NULL DEFAULT 'USDT',
     equity REAL NOT NULL,
     unrealizedPnl REAL DEFAULT 0,
@@ -108,17 +159,31 @@ CREATE TABLE IF NOT EXISTS paper_trading_orders (
     accountId TEXT NOT NULL,
     symbol TEXT NOT NULL,
     side TEXT NOT NULL CHECK (side IN ('BUY', 'SELL')),
-    type TEXT NOT NULL CHECK (type IN ('MARKET', 'LIMIT')),
+    type TEXT NOT NULL CHECK (type IN ('MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT', 'TRAILING_STOP')),
     quantity REAL NOT NULL,
-    price REAL NOT NULL,
+    price REAL NOT NULL, -- limit price, or the trigger price for STOP and TRAILING_STOP
+    stopPrice REAL, -- trigger price for STOP, STOP_LIMIT and TRAILING_STOP (moves as a trailing stop trails)
+    trailingPercent REAL, -- distance of a TRAILING_STOP from the best price seen
+    triggeredAt DATETIME, -- when a STOP_LIMIT became a working limit order
     executionPrice REAL,
     amount REAL,
     commission REAL,
-    status TEXT NOT NULL CHECK (status IN ('PENDING', 'FILLED', 'CANCELLED')),
+    status TEXT NOT NULL CHECK (status IN ('PENDING', 'FILLED', 'CANCELLED', 'REJECTED')),
     isRealOrder BOOLEAN DEFAULT 0,
     binanceOrderId TEXT,
+    stopLoss REAL,
+    takeProfit REAL,
+    exitReason TEXT, -- 'STOP_LOSS', 'TAKE_PROFIT', 'MANUAL' for closing orders
+    reservedAmount REAL, -- balance held while a LIMIT order is PENDING
+    expectedPrice REAL, -- price the order was expected to fill at
+    slippageCost REAL, -- (realized - expected) fill cost in quote currency, positive is worse for the account
+    slippageBps REAL,
+    feeRate REAL,
+    liquidity TEXT, -- 'MAKER' or 'TAKER'
+    signalId INTEGER, -- signal that placed the order, if any
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     filledAt DATETIME,
+    cancelledAt DATETIME,
     FOREIGN KEY (accountId) REFERENCES paper_trading_accounts (id)
 );
 
@@ -132,11 +197,65 @@ CREATE TABLE IF NOT EXISTS paper_trading_positions (
     avgPrice REAL NOT NULL,
     currentPrice REAL,
     unrealizedPnl REAL DEFAULT 0,
+    margin REAL DEFAULT 0, -- collateral locked by a SHORT position
+    stopLoss REAL,
+    takeProfit REAL,
+    entryOrderIds TEXT, -- JSON array of the orders that opened or added to the position
+    entrySignalId INTEGER, -- signal whose order opened the position
+    entryFees REAL DEFAULT 0, -- entry commission not yet attributed to a closed trade
+    highPrice REAL, -- highest price seen while open, for MAE/MFE
+    lowPrice REAL, -- lowest price seen while open
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (accountId) REFERENCES paper_trading_accounts (id)
 );
 
+-- Create closed_trades table - trade journal, one row per position close or partial close
+CREATE TABLE IF NOT EXISTS closed_trades (
+    id TEXT PRIMARY KEY,
+    accountId TEXT NOT NULL,
+    positionId TEXT,
+    symbol TEXT NOT NULL,
+    side TEXT NOT NULL CHECK (side IN ('LONG', 'SHORT')),
+    quantity REAL NOT NULL,
+    entryPrice REAL NOT NULL,
+    exitPrice REAL NOT NULL,
+    entryOrderIds TEXT, -- JSON array
+    exitOrderId TEXT,
+    entrySignalId INTEGER,
+    exitSignalId INTEGER,
+    exitReason TEXT,
+    openedAt DATETIME,
+    closedAt DATETIME NOT NULL,
+    holdingSeconds REAL,
+    entryFees REAL DEFAULT 0,
+    exitFees REAL DEFAULT 0,
+    grossPnl REAL NOT NULL,
+    netPnl REAL NOT NULL, -- grossPnl less entry and exit fees
+    returnPercent REAL, -- netPnl against the entry notional
+    mae REAL, -- maximum adverse excursion in quote currency, zero or negative
+    mfe REAL, -- maximum favorable excursion in quote currency, zero or positive
+    FOREIGN KEY (accountId) REFERENCES paper_trading_accounts (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_closed_trades_account ON closed_trades(accountId, closedAt);
+
+-- Create paper_trading_equity_snapshots table - equity curve history per account
+CREATE TABLE IF NOT EXISTS paper_trading_equity_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    accountId TEXT NOT NULL,
+    equity REAL NOT NULL,
+    balance REAL NOT NULL,
+    reservedBalance REAL DEFAULT 0,
+    unrealizedPnl REAL DEFAULT 0,
+    exposure REAL DEFAULT 0, -- gross notional of open positions at snapshot prices
+    openPositions INTEGER DEFAULT 0,
+    createdAt DATETIME NOT NULL,
+    FOREIGN KEY (accountId) REFERENCES paper_trading_accounts (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_equity_snapshots_account ON paper_trading_equity_snapshots(accountId, createdAt);
+
 -- Create user_settings table for storing user preferences
 CREATE TABLE IF NOT EXISTS user_settings (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -147,3 +266,117 @@ CREATE TABLE IF NOT EXISTS user_settings (
     updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(userId, settingKey)
 );
+
+-- Create signal_decisions table - why each paper account took or skipped a signal
+CREATE TABLE IF NOT EXISTS signal_decisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signalId INTEGER,
+    accountId TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    timeframe TEXT,
+    signalType TEXT,
+    confidence REAL,
+    riskLevel TEXT,
+    decision TEXT NOT NULL CHECK (decision IN ('TAKEN', 'SKIPPED', 'FAILED')),
+    reason TEXT,
+    orderId TEXT,
+    quantity REAL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_decisions_account ON signal_decisions(accountId, createdAt);
+CREATE INDEX IF NOT EXISTS idx_signal_decisions_signal ON signal_decisions(signalId);
+
+-- Telegram button presses under signal messages, to see how people react to each signal
+CREATE TABLE IF NOT EXISTS signal_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signalId INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('paper', 'ignore', 'chart', 'explain', 'mute')),
+    chatId TEXT,
+    telegramUserId TEXT,
+    telegramUsername TEXT,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_actions_signal ON signal_actions(signalId, action);
+
+-- Create ohlcv_candles table - local historical candle store used by backtests
+CREATE TABLE IF NOT EXISTS ohlcv_candles (
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    openTime INTEGER NOT NULL, -- candle open in epoch milliseconds (UTC)
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    volume REAL NOT NULL,
+    source TEXT, -- binance, csv or resampled
+    PRIMARY KEY (symbol, timeframe, openTime)
+);
+
+-- Create optimization_runs table - one row per strategy parameter sweep
+CREATE TABLE IF NOT EXISTS optimization_runs (
+    id TEXT PRIMARY KEY,
+    cryptocurrency TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    startDate TEXT NOT NULL,
+    endDate TEXT NOT NULL,
+    method TEXT NOT NULL CHECK (method IN ('grid', 'random')),
+    objective TEXT NOT NULL,
+    folds INTEGER NOT NULL,
+    inSampleRatio REAL NOT NULL,
+    combinations INTEGER NOT NULL,
+    bestParams TEXT, -- JSON object
+    walkForward TEXT, -- JSON array, in-sample winner and its out-of-sample result per fold
+    createdAt DATETIME NOT NULL
+);
+
+-- Create optimization_results table - ranked leaderboard of parameter sets per run
+CREATE TABLE IF NOT EXISTS optimization_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    runId TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    params TEXT NOT NULL, -- JSON object
+    score REAL, -- objective on stitched out-of-sample data, NULL when too few trades
+    inSampleScore REAL,
+    sharpeRatio REAL,
+    profitFactor REAL, -- NULL when there were no losing trades
+    maxDrawdown REAL,
+    totalReturn REAL,
+    totalTrades INTEGER,
+    winRate REAL,
+    FOREIGN KEY (runId) REFERENCES optimization_runs (id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_optimization_results_run ON optimization_results(runId, rank);
+
+-- Create ai_decisions table - cached AI trading decisions replayed by AI-strategy backtests
+CREATE TABLE IF NOT EXISTS ai_decisions (
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    candleTime INTEGER NOT NULL, -- open time of the candle the decision was made on, epoch milliseconds
+    promptVersion TEXT NOT NULL,
+    model TEXT NOT NULL,
+    signal TEXT NOT NULL CHECK (signal IN ('BUY', 'SELL', 'HOLD')),
+    confidence REAL NOT NULL,
+    reasoning TEXT,
+    riskLevel TEXT,
+    source TEXT NOT NULL, -- live, ai_analysis, import or stub
+    analysisId INTEGER,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (symbol, timeframe, candleTime, promptVersion, model)
+);
+
+-- Create reconciliation_reports table - paper account trades diffed against a backtest replay of the same window
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+    id TEXT PRIMARY KEY,
+    accountId TEXT NOT NULL,
+    symbols TEXT NOT NULL, -- comma separated
+    timeframe TEXT NOT NULL,
+    strategy TEXT NOT NULL,
+    startDate TEXT NOT NULL,
+    endDate TEXT NOT NULL,
+    summary TEXT NOT NULL, -- JSON object, trade counts, P&L totals and divergences by cause
+    trades TEXT NOT NULL, -- JSON array, one row per matched or unmatched trade
+    createdAt DATETIME NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_account ON reconciliation_reports(accountId, createdAt);
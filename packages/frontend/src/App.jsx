@@ -6,6 +6,8 @@ import Signals from './pages/Signals.jsx';
 import Configuration from './pages/Configuration.jsx';
 import Analytics from './pages/Analytics.jsx';
 import PaperTrading from './pages/PaperTrading.jsx';
+import TradeJournal from './pages/TradeJournal.jsx';
+import Backtesting from './pages/Backtesting.jsx';
 import { SignalProvider } from './context/SignalContext.jsx';
 import { ToastProvider } from './context/ToastContext.jsx';
 import Modal from './components/Modal.jsx';
@@ -74,6 +76,16 @@ function AppContent({ modalState, hideModal, showSuccess, showError, showInfo, s
 									<PaperTrading />
 								</PageErrorBoundary>
 							} />
+							<Route path="/trade-journal" element={
+								<PageErrorBoundary pageName="Trade Journal">
+									<TradeJournal />
+								</PageErrorBoundary>
+							} />
+							<Route path="/backtesting" element={
+								<PageErrorBoundary pageName="Backtesting">
+									<Backtesting />
+								</PageErrorBoundary>
+							} />
 						</Routes>
 					</main>
 				</div>
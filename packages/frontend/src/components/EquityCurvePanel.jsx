@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LineChart as LineChartIcon, ChevronDown, ChevronUp } from 'lucide-react';
+
+const RANGES = [
+	{ value: '24h', label: '24H', hours: 24 },
+	{ value: '7d', label: '7D', hours: 24 * 7 },
+	{ value: '30d', label: '30D', hours: 24 * 30 },
+	{ value: 'all', label: 'All', hours: null }
+];
+
+// Equity curve for an account from its periodic snapshots, with drawdown from the running peak
+// on a second axis. Collapsed by default so the history is only fetched when someone looks at it.
+function EquityCurvePanel({ accountId, sendMessage }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const [range, setRange] = useState('7d');
+	const [history, setHistory] = useState(null);
+	const [error, setError] = useState('');
+	const [isLoading, setIsLoading] = useState(false);
+
+	const loadHistory = useCallback(async () => {
+		if (!accountId || !sendMessage) return;
+
+		const hours = RANGES.find(option => option.value === range)?.hours;
+		const from = hours ? new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() : undefined;
+
+		setIsLoading(true);
+		try {
+			const response = await sendMessage('get_paper_trading_equity_history', { accountId, from });
+			setHistory(response || null);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading equity history:', err);
+			setError(err.message || 'Failed to load equity history');
+		} finally {
+			setIsLoading(false);
+		}
+	}, [accountId, sendMessage, range]);
+
+	useEffect(() => {
+		if (isOpen) {
+			loadHistory();
+		}
+	}, [isOpen, loadHistory]);
+
+	if (!accountId) {
+		return null;
+	}
+
+	const points = (history?.points || []).map(point => ({
+		time: point.createdAt,
+		equity: point.equity,
+		// Plotted below zero so the overlay hangs under the curve
+		drawdown: -point.drawdownPercent
+	}));
+	const first = points[0];
+	const last = points[points.length - 1];
+	const change = first && last ? last.equity - first.equity : 0;
+	const changePercent = first?.equity ? change / first.equity * 100 : 0;
+
+	return (
+		<div data-testid="equity-curve-panel" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+			<button
+				type="button"
+				data-testid="equity-curve-toggle"
+				onClick={() => setIsOpen(open => !open)}
+				className="flex items-center justify-between w-full text-left"
+			>
+				<span className="flex items-center space-x-2 text-xl font-semibold text-gray-900">
+					<LineChartIcon className="w-5 h-5" />
+					<span>Equity Curve</span>
+				</span>
+				{isOpen ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+			</button>
+
+			{isOpen && (
+				<div className="mt-4">
+					<div className="flex items-center justify-between mb-4">
+						<div className="flex items-center space-x-2">
+							{RANGES.map(option => (
+								<button
+									key={option.value}
+									type="button"
+									data-testid={`equity-range-${option.value}`}
+									onClick={() => setRange(option.value)}
+									className={`px-3 py-1 text-sm rounded-lg border ${range === option.value
+										? 'bg-primary-500 text-white border-primary-500'
+										: 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+								>
+									{option.label}
+								</button>
+							))}
+						</div>
+						{points.length > 0 && (
+							<div className="flex items-center space-x-6 text-sm">
+								<span data-testid="equity-change" className={change >= 0 ? 'text-green-600' : 'text-red-600'}>
+									{change >= 0 ? '+' : ''}${change.toFixed(2)} ({changePercent.toFixed(2)}%)
+								</span>
+								<span data-testid="equity-max-drawdown" className="text-gray-600">
+									Max drawdown: {(history?.maxDrawdownPercent || 0).toFixed(2)}%
+								</span>
+							</div>
+						)}
+					</div>
+
+					<p data-testid="equity-curve-error" className="text-sm text-red-600">{error}</p>
+
+					{isLoading && points.length === 0 ? (
+						<div data-testid="equity-curve-loading" className="flex items-center justify-center h-[300px]">
+							<div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+						</div>
+					) : points.length === 0 ? (
+						<p data-testid="equity-curve-empty" className="text-sm text-gray-500">No equity snapshots recorded for this range yet</p>
+					) : (
+						<div data-testid="equity-curve-chart">
+							<ResponsiveContainer width="100%" height={300}>
+								<ComposedChart data={points}>
+									<CartesianGrid strokeDasharray="3 3" />
+									<XAxis
+										dataKey="time"
+										tickFormatter={(value) => new Date(value).toLocaleDateString()}
+									/>
+									<YAxis yAxisId="equity" domain={['auto', 'auto']} />
+									<YAxis
+										yAxisId="drawdown"
+										orientation="right"
+										tickFormatter={(value) => `${value.toFixed(1)}%`}
+									/>
+									<Tooltip
+										labelFormatter={(value) => new Date(value).toLocaleString()}
+										formatter={(value, name) => name === 'Drawdown'
+											? [`${value.toFixed(2)}%`, name]
+											: [`$${value.toFixed(2)}`, name]}
+									/>
+									<Legend />
+									<Area
+										yAxisId="drawdown"
+										type="monotone"
+										dataKey="drawdown"
+										stroke="#ef4444"
+										fill="#fecaca"
+										name="Drawdown"
+									/>
+									<Line
+										yAxisId="equity"
+										type="monotone"
+										dataKey="equity"
+										stroke="#3b82f6"
+										strokeWidth={2}
+										dot={false}
+										name="Equity"
+									/>
+								</ComposedChart>
+							</ResponsiveContainer>
+						</div>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default EquityCurvePanel;
@@ -0,0 +1,259 @@
+import { useState, useEffect, useCallback } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp, Play } from 'lucide-react';
+
+const OBJECTIVES = [
+	{ value: 'sharpe', label: 'Sharpe ratio' },
+	{ value: 'profitFactor', label: 'Profit factor' },
+	{ value: 'maxDrawdown', label: 'Max drawdown' }
+];
+
+const formatScore = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+const formatParams = (params) => Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ');
+
+// Parameter sweeps for the technical strategy with walk-forward validation. Uses the symbol,
+// timeframe and period from the backtest form; collapsed until someone opens it.
+function OptimizerPanel({ sendMessage, config, onBacktestParams }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const [options, setOptions] = useState({ method: 'grid', objective: 'sharpe', folds: '3', samples: '30' });
+	const [runs, setRuns] = useState([]);
+	const [selected, setSelected] = useState(null);
+	const [activeRun, setActiveRun] = useState(null);
+	const [error, setError] = useState('');
+
+	const loadLeaderboard = useCallback(async (runId) => {
+		try {
+			const response = await sendMessage('get_optimization_leaderboard', { runId, limit: 20 });
+			setSelected(response || null);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading optimization leaderboard:', err);
+			setError(err.message || 'Failed to load leaderboard');
+		}
+	}, [sendMessage]);
+
+	const loadRuns = useCallback(async () => {
+		try {
+			const response = await sendMessage('get_optimization_runs', { limit: 20 });
+			const pastRuns = response?.runs || [];
+			setRuns(pastRuns);
+			if (response?.activeRun) {
+				setActiveRun(current => current || { runId: response.activeRun.runId, percent: 0 });
+			}
+			if (pastRuns.length > 0) {
+				loadLeaderboard(pastRuns[0].id);
+			}
+		} catch (err) {
+			console.error('❌ Error loading optimization runs:', err);
+			setError(err.message || 'Failed to load optimization runs');
+		}
+	}, [sendMessage, loadLeaderboard]);
+
+	useEffect(() => {
+		if (isOpen) {
+			loadRuns();
+		}
+	}, [isOpen, loadRuns]);
+
+	useEffect(() => {
+		const handleWebSocketEvent = (event) => {
+			const message = event.detail;
+			if (!message?.type?.startsWith('optimization_') || message.data?.runId !== activeRun?.runId) return;
+
+			if (message.type === 'optimization_progress') {
+				setActiveRun(current => ({ ...current, percent: message.data.percent }));
+			} else if (message.type === 'optimization_completed') {
+				setActiveRun(null);
+				loadRuns();
+			} else if (message.type === 'optimization_failed') {
+				setActiveRun(null);
+				setError(message.data.error || 'Optimization failed');
+			}
+		};
+
+		window.addEventListener('websocket_message', handleWebSocketEvent);
+
+		return () => {
+			window.removeEventListener('websocket_message', handleWebSocketEvent);
+		};
+	}, [activeRun?.runId, loadRuns]);
+
+	const handleRun = async () => {
+		try {
+			const response = await sendMessage('run_optimization', {
+				...config,
+				method: options.method,
+				objective: options.objective,
+				folds: parseInt(options.folds, 10),
+				...(options.method === 'random' && { samples: parseInt(options.samples, 10) })
+			});
+			setActiveRun({ runId: response.runId, percent: 0 });
+			setError('');
+		} catch (err) {
+			console.error('❌ Error starting optimization:', err);
+			setError(err.message || 'Failed to start optimization');
+		}
+	};
+
+	const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+	return (
+		<div data-testid="optimizer-panel" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+			<button
+				type="button"
+				data-testid="optimizer-toggle"
+				onClick={() => setIsOpen(open => !open)}
+				className="flex items-center justify-between w-full text-left"
+			>
+				<span className="flex items-center space-x-2 text-xl font-semibold text-gray-900">
+					<SlidersHorizontal className="w-5 h-5" />
+					<span>Parameter Optimizer</span>
+				</span>
+				{isOpen ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+			</button>
+
+			{isOpen && (
+				<div className="mt-4">
+					<p className="text-sm text-gray-600 mb-4">
+						Sweeps RSI thresholds and the confidence gate of the technical strategy on {config.cryptocurrency} {config.timeframe},
+						ranking each set on walk-forward out-of-sample data.
+					</p>
+					<div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="optimizer-method">Search</label>
+							<select
+								id="optimizer-method"
+								data-testid="optimizer-method"
+								value={options.method}
+								onChange={(e) => setOptions(prev => ({ ...prev, method: e.target.value }))}
+								className={inputClassName}
+							>
+								<option value="grid">Grid</option>
+								<option value="random">Random</option>
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="optimizer-objective">Rank by</label>
+							<select
+								id="optimizer-objective"
+								data-testid="optimizer-objective"
+								value={options.objective}
+								onChange={(e) => setOptions(prev => ({ ...prev, objective: e.target.value }))}
+								className={inputClassName}
+							>
+								{OBJECTIVES.map(objective => (
+									<option key={objective.value} value={objective.value}>{objective.label}</option>
+								))}
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="optimizer-folds">Folds</label>
+							<input
+								id="optimizer-folds"
+								data-testid="optimizer-folds"
+								type="number"
+								min="1"
+								max="20"
+								value={options.folds}
+								onChange={(e) => setOptions(prev => ({ ...prev, folds: e.target.value }))}
+								className={inputClassName}
+							/>
+						</div>
+						{options.method === 'random' && (
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="optimizer-samples">Samples</label>
+								<input
+									id="optimizer-samples"
+									data-testid="optimizer-samples"
+									type="number"
+									min="1"
+									value={options.samples}
+									onChange={(e) => setOptions(prev => ({ ...prev, samples: e.target.value }))}
+									className={inputClassName}
+								/>
+							</div>
+						)}
+						<button
+							type="button"
+							data-testid="optimizer-run"
+							onClick={handleRun}
+							disabled={!!activeRun}
+							className="flex items-center justify-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors disabled:opacity-50"
+						>
+							<Play className="w-4 h-4" />
+							<span>{activeRun ? `Optimizing ${(activeRun.percent || 0).toFixed(0)}%` : 'Optimize'}</span>
+						</button>
+					</div>
+
+					<p data-testid="optimizer-error" className="text-sm text-red-600 mt-2">{error}</p>
+
+					{runs.length > 0 && (
+						<div className="mt-4">
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="optimizer-run-select">Run</label>
+							<select
+								id="optimizer-run-select"
+								data-testid="optimizer-run-select"
+								value={selected?.id || ''}
+								onChange={(e) => loadLeaderboard(e.target.value)}
+								className={inputClassName}
+							>
+								{runs.map(run => (
+									<option key={run.id} value={run.id}>
+										{new Date(run.createdAt).toLocaleString()} · {run.cryptocurrency} {run.timeframe} · {run.method}/{run.objective}
+									</option>
+								))}
+							</select>
+						</div>
+					)}
+
+					{selected?.leaderboard?.length > 0 && (
+						<div className="overflow-x-auto mt-4">
+							<table data-testid="optimizer-leaderboard" className="min-w-full divide-y divide-gray-200">
+								<thead className="bg-gray-50">
+									<tr>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Parameters</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score (OOS)</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score (IS)</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sharpe</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PF</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Max DD</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trades</th>
+										<th className="px-4 py-3"></th>
+									</tr>
+								</thead>
+								<tbody className="bg-white divide-y divide-gray-200">
+									{selected.leaderboard.map(entry => (
+										<tr key={entry.rank} data-testid={`optimizer-entry-${entry.rank}`}>
+											<td className="px-4 py-3 text-sm text-gray-900">{entry.rank}</td>
+											<td className="px-4 py-3 text-sm text-gray-900 font-mono">{formatParams(entry.params)}</td>
+											<td className="px-4 py-3 text-sm font-medium text-gray-900">{formatScore(entry.score)}</td>
+											<td className="px-4 py-3 text-sm text-gray-500">{formatScore(entry.inSampleScore)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatScore(entry.totalReturn)}%</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatScore(entry.sharpeRatio)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{entry.profitFactor === null ? '∞' : formatScore(entry.profitFactor)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatScore(entry.maxDrawdown)}%</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{entry.totalTrades}</td>
+											<td className="px-4 py-3 text-sm">
+												<button
+													type="button"
+													data-testid={`optimizer-backtest-${entry.rank}`}
+													onClick={() => onBacktestParams(entry.params)}
+													className="text-primary-600 hover:text-primary-800"
+												>
+													Backtest
+												</button>
+											</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</div>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default OptimizerPanel;
@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import { GitCompare, ChevronDown, ChevronUp, Play } from 'lucide-react';
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+const STATUS_LABELS = {
+	MATCHED: 'Matched',
+	MISSING_IN_BACKTEST: 'Paper only',
+	MISSING_IN_PAPER: 'Backtest only',
+	NOT_SIMULATED: 'Not simulated'
+};
+
+const CAUSE_LABELS = {
+	SLIPPAGE: 'Slippage',
+	TIMING: 'Timing',
+	MISSING_SIGNAL: 'Missing signal',
+	PNL: 'P&L'
+};
+
+const formatNumber = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+const formatMoney = (value) => (value === null || value === undefined ? '—' : `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`);
+const formatDelay = (seconds) => (seconds === null || seconds === undefined ? '—' : `${seconds > 0 ? '+' : ''}${Math.round(seconds / 60)}m`);
+const formatFill = (side) => (side ? `$${formatNumber(side.entryPrice)} → $${formatNumber(side.exitPrice)}` : '—');
+
+// Replays the selected paper account's window through the backtester and lists where the
+// simulator and paper trading disagree. Collapsed until someone opens it.
+function ReconciliationPanel({ sendMessage, accountId, from, to }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const [options, setOptions] = useState({ strategy: 'ai', timeframe: '' });
+	const [reports, setReports] = useState([]);
+	const [selected, setSelected] = useState(null);
+	const [activeRun, setActiveRun] = useState(null);
+	const [error, setError] = useState('');
+
+	const loadReport = useCallback(async (id) => {
+		try {
+			const response = await sendMessage('get_reconciliation_report', { id });
+			setSelected(response || null);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading reconciliation report:', err);
+			setError(err.message || 'Failed to load reconciliation report');
+		}
+	}, [sendMessage]);
+
+	const loadReports = useCallback(async () => {
+		try {
+			const response = await sendMessage('get_reconciliation_reports', { accountId, limit: 20 });
+			const pastReports = response?.reports || [];
+			setReports(pastReports);
+			if (response?.activeRun) {
+				setActiveRun(current => current || { runId: response.activeRun.runId, percent: 0 });
+			}
+			if (pastReports.length > 0) {
+				loadReport(pastReports[0].id);
+			} else {
+				setSelected(null);
+			}
+		} catch (err) {
+			console.error('❌ Error loading reconciliation reports:', err);
+			setError(err.message || 'Failed to load reconciliation reports');
+		}
+	}, [sendMessage, accountId, loadReport]);
+
+	useEffect(() => {
+		if (isOpen) {
+			loadReports();
+		}
+	}, [isOpen, loadReports]);
+
+	useEffect(() => {
+		const handleWebSocketEvent = (event) => {
+			const message = event.detail;
+			if (!message?.type?.startsWith('reconciliation_') || message.data?.runId !== activeRun?.runId) return;
+
+			if (message.type === 'reconciliation_progress') {
+				setActiveRun(current => ({ ...current, percent: message.data.percent }));
+			} else if (message.type === 'reconciliation_completed') {
+				setActiveRun(null);
+				loadReports();
+			} else if (message.type === 'reconciliation_failed') {
+				setActiveRun(null);
+				setError(message.data.error || 'Reconciliation failed');
+			}
+		};
+
+		window.addEventListener('websocket_message', handleWebSocketEvent);
+
+		return () => {
+			window.removeEventListener('websocket_message', handleWebSocketEvent);
+		};
+	}, [activeRun?.runId, loadReports]);
+
+	const handleRun = async () => {
+		try {
+			const response = await sendMessage('run_reconciliation', {
+				accountId,
+				strategy: options.strategy,
+				...(options.timeframe && { timeframe: options.timeframe }),
+				...(from && { startDate: new Date(from).toISOString() }),
+				...(to && { endDate: new Date(`${to}T23:59:59.999`).toISOString() })
+			});
+			setActiveRun({ runId: response.runId, percent: 0 });
+			setError('');
+		} catch (err) {
+			console.error('❌ Error starting reconciliation:', err);
+			setError(err.message || 'Failed to start reconciliation');
+		}
+	};
+
+	const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+	const summary = selected?.summary;
+
+	return (
+		<div data-testid="reconciliation-panel" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+			<button
+				type="button"
+				data-testid="reconciliation-toggle"
+				onClick={() => setIsOpen(open => !open)}
+				className="flex items-center justify-between w-full text-left"
+			>
+				<span className="flex items-center space-x-2 text-xl font-semibold text-gray-900">
+					<GitCompare className="w-5 h-5" />
+					<span>Backtest Reconciliation</span>
+				</span>
+				{isOpen ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+			</button>
+
+			{isOpen && (
+				<div className="mt-4">
+					<p className="text-sm text-gray-600 mb-4">
+						Re-runs the backtester over the symbols and period this account traded{from || to ? ' within the date filters' : ''}, then
+						compares trades, fill prices and P&L.
+					</p>
+					<div className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="reconciliation-strategy">Strategy</label>
+							<select
+								id="reconciliation-strategy"
+								data-testid="reconciliation-strategy"
+								value={options.strategy}
+								onChange={(e) => setOptions(prev => ({ ...prev, strategy: e.target.value }))}
+								className={inputClassName}
+							>
+								<option value="ai">AI (recorded decisions)</option>
+								<option value="technical">Technical</option>
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="reconciliation-timeframe">Timeframe</label>
+							<select
+								id="reconciliation-timeframe"
+								data-testid="reconciliation-timeframe"
+								value={options.timeframe}
+								onChange={(e) => setOptions(prev => ({ ...prev, timeframe: e.target.value }))}
+								className={inputClassName}
+							>
+								<option value="">From the account&apos;s signals</option>
+								{TIMEFRAMES.map(timeframe => (
+									<option key={timeframe} value={timeframe}>{timeframe}</option>
+								))}
+							</select>
+						</div>
+						<button
+							type="button"
+							data-testid="reconciliation-run"
+							onClick={handleRun}
+							disabled={!!activeRun}
+							className="flex items-center justify-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors disabled:opacity-50"
+						>
+							<Play className="w-4 h-4" />
+							<span>{activeRun ? `Replaying ${(activeRun.percent || 0).toFixed(0)}%` : 'Reconcile'}</span>
+						</button>
+					</div>
+
+					<p data-testid="reconciliation-error" className="text-sm text-red-600 mt-2">{error}</p>
+
+					{reports.length > 0 && (
+						<div className="mt-4">
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="reconciliation-report-select">Report</label>
+							<select
+								id="reconciliation-report-select"
+								data-testid="reconciliation-report-select"
+								value={selected?.id || ''}
+								onChange={(e) => loadReport(e.target.value)}
+								className={inputClassName}
+							>
+								{reports.map(report => (
+									<option key={report.id} value={report.id}>
+										{new Date(report.createdAt).toLocaleString()} · {report.symbols.join(', ')} {report.timeframe} · {report.strategy}
+									</option>
+								))}
+							</select>
+						</div>
+					)}
+
+					{summary && (
+						<div data-testid="reconciliation-summary" className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4">
+							<div>
+								<p className="text-sm text-gray-600">Matched</p>
+								<p data-testid="reconciliation-summary-matched" className="text-lg font-semibold text-gray-900">{summary.matched} / {summary.paperTrades}</p>
+							</div>
+							<div>
+								<p className="text-sm text-gray-600">Divergent</p>
+								<p data-testid="reconciliation-summary-divergent" className="text-lg font-semibold text-gray-900">{summary.divergentTrades}</p>
+							</div>
+							<div>
+								<p className="text-sm text-gray-600">Paper / Backtest P&L</p>
+								<p className="text-lg font-semibold text-gray-900">{formatMoney(summary.paperNetPnl)} / {formatMoney(summary.backtestNetPnl)}</p>
+							</div>
+							<div>
+								<p className="text-sm text-gray-600">Avg Entry Slippage</p>
+								<p className="text-lg font-semibold text-gray-900">{formatNumber(summary.averageEntryPricePercent)}%</p>
+							</div>
+							<div>
+								<p className="text-sm text-gray-600">Causes</p>
+								<p data-testid="reconciliation-summary-causes" className="text-sm text-gray-900">
+									{Object.entries(summary.divergences).filter(([, count]) => count > 0).map(([cause, count]) => `${CAUSE_LABELS[cause] || cause} ${count}`).join(', ') || 'None'}
+								</p>
+							</div>
+						</div>
+					)}
+
+					{selected?.trades?.length > 0 && (
+						<div className="overflow-x-auto mt-4">
+							<table data-testid="reconciliation-trades" className="min-w-full divide-y divide-gray-200">
+								<thead className="bg-gray-50">
+									<tr>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paper Fill</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Backtest Fill</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry Delay</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return Diff</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Divergence</th>
+									</tr>
+								</thead>
+								<tbody className="bg-white divide-y divide-gray-200">
+									{selected.trades.map((row, index) => (
+										<tr key={index} data-testid={`reconciliation-row-${index}`}>
+											<td className="px-4 py-3 text-sm font-medium text-gray-900">{row.symbol}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{STATUS_LABELS[row.status] || row.status}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatFill(row.paper)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatFill(row.backtest)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatDelay(row.diff?.entryDelaySeconds)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{row.diff ? `${formatNumber(row.diff.returnPercent)} pts` : '—'}</td>
+											<td className="px-4 py-3 text-sm">
+												{row.causes.map(cause => (
+													<span key={cause} className="mr-1 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">{CAUSE_LABELS[cause] || cause}</span>
+												))}
+												{row.reason && <p className="text-xs text-gray-500 mt-1">{row.reason}</p>}
+											</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</div>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default ReconciliationPanel;
@@ -8,7 +8,9 @@ import {
 	Bot,
 	Wifi,
 	WifiOff,
-	TrendingUp
+	TrendingUp,
+	BookOpen,
+	FlaskConical
 } from 'lucide-react';
 
 function Sidebar({ isOnline }) {
@@ -17,6 +19,8 @@ function Sidebar({ isOnline }) {
 		{ path: '/signals', icon: <Activity className="w-5 h-5" />, label: 'Signals' },
 		{ path: '/analytics', icon: <BarChart3 className="w-5 h-5" />, label: 'Analytics' },
 		{ path: '/paper-trading', icon: <TrendingUp className="w-5 h-5" />, label: 'Paper Trading' },
+		{ path: '/trade-journal', icon: <BookOpen className="w-5 h-5" />, label: 'Trade Journal' },
+		{ path: '/backtesting', icon: <FlaskConical className="w-5 h-5" />, label: 'Backtesting' },
 		{ path: '/configuration', icon: <Settings className="w-5 h-5" />, label: 'Configuration' },
 	];
 
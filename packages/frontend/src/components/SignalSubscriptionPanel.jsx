@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Filter, ChevronDown, ChevronUp } from 'lucide-react';
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+const EMPTY_SUBSCRIPTION_FORM = {
+	symbols: '',
+	timeframes: '',
+	minConfidence: '',
+	riskLevels: []
+};
+
+// Which signals an account auto-trades, and why it took or skipped recent ones.
+// Collapsed by default so the subscription is only fetched when someone looks at it.
+function SignalSubscriptionPanel({ accountId, sendMessage }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const [form, setForm] = useState(EMPTY_SUBSCRIPTION_FORM);
+	const [decisions, setDecisions] = useState([]);
+	const [error, setError] = useState('');
+	const [isSaving, setIsSaving] = useState(false);
+
+	const loadSubscription = useCallback(async () => {
+		if (!accountId || !sendMessage) return;
+
+		try {
+			const [subscriptionResponse, decisionsResponse] = await Promise.all([
+				sendMessage('get_signal_subscription', { accountId }),
+				sendMessage('get_signal_decisions', { accountId, limit: 20 })
+			]);
+
+			const subscription = subscriptionResponse?.subscription || {};
+			setForm({
+				symbols: (subscription.symbols || []).join(', '),
+				timeframes: (subscription.timeframes || []).join(', '),
+				minConfidence: subscription.minConfidence ? String(Math.round(subscription.minConfidence * 100)) : '',
+				riskLevels: subscription.riskLevels || []
+			});
+			setDecisions(Array.isArray(decisionsResponse) ? decisionsResponse : []);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading signal subscription:', err);
+			setError(err.message || 'Failed to load signal subscription');
+		}
+	}, [accountId, sendMessage]);
+
+	useEffect(() => {
+		if (isOpen) {
+			loadSubscription();
+		}
+	}, [isOpen, loadSubscription]);
+
+	const toggleRiskLevel = (riskLevel) => {
+		setForm(prev => ({
+			...prev,
+			riskLevels: prev.riskLevels.includes(riskLevel)
+				? prev.riskLevels.filter(level => level !== riskLevel)
+				: [...prev.riskLevels, riskLevel]
+		}));
+	};
+
+	const handleSave = async (event) => {
+		event.preventDefault();
+		setIsSaving(true);
+		setError('');
+
+		try {
+			await sendMessage('set_signal_subscription', {
+				accountId,
+				subscription: {
+					symbols: form.symbols,
+					timeframes: form.timeframes,
+					minConfidence: form.minConfidence === '' ? 0 : parseFloat(form.minConfidence) / 100,
+					riskLevels: form.riskLevels
+				}
+			});
+			await loadSubscription();
+		} catch (err) {
+			console.error('❌ Error saving signal subscription:', err);
+			setError(err.message || 'Failed to save signal subscription');
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	const getDecisionColor = (decision) => {
+		switch (decision) {
+			case 'TAKEN':
+				return 'bg-green-100 text-green-800';
+			case 'FAILED':
+				return 'bg-red-100 text-red-800';
+			default:
+				return 'bg-gray-100 text-gray-800';
+		}
+	};
+
+	if (!accountId) {
+		return null;
+	}
+
+	return (
+		<div data-testid="signal-subscription-panel" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+			<button
+				type="button"
+				data-testid="signal-subscription-toggle"
+				onClick={() => setIsOpen(open => !open)}
+				className="flex items-center justify-between w-full text-left"
+			>
+				<span className="flex items-center space-x-2 text-xl font-semibold text-gray-900">
+					<Filter className="w-5 h-5" />
+					<span>Signal Subscription</span>
+				</span>
+				{isOpen ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+			</button>
+
+			{isOpen && (
+				<>
+					<form data-testid="signal-subscription-form" onSubmit={handleSave} className="mt-4">
+						<p className="text-sm text-gray-500 mb-4">Leave a field empty to accept every value.</p>
+						<div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="subscription-symbols">Symbols</label>
+								<input
+									id="subscription-symbols"
+									data-testid="subscription-symbols-input"
+									type="text"
+									value={form.symbols}
+									onChange={(e) => setForm(prev => ({ ...prev, symbols: e.target.value }))}
+									placeholder="BTCUSDT, ETHUSDT"
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="subscription-timeframes">Timeframes</label>
+								<input
+									id="subscription-timeframes"
+									data-testid="subscription-timeframes-input"
+									type="text"
+									value={form.timeframes}
+									onChange={(e) => setForm(prev => ({ ...prev, timeframes: e.target.value }))}
+									placeholder="1h, 4h"
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="subscription-min-confidence">Min Confidence (%)</label>
+								<input
+									id="subscription-min-confidence"
+									data-testid="subscription-min-confidence-input"
+									type="number"
+									min="0"
+									max="100"
+									value={form.minConfidence}
+									onChange={(e) => setForm(prev => ({ ...prev, minConfidence: e.target.value }))}
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+							<div>
+								<span className="block text-sm font-medium text-gray-700 mb-1">Risk Levels</span>
+								<div className="flex items-center space-x-3 py-2">
+									{RISK_LEVELS.map(riskLevel => (
+										<label key={riskLevel} className="flex items-center space-x-1 text-sm text-gray-700">
+											<input
+												type="checkbox"
+												data-testid={`subscription-risk-${riskLevel.toLowerCase()}`}
+												checked={form.riskLevels.includes(riskLevel)}
+												onChange={() => toggleRiskLevel(riskLevel)}
+												className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+											/>
+											<span>{riskLevel}</span>
+										</label>
+									))}
+								</div>
+							</div>
+						</div>
+						<div className="flex items-center justify-between mt-4">
+							<p data-testid="signal-subscription-error" className="text-sm text-red-600">{error}</p>
+							<button
+								type="submit"
+								data-testid="signal-subscription-save"
+								disabled={isSaving}
+								className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors disabled:opacity-50"
+							>
+								{isSaving ? 'Saving...' : 'Save Subscription'}
+							</button>
+						</div>
+					</form>
+
+					<h3 className="text-lg font-medium text-gray-900 mt-6 mb-2">Recent Decisions</h3>
+					{decisions.length === 0 ? (
+						<p data-testid="signal-decisions-empty" className="text-sm text-gray-500">No signals evaluated for this account yet</p>
+					) : (
+						<div className="overflow-x-auto">
+							<table data-testid="signal-decisions-table" className="min-w-full divide-y divide-gray-200">
+								<thead className="bg-gray-50">
+									<tr>
+										<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+										<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signal</th>
+										<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Confidence</th>
+										<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Decision</th>
+										<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+									</tr>
+								</thead>
+								<tbody className="bg-white divide-y divide-gray-200">
+									{decisions.map(decision => (
+										<tr key={decision.id} data-testid={`signal-decision-${decision.id}`}>
+											<td className="px-4 py-2 text-sm text-gray-500">{new Date(decision.createdAt).toLocaleString()}</td>
+											<td className="px-4 py-2 text-sm text-gray-900">
+												{decision.signalType} {decision.symbol} {decision.timeframe && `(${decision.timeframe})`}
+											</td>
+											<td className="px-4 py-2 text-sm text-gray-900">
+												{decision.confidence != null ? `${(decision.confidence * 100).toFixed(1)}%` : '-'}
+												{decision.riskLevel && <span className="ml-1 text-xs text-gray-500">{decision.riskLevel}</span>}
+											</td>
+											<td className="px-4 py-2 text-sm">
+												<span className={`px-2 py-1 text-xs font-medium rounded-full ${getDecisionColor(decision.decision)}`}>
+													{decision.decision}
+												</span>
+											</td>
+											<td className="px-4 py-2 text-sm text-gray-500">{decision.reason}</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</div>
+					)}
+				</>
+			)}
+		</div>
+	);
+}
+
+export default SignalSubscriptionPanel;
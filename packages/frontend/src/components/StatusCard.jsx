@@ -1,6 +1,6 @@
 
 
-function StatusCard({ title, value, icon, color = 'blue', 'data-testid': testId }) {
+function StatusCard({ title, value, icon, color = 'blue', details, 'data-testid': testId }) {
 	const colorClasses = {
 		blue: 'bg-blue-50 text-blue-600 border-blue-200',
 		green: 'bg-green-50 text-green-600 border-green-200',
@@ -23,6 +23,9 @@ function StatusCard({ title, value, icon, color = 'blue', 'data-testid': testId
 					<p data-testid={`${testId}-value`} className={`text-2xl font-bold ${valueColorClasses[color]}`}>
 						{value}
 					</p>
+					{details && (
+						<p data-testid={`${testId}-details`} className="text-xs text-gray-500 mt-1">{details}</p>
+					)}
 				</div>
 				<div data-testid={`${testId}-icon`} className={`p-3 rounded-lg border ${colorClasses[color]}`}>
 					{icon}
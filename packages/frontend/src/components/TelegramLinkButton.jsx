@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { Send } from 'lucide-react';
+
+// Issues a one-time code that ties a Telegram user to this paper account. The bot only
+// accepts /link CODE in a private chat, so the code never has to leave this page.
+function TelegramLinkButton({ sendMessage, accountId }) {
+	const [link, setLink] = useState(null);
+	const [isLoading, setIsLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	// A code belongs to one account, drop it when the selection changes
+	useEffect(() => {
+		setLink(null);
+		setError('');
+	}, [accountId]);
+
+	const handleCreate = async () => {
+		setIsLoading(true);
+		try {
+			const response = await sendMessage('create_telegram_link_code', { accountId });
+			setLink(response);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error creating Telegram link code:', err);
+			setLink(null);
+			setError(err.message || 'Failed to create a Telegram link code');
+		} finally {
+			setIsLoading(false);
+		}
+	};
+
+	return (
+		<div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+			<button
+				type="button"
+				data-testid="telegram-link-button"
+				onClick={handleCreate}
+				disabled={isLoading}
+				className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+			>
+				<Send className="w-4 h-4" />
+				<span>{isLoading ? 'Creating code...' : 'Link Telegram'}</span>
+			</button>
+			{link && (
+				<span data-testid="telegram-link-code" className="text-gray-700">
+					Send <code className="px-1 bg-gray-100 rounded font-mono">/link {link.code}</code> to the bot
+					before {new Date(link.expiresAt).toLocaleTimeString()}
+				</span>
+			)}
+			{error && (
+				<span data-testid="telegram-link-error" className="text-red-600">{error}</span>
+			)}
+		</div>
+	);
+}
+
+export default TelegramLinkButton;
@@ -89,6 +89,32 @@ const useWebSocket = () => {
 						window.dispatchEvent(new CustomEvent('dataUpdated', { detail: data.data }));
 					} else if (data.type === 'connection_status') {
 						console.log('WebSocket connection status:', data.data.message);
+					} else if (data.type === 'paper_trading_position_closed') {
+						debouncedToast(data.data.message, data.data.realizedPnl >= 0 ? 'success' : 'warning', 5000);
+						window.dispatchEvent(new CustomEvent('websocket_message', {
+							detail: data
+						}));
+					} else if (data.type === 'paper_trading_order_cancelled') {
+						debouncedToast(data.data.message, 'info', 3000);
+						window.dispatchEvent(new CustomEvent('websocket_message', {
+							detail: data
+						}));
+					} else if (data.type === 'paper_trading_risk_blocked' ||
+						data.type === 'paper_trading_circuit_breaker') {
+						debouncedToast(data.data.message, data.type === 'paper_trading_circuit_breaker' ? 'error' : 'warning', 8000);
+						window.dispatchEvent(new CustomEvent('websocket_message', {
+							detail: data
+						}));
+					} else if (data.type === 'backtest_completed' || data.type === 'backtest_failed' ||
+						data.type === 'optimization_completed' || data.type === 'optimization_failed') {
+						debouncedToast(data.data.message, data.type.endsWith('_completed') ? 'success' : 'error', 5000);
+						window.dispatchEvent(new CustomEvent('websocket_message', {
+							detail: data
+						}));
+					} else if (data.type === 'backtest_progress' || data.type === 'optimization_progress') {
+						window.dispatchEvent(new CustomEvent('websocket_message', {
+							detail: data
+						}));
 					} else if (data.type === 'paper_trading_order_executed' ||
 						data.type === 'paper_trading_executed' ||
 						data.type === 'paper_trading_error') {
@@ -0,0 +1,568 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { FlaskConical, Play, RefreshCw, History } from 'lucide-react';
+import useWebSocket from '../hooks/useWebSocket';
+import OptimizerPanel from '../components/OptimizerPanel';
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+// Last 30 days as yyyy-mm-dd, the default window for a new run
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+const DEFAULT_CONFIG = {
+	cryptocurrency: 'BTCUSDT',
+	timeframe: '1h',
+	startDate: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+	endDate: toDateInput(new Date()),
+	strategy: 'technical',
+	aiMode: 'live',
+	initialBalance: '10000'
+};
+
+// Where AI-strategy runs get their decisions, see the backend AIDecisionCache
+const AI_MODES = [
+	{ value: 'live', label: 'Cached, ask AI on miss' },
+	{ value: 'replay', label: 'Cached only' },
+	{ value: 'stub', label: 'Offline stub' }
+];
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(2)}%`);
+
+// Ratios are stored as NULL when unbounded (no losing trade, no drawdown); runs saved before
+// these metrics existed have no Sharpe ratio either
+const formatRatio = (value, run) => {
+	if (value !== null && value !== undefined) return value.toFixed(2);
+	return run.sharpeRatio === null || run.sharpeRatio === undefined ? '—' : '∞';
+};
+
+// Drawdown length, e.g. "2d 3h", "45m"
+function formatDuration(seconds) {
+	if (seconds === null || seconds === undefined) return '—';
+
+	const minutes = Math.floor(seconds / 60);
+	if (minutes < 60) return `${minutes}m`;
+
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+	return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Run backtests on the server, follow their progress and browse past runs
+function Backtesting() {
+	const { sendMessage } = useWebSocket();
+	const [config, setConfig] = useState(DEFAULT_CONFIG);
+	const [runs, setRuns] = useState([]);
+	const [activeRun, setActiveRun] = useState(null);
+	const [detail, setDetail] = useState(null);
+	const [error, setError] = useState('');
+	const [isLoading, setIsLoading] = useState(true);
+
+	const fetchRuns = useCallback(async () => {
+		if (!sendMessage) return;
+
+		try {
+			const response = await sendMessage('get_backtest_results', { limit: 50 });
+			setRuns(response?.runs || []);
+			// Pick up a run started from another tab or before a reload
+			if (response?.activeRun) {
+				setActiveRun(current => current?.runId === response.activeRun.runId
+					? current
+					: { runId: response.activeRun.runId, percent: 0 });
+			}
+		} catch (err) {
+			console.error('❌ Error loading backtest runs:', err);
+			setError(err.message || 'Failed to load backtest runs');
+		} finally {
+			setIsLoading(false);
+		}
+	}, [sendMessage]);
+
+	const loadDetail = useCallback(async (id) => {
+		try {
+			const response = await sendMessage('get_backtest_detail', { id });
+			setDetail(response || null);
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading backtest detail:', err);
+			setError(err.message || 'Failed to load backtest');
+		}
+	}, [sendMessage]);
+
+	useEffect(() => {
+		fetchRuns();
+	}, [fetchRuns]);
+
+	// Follow the active run through the backtest_* broadcasts
+	useEffect(() => {
+		const handleWebSocketEvent = (event) => {
+			const message = event.detail;
+			if (!message?.type?.startsWith('backtest_') || message.data?.runId !== activeRun?.runId) return;
+
+			if (message.type === 'backtest_progress') {
+				setActiveRun(current => ({ ...current, percent: message.data.percent }));
+			} else if (message.type === 'backtest_completed') {
+				setActiveRun(null);
+				fetchRuns();
+				if (message.data.resultId) {
+					loadDetail(message.data.resultId);
+				}
+			} else if (message.type === 'backtest_failed') {
+				setActiveRun(null);
+				setError(message.data.error || 'Backtest failed');
+			}
+		};
+
+		window.addEventListener('websocket_message', handleWebSocketEvent);
+
+		return () => {
+			window.removeEventListener('websocket_message', handleWebSocketEvent);
+		};
+	}, [activeRun?.runId, fetchRuns, loadDetail]);
+
+	const handleConfigChange = (field, value) => {
+		setConfig(prev => ({ ...prev, [field]: value }));
+	};
+
+	const runRequest = {
+		...config,
+		cryptocurrency: config.cryptocurrency.trim().toUpperCase(),
+		initialBalance: parseFloat(config.initialBalance)
+	};
+	// Several comma-separated symbols run as one portfolio with shared cash
+	const symbols = runRequest.cryptocurrency.split(',').map(symbol => symbol.trim()).filter(Boolean);
+	const isPortfolio = symbols.length > 1;
+
+	// Strategy params come from the optimizer leaderboard; the form alone uses the defaults
+	const startRun = async (params = null) => {
+		try {
+			const { timeframe, startDate, endDate, strategy, aiMode, initialBalance } = runRequest;
+			const response = isPortfolio
+				? await sendMessage('run_portfolio_backtest', { symbols, timeframe, startDate, endDate, strategy, aiMode, initialBalance })
+				: await sendMessage('run_backtest', {
+					...runRequest,
+					strategy: params ? 'technical' : runRequest.strategy,
+					...(params && { params })
+				});
+			setActiveRun({ runId: response.runId, percent: 0 });
+			setError('');
+		} catch (err) {
+			console.error('❌ Error starting backtest:', err);
+			setError(err.message || 'Failed to start backtest');
+		}
+	};
+
+	const handleRun = (e) => {
+		e.preventDefault();
+		startRun();
+	};
+
+	const formatMoney = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+	const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+	const results = detail?.results;
+	const equityCurve = results?.equityCurve || [];
+
+	return (
+		<div className="p-6">
+			<div className="flex items-center justify-between mb-8">
+				<div>
+					<h1 data-testid="backtesting-title" className="text-3xl font-bold text-gray-900">Backtesting</h1>
+					<p className="text-gray-600">Replay a strategy over historical candles</p>
+				</div>
+				<button
+					type="button"
+					data-testid="backtesting-refresh"
+					onClick={fetchRuns}
+					className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+				>
+					<RefreshCw className="w-4 h-4" />
+					<span>Refresh</span>
+				</button>
+			</div>
+
+			{/* Run config */}
+			<form data-testid="backtest-form" onSubmit={handleRun} className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+				<div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-symbol">Symbols</label>
+						<input
+							id="backtest-symbol"
+							data-testid="backtest-symbol"
+							type="text"
+							placeholder="BTCUSDT, ETHUSDT"
+							value={config.cryptocurrency}
+							onChange={(e) => handleConfigChange('cryptocurrency', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-timeframe">Timeframe</label>
+						<select
+							id="backtest-timeframe"
+							data-testid="backtest-timeframe"
+							value={config.timeframe}
+							onChange={(e) => handleConfigChange('timeframe', e.target.value)}
+							className={inputClassName}
+						>
+							{TIMEFRAMES.map(timeframe => (
+								<option key={timeframe} value={timeframe}>{timeframe}</option>
+							))}
+						</select>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-start">Start</label>
+						<input
+							id="backtest-start"
+							data-testid="backtest-start"
+							type="date"
+							value={config.startDate}
+							onChange={(e) => handleConfigChange('startDate', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-end">End</label>
+						<input
+							id="backtest-end"
+							data-testid="backtest-end"
+							type="date"
+							value={config.endDate}
+							onChange={(e) => handleConfigChange('endDate', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-strategy">Strategy</label>
+						<select
+							id="backtest-strategy"
+							data-testid="backtest-strategy"
+							value={config.strategy}
+							onChange={(e) => handleConfigChange('strategy', e.target.value)}
+							className={inputClassName}
+						>
+							<option value="technical">Technical</option>
+							<option value="ai">AI</option>
+						</select>
+					</div>
+					{config.strategy === 'ai' && (
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-ai-mode">AI Decisions</label>
+							<select
+								id="backtest-ai-mode"
+								data-testid="backtest-ai-mode"
+								value={config.aiMode}
+								onChange={(e) => handleConfigChange('aiMode', e.target.value)}
+								className={inputClassName}
+							>
+								{AI_MODES.map(mode => (
+									<option key={mode.value} value={mode.value}>{mode.label}</option>
+								))}
+							</select>
+						</div>
+					)}
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtest-balance">Initial Balance</label>
+						<input
+							id="backtest-balance"
+							data-testid="backtest-balance"
+							type="number"
+							min="1"
+							value={config.initialBalance}
+							onChange={(e) => handleConfigChange('initialBalance', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+				</div>
+				<div className="flex items-center justify-between mt-4">
+					<p data-testid="backtest-error" className="text-sm text-red-600">{error}</p>
+					<button
+						type="submit"
+						data-testid="backtest-run"
+						disabled={!!activeRun}
+						className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors disabled:opacity-50"
+					>
+						<Play className="w-4 h-4" />
+						<span>{activeRun ? 'Running...' : 'Run Backtest'}</span>
+					</button>
+				</div>
+				{activeRun && (
+					<div data-testid="backtest-progress" className="mt-4">
+						<div className="flex justify-between text-sm text-gray-600 mb-1">
+							<span>Replaying candles</span>
+							<span data-testid="backtest-progress-percent">{(activeRun.percent || 0).toFixed(0)}%</span>
+						</div>
+						<div className="w-full bg-gray-200 rounded-full h-2">
+							<div className="bg-primary-500 h-2 rounded-full" style={{ width: `${activeRun.percent || 0}%` }}></div>
+						</div>
+					</div>
+				)}
+			</form>
+
+			{!isPortfolio && <OptimizerPanel sendMessage={sendMessage} config={runRequest} onBacktestParams={startRun} />}
+
+			{/* Selected run */}
+			{detail && (
+				<div data-testid="backtest-detail" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+					<div className="flex items-center space-x-2 mb-4">
+						<FlaskConical className="w-5 h-5 text-gray-700" />
+						<h2 className="text-xl font-semibold text-gray-900">
+							{detail.cryptocurrency} {detail.timeframe} · {detail.strategy}
+						</h2>
+					</div>
+					{results.aiDecisions && (
+						<p data-testid="backtest-detail-ai" className="text-sm text-gray-500 mb-4">
+							AI decisions ({results.aiDecisions.model}, {results.aiDecisions.promptVersion}): {results.aiDecisions.hits} cached,{' '}
+							{results.aiDecisions.recorded} recorded, {results.aiDecisions.misses - results.aiDecisions.recorded} missing
+						</p>
+					)}
+					{results.params && (
+						<p data-testid="backtest-detail-params" className="text-sm text-gray-500 font-mono mb-4">
+							{Object.entries(results.params).map(([name, value]) => `${name}=${value}`).join(', ')}
+						</p>
+					)}
+					<div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+						<div>
+							<p className="text-sm text-gray-600">Return</p>
+							<p data-testid="backtest-detail-return" className="text-xl font-bold text-gray-900">{formatPercent(detail.totalReturn)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Final Balance</p>
+							<p data-testid="backtest-detail-balance" className="text-xl font-bold text-gray-900">{formatMoney(detail.finalBalance)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Trades</p>
+							<p className="text-xl font-bold text-gray-900">{detail.totalTrades}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Win Rate</p>
+							<p className="text-xl font-bold text-gray-900">{formatPercent(detail.winRate)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Max Drawdown</p>
+							<p className="text-xl font-bold text-gray-900">{formatPercent(detail.maxDrawdown)}</p>
+						</div>
+					</div>
+
+					<div data-testid="backtest-metrics" className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6 pt-4 border-t border-gray-200">
+						<div>
+							<p className="text-sm text-gray-600">Buy &amp; Hold</p>
+							<p data-testid="backtest-metric-benchmark" className="text-lg font-semibold text-gray-900">{formatPercent(detail.benchmarkReturn)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Annualized Return</p>
+							<p className="text-lg font-semibold text-gray-900">{formatPercent(detail.annualizedReturn)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Sharpe</p>
+							<p data-testid="backtest-metric-sharpe" className="text-lg font-semibold text-gray-900">{formatRatio(detail.sharpeRatio, detail)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Sortino</p>
+							<p data-testid="backtest-metric-sortino" className="text-lg font-semibold text-gray-900">{formatRatio(detail.sortinoRatio, detail)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Calmar</p>
+							<p data-testid="backtest-metric-calmar" className="text-lg font-semibold text-gray-900">{formatRatio(detail.calmarRatio, detail)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Profit Factor</p>
+							<p data-testid="backtest-metric-profit-factor" className="text-lg font-semibold text-gray-900">{formatRatio(detail.profitFactor, detail)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Expectancy</p>
+							<p data-testid="backtest-metric-expectancy" className="text-lg font-semibold text-gray-900">
+								{detail.expectancy === null ? '—' : formatMoney(detail.expectancy)}
+							</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Avg Win / Loss</p>
+							<p className="text-lg font-semibold text-gray-900">
+								{detail.averageWin === null ? '—' : `${formatMoney(detail.averageWin)} / ${formatMoney(detail.averageLoss)}`}
+							</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Longest Drawdown</p>
+							<p data-testid="backtest-metric-drawdown-duration" className="text-lg font-semibold text-gray-900">{formatDuration(detail.longestDrawdownSeconds)}</p>
+						</div>
+						<div>
+							<p className="text-sm text-gray-600">Time in Market</p>
+							<p data-testid="backtest-metric-exposure" className="text-lg font-semibold text-gray-900">{formatPercent(detail.timeInMarket)}</p>
+						</div>
+					</div>
+
+					{equityCurve.length > 0 && (
+						<div data-testid="backtest-equity-chart" className="mb-6">
+							<ResponsiveContainer width="100%" height={300}>
+								<LineChart data={equityCurve}>
+									<CartesianGrid strokeDasharray="3 3" />
+									<XAxis
+										dataKey="timestamp"
+										tickFormatter={(value) => new Date(value).toLocaleDateString()}
+									/>
+									<YAxis domain={['auto', 'auto']} />
+									<Tooltip
+										labelFormatter={(value) => new Date(value).toLocaleString()}
+										formatter={(value) => [formatMoney(value), 'Equity']}
+									/>
+									<Line type="monotone" dataKey="equity" stroke="#3b82f6" strokeWidth={2} dot={false} />
+								</LineChart>
+							</ResponsiveContainer>
+						</div>
+					)}
+
+					{results.contributions && (
+						<div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+							<div className="overflow-x-auto">
+								<h3 className="text-sm font-semibold text-gray-700 mb-2">Contribution by Symbol</h3>
+								<table data-testid="backtest-contributions" className="min-w-full divide-y divide-gray-200">
+									<thead className="bg-gray-50">
+										<tr>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Net P&amp;L</th>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contribution</th>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trades</th>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Win Rate</th>
+											<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Risk Blocked</th>
+										</tr>
+									</thead>
+									<tbody className="bg-white divide-y divide-gray-200">
+										{results.contributions.map(contribution => (
+											<tr key={contribution.symbol} data-testid={`backtest-contribution-${contribution.symbol}`}>
+												<td className="px-4 py-2 text-sm text-gray-900">{contribution.symbol}</td>
+												<td className={`px-4 py-2 text-sm font-medium ${contribution.netPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatMoney(contribution.netPnl)}</td>
+												<td className="px-4 py-2 text-sm text-gray-900">{formatPercent(contribution.contributionPercent)}</td>
+												<td className="px-4 py-2 text-sm text-gray-900">{contribution.trades}</td>
+												<td className="px-4 py-2 text-sm text-gray-900">{formatPercent(contribution.winRate)}</td>
+												<td className="px-4 py-2 text-sm text-gray-900">{contribution.riskBlocked}</td>
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+							<div className="overflow-x-auto">
+								<h3 className="text-sm font-semibold text-gray-700 mb-2">Return Correlation</h3>
+								<table data-testid="backtest-correlation" className="min-w-full divide-y divide-gray-200">
+									<thead className="bg-gray-50">
+										<tr>
+											<th className="px-4 py-2"></th>
+											{results.correlation.symbols.map(symbol => (
+												<th key={symbol} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{symbol}</th>
+											))}
+										</tr>
+									</thead>
+									<tbody className="bg-white divide-y divide-gray-200">
+										{results.correlation.values.map((row, rowIndex) => (
+											<tr key={results.correlation.symbols[rowIndex]}>
+												<td className="px-4 py-2 text-xs font-medium text-gray-500 uppercase">{results.correlation.symbols[rowIndex]}</td>
+												{row.map((value, columnIndex) => (
+													<td
+														key={results.correlation.symbols[columnIndex]}
+														data-testid={`backtest-correlation-${rowIndex}-${columnIndex}`}
+														className="px-4 py-2 text-sm text-gray-900"
+													>
+														{value === null ? '—' : value.toFixed(2)}
+													</td>
+												))}
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+						</div>
+					)}
+
+					{results.trades?.length > 0 ? (
+						<div className="overflow-x-auto">
+							<table data-testid="backtest-trades" className="min-w-full divide-y divide-gray-200">
+								<thead className="bg-gray-50">
+									<tr>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+										{results.symbols && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>}
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Side</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commission</th>
+										<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Profit</th>
+									</tr>
+								</thead>
+								<tbody className="bg-white divide-y divide-gray-200">
+									{results.trades.map((trade, index) => (
+										<tr key={`${trade.time}-${index}`} data-testid={`backtest-trade-${index}`}>
+											<td className="px-4 py-3 text-sm text-gray-900">{new Date(trade.time).toLocaleString()}</td>
+											{results.symbols && <td className="px-4 py-3 text-sm text-gray-900">{trade.symbol}</td>}
+											<td className="px-4 py-3 text-sm">
+												<span className={`px-2 py-0.5 text-xs rounded-full ${trade.type === 'BUY' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{trade.type}</span>
+											</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatMoney(trade.price)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{trade.quantity.toFixed(6)}</td>
+											<td className="px-4 py-3 text-sm text-gray-900">{formatMoney(trade.commission)}</td>
+											<td className={`px-4 py-3 text-sm font-medium ${trade.profit > 0 ? 'text-green-600' : trade.profit < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+												{trade.profit !== undefined ? formatMoney(trade.profit) : '—'}
+											</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</div>
+					) : (
+						<p className="text-sm text-gray-500">No trades were made in this run</p>
+					)}
+				</div>
+			)}
+
+			{/* Past runs */}
+			<div className="bg-white rounded-lg shadow-md border border-gray-200">
+				<div className="p-6 border-b border-gray-200 flex items-center space-x-2">
+					<History className="w-5 h-5 text-gray-700" />
+					<h2 className="text-xl font-semibold text-gray-900">Past Runs</h2>
+				</div>
+				{isLoading && runs.length === 0 ? (
+					<div data-testid="backtest-runs-loading" className="flex items-center justify-center h-32">
+						<div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+					</div>
+				) : runs.length === 0 ? (
+					<p data-testid="backtest-runs-empty" className="p-6 text-sm text-gray-500">No backtests have been run yet</p>
+				) : (
+					<div className="overflow-x-auto">
+						<table data-testid="backtest-runs" className="min-w-full divide-y divide-gray-200">
+							<thead className="bg-gray-50">
+								<tr>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Strategy</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Buy &amp; Hold</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sharpe</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trades</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Max DD</th>
+								</tr>
+							</thead>
+							<tbody className="bg-white divide-y divide-gray-200">
+								{runs.map(run => (
+									<tr
+										key={run.id}
+										data-testid={`backtest-run-${run.id}`}
+										onClick={() => loadDetail(run.id)}
+										className={`cursor-pointer hover:bg-gray-50 ${detail?.id === run.id ? 'bg-primary-50' : ''}`}
+									>
+										<td className="px-4 py-3 text-sm text-gray-900">{new Date(run.createdAt).toLocaleString()}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{run.cryptocurrency} {run.timeframe}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{run.startDate} → {run.endDate}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{run.strategy}</td>
+										<td className={`px-4 py-3 text-sm font-medium ${run.totalReturn >= 0 ? 'text-success-600' : 'text-danger-600'}`}>{formatPercent(run.totalReturn)}</td>
+										<td className="px-4 py-3 text-sm text-gray-500">{formatPercent(run.benchmarkReturn)}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{formatRatio(run.sharpeRatio, run)}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{run.totalTrades}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{formatPercent(run.maxDrawdown)}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default Backtesting;
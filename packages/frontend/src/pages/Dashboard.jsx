@@ -1,10 +1,35 @@
 import { useState, useEffect } from 'react';
-import { TrendingUp, TrendingDown, Activity, DollarSign, Users, Clock } from 'lucide-react';
+import { TrendingUp, TrendingDown, Activity, DollarSign, Users, Clock, HeartPulse } from 'lucide-react';
 import SignalChart from '../components/SignalChart';
 import RecentSignals from '../components/RecentSignals';
 import StatusCard from '../components/StatusCard';
 import useWebSocket from '../hooks/useWebSocket';
 
+// The backend caches its dependency probes, polling faster would only return cached results
+const HEALTH_POLL_MS = 30000;
+
+const HEALTH_LABELS = {
+	ready: { label: 'Ready', color: 'green' },
+	degraded: { label: 'Degraded', color: 'yellow' },
+	not_ready: { label: 'Not Ready', color: 'red' }
+};
+
+const DEPENDENCY_NAMES = {
+	database: 'Database',
+	binance: 'Binance',
+	openai: 'OpenAI',
+	telegram: 'Telegram'
+};
+
+const describeHealth = (health) => {
+	if (!health) return 'Checking…';
+	if (!health.checks) return health.error;
+	const problems = Object.entries(health.checks)
+		.filter(([, check]) => check.status !== 'up')
+		.map(([name, check]) => `${DEPENDENCY_NAMES[name] || name} ${check.status}`);
+	return problems.length > 0 ? problems.join(' · ') : 'All dependencies up';
+};
+
 function Dashboard() {
 	const [stats, setStats] = useState({
 		totalSignals: 0,
@@ -19,8 +44,33 @@ function Dashboard() {
 	const [isLoading, setIsLoading] = useState(true);
 	const [lastUpdate, setLastUpdate] = useState(0);
 	const [retryCount, setRetryCount] = useState(0);
+	const [health, setHealth] = useState(null);
 	const { sendMessage } = useWebSocket();
 
+	useEffect(() => {
+		let cancelled = false;
+
+		// Readiness answers 503 with the same body when a critical dependency is down
+		const fetchHealth = async () => {
+			try {
+				const response = await fetch('/api/health/ready');
+				const body = await response.json();
+				if (!cancelled) setHealth(body);
+			} catch (error) {
+				console.error('Error fetching backend health:', error);
+				if (!cancelled) setHealth({ status: 'unreachable', error: 'Backend unreachable' });
+			}
+		};
+
+		fetchHealth();
+		const interval = setInterval(fetchHealth, HEALTH_POLL_MS);
+
+		return () => {
+			cancelled = true;
+			clearInterval(interval);
+		};
+	}, []);
+
 	useEffect(() => {
 		// Try to fetch data when sendMessage is available
 		const fetchDashboardData = async () => {
@@ -105,7 +155,7 @@ function Dashboard() {
 			</div>
 
 			{/* Stats Cards */}
-			<div data-testid="stats-cards" className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+			<div data-testid="stats-cards" className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
 				<StatusCard
 					data-testid="total-signals-card"
 					title="Total Signals"
@@ -134,6 +184,14 @@ function Dashboard() {
 					icon={<DollarSign className="w-6 h-6" />}
 					color={(stats.avgProfitLoss || 0) >= 0 ? "green" : "red"}
 				/>
+				<StatusCard
+					data-testid="system-health-card"
+					title="System Health"
+					value={health ? (HEALTH_LABELS[health.status]?.label || 'Unreachable') : '…'}
+					details={describeHealth(health)}
+					icon={<HeartPulse className="w-6 h-6" />}
+					color={health ? (HEALTH_LABELS[health.status]?.color || 'red') : 'blue'}
+				/>
 			</div>
 
 			{/* Charts and Recent Signals */}
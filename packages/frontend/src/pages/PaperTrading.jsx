@@ -2,6 +2,9 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import useWebSocket from '../hooks/useWebSocket';
 // import { useToast } from '../context/ToastContext';
 import WebSocketErrorBoundary from '../components/WebSocketErrorBoundary';
+import SignalSubscriptionPanel from '../components/SignalSubscriptionPanel';
+import EquityCurvePanel from '../components/EquityCurvePanel';
+import TelegramLinkButton from '../components/TelegramLinkButton';
 import {
 	TrendingUp,
 	TrendingDown,
@@ -13,6 +16,27 @@ import {
 	Eye
 } from 'lucide-react';
 
+// Order types the paper trading engine can work, with the fields each one needs
+const ORDER_TYPE_OPTIONS = [
+	{ value: 'MARKET', label: 'Market' },
+	{ value: 'LIMIT', label: 'Limit' },
+	{ value: 'STOP', label: 'Stop' },
+	{ value: 'STOP_LIMIT', label: 'Stop Limit' },
+	{ value: 'TRAILING_STOP', label: 'Trailing Stop' }
+];
+
+const EMPTY_ORDER_FORM = {
+	symbol: 'BTCUSDT',
+	side: 'BUY',
+	type: 'MARKET',
+	quantity: '',
+	price: '',
+	stopPrice: '',
+	trailingPercent: '',
+	stopLoss: '',
+	takeProfit: ''
+};
+
 function PaperTrading() {
 	const { sendMessage } = useWebSocket();
 	// const { showToast } = useToast();
@@ -27,6 +51,9 @@ function PaperTrading() {
 	});
 	const [ordersLimit, setOrdersLimit] = useState('all'); // 'all' or number
 	const [showLimitSelector, setShowLimitSelector] = useState(false);
+	const [orderForm, setOrderForm] = useState(EMPTY_ORDER_FORM);
+	const [orderError, setOrderError] = useState('');
+	const [isSubmittingOrder, setIsSubmittingOrder] = useState(false);
 
 
 
@@ -170,6 +197,77 @@ function PaperTrading() {
 		console.log(`🔄 [DEBUG] ===== handleOrdersLimitChange END =====`);
 	}, [saveUserSetting]);
 
+	// Cancel a pending limit order and release its reserved balance
+	const handleCancelOrder = useCallback(async (orderId) => {
+		try {
+			await sendMessage('cancel_paper_trading_order', { orderId });
+			await fetchPaperTradingData();
+		} catch (error) {
+			console.error('❌ Error cancelling order:', error);
+		}
+	}, [sendMessage, fetchPaperTradingData]);
+
+	// Turn short selling on or off for the selected account
+	const handleToggleShortSelling = async (enabled) => {
+		try {
+			await sendMessage('set_paper_trading_short_selling', { accountId: selectedAccount, enabled });
+			await fetchPaperTradingData();
+		} catch (error) {
+			console.error('❌ Error updating short selling:', error);
+		}
+	};
+
+	// Update a single order form field
+	const handleOrderFormChange = (field, value) => {
+		setOrderForm(prev => ({ ...prev, [field]: value }));
+		setOrderError('');
+	};
+
+	// Submit the order form through create_paper_trading_order
+	const handleSubmitOrder = async (event) => {
+		event.preventDefault();
+
+		if (!selectedAccount) {
+			setOrderError('Select an account first');
+			return;
+		}
+
+		const toNumber = (value) => (value === '' ? undefined : parseFloat(value));
+		const orderData = {
+			accountId: selectedAccount,
+			symbol: orderForm.symbol.trim().toUpperCase(),
+			side: orderForm.side,
+			type: orderForm.type,
+			quantity: toNumber(orderForm.quantity),
+			price: toNumber(orderForm.price),
+			stopPrice: toNumber(orderForm.stopPrice),
+			trailingPercent: toNumber(orderForm.trailingPercent),
+			stopLoss: toNumber(orderForm.stopLoss),
+			takeProfit: toNumber(orderForm.takeProfit)
+		};
+
+		if (!orderData.symbol || !(orderData.quantity > 0)) {
+			setOrderError('Symbol and a positive quantity are required');
+			return;
+		}
+
+		setIsSubmittingOrder(true);
+		try {
+			await sendMessage('create_paper_trading_order', { orderData });
+			setOrderForm(prev => ({ ...EMPTY_ORDER_FORM, symbol: prev.symbol, side: prev.side, type: prev.type }));
+			await fetchPaperTradingData();
+		} catch (error) {
+			console.error('❌ Error placing order:', error);
+			setOrderError(error.message);
+		} finally {
+			setIsSubmittingOrder(false);
+		}
+	};
+
+	const needsLimitPrice = orderForm.type === 'LIMIT' || orderForm.type === 'STOP_LIMIT';
+	const needsStopPrice = orderForm.type === 'STOP' || orderForm.type === 'STOP_LIMIT';
+	const needsTrailingPercent = orderForm.type === 'TRAILING_STOP';
+
 	// Refresh data
 	const handleRefresh = () => {
 		fetchPaperTradingData();
@@ -249,6 +347,8 @@ function PaperTrading() {
 				// Update data when new orders are executed or errors occur
 				if (message.type === 'paper_trading_order_executed' ||
 					message.type === 'paper_trading_executed' ||
+					message.type === 'paper_trading_position_closed' ||
+					message.type === 'paper_trading_order_cancelled' ||
 					message.type === 'paper_trading_error') {
 					console.log('🔄 Paper trading update received, refreshing data from database...');
 					console.log(`🔍 [DEBUG] WebSocket message type: ${message.type}`);
@@ -278,6 +378,13 @@ function PaperTrading() {
 		return account ? (account.balance || 0) : 0;
 	};
 
+	// Calculate balance held by open limit orders
+	const calculateReservedBalance = () => {
+		if (!accounts.length || !selectedAccount) return 0;
+		const account = accounts.find(acc => acc.id === selectedAccount);
+		return account ? (account.reservedBalance || 0) : 0;
+	};
+
 	// Calculate total equity
 	const calculateTotalEquity = () => {
 		if (!accounts.length || !selectedAccount) return 0;
@@ -495,6 +602,21 @@ function PaperTrading() {
 							</>
 						)}
 					</select>
+					{selectedAccount && (
+						<label data-testid="short-selling-toggle" className="flex items-center space-x-2 mt-3 text-sm text-gray-700">
+							<input
+								type="checkbox"
+								data-testid="short-selling-checkbox"
+								checked={!!accounts.find(acc => acc.id === selectedAccount)?.shortSellingEnabled}
+								onChange={(e) => handleToggleShortSelling(e.target.checked)}
+								className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+							/>
+							<span>Allow short selling (SELL without a position opens a SHORT)</span>
+						</label>
+					)}
+					{selectedAccount && (
+						<TelegramLinkButton accountId={selectedAccount} sendMessage={sendMessage} />
+					)}
 				</div>
 
 				{/* Summary Cards */}
@@ -518,6 +640,11 @@ function PaperTrading() {
 								<p data-testid="current-balance-value" className="text-2xl font-bold text-blue-600">
 									${(calculateCurrentBalance() || 0).toFixed(2)}
 								</p>
+								{calculateReservedBalance() > 0 && (
+									<p data-testid="reserved-balance-value" className="text-xs text-gray-500">
+										${calculateReservedBalance().toFixed(2)} reserved in open orders
+									</p>
+								)}
 							</div>
 							<DollarSign className="w-8 h-8 text-blue-500" />
 						</div>
@@ -564,6 +691,154 @@ function PaperTrading() {
 					</div>
 				</div>
 
+				{/* Equity history */}
+				<EquityCurvePanel accountId={selectedAccount} sendMessage={sendMessage} />
+
+				{/* New Order */}
+				<form data-testid="order-form" onSubmit={handleSubmitOrder} className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+					<h2 data-testid="order-form-title" className="text-xl font-semibold text-gray-900 mb-4">New Order</h2>
+					<div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-symbol">Symbol</label>
+							<input
+								id="order-symbol"
+								data-testid="order-symbol-input"
+								type="text"
+								value={orderForm.symbol}
+								onChange={(e) => handleOrderFormChange('symbol', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							/>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-side">Side</label>
+							<select
+								id="order-side"
+								data-testid="order-side-select"
+								value={orderForm.side}
+								onChange={(e) => handleOrderFormChange('side', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							>
+								<option value="BUY">Buy</option>
+								<option value="SELL">Sell</option>
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-type">Type</label>
+							<select
+								id="order-type"
+								data-testid="order-type-select"
+								value={orderForm.type}
+								onChange={(e) => handleOrderFormChange('type', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							>
+								{ORDER_TYPE_OPTIONS.map(option => (
+									<option key={option.value} value={option.value}>{option.label}</option>
+								))}
+							</select>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-quantity">Quantity</label>
+							<input
+								id="order-quantity"
+								data-testid="order-quantity-input"
+								type="number"
+								step="any"
+								min="0"
+								value={orderForm.quantity}
+								onChange={(e) => handleOrderFormChange('quantity', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							/>
+						</div>
+						{needsLimitPrice && (
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-price">Limit Price</label>
+								<input
+									id="order-price"
+									data-testid="order-price-input"
+									type="number"
+									step="any"
+									min="0"
+									value={orderForm.price}
+									onChange={(e) => handleOrderFormChange('price', e.target.value)}
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+						)}
+						{needsStopPrice && (
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-stop-price">Stop Price</label>
+								<input
+									id="order-stop-price"
+									data-testid="order-stop-price-input"
+									type="number"
+									step="any"
+									min="0"
+									value={orderForm.stopPrice}
+									onChange={(e) => handleOrderFormChange('stopPrice', e.target.value)}
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+						)}
+						{needsTrailingPercent && (
+							<div>
+								<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-trailing-percent">Trailing %</label>
+								<input
+									id="order-trailing-percent"
+									data-testid="order-trailing-percent-input"
+									type="number"
+									step="any"
+									min="0"
+									max="100"
+									value={orderForm.trailingPercent}
+									onChange={(e) => handleOrderFormChange('trailingPercent', e.target.value)}
+									className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+								/>
+							</div>
+						)}
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-stop-loss">Stop Loss</label>
+							<input
+								id="order-stop-loss"
+								data-testid="order-stop-loss-input"
+								type="number"
+								step="any"
+								min="0"
+								value={orderForm.stopLoss}
+								onChange={(e) => handleOrderFormChange('stopLoss', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							/>
+						</div>
+						<div>
+							<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="order-take-profit">Take Profit</label>
+							<input
+								id="order-take-profit"
+								data-testid="order-take-profit-input"
+								type="number"
+								step="any"
+								min="0"
+								value={orderForm.takeProfit}
+								onChange={(e) => handleOrderFormChange('takeProfit', e.target.value)}
+								className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+							/>
+						</div>
+					</div>
+					<div className="flex items-center justify-between mt-4">
+						<p data-testid="order-form-error" className="text-sm text-red-600">{orderError}</p>
+						<button
+							type="submit"
+							data-testid="order-submit-button"
+							disabled={isSubmittingOrder || !selectedAccount}
+							className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors disabled:opacity-50"
+						>
+							<Plus className="w-4 h-4" />
+							<span>{isSubmittingOrder ? 'Placing...' : 'Place Order'}</span>
+						</button>
+					</div>
+				</form>
+
+				{/* Auto-trading signal subscription */}
+				<SignalSubscriptionPanel accountId={selectedAccount} sendMessage={sendMessage} />
+
 				{/* Positions */}
 				<div data-testid="positions-section" className="bg-white rounded-lg shadow-md border border-gray-200 mb-8">
 					<div className="p-6 border-b border-gray-200">
@@ -599,6 +874,9 @@ function PaperTrading() {
 									<th data-testid="positions-unrealized-pnl-header" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
 										Unrealized P&L
 									</th>
+									<th data-testid="positions-exit-levels-header" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+										SL / TP
+									</th>
 									<th data-testid="positions-actions-header" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
 										Actions
 									</th>
@@ -607,13 +885,13 @@ function PaperTrading() {
 							<tbody className="bg-white divide-y divide-gray-200">
 								{!selectedAccount ? (
 									<tr>
-										<td colSpan="8" data-testid="no-account-selected" className="px-6 py-4 text-center text-gray-500">
+										<td colSpan="9" data-testid="no-account-selected" className="px-6 py-4 text-center text-gray-500">
 											Please select an account
 										</td>
 									</tr>
 								) : filteredPositions.length === 0 ? (
 									<tr>
-										<td colSpan="8" data-testid="no-positions" className="px-6 py-4 text-center text-gray-500">
+										<td colSpan="9" data-testid="no-positions" className="px-6 py-4 text-center text-gray-500">
 											No active positions
 										</td>
 									</tr>
@@ -649,6 +927,11 @@ function PaperTrading() {
 													{(position.unrealizedPnl || 0) >= 0 ? '+' : ''}${(position.unrealizedPnl || 0)?.toFixed(2) || '0.00'}
 												</span>
 											</td>
+											<td data-testid={`position-exit-levels-${position.id}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+												<span className="text-red-600">{position.stopLoss ? `$${position.stopLoss.toFixed(2)}` : '—'}</span>
+												{' / '}
+												<span className="text-green-600">{position.takeProfit ? `$${position.takeProfit.toFixed(2)}` : '—'}</span>
+											</td>
 											<td data-testid={`position-actions-${position.id}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
 												<button data-testid={`position-view-button-${position.id}`} className="text-primary-600 hover:text-primary-900">
 													<Eye className="w-4 h-4" />
@@ -728,7 +1011,20 @@ function PaperTrading() {
 												{order.quantity}
 											</td>
 											<td data-testid={`order-price-${order.id}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-												${order.executionPrice?.toFixed(2) || 'N/A'}
+												${(order.executionPrice ?? order.price)?.toFixed(2) || 'N/A'}
+												{order.type && order.type !== 'MARKET' && (
+													<span className="ml-1 text-xs text-gray-400">{order.type.replace('_', ' ')}</span>
+												)}
+												{order.status === 'PENDING' && order.stopPrice != null && (
+													<span data-testid={`order-stop-price-${order.id}`} className="block text-xs text-gray-400">
+														stop ${order.stopPrice.toFixed(2)}{order.trailingPercent ? ` (${order.trailingPercent}% trail)` : ''}
+													</span>
+												)}
+												{order.status === 'FILLED' && order.expectedPrice != null && order.slippageBps != null && (
+													<span data-testid={`order-slippage-${order.id}`} className={`block text-xs ${order.slippageBps > 0 ? 'text-red-500' : 'text-gray-400'}`}>
+														exp ${order.expectedPrice.toFixed(2)} · {order.slippageBps.toFixed(1)} bps
+													</span>
+												)}
 											</td>
 											<td data-testid={`order-status-${order.id}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
 												<span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${order.status === 'FILLED'
@@ -739,6 +1035,23 @@ function PaperTrading() {
 													}`}>
 													{order.status}
 												</span>
+												{order.exitReason && order.exitReason !== 'MANUAL' && (
+													<span data-testid={`order-exit-reason-${order.id}`} className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${order.exitReason === 'TAKE_PROFIT'
+														? 'bg-green-100 text-green-800'
+														: 'bg-red-100 text-red-800'
+														}`}>
+														{order.exitReason === 'TAKE_PROFIT' ? 'Take Profit' : 'Stop Loss'}
+													</span>
+												)}
+												{order.status === 'PENDING' && (
+													<button
+														data-testid={`order-cancel-button-${order.id}`}
+														onClick={() => handleCancelOrder(order.id)}
+														className="ml-2 text-xs text-red-600 hover:text-red-800"
+													>
+														Cancel
+													</button>
+												)}
 											</td>
 											<td data-testid={`order-date-${order.id}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
 												{order.createdAt ? new Date(order.createdAt).toLocaleString() : 'N/A'}
@@ -0,0 +1,344 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BookOpen, RefreshCw } from 'lucide-react';
+import useWebSocket from '../hooks/useWebSocket';
+import ReconciliationPanel from '../components/ReconciliationPanel';
+
+const EMPTY_FILTERS = {
+	accountId: '',
+	symbol: '',
+	side: '',
+	outcome: '',
+	exitReason: '',
+	signalId: '',
+	from: '',
+	to: ''
+};
+
+const EXIT_REASONS = ['SIGNAL', 'STOP_LOSS', 'TAKE_PROFIT', 'MANUAL', 'MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT', 'TRAILING_STOP'];
+
+// Human-readable holding time, e.g. "2d 3h", "45m", "30s"
+function formatHoldingTime(seconds) {
+	if (seconds === null || seconds === undefined) return '—';
+	if (seconds < 60) return `${Math.round(seconds)}s`;
+
+	const minutes = Math.floor(seconds / 60);
+	if (minutes < 60) return `${minutes}m`;
+
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+	return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Round-trip trades from the closed_trades journal, filterable by account, symbol, outcome and signal
+function TradeJournal() {
+	const { sendMessage } = useWebSocket();
+	const [accounts, setAccounts] = useState([]);
+	const [filters, setFilters] = useState(EMPTY_FILTERS);
+	const [journal, setJournal] = useState({ trades: [], summary: null });
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState('');
+
+	const fetchAccounts = useCallback(async () => {
+		if (!sendMessage) return;
+
+		try {
+			const response = await sendMessage('get_paper_trading_accounts');
+			setAccounts(Array.isArray(response) ? response : response?.data || []);
+		} catch (err) {
+			console.error('❌ Error loading paper trading accounts:', err);
+		}
+	}, [sendMessage]);
+
+	const fetchTrades = useCallback(async () => {
+		if (!sendMessage) return;
+
+		setIsLoading(true);
+		try {
+			// Only send the filters that are set; dates are sent as ISO timestamps
+			const payload = { limit: 200 };
+			Object.entries(filters).forEach(([key, value]) => {
+				if (value === '') return;
+				if (key === 'from') payload.from = new Date(value).toISOString();
+				else if (key === 'to') payload.to = new Date(`${value}T23:59:59.999`).toISOString();
+				else if (key === 'signalId') payload.signalId = parseInt(value, 10);
+				else if (key === 'symbol') payload.symbol = value.trim().toUpperCase();
+				else payload[key] = value;
+			});
+
+			const response = await sendMessage('get_closed_trades', payload);
+			setJournal({ trades: response?.trades || [], summary: response?.summary || null });
+			setError('');
+		} catch (err) {
+			console.error('❌ Error loading trade journal:', err);
+			setError(err.message || 'Failed to load trade journal');
+		} finally {
+			setIsLoading(false);
+		}
+	}, [sendMessage, filters]);
+
+	useEffect(() => {
+		fetchAccounts();
+	}, [fetchAccounts]);
+
+	useEffect(() => {
+		fetchTrades();
+	}, [fetchTrades]);
+
+	const handleFilterChange = (field, value) => {
+		setFilters(prev => ({ ...prev, [field]: value }));
+	};
+
+	const formatMoney = (value) => {
+		const amount = value || 0;
+		return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+	};
+
+	const getPnlColor = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-900');
+
+	const { trades, summary } = journal;
+	const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+	return (
+		<div className="p-6">
+			<div className="flex items-center justify-between mb-8">
+				<div>
+					<h1 data-testid="trade-journal-title" className="text-3xl font-bold text-gray-900">Trade Journal</h1>
+					<p className="text-gray-600">Closed paper trades with entry/exit attribution</p>
+				</div>
+				<button
+					type="button"
+					data-testid="trade-journal-refresh"
+					onClick={fetchTrades}
+					className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+				>
+					<RefreshCw className="w-4 h-4" />
+					<span>Refresh</span>
+				</button>
+			</div>
+
+			{/* Filters */}
+			<div data-testid="trade-journal-filters" className="bg-white rounded-lg shadow-md border border-gray-200 p-6 mb-8">
+				<div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-account">Account</label>
+						<select
+							id="journal-account"
+							data-testid="journal-account-filter"
+							value={filters.accountId}
+							onChange={(e) => handleFilterChange('accountId', e.target.value)}
+							className={inputClassName}
+						>
+							<option value="">All accounts</option>
+							{accounts.map(account => (
+								<option key={account.id} data-testid={`journal-account-option-${account.id}`} value={account.id}>{account.name || account.id}</option>
+							))}
+						</select>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-symbol">Symbol</label>
+						<input
+							id="journal-symbol"
+							data-testid="journal-symbol-filter"
+							type="text"
+							value={filters.symbol}
+							onChange={(e) => handleFilterChange('symbol', e.target.value)}
+							placeholder="BTCUSDT"
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-side">Side</label>
+						<select
+							id="journal-side"
+							data-testid="journal-side-filter"
+							value={filters.side}
+							onChange={(e) => handleFilterChange('side', e.target.value)}
+							className={inputClassName}
+						>
+							<option value="">All</option>
+							<option value="LONG">LONG</option>
+							<option value="SHORT">SHORT</option>
+						</select>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-outcome">Outcome</label>
+						<select
+							id="journal-outcome"
+							data-testid="journal-outcome-filter"
+							value={filters.outcome}
+							onChange={(e) => handleFilterChange('outcome', e.target.value)}
+							className={inputClassName}
+						>
+							<option value="">All</option>
+							<option value="WIN">Winners</option>
+							<option value="LOSS">Losers</option>
+						</select>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-exit-reason">Exit Reason</label>
+						<select
+							id="journal-exit-reason"
+							data-testid="journal-exit-reason-filter"
+							value={filters.exitReason}
+							onChange={(e) => handleFilterChange('exitReason', e.target.value)}
+							className={inputClassName}
+						>
+							<option value="">All</option>
+							{EXIT_REASONS.map(reason => (
+								<option key={reason} value={reason}>{reason.replace('_', ' ')}</option>
+							))}
+						</select>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-signal">Signal ID</label>
+						<input
+							id="journal-signal"
+							data-testid="journal-signal-filter"
+							type="number"
+							min="1"
+							value={filters.signalId}
+							onChange={(e) => handleFilterChange('signalId', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-from">From</label>
+						<input
+							id="journal-from"
+							data-testid="journal-from-filter"
+							type="date"
+							value={filters.from}
+							onChange={(e) => handleFilterChange('from', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="journal-to">To</label>
+						<input
+							id="journal-to"
+							data-testid="journal-to-filter"
+							type="date"
+							value={filters.to}
+							onChange={(e) => handleFilterChange('to', e.target.value)}
+							className={inputClassName}
+						/>
+					</div>
+				</div>
+				<div className="flex justify-end mt-4">
+					<button
+						type="button"
+						data-testid="journal-clear-filters"
+						onClick={() => setFilters(EMPTY_FILTERS)}
+						className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+					>
+						Clear Filters
+					</button>
+				</div>
+			</div>
+
+			{filters.accountId && (
+				<ReconciliationPanel
+					key={filters.accountId}
+					sendMessage={sendMessage}
+					accountId={filters.accountId}
+					from={filters.from}
+					to={filters.to}
+				/>
+			)}
+
+			{/* Summary */}
+			{summary && (
+				<div data-testid="trade-journal-summary" className="grid grid-cols-2 md:grid-cols-5 gap-6 mb-8">
+					<div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+						<p className="text-sm font-medium text-gray-600">Trades</p>
+						<p data-testid="journal-summary-count" className="text-2xl font-bold text-gray-900">{summary.count}</p>
+					</div>
+					<div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+						<p className="text-sm font-medium text-gray-600">Win Rate</p>
+						<p data-testid="journal-summary-win-rate" className="text-2xl font-bold text-gray-900">{summary.winRate.toFixed(1)}%</p>
+					</div>
+					<div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+						<p className="text-sm font-medium text-gray-600">Net P&L</p>
+						<p data-testid="journal-summary-net-pnl" className={`text-2xl font-bold ${getPnlColor(summary.netPnl)}`}>{formatMoney(summary.netPnl)}</p>
+					</div>
+					<div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+						<p className="text-sm font-medium text-gray-600">Fees</p>
+						<p data-testid="journal-summary-fees" className="text-2xl font-bold text-gray-900">{formatMoney(summary.fees)}</p>
+					</div>
+					<div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+						<p className="text-sm font-medium text-gray-600">Avg Holding</p>
+						<p data-testid="journal-summary-holding" className="text-2xl font-bold text-gray-900">{formatHoldingTime(summary.avgHoldingSeconds)}</p>
+					</div>
+				</div>
+			)}
+
+			{/* Trades */}
+			<div className="bg-white rounded-lg shadow-md border border-gray-200">
+				<div className="p-6 border-b border-gray-200 flex items-center space-x-2">
+					<BookOpen className="w-5 h-5 text-gray-700" />
+					<h2 className="text-xl font-semibold text-gray-900">Closed Trades</h2>
+				</div>
+				<p data-testid="trade-journal-error" className="px-6 text-sm text-red-600">{error}</p>
+				{isLoading && trades.length === 0 ? (
+					<div data-testid="trade-journal-loading" className="flex items-center justify-center h-32">
+						<div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+					</div>
+				) : trades.length === 0 ? (
+					<p data-testid="trade-journal-empty" className="p-6 text-sm text-gray-500">No closed trades match these filters</p>
+				) : (
+					<div className="overflow-x-auto">
+						<table data-testid="trade-journal-table" className="min-w-full divide-y divide-gray-200">
+							<thead className="bg-gray-50">
+								<tr>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry / Exit</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Held</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fees</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Net P&L</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MAE / MFE</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exit</th>
+									<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signals</th>
+								</tr>
+							</thead>
+							<tbody className="bg-white divide-y divide-gray-200">
+								{trades.map(trade => (
+									<tr key={trade.id} data-testid={`closed-trade-${trade.id}`}>
+										<td className="px-4 py-3 text-sm text-gray-900">{new Date(trade.closedAt).toLocaleString()}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">
+											<span className="font-medium">{trade.symbol}</span>
+											<span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${trade.side === 'LONG' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{trade.side}</span>
+										</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{trade.quantity}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">${trade.entryPrice.toFixed(2)} → ${trade.exitPrice.toFixed(2)}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{formatHoldingTime(trade.holdingSeconds)}</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{formatMoney((trade.entryFees || 0) + (trade.exitFees || 0))}</td>
+										<td data-testid={`closed-trade-pnl-${trade.id}`} className={`px-4 py-3 text-sm font-medium ${getPnlColor(trade.netPnl)}`}>
+											{formatMoney(trade.netPnl)}
+											{trade.returnPercent !== null && trade.returnPercent !== undefined && (
+												<span className="ml-1 text-xs">({trade.returnPercent.toFixed(2)}%)</span>
+											)}
+										</td>
+										<td className="px-4 py-3 text-sm">
+											<span className="text-red-600">{formatMoney(trade.mae)}</span>
+											<span className="text-gray-400"> / </span>
+											<span className="text-green-600">{formatMoney(trade.mfe)}</span>
+										</td>
+										<td className="px-4 py-3 text-sm text-gray-900">{trade.exitReason?.replace('_', ' ') || '—'}</td>
+										<td data-testid={`closed-trade-signals-${trade.id}`} className="px-4 py-3 text-sm text-gray-500">
+											{trade.entrySignalId ? `#${trade.entrySignalId}` : '—'} → {trade.exitSignalId ? `#${trade.exitSignalId}` : '—'}
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default TradeJournal;
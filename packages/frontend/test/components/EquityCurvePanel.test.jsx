@@ -0,0 +1,66 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import EquityCurvePanel from '../../src/components/EquityCurvePanel';
+
+const history = {
+	accountId: 'account1',
+	maxDrawdownPercent: 10,
+	points: [
+		{ createdAt: '2024-01-01T00:00:00Z', equity: 10000, peakEquity: 10000, drawdown: 0, drawdownPercent: 0 },
+		{ createdAt: '2024-01-01T01:00:00Z', equity: 11000, peakEquity: 11000, drawdown: 0, drawdownPercent: 0 },
+		{ createdAt: '2024-01-01T02:00:00Z', equity: 9900, peakEquity: 11000, drawdown: 1100, drawdownPercent: 10 },
+		{ createdAt: '2024-01-01T03:00:00Z', equity: 10500, peakEquity: 11000, drawdown: 500, drawdownPercent: 4.55 }
+	]
+};
+
+describe('EquityCurvePanel', () => {
+	beforeAll(() => {
+		// ResponsiveContainer measures its parent, which jsdom does not implement
+		vi.stubGlobal('ResizeObserver', class {
+			observe() {}
+			unobserve() {}
+			disconnect() {}
+		});
+	});
+
+	it('should not fetch anything until it is opened', () => {
+		const sendMessage = vi.fn().mockResolvedValue(history);
+		render(<EquityCurvePanel accountId="account1" sendMessage={sendMessage} />);
+
+		expect(screen.getByTestId('equity-curve-panel')).toBeInTheDocument();
+		expect(sendMessage).not.toHaveBeenCalled();
+	});
+
+	it('should show the change and max drawdown for the range', async () => {
+		const sendMessage = vi.fn().mockResolvedValue(history);
+		render(<EquityCurvePanel accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('equity-curve-toggle'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('equity-change')).toHaveTextContent('+$500.00 (5.00%)');
+		});
+		expect(screen.getByTestId('equity-max-drawdown')).toHaveTextContent('Max drawdown: 10.00%');
+		expect(screen.getByTestId('equity-curve-chart')).toBeInTheDocument();
+		expect(sendMessage).toHaveBeenCalledWith('get_paper_trading_equity_history', expect.objectContaining({
+			accountId: 'account1',
+			from: expect.any(String)
+		}));
+	});
+
+	it('should request the full history for the All range', async () => {
+		const sendMessage = vi.fn().mockResolvedValue({ accountId: 'account1', maxDrawdownPercent: 0, points: [] });
+		render(<EquityCurvePanel accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('equity-curve-toggle'));
+		await waitFor(() => {
+			expect(screen.getByTestId('equity-curve-empty')).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByTestId('equity-range-all'));
+
+		await waitFor(() => {
+			expect(sendMessage).toHaveBeenLastCalledWith('get_paper_trading_equity_history', { accountId: 'account1', from: undefined });
+		});
+	});
+});
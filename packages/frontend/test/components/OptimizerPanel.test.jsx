@@ -0,0 +1,103 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import OptimizerPanel from '../../src/components/OptimizerPanel';
+
+const config = {
+	cryptocurrency: 'BTCUSDT',
+	timeframe: '1h',
+	startDate: '2024-01-01',
+	endDate: '2024-03-01',
+	strategy: 'technical',
+	initialBalance: 10000
+};
+
+const run = {
+	id: 'optimization_1',
+	cryptocurrency: 'BTCUSDT',
+	timeframe: '1h',
+	method: 'grid',
+	objective: 'sharpe',
+	createdAt: '2024-03-01T00:00:00Z'
+};
+
+const leaderboard = {
+	...run,
+	walkForward: [],
+	leaderboard: [
+		{ rank: 1, params: { rsiOversold: 25, rsiOverbought: 75 }, score: 1.84, inSampleScore: 2.1, totalReturn: 6.2, sharpeRatio: 1.84, profitFactor: null, maxDrawdown: 3.1, totalTrades: 8 },
+		{ rank: 2, params: { rsiOversold: 30, rsiOverbought: 70 }, score: 0.92, inSampleScore: 1.5, totalReturn: 2.4, sharpeRatio: 0.92, profitFactor: 1.6, maxDrawdown: 4.8, totalTrades: 12 }
+	]
+};
+
+describe('OptimizerPanel', () => {
+	let sendMessage;
+
+	beforeEach(() => {
+		sendMessage = vi.fn(async (type) => {
+			if (type === 'get_optimization_runs') return { runs: [run], activeRun: null };
+			if (type === 'get_optimization_leaderboard') return leaderboard;
+			if (type === 'run_optimization') return { runId: 'optimization_job_1', status: 'RUNNING' };
+			return null;
+		});
+	});
+
+	it('should load the latest leaderboard only when opened', async () => {
+		const onBacktestParams = vi.fn();
+		render(<OptimizerPanel sendMessage={sendMessage} config={config} onBacktestParams={onBacktestParams} />);
+		expect(sendMessage).not.toHaveBeenCalled();
+
+		fireEvent.click(screen.getByTestId('optimizer-toggle'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('optimizer-entry-1')).toHaveTextContent('rsiOversold=25, rsiOverbought=75');
+		});
+		expect(screen.getByTestId('optimizer-entry-1')).toHaveTextContent('∞');
+		expect(sendMessage).toHaveBeenCalledWith('get_optimization_leaderboard', { runId: 'optimization_1', limit: 20 });
+
+		fireEvent.click(screen.getByTestId('optimizer-backtest-2'));
+		expect(onBacktestParams).toHaveBeenCalledWith({ rsiOversold: 30, rsiOverbought: 70 });
+	});
+
+	it('should start a random search and reload runs when it completes', async () => {
+		render(<OptimizerPanel sendMessage={sendMessage} config={config} onBacktestParams={vi.fn()} />);
+		fireEvent.click(screen.getByTestId('optimizer-toggle'));
+		await waitFor(() => {
+			expect(screen.getByTestId('optimizer-leaderboard')).toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByTestId('optimizer-method'), { target: { value: 'random' } });
+		fireEvent.change(screen.getByTestId('optimizer-samples'), { target: { value: '12' } });
+		fireEvent.change(screen.getByTestId('optimizer-objective'), { target: { value: 'maxDrawdown' } });
+		fireEvent.click(screen.getByTestId('optimizer-run'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('optimizer-run')).toHaveTextContent('Optimizing 0%');
+		});
+		expect(sendMessage).toHaveBeenCalledWith('run_optimization', expect.objectContaining({
+			cryptocurrency: 'BTCUSDT',
+			method: 'random',
+			objective: 'maxDrawdown',
+			folds: 3,
+			samples: 12
+		}));
+
+		act(() => {
+			window.dispatchEvent(new CustomEvent('websocket_message', {
+				detail: { type: 'optimization_progress', data: { runId: 'optimization_job_1', percent: 50 } }
+			}));
+		});
+		expect(screen.getByTestId('optimizer-run')).toHaveTextContent('Optimizing 50%');
+
+		sendMessage.mockClear();
+		act(() => {
+			window.dispatchEvent(new CustomEvent('websocket_message', {
+				detail: { type: 'optimization_completed', data: { runId: 'optimization_job_1', optimizationId: 'optimization_1' } }
+			}));
+		});
+
+		await waitFor(() => {
+			expect(sendMessage).toHaveBeenCalledWith('get_optimization_runs', { limit: 20 });
+		});
+		expect(screen.getByTestId('optimizer-run')).toHaveTextContent('Optimize');
+	});
+});
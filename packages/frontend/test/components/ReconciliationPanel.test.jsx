@@ -0,0 +1,107 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ReconciliationPanel from '../../src/components/ReconciliationPanel';
+
+const reportSummary = {
+	paperTrades: 3,
+	matched: 2,
+	divergentTrades: 2,
+	divergences: { SLIPPAGE: 1, TIMING: 0, MISSING_SIGNAL: 1, PNL: 0 },
+	paperNetPnl: 120.5,
+	backtestNetPnl: 150,
+	averageEntryPricePercent: 0.25
+};
+
+const report = {
+	id: 'reconciliation_1',
+	accountId: 'account1',
+	symbols: ['BTCUSDT'],
+	timeframe: '1h',
+	strategy: 'ai',
+	createdAt: '2024-03-01T00:00:00Z',
+	summary: reportSummary,
+	trades: [
+		{
+			symbol: 'BTCUSDT',
+			status: 'MATCHED',
+			causes: ['SLIPPAGE'],
+			reason: null,
+			paper: { entryPrice: 50250, exitPrice: 52000 },
+			backtest: { entryPrice: 50000, exitPrice: 52000 },
+			diff: { entryDelaySeconds: 120, returnPercent: -0.5 }
+		},
+		{
+			symbol: 'BTCUSDT',
+			status: 'MISSING_IN_PAPER',
+			causes: ['MISSING_SIGNAL'],
+			reason: 'Signal skipped by the account: Insufficient balance',
+			paper: null,
+			backtest: { entryPrice: 48000, exitPrice: 47000 },
+			diff: null
+		}
+	]
+};
+
+describe('ReconciliationPanel', () => {
+	let sendMessage;
+
+	beforeEach(() => {
+		sendMessage = vi.fn(async (type) => {
+			if (type === 'get_reconciliation_reports') return { reports: [{ ...report, trades: undefined }], activeRun: null };
+			if (type === 'get_reconciliation_report') return report;
+			if (type === 'run_reconciliation') return { runId: 'reconciliation_job_1', status: 'RUNNING' };
+			return null;
+		});
+	});
+
+	it('should show the latest report for the account when opened', async () => {
+		render(<ReconciliationPanel sendMessage={sendMessage} accountId="account1" from="" to="" />);
+		expect(sendMessage).not.toHaveBeenCalled();
+
+		fireEvent.click(screen.getByTestId('reconciliation-toggle'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('reconciliation-row-0')).toHaveTextContent('Slippage');
+		});
+		expect(sendMessage).toHaveBeenCalledWith('get_reconciliation_reports', { accountId: 'account1', limit: 20 });
+		expect(screen.getByTestId('reconciliation-row-0')).toHaveTextContent('+2m');
+		expect(screen.getByTestId('reconciliation-row-1')).toHaveTextContent('Backtest only');
+		expect(screen.getByTestId('reconciliation-row-1')).toHaveTextContent('Insufficient balance');
+		expect(screen.getByTestId('reconciliation-summary-matched')).toHaveTextContent('2 / 3');
+		expect(screen.getByTestId('reconciliation-summary-causes')).toHaveTextContent('Slippage 1, Missing signal 1');
+	});
+
+	it('should replay the filtered window and reload reports when it completes', async () => {
+		render(<ReconciliationPanel sendMessage={sendMessage} accountId="account1" from="2024-01-01" to="2024-01-31" />);
+		fireEvent.click(screen.getByTestId('reconciliation-toggle'));
+		await waitFor(() => {
+			expect(screen.getByTestId('reconciliation-trades')).toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByTestId('reconciliation-strategy'), { target: { value: 'technical' } });
+		fireEvent.change(screen.getByTestId('reconciliation-timeframe'), { target: { value: '4h' } });
+		fireEvent.click(screen.getByTestId('reconciliation-run'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('reconciliation-run')).toHaveTextContent('Replaying 0%');
+		});
+		expect(sendMessage).toHaveBeenCalledWith('run_reconciliation', expect.objectContaining({
+			accountId: 'account1',
+			strategy: 'technical',
+			timeframe: '4h',
+			startDate: new Date('2024-01-01').toISOString()
+		}));
+
+		sendMessage.mockClear();
+		act(() => {
+			window.dispatchEvent(new CustomEvent('websocket_message', {
+				detail: { type: 'reconciliation_completed', data: { runId: 'reconciliation_job_1', reportId: 'reconciliation_2' } }
+			}));
+		});
+
+		await waitFor(() => {
+			expect(sendMessage).toHaveBeenCalledWith('get_reconciliation_reports', { accountId: 'account1', limit: 20 });
+		});
+		expect(screen.getByTestId('reconciliation-run')).toHaveTextContent('Reconcile');
+	});
+});
@@ -12,7 +12,9 @@ vi.mock('lucide-react', () => ({
 	Bot: () => <div data-testid="bot-icon">Bot</div>,
 	Wifi: () => <div data-testid="wifi-icon">Wifi</div>,
 	WifiOff: () => <div data-testid="wifi-off-icon">WifiOff</div>,
-	TrendingUp: () => <div data-testid="trending-up-icon">TrendingUp</div>
+	TrendingUp: () => <div data-testid="trending-up-icon">TrendingUp</div>,
+	BookOpen: () => <div data-testid="book-open-icon">BookOpen</div>,
+	FlaskConical: () => <div data-testid="flask-conical-icon">FlaskConical</div>
 }));
 
 // Wrapper component to provide router context
@@ -69,6 +71,8 @@ describe('Sidebar Component', () => {
 			expect(screen.getByTestId('signals-text')).toBeInTheDocument();
 			expect(screen.getByTestId('analytics-text')).toBeInTheDocument();
 			expect(screen.getByTestId('paper-trading-text')).toBeInTheDocument();
+			expect(screen.getByTestId('trade-journal-text')).toBeInTheDocument();
+			expect(screen.getByTestId('backtesting-text')).toBeInTheDocument();
 			expect(screen.getByTestId('configuration-text')).toBeInTheDocument();
 		});
 
@@ -79,6 +83,8 @@ describe('Sidebar Component', () => {
 			expect(screen.getByTestId('sidebar-signals')).toBeInTheDocument();
 			expect(screen.getByTestId('sidebar-analytics')).toBeInTheDocument();
 			expect(screen.getByTestId('sidebar-paper-trading')).toBeInTheDocument();
+			expect(screen.getByTestId('sidebar-trade-journal')).toBeInTheDocument();
+			expect(screen.getByTestId('sidebar-backtesting')).toBeInTheDocument();
 			expect(screen.getByTestId('sidebar-configuration')).toBeInTheDocument();
 		});
 
@@ -0,0 +1,83 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import SignalSubscriptionPanel from '../../src/components/SignalSubscriptionPanel';
+
+const decisions = [
+	{
+		id: 1,
+		signalId: 42,
+		accountId: 'account1',
+		symbol: 'ETHUSDT',
+		timeframe: '1h',
+		signalType: 'BUY',
+		confidence: 0.72,
+		riskLevel: 'HIGH',
+		decision: 'SKIPPED',
+		reason: 'Symbol ETHUSDT not subscribed',
+		createdAt: '2024-01-01T00:00:00Z'
+	}
+];
+
+const createSendMessage = () => vi.fn(async (type, payload) => {
+	switch (type) {
+		case 'get_signal_subscription':
+			return { accountId: payload.accountId, subscription: { symbols: ['BTCUSDT'], timeframes: ['4h'], minConfidence: 0.8, riskLevels: ['LOW'] } };
+		case 'get_signal_decisions':
+			return decisions;
+		case 'set_signal_subscription':
+			return { accountId: payload.accountId, subscription: payload.subscription };
+		default:
+			return null;
+	}
+});
+
+describe('SignalSubscriptionPanel', () => {
+	it('should not fetch anything until it is opened', () => {
+		const sendMessage = createSendMessage();
+		render(<SignalSubscriptionPanel accountId="account1" sendMessage={sendMessage} />);
+
+		expect(screen.getByTestId('signal-subscription-panel')).toBeInTheDocument();
+		expect(sendMessage).not.toHaveBeenCalled();
+	});
+
+	it('should show the stored subscription and recent decisions', async () => {
+		const sendMessage = createSendMessage();
+		render(<SignalSubscriptionPanel accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('signal-subscription-toggle'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('subscription-symbols-input')).toHaveValue('BTCUSDT');
+		});
+		expect(screen.getByTestId('subscription-timeframes-input')).toHaveValue('4h');
+		expect(screen.getByTestId('subscription-min-confidence-input')).toHaveValue(80);
+		expect(screen.getByTestId('subscription-risk-low')).toBeChecked();
+		expect(screen.getByTestId('signal-decision-1')).toHaveTextContent('Symbol ETHUSDT not subscribed');
+	});
+
+	it('should save the subscription with confidence as a fraction', async () => {
+		const sendMessage = createSendMessage();
+		render(<SignalSubscriptionPanel accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('signal-subscription-toggle'));
+		await waitFor(() => {
+			expect(screen.getByTestId('subscription-symbols-input')).toHaveValue('BTCUSDT');
+		});
+
+		fireEvent.change(screen.getByTestId('subscription-min-confidence-input'), { target: { value: '90' } });
+		fireEvent.click(screen.getByTestId('subscription-risk-medium'));
+		fireEvent.click(screen.getByTestId('signal-subscription-save'));
+
+		await waitFor(() => {
+			expect(sendMessage).toHaveBeenCalledWith('set_signal_subscription', {
+				accountId: 'account1',
+				subscription: {
+					symbols: 'BTCUSDT',
+					timeframes: '4h',
+					minConfidence: 0.9,
+					riskLevels: ['LOW', 'MEDIUM']
+				}
+			});
+		});
+	});
+});
@@ -0,0 +1,36 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import TelegramLinkButton from '../../src/components/TelegramLinkButton';
+
+describe('TelegramLinkButton', () => {
+	it('should request a link code for the account and show the bot command', async () => {
+		const sendMessage = vi.fn().mockResolvedValue({
+			accountId: 'account1',
+			userId: 'user1',
+			code: 'K7P2QX',
+			expiresAt: '2024-03-01T10:10:00Z'
+		});
+		render(<TelegramLinkButton accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('telegram-link-button'));
+
+		await waitFor(() => expect(screen.getByTestId('telegram-link-code')).toHaveTextContent('/link K7P2QX'));
+		expect(sendMessage).toHaveBeenCalledWith('create_telegram_link_code', { accountId: 'account1' });
+	});
+
+	it('should show the error and clear the code when the account changes', async () => {
+		const sendMessage = vi.fn()
+			.mockResolvedValueOnce({ code: 'K7P2QX', expiresAt: '2024-03-01T10:10:00Z' })
+			.mockRejectedValueOnce(new Error('Telegram bot is not configured'));
+		const { rerender } = render(<TelegramLinkButton accountId="account1" sendMessage={sendMessage} />);
+
+		fireEvent.click(screen.getByTestId('telegram-link-button'));
+		await waitFor(() => expect(screen.getByTestId('telegram-link-code')).toBeInTheDocument());
+
+		rerender(<TelegramLinkButton accountId="account2" sendMessage={sendMessage} />);
+		expect(screen.queryByTestId('telegram-link-code')).not.toBeInTheDocument();
+
+		fireEvent.click(screen.getByTestId('telegram-link-button'));
+		await waitFor(() => expect(screen.getByTestId('telegram-link-error')).toHaveTextContent('Telegram bot is not configured'));
+	});
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import Backtesting from '../../src/pages/Backtesting';
+
+const mockSendMessage = vi.fn();
+
+vi.mock('../../src/hooks/useWebSocket', () => ({
+	default: () => ({ sendMessage: mockSendMessage, isConnected: true })
+}));
+
+const run = {
+	id: 3,
+	cryptocurrency: 'BTCUSDT',
+	timeframe: '1h',
+	startDate: '2024-01-01',
+	endDate: '2024-01-10',
+	strategy: 'technical',
+	initialBalance: 10000,
+	finalBalance: 10450,
+	totalReturn: 4.5,
+	totalTrades: 2,
+	winRate: 100,
+	maxDrawdown: 1.2,
+	annualizedReturn: 320.5,
+	sharpeRatio: 2.41,
+	sortinoRatio: 3.87,
+	calmarRatio: 267.08,
+	profitFactor: null,
+	expectancy: 455.52,
+	averageWin: 455.52,
+	averageLoss: 0,
+	longestDrawdownSeconds: 90000,
+	timeInMarket: 62.5,
+	benchmarkReturn: 5,
+	createdAt: '2024-01-10T12:00:00Z'
+};
+
+const detail = {
+	...run,
+	results: {
+		initialBalance: 10000,
+		finalBalance: 10450,
+		totalReturn: 4.5,
+		totalTrades: 2,
+		winRate: 100,
+		maxDrawdown: 1.2,
+		trades: [
+			{ type: 'BUY', price: 40000, quantity: 0.2375, commission: 9.5, time: 1704067200000 },
+			{ type: 'SELL', price: 42000, quantity: 0.2375, commission: 9.98, profit: 475, time: 1704153600000 }
+		],
+		equityCurve: [
+			{ timestamp: 1704067200000, equity: 10000, price: 40000 },
+			{ timestamp: 1704153600000, equity: 10450, price: 42000 }
+		]
+	}
+};
+
+const emit = (type, data) => {
+	act(() => {
+		window.dispatchEvent(new CustomEvent('websocket_message', { detail: { type, data } }));
+	});
+};
+
+describe('Backtesting', () => {
+	beforeAll(() => {
+		// ResponsiveContainer measures its parent, which jsdom does not implement
+		vi.stubGlobal('ResizeObserver', class {
+			observe() {}
+			unobserve() {}
+			disconnect() {}
+		});
+	});
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mockSendMessage.mockImplementation(async (type) => {
+			if (type === 'get_backtest_results') return { runs: [run], activeRun: null };
+			if (type === 'get_backtest_detail') return detail;
+			if (type === 'run_backtest') return { runId: 'backtest_1', status: 'RUNNING' };
+			return null;
+		});
+	});
+
+	it('should list past runs and open one with its trades and equity curve', async () => {
+		render(<Backtesting />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-run-3')).toHaveTextContent('4.50%');
+		});
+
+		fireEvent.click(screen.getByTestId('backtest-run-3'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-detail')).toBeInTheDocument();
+		});
+		expect(mockSendMessage).toHaveBeenCalledWith('get_backtest_detail', { id: 3 });
+		expect(screen.getByTestId('backtest-detail-balance')).toHaveTextContent('$10450.00');
+		expect(screen.getByTestId('backtest-equity-chart')).toBeInTheDocument();
+		expect(screen.getByTestId('backtest-trade-1')).toHaveTextContent('$475.00');
+	});
+
+	it('should show risk-adjusted metrics against buy and hold', async () => {
+		mockSendMessage.mockImplementation(async (type) => {
+			if (type === 'get_backtest_results') return { runs: [run, { ...run, id: 2, totalReturn: -2, sharpeRatio: null, benchmarkReturn: null }], activeRun: null };
+			if (type === 'get_backtest_detail') return detail;
+			return null;
+		});
+		render(<Backtesting />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-run-3')).toHaveTextContent('2.41');
+		});
+		expect(screen.getByTestId('backtest-run-3')).toHaveTextContent('5.00%');
+		// Runs saved before the metrics existed show dashes
+		expect(screen.getByTestId('backtest-run-2')).toHaveTextContent('-2.00%');
+		expect(screen.getByTestId('backtest-run-2')).toHaveTextContent('—');
+
+		fireEvent.click(screen.getByTestId('backtest-run-3'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-metrics')).toBeInTheDocument();
+		});
+		expect(screen.getByTestId('backtest-detail-return')).toHaveTextContent('4.50%');
+		expect(screen.getByTestId('backtest-metric-benchmark')).toHaveTextContent('5.00%');
+		expect(screen.getByTestId('backtest-metric-sortino')).toHaveTextContent('3.87');
+		expect(screen.getByTestId('backtest-metric-profit-factor')).toHaveTextContent('∞');
+		expect(screen.getByTestId('backtest-metric-expectancy')).toHaveTextContent('$455.52');
+		expect(screen.getByTestId('backtest-metric-drawdown-duration')).toHaveTextContent('1d 1h');
+		expect(screen.getByTestId('backtest-metric-exposure')).toHaveTextContent('62.50%');
+	});
+
+	it('should start a run and follow its progress until it completes', async () => {
+		render(<Backtesting />);
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-runs')).toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByTestId('backtest-symbol'), { target: { value: 'ethusdt' } });
+		fireEvent.change(screen.getByTestId('backtest-balance'), { target: { value: '5000' } });
+		fireEvent.click(screen.getByTestId('backtest-run'));
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-progress')).toBeInTheDocument();
+		});
+		expect(mockSendMessage).toHaveBeenCalledWith('run_backtest', expect.objectContaining({
+			cryptocurrency: 'ETHUSDT',
+			initialBalance: 5000,
+			strategy: 'technical'
+		}));
+
+		// Progress for other runs is ignored
+		emit('backtest_progress', { runId: 'backtest_other', percent: 90 });
+		emit('backtest_progress', { runId: 'backtest_1', percent: 40 });
+		expect(screen.getByTestId('backtest-progress-percent')).toHaveTextContent('40%');
+
+		emit('backtest_completed', { runId: 'backtest_1', resultId: 3 });
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-detail')).toBeInTheDocument();
+		});
+		expect(screen.queryByTestId('backtest-progress')).not.toBeInTheDocument();
+	});
+
+	it('should run several symbols as a portfolio and show contributions and correlations', async () => {
+		const portfolioDetail = {
+			...run,
+			id: 4,
+			cryptocurrency: 'BTCUSDT,ETHUSDT',
+			results: {
+				...detail.results,
+				symbols: ['BTCUSDT', 'ETHUSDT'],
+				trades: [{ ...detail.results.trades[0], symbol: 'ETHUSDT' }],
+				contributions: [
+					{ symbol: 'BTCUSDT', netPnl: 300, contributionPercent: 3, trades: 2, winRate: 50, riskBlocked: 0 },
+					{ symbol: 'ETHUSDT', netPnl: 150, contributionPercent: 1.5, trades: 1, winRate: 100, riskBlocked: 2 }
+				],
+				correlation: { symbols: ['BTCUSDT', 'ETHUSDT'], values: [[1, 0.63], [0.63, 1]] }
+			}
+		};
+		mockSendMessage.mockImplementation(async (type) => {
+			if (type === 'get_backtest_results') return { runs: [run], activeRun: null };
+			if (type === 'get_backtest_detail') return portfolioDetail;
+			if (type === 'run_portfolio_backtest') return { runId: 'backtest_2', status: 'RUNNING' };
+			return null;
+		});
+		render(<Backtesting />);
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-runs')).toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByTestId('backtest-symbol'), { target: { value: 'btcusdt, ethusdt' } });
+		expect(screen.queryByTestId('optimizer-panel')).not.toBeInTheDocument();
+		fireEvent.click(screen.getByTestId('backtest-run'));
+
+		await waitFor(() => {
+			expect(mockSendMessage).toHaveBeenCalledWith('run_portfolio_backtest', expect.objectContaining({
+				symbols: ['BTCUSDT', 'ETHUSDT'],
+				initialBalance: 10000
+			}));
+		});
+
+		emit('backtest_completed', { runId: 'backtest_2', resultId: 4 });
+
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-contributions')).toBeInTheDocument();
+		});
+		expect(screen.getByTestId('backtest-contribution-ETHUSDT')).toHaveTextContent('$150.00');
+		expect(screen.getByTestId('backtest-contribution-ETHUSDT')).toHaveTextContent('1.50%');
+		expect(screen.getByTestId('backtest-correlation-0-1')).toHaveTextContent('0.63');
+		expect(screen.getByTestId('backtest-trade-0')).toHaveTextContent('ETHUSDT');
+	});
+
+	it('should pick where AI decisions come from for AI runs', async () => {
+		render(<Backtesting />);
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-runs')).toBeInTheDocument();
+		});
+		expect(screen.queryByTestId('backtest-ai-mode')).not.toBeInTheDocument();
+
+		fireEvent.change(screen.getByTestId('backtest-strategy'), { target: { value: 'ai' } });
+		fireEvent.change(screen.getByTestId('backtest-ai-mode'), { target: { value: 'stub' } });
+		fireEvent.click(screen.getByTestId('backtest-run'));
+
+		await waitFor(() => {
+			expect(mockSendMessage).toHaveBeenCalledWith('run_backtest', expect.objectContaining({ strategy: 'ai', aiMode: 'stub' }));
+		});
+	});
+
+	it('should show the error when a run fails', async () => {
+		render(<Backtesting />);
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-runs')).toBeInTheDocument();
+		});
+
+		fireEvent.click(screen.getByTestId('backtest-run'));
+		await waitFor(() => {
+			expect(screen.getByTestId('backtest-progress')).toBeInTheDocument();
+		});
+
+		emit('backtest_failed', { runId: 'backtest_1', error: 'No historical data available for the specified period' });
+
+		expect(screen.getByTestId('backtest-error')).toHaveTextContent('No historical data available');
+		expect(screen.queryByTestId('backtest-progress')).not.toBeInTheDocument();
+	});
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import Dashboard from '../../src/pages/Dashboard';
+
+const mockSendMessage = vi.fn();
+
+vi.mock('../../src/hooks/useWebSocket', () => ({
+	default: () => ({ sendMessage: mockSendMessage, isConnected: true })
+}));
+
+const readiness = (status, checks) => ({
+	ok: status !== 'not_ready',
+	json: async () => ({ status, version: '1.0.0', uptime: 120, checks })
+});
+
+describe('Dashboard', () => {
+	beforeAll(() => {
+		// ResponsiveContainer measures its parent, which jsdom does not implement
+		vi.stubGlobal('ResizeObserver', class {
+			observe() {}
+			unobserve() {}
+			disconnect() {}
+		});
+	});
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mockSendMessage.mockImplementation(async (type) => {
+			if (type === 'get_stats') return { total_signals: 12, profitable_signals: 7, losing_signals: 5, avg_profit_loss: 1.5 };
+			if (type === 'get_signals') return [];
+			if (type === 'get_signals_chart') return [];
+			return null;
+		});
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('should show the readiness of the backend and which dependencies are down', async () => {
+		const fetchMock = vi.fn(async () => readiness('degraded', {
+			database: { status: 'up', critical: true },
+			binance: { status: 'up', critical: true },
+			openai: { status: 'down', critical: false, error: 'Connection test failed' },
+			telegram: { status: 'disabled', critical: false }
+		}));
+		vi.stubGlobal('fetch', fetchMock);
+
+		render(<Dashboard />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('system-health-card-value')).toHaveTextContent('Degraded');
+		});
+		expect(fetchMock).toHaveBeenCalledWith('/api/health/ready');
+		expect(screen.getByTestId('system-health-card-details')).toHaveTextContent('OpenAI down · Telegram disabled');
+		expect(screen.getByTestId('total-signals-card-value')).toHaveTextContent('12');
+	});
+
+	it('should report the backend as unreachable when the health check fails', async () => {
+		vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('Failed to fetch'); }));
+
+		render(<Dashboard />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('system-health-card-value')).toHaveTextContent('Unreachable');
+		});
+		expect(screen.getByTestId('system-health-card-details')).toHaveTextContent('Backend unreachable');
+	});
+});
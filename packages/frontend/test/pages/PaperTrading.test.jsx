@@ -359,4 +359,79 @@ describe('PaperTrading Orders Limit Dropdown', () => {
 			});
 		});
 	});
+
+	describe('Order Form', () => {
+		beforeEach(() => {
+			// Answer by message type so concurrent initial fetches can't take each other's responses
+			mockSendMessage.mockReset();
+			mockSendMessage.mockImplementation(async (type) => {
+				switch (type) {
+					case 'get_user_setting':
+						return { settingValue: 'all' };
+					case 'get_paper_trading_accounts':
+						return { data: mockAccounts };
+					case 'get_paper_trading_positions':
+						return { data: mockPositions };
+					case 'get_paper_trading_orders':
+						return { data: mockOrders };
+					default:
+						return {};
+				}
+			});
+		});
+
+		// The page reloads after auto-selecting the first account, so wait for that to settle
+		const waitForOrderForm = async () => {
+			await waitFor(() => {
+				expect(screen.getByTestId('account-selector')).toHaveValue('account1');
+			}, { timeout: 5000 });
+
+			await waitFor(() => {
+				expect(screen.queryByTestId('loading-spinner')).not.toBeInTheDocument();
+				expect(screen.getByTestId('order-submit-button')).not.toBeDisabled();
+			}, { timeout: 5000 });
+		};
+
+		it('should send stop orders with their stop price', async () => {
+			renderPaperTrading();
+
+			await waitForOrderForm();
+
+			fireEvent.change(screen.getByTestId('order-type-select'), { target: { value: 'STOP' } });
+			expect(screen.queryByTestId('order-price-input')).not.toBeInTheDocument();
+
+			fireEvent.change(screen.getByTestId('order-quantity-input'), { target: { value: '0.1' } });
+			fireEvent.change(screen.getByTestId('order-stop-price-input'), { target: { value: '51000' } });
+
+			await act(async () => {
+				fireEvent.click(screen.getByTestId('order-submit-button'));
+			});
+
+			await waitFor(() => {
+				expect(mockSendMessage).toHaveBeenCalledWith('create_paper_trading_order', {
+					orderData: expect.objectContaining({
+						accountId: 'account1',
+						symbol: 'BTCUSDT',
+						side: 'BUY',
+						type: 'STOP',
+						quantity: 0.1,
+						stopPrice: 51000
+					})
+				});
+			});
+		});
+
+		it('should ask for a quantity before submitting', async () => {
+			renderPaperTrading();
+
+			await waitForOrderForm();
+
+			await act(async () => {
+				fireEvent.click(screen.getByTestId('order-submit-button'));
+			});
+
+			expect(screen.getByTestId('order-form-error')).toHaveTextContent('positive quantity');
+			expect(mockSendMessage).not.toHaveBeenCalledWith('create_paper_trading_order', expect.anything());
+		});
+	});
 });
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TradeJournal from '../../src/pages/TradeJournal';
+
+const mockSendMessage = vi.fn();
+
+vi.mock('../../src/hooks/useWebSocket', () => ({
+	default: () => ({ sendMessage: mockSendMessage, isConnected: true })
+}));
+
+const journal = {
+	trades: [
+		{
+			id: 'trade_1',
+			accountId: 'account1',
+			symbol: 'BTCUSDT',
+			side: 'LONG',
+			quantity: 0.1,
+			entryPrice: 50000,
+			exitPrice: 52000,
+			entrySignalId: 7,
+			exitSignalId: 9,
+			exitReason: 'SIGNAL',
+			closedAt: '2024-01-02T00:00:00Z',
+			holdingSeconds: 90000,
+			entryFees: 5,
+			exitFees: 5.2,
+			grossPnl: 200,
+			netPnl: 189.8,
+			returnPercent: 3.8,
+			mae: -30,
+			mfe: 250
+		}
+	],
+	summary: { count: 1, wins: 1, losses: 0, winRate: 100, netPnl: 189.8, fees: 10.2, avgHoldingSeconds: 90000, avgMae: -30, avgMfe: 250 }
+};
+
+describe('TradeJournal', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mockSendMessage.mockImplementation(async (type) => {
+			if (type === 'get_paper_trading_accounts') return [{ id: 'account1', name: 'Test Account 1' }];
+			if (type === 'get_closed_trades') return journal;
+			return null;
+		});
+	});
+
+	it('should list closed trades with their summary', async () => {
+		render(<TradeJournal />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('closed-trade-trade_1')).toBeInTheDocument();
+		});
+		expect(screen.getByTestId('closed-trade-pnl-trade_1')).toHaveTextContent('$189.80');
+		expect(screen.getByTestId('closed-trade-pnl-trade_1')).toHaveTextContent('(3.80%)');
+		expect(screen.getByTestId('closed-trade-signals-trade_1')).toHaveTextContent('#7 → #9');
+		expect(screen.getByTestId('journal-summary-win-rate')).toHaveTextContent('100.0%');
+		expect(screen.getByTestId('journal-summary-holding')).toHaveTextContent('1d 1h');
+		expect(mockSendMessage).toHaveBeenCalledWith('get_closed_trades', { limit: 200 });
+	});
+
+	it('should refetch with the selected filters', async () => {
+		render(<TradeJournal />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('journal-account-option-account1')).toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByTestId('journal-account-filter'), { target: { value: 'account1' } });
+		fireEvent.change(screen.getByTestId('journal-symbol-filter'), { target: { value: 'btcusdt' } });
+		fireEvent.change(screen.getByTestId('journal-outcome-filter'), { target: { value: 'LOSS' } });
+		fireEvent.change(screen.getByTestId('journal-signal-filter'), { target: { value: '7' } });
+
+		await waitFor(() => {
+			expect(mockSendMessage).toHaveBeenLastCalledWith('get_closed_trades', {
+				limit: 200,
+				accountId: 'account1',
+				symbol: 'BTCUSDT',
+				outcome: 'LOSS',
+				signalId: 7
+			});
+		});
+	});
+
+	it('should show an empty state when nothing matches', async () => {
+		mockSendMessage.mockImplementation(async (type) => (
+			type === 'get_closed_trades' ? { trades: [], summary: { count: 0, wins: 0, losses: 0, winRate: 0, netPnl: 0, fees: 0, avgHoldingSeconds: 0 } } : []
+		));
+
+		render(<TradeJournal />);
+
+		await waitFor(() => {
+			expect(screen.getByTestId('trade-journal-empty')).toBeInTheDocument();
+		});
+		expect(screen.getByTestId('journal-summary-count')).toHaveTextContent('0');
+	});
+});
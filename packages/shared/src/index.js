@@ -48,7 +48,8 @@ export const ORDER_TYPES = {
   MARKET: 'MARKET',
   LIMIT: 'LIMIT',
   STOP: 'STOP',
-  STOP_LIMIT: 'STOP_LIMIT'
+  STOP_LIMIT: 'STOP_LIMIT',
+  TRAILING_STOP: 'TRAILING_STOP'
 };
 
 // Order sides
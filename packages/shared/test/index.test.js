@@ -34,6 +34,8 @@ describe('Shared Package', () => {
       expect(ORDER_TYPES).toBeDefined();
       expect(ORDER_TYPES.MARKET).toBe('MARKET');
       expect(ORDER_TYPES.LIMIT).toBe('LIMIT');
+      expect(ORDER_TYPES.STOP_LIMIT).toBe('STOP_LIMIT');
+      expect(ORDER_TYPES.TRAILING_STOP).toBe('TRAILING_STOP');
     });
 
     it('should export order sides', () => {